@@ -159,6 +159,26 @@ class RedisClient {
     }
   }
 
+  /**
+   * Set value only if the key does not exist yet (atomic SET NX EX)
+   * @param {string} key - Cache key
+   * @param {string} value - Value to store
+   * @param {number} ttl - Time to live in seconds
+   * @returns {Promise<boolean|null>} true if set, false if key already exists, null if Redis unavailable
+   */
+  async setIfNotExists(key, value, ttl) {
+    try {
+      if (!this.isConnected) {
+        return null;
+      }
+      const result = await this.client.set(key, value, { NX: true, EX: ttl });
+      return result === 'OK';
+    } catch (error) {
+      console.error(`❌ Redis SET NX error for key ${key}:`, error.message);
+      return null; // Caller decides how to fall back
+    }
+  }
+
   /**
    * Delete key from cache
    * @param {string} key - Cache key
@@ -5,8 +5,17 @@ import Stall from '../models/Stall.model.js';
 import CheckInOut from '../models/CheckInOut.model.js';
 import EventManagerModel from '../models/EventManager.model.js'; // ✅ Fixed: consistent naming
 import EventModel from '../models/Event.model.js'; // ✅ Fixed: consistent naming
+import School from '../models/School.model.js';
+import BadgeExportModel from '../models/BadgeExport.model.js';
+import { runBadgeExports } from '../jobs/badgeExport.job.js';
+import SigningKeyModel from '../models/SigningKey.model.js';
+import { runQRTokenResign, countStoredQRTokens } from '../jobs/qrTokenResign.job.js';
+import PaymentReconciliationRunModel from '../models/PaymentReconciliationRun.model.js';
+import PaymentReconciliationService from '../services/paymentReconciliation.js';
+import EventLifecycleService from '../services/eventLifecycle.js';
+import { logAuditEvent, AuditEventType } from '../utils/auditLogger.js';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
+import KeyRingService from '../services/keyRing.js';
 import { successResponse, errorResponse } from '../helpers/response.js';
 import { setAuthCookie, clearAuthCookie } from '../helpers/cookie.js';
 import { query } from '../config/db.js';
@@ -16,6 +25,9 @@ import { query } from '../config/db.js';
  * Handles admin authentication and management operations
  */
 
+const BADGE_EXPORT_FORMATS = ['PDF', 'SVG'];
+const MAX_BADGES_PER_EXPORT = 2000;
+
 /**
  * Admin login
  * @route POST /api/admin/login
@@ -38,9 +50,9 @@ const login = async (req, res, next) => {
       return errorResponse(res, 'Invalid credentials', 401);
     }
 
-    const token = jwt.sign(
+    const token = KeyRingService.sign(
+      KeyRingService.PURPOSES.SESSION,
       { id: admin.id, email: admin.email, role: admin.role },
-      process.env.JWT_SECRET,
       { expiresIn: '24h' }
     );
 
@@ -917,6 +929,401 @@ const getEventDetails = async (req, res, next) => {
   }
 };
 
+/**
+ * Request a printable badge sheet export (runs as a background job)
+ * Select students by school_id and/or batch, or by a registration_nos list
+ * @route POST /api/admin/badge-exports
+ */
+const createBadgeExport = async (req, res, next) => {
+  try {
+    const { school_id, batch, registration_nos } = req.body;
+    const format = String(req.body.format || 'PDF').toUpperCase();
+
+    if (!BADGE_EXPORT_FORMATS.includes(format)) {
+      return errorResponse(res, `Format must be one of: ${BADGE_EXPORT_FORMATS.join(', ')}`, 400);
+    }
+
+    if (!school_id && batch === undefined && registration_nos === undefined) {
+      return errorResponse(res, 'Provide school_id, batch or registration_nos to select students', 400);
+    }
+
+    const selection = {};
+
+    if (school_id) {
+      const school = await School.findById(school_id, query);
+      if (!school) {
+        return errorResponse(res, 'School not found', 404);
+      }
+      selection.school_id = school_id;
+    }
+
+    if (batch !== undefined) {
+      const batchYear = Number(batch);
+      if (!Number.isInteger(batchYear) || batchYear < 1900 || batchYear > 2100) {
+        return errorResponse(res, 'Batch must be a year, e.g. 2023', 400);
+      }
+      selection.batch = batchYear;
+    }
+
+    if (registration_nos !== undefined) {
+      if (!Array.isArray(registration_nos) || registration_nos.length === 0) {
+        return errorResponse(res, 'registration_nos must be a non-empty array', 400);
+      }
+
+      const registrationNos = [...new Set(
+        registration_nos.map((regNo) => String(regNo).trim()).filter(Boolean)
+      )];
+      if (registrationNos.length > MAX_BADGES_PER_EXPORT) {
+        return errorResponse(res, `At most ${MAX_BADGES_PER_EXPORT} registration numbers per export`, 400);
+      }
+      selection.registration_nos = registrationNos;
+    }
+
+    const studentCount = await Student.findForBadges(selection, query, true);
+    if (studentCount === 0) {
+      return errorResponse(res, 'No students match this selection', 404);
+    }
+    if (studentCount > MAX_BADGES_PER_EXPORT) {
+      return errorResponse(res, `Selection has ${studentCount} students; at most ${MAX_BADGES_PER_EXPORT} badges per export`, 400);
+    }
+
+    const badgeExport = await BadgeExportModel.create({
+      requested_by_admin_id: req.user.id,
+      format,
+      selection,
+      student_count: studentCount
+    });
+
+    await logAuditEvent({
+      event_type: AuditEventType.BADGE_EXPORT_REQUESTED,
+      user_id: req.user.id,
+      user_role: 'ADMIN',
+      resource_type: 'BADGE_EXPORT',
+      resource_id: badgeExport.id,
+      metadata: { format, selection: { ...selection, registration_nos: selection.registration_nos?.length }, student_count: studentCount },
+      ip_address: req.ip,
+      user_agent: req.get('user-agent')
+    });
+
+    // Start now instead of waiting for the next scheduled run
+    setImmediate(() => {
+      runBadgeExports().catch((error) => console.error('❌ [BADGES] Immediate run failed:', error));
+    });
+
+    return successResponse(res, {
+      badge_export: badgeExport,
+      status_url: `/api/admin/badge-exports/${badgeExport.id}`
+    }, 'Badge export queued', 202);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List recent badge exports
+ * @route GET /api/admin/badge-exports
+ */
+const getBadgeExports = async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const exports = await BadgeExportModel.findRecent(limit, offset);
+    return successResponse(res, { badge_exports: exports, limit, offset });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get badge export status
+ * @route GET /api/admin/badge-exports/:id
+ */
+const getBadgeExport = async (req, res, next) => {
+  try {
+    const badgeExport = await BadgeExportModel.findById(req.params.id);
+    if (!badgeExport) {
+      return errorResponse(res, 'Badge export not found', 404);
+    }
+
+    return successResponse(res, {
+      badge_export: badgeExport,
+      ...(badgeExport.status === 'COMPLETED' && {
+        download_url: `/api/admin/badge-exports/${badgeExport.id}/download`
+      })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download a finished badge export
+ * PDF exports are one file; SVG exports are one file per A4 page (?page=N, default 1)
+ * @route GET /api/admin/badge-exports/:id/download
+ */
+const downloadBadgeExport = async (req, res, next) => {
+  try {
+    const badgeExport = await BadgeExportModel.findById(req.params.id);
+    if (!badgeExport) {
+      return errorResponse(res, 'Badge export not found', 404);
+    }
+
+    if (badgeExport.status === 'EXPIRED') {
+      return errorResponse(res, 'This badge export has expired. Request a new one', 410);
+    }
+
+    if (badgeExport.status !== 'COMPLETED') {
+      return errorResponse(res, `Badge export is not ready (status: ${badgeExport.status})`, 409);
+    }
+
+    const filename = `badges-${badgeExport.id.slice(0, 8)}`;
+
+    if (badgeExport.format === 'SVG') {
+      const page = parseInt(req.query.page) || 1;
+      if (page < 1 || page > badgeExport.page_count) {
+        return errorResponse(res, `Page must be between 1 and ${badgeExport.page_count}`, 400);
+      }
+
+      const svg = await BadgeExportModel.getSvgPage(badgeExport.id, page);
+      if (!svg) {
+        return errorResponse(res, 'Badge export file not found', 404);
+      }
+
+      res.set('Content-Type', 'image/svg+xml; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}-page-${page}.svg"`);
+      res.set('X-Total-Pages', String(badgeExport.page_count));
+      return res.send(svg);
+    }
+
+    const pdf = await BadgeExportModel.getPdf(badgeExport.id);
+    if (!pdf) {
+      return errorResponse(res, 'Badge export file not found', 404);
+    }
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+    return res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List signing keys (never the key material) and the key currently signing per purpose
+ * @route GET /api/admin/signing-keys
+ */
+const getSigningKeys = async (req, res, next) => {
+  try {
+    await KeyRingService.load();
+    const keys = await SigningKeyModel.findAll();
+
+    const signingKids = Object.fromEntries(
+      Object.values(KeyRingService.PURPOSES).map((purpose) => [purpose, KeyRingService.getSigningKey(purpose).kid])
+    );
+
+    return successResponse(res, {
+      signing_keys: keys.map((key) => ({ ...key, is_signing: signingKids[key.purpose] === key.kid })),
+      signing_kids: signingKids
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rotate the signing key of a purpose
+ * The new key signs after a short activation delay; older keys keep verifying until retired.
+ * Rotating STALL_QR or STUDENT_QR also re-signs stored QR tokens in the background once the key is active.
+ * @route POST /api/admin/signing-keys/rotate
+ */
+const rotateSigningKey = async (req, res, next) => {
+  try {
+    const purpose = String(req.body.purpose || '').toUpperCase();
+    const purposes = Object.values(KeyRingService.PURPOSES);
+
+    if (!purposes.includes(purpose)) {
+      return errorResponse(res, `Purpose must be one of: ${purposes.join(', ')}`, 400);
+    }
+
+    const key = await KeyRingService.rotate(purpose, req.user.id);
+
+    await logAuditEvent({
+      event_type: AuditEventType.SIGNING_KEY_ROTATED,
+      user_id: req.user.id,
+      user_role: 'ADMIN',
+      resource_type: 'SIGNING_KEY',
+      resource_id: key.id,
+      metadata: { purpose, kid: key.kid, activated_at: key.activated_at },
+      ip_address: req.ip,
+      user_agent: req.get('user-agent')
+    });
+
+    const resignsQRTokens = purpose === KeyRingService.PURPOSES.STALL_QR ||
+      purpose === KeyRingService.PURPOSES.STUDENT_QR;
+    if (resignsQRTokens) {
+      // Re-sign as soon as the new key signs; the scheduled job catches up if this instance restarts
+      const timer = setTimeout(() => {
+        runQRTokenResign().catch((error) => console.error('❌ [KEY RING] Re-sign run failed:', error));
+      }, (KeyRingService.ACTIVATION_DELAY_SECONDS + 5) * 1000);
+      timer.unref();
+    }
+
+    return successResponse(res, {
+      signing_key: key,
+      qr_token_resign_scheduled: resignsQRTokens
+    }, `New ${purpose} key created; it starts signing at ${new Date(key.activated_at).toISOString()}`, 201);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retire a signing key - tokens signed with it stop verifying
+ * QR keys still used by stored stall or student tokens can't be retired until they are re-signed.
+ * A STUDENT_QR key printed on badge exports needs { force: true }: those sheets stop scanning.
+ * @route POST /api/admin/signing-keys/:purpose/:kid/retire
+ */
+const retireSigningKey = async (req, res, next) => {
+  try {
+    const purpose = String(req.params.purpose).toUpperCase();
+    const { kid } = req.params;
+    const force = req.body?.force === true;
+
+    if (!Object.values(KeyRingService.PURPOSES).includes(purpose)) {
+      return errorResponse(res, 'Signing key not found', 404);
+    }
+
+    const existing = await SigningKeyModel.findByKid(purpose, kid);
+    if (!existing) {
+      return errorResponse(res, 'Signing key not found', 404);
+    }
+    if (existing.status === 'RETIRED') {
+      return errorResponse(res, 'Signing key is already retired', 409);
+    }
+
+    const storedTokens = await countStoredQRTokens(purpose, kid);
+    if (storedTokens > 0) {
+      return errorResponse(res, `${storedTokens} stored QR tokens are still signed with this key. Wait for the re-sign job to move them to the current key, then retire it.`, 409, {
+        code: 'KEY_IN_USE',
+        stored_tokens: storedTokens
+      });
+    }
+
+    const printedExports = purpose === KeyRingService.PURPOSES.STUDENT_QR
+      ? await BadgeExportModel.countPrintedWithKey(kid)
+      : 0;
+    if (printedExports > 0 && !force) {
+      return errorResponse(res, `${printedExports} badge exports were printed with this key and stop scanning once it is retired. Reprint them from a new export, then retire with { "force": true }.`, 409, {
+        code: 'KEY_PRINTED',
+        printed_exports: printedExports
+      });
+    }
+
+    let retired;
+    try {
+      retired = await KeyRingService.retire(purpose, kid);
+    } catch (error) {
+      return errorResponse(res, error.message, 400);
+    }
+
+    if (!retired) {
+      return errorResponse(res, 'Signing key is already retired', 409);
+    }
+
+    await logAuditEvent({
+      event_type: AuditEventType.SIGNING_KEY_RETIRED,
+      user_id: req.user.id,
+      user_role: 'ADMIN',
+      resource_type: 'SIGNING_KEY',
+      resource_id: retired.id,
+      metadata: { purpose, kid, force, printed_exports: printedExports },
+      ip_address: req.ip,
+      user_agent: req.get('user-agent')
+    });
+
+    return successResponse(res, { signing_key: retired }, 'Signing key retired');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List recent payment reconciliation reports
+ * @route GET /api/admin/payment-reconciliation/runs
+ */
+const getPaymentReconciliationRuns = async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const runs = await PaymentReconciliationRunModel.findRecent(limit, offset);
+    return successResponse(res, { runs, limit, offset });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reconcile stale PENDING payments now
+ * @route POST /api/admin/payment-reconciliation/run
+ */
+const runPaymentReconciliation = async (req, res, next) => {
+  try {
+    const report = await PaymentReconciliationService.reconcile({
+      trigger: 'MANUAL',
+      admin_id: req.user.id
+    });
+
+    return successResponse(
+      res,
+      { report },
+      report.checked === 0 ? 'No stale pending payments' : `Reconciled ${report.checked} pending payment(s)`
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Preview upcoming event lifecycle transitions (dry run)
+ * @route GET /api/admin/event-lifecycle/preview
+ */
+const previewEventLifecycle = async (req, res, next) => {
+  try {
+    const hours = req.query.hours === undefined ? 24 : Number(req.query.hours);
+    if (!Number.isInteger(hours) || hours < 0 || hours > EventLifecycleService.MAX_PREVIEW_HOURS) {
+      return errorResponse(res, `hours must be a whole number between 0 and ${EventLifecycleService.MAX_PREVIEW_HOURS}`, 400);
+    }
+
+    const preview = await EventLifecycleService.preview(hours);
+    return successResponse(res, preview);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Apply due event lifecycle transitions now
+ * @route POST /api/admin/event-lifecycle/run
+ */
+const runEventLifecycle = async (req, res, next) => {
+  try {
+    const summary = await EventLifecycleService.run({
+      trigger: 'MANUAL',
+      admin_id: req.user.id
+    });
+
+    return successResponse(
+      res,
+      { summary },
+      summary.transitions.length === 0 ? 'No lifecycle transitions due' : `Applied ${summary.transitions.length} lifecycle transition(s)`
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
 export default {
   login,
   logout,
@@ -939,5 +1346,18 @@ export default {
   getAllEvents,
   approveEvent,
   rejectEvent,
-  getEventDetails
+  getEventDetails,
+  // Printable badge sheets
+  createBadgeExport,
+  getBadgeExports,
+  getBadgeExport,
+  downloadBadgeExport,
+  // Token signing keys
+  getSigningKeys,
+  rotateSigningKey,
+  retireSigningKey,
+  getPaymentReconciliationRuns,
+  runPaymentReconciliation,
+  previewEventLifecycle,
+  runEventLifecycle
 };
@@ -1,16 +1,59 @@
 // Event Manager Controller - Event creation, volunteer assignment, analytics
 import { query } from '../config/db.js';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import { successResponse, errorResponse, validationErrorResponse } from '../helpers/response.js';
 import { setAuthCookie, clearAuthCookie } from '../helpers/cookie.js';
 import {
   EventManagerModel,
   EventModel,
   EventVolunteerModel,
-  EventRegistrationModel
+  EventRegistrationModel,
+  SecurityEventModel,
+  CheckInOutModel,
+  VolunteerModel,
+  VolunteerShiftModel,
+  EventZoneModel,
+  EventSessionModel,
+  StallModel
 } from '../models/index.js';
 import { logAuditEvent, AuditEventType } from '../utils/auditLogger.js';
+import { parseSpreadsheet } from '../utils/excelParser.js';
+import CheckInService from '../services/checkIn.js';
+import OccupancyService from '../services/occupancy.js';
+import QRCodeService from '../services/qrCode.js';
+import KeyRingService from '../services/keyRing.js';
+import RefundService from '../services/refund.js';
+import EventSessionService from '../services/eventSession.js';
+
+// Largest roster accepted in one upload
+const MAX_ROSTER_ROWS = 500;
+
+/**
+ * Validate a shift's (or session's) time range against the event
+ * @param {Object} event - Event row
+ * @param {string} startTime - Shift start
+ * @param {string} endTime - Shift end
+ * @param {string} [label] - What is being scheduled, for the error message
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateShiftTimes = (event, startTime, endTime, label = 'Shift') => {
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+
+  if (!startTime || !endTime || isNaN(start) || isNaN(end)) {
+    return 'start_time and end_time must be valid dates';
+  }
+
+  if (end <= start) {
+    return 'end_time must be after start_time';
+  }
+
+  if (start < new Date(event.start_date) || end > new Date(event.end_date)) {
+    return `${label} must fall within the event start and end dates`;
+  }
+
+  return null;
+};
 
 class EventManagerController {
   /**
@@ -46,13 +89,13 @@ class EventManagerController {
       }
 
       // Generate JWT token
-      const token = jwt.sign(
+      const token = KeyRingService.sign(
+        KeyRingService.PURPOSES.SESSION,
         {
           id: manager.id,
           email: manager.email,
           role: manager.role
         },
-        process.env.JWT_SECRET,
         { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
       );
 
@@ -230,6 +273,35 @@ class EventManagerController {
         }
       }
 
+      // Validate gate scan cooldown (optional, defaults to 10 seconds)
+      if (eventData.scan_cooldown_seconds !== undefined) {
+        const cooldown = Number(eventData.scan_cooldown_seconds);
+        if (!Number.isInteger(cooldown) || cooldown < 0 || cooldown > 3600) {
+          return validationErrorResponse(res, [
+            { msg: 'scan_cooldown_seconds must be a whole number between 0 and 3600' }
+          ]);
+        }
+      }
+
+      // Validate the session completion rule (optional, defaults to every session)
+      if (eventData.min_sessions_for_completion !== undefined && eventData.min_sessions_for_completion !== null) {
+        const minSessions = Number(eventData.min_sessions_for_completion);
+        if (!Number.isInteger(minSessions) || minSessions < 1) {
+          return validationErrorResponse(res, [
+            { msg: 'min_sessions_for_completion must be a positive whole number or null for every session' }
+          ]);
+        }
+      }
+
+      // Validate refund tiers (optional, defaults to a full refund until the start)
+      if (eventData.refund_rules !== undefined) {
+        try {
+          eventData.refund_rules = RefundService.normalizeRules(eventData.refund_rules);
+        } catch (error) {
+          return validationErrorResponse(res, [{ msg: error.message }]);
+        }
+      }
+
       // Validate dates
       const startDate = new Date(eventData.start_date);
       const endDate = new Date(eventData.end_date);
@@ -395,6 +467,23 @@ class EventManagerController {
         );
       }
 
+      if (req.body.min_sessions_for_completion !== undefined && req.body.min_sessions_for_completion !== null) {
+        const minSessions = Number(req.body.min_sessions_for_completion);
+        if (!Number.isInteger(minSessions) || minSessions < 1) {
+          return validationErrorResponse(res, [
+            { msg: 'min_sessions_for_completion must be a positive whole number or null for every session' }
+          ]);
+        }
+      }
+
+      if (req.body.refund_rules !== undefined) {
+        try {
+          req.body.refund_rules = RefundService.normalizeRules(req.body.refund_rules);
+        } catch (error) {
+          return validationErrorResponse(res, [{ msg: error.message }]);
+        }
+      }
+
       const updated = await EventModel.update(eventId, req.body);
 
       // Log audit event
@@ -419,6 +508,62 @@ class EventManagerController {
     }
   }
 
+  /**
+   * Update gate scan settings (anti-passback cooldown)
+   * Allowed while the event is running, unlike updateEvent
+   * PATCH /api/event-managers/events/:eventId/scan-settings
+   */
+  static async updateScanSettings(req, res) {
+    try {
+      const { eventId } = req.params;
+      const managerId = req.user.id;
+      const { scan_cooldown_seconds } = req.body;
+
+      // Check ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      const cooldown = Number(scan_cooldown_seconds);
+      if (scan_cooldown_seconds === undefined || !Number.isInteger(cooldown) || cooldown < 0 || cooldown > 3600) {
+        return validationErrorResponse(res, [
+          { msg: 'scan_cooldown_seconds must be a whole number between 0 and 3600' }
+        ]);
+      }
+
+      const updated = await EventModel.updateScanCooldown(eventId, cooldown);
+
+      // Log audit event
+      await logAuditEvent({
+        event_type: AuditEventType.EVENT_UPDATED,
+        user_id: managerId,
+        user_role: 'EVENT_MANAGER',
+        resource_type: 'EVENT',
+        resource_id: eventId,
+        metadata: {
+          updated_fields: ['scan_cooldown_seconds'],
+          previous_cooldown_seconds: event.scan_cooldown_seconds,
+          scan_cooldown_seconds: cooldown
+        },
+        ip_address: req.ip,
+        user_agent: req.get('user-agent')
+      });
+
+      return successResponse(res, {
+        event_id: updated.id,
+        scan_cooldown_seconds: updated.scan_cooldown_seconds
+      }, 'Scan settings updated successfully');
+    } catch (error) {
+      console.error('Update scan settings error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
   /**
    * Delete event (soft delete)
    * DELETE /api/event-managers/events/:eventId
@@ -470,7 +615,7 @@ class EventManagerController {
     try {
       const { eventId } = req.params;
       const managerId = req.user.id;
-      const { volunteer_id, assigned_location, permissions } = req.body;
+      const { volunteer_id, assigned_location, permissions, gate_mode, zone_id, session_id } = req.body;
 
       // Check ownership
       const event = await EventModel.findById(eventId);
@@ -486,11 +631,44 @@ class EventManagerController {
         return validationErrorResponse(res, [{ msg: 'volunteer_id is required' }]);
       }
 
+      if (gate_mode !== undefined && !EventVolunteerModel.GATE_MODES.includes(gate_mode)) {
+        return validationErrorResponse(res, [
+          { msg: `gate_mode must be one of: ${EventVolunteerModel.GATE_MODES.join(', ')}` }
+        ]);
+      }
+
+      if (permissions !== undefined && (
+        !Array.isArray(permissions) ||
+        permissions.some((permission) => !EventVolunteerModel.PERMISSIONS.includes(permission))
+      )) {
+        return validationErrorResponse(res, [
+          { msg: `permissions must be an array of: ${EventVolunteerModel.PERMISSIONS.join(', ')}` }
+        ]);
+      }
+
+      if (zone_id) {
+        const zone = await EventZoneModel.findById(zone_id);
+        if (!zone || zone.event_id !== eventId) {
+          return validationErrorResponse(res, [{ msg: 'zone_id must be a zone of this event' }]);
+        }
+      }
+
+      if (session_id) {
+        const session = await EventSessionModel.findById(session_id);
+        if (!session || session.event_id !== eventId) {
+          return validationErrorResponse(res, [{ msg: 'session_id must be a session of this event' }]);
+        }
+      }
+
+      if (zone_id && session_id) {
+        return validationErrorResponse(res, [{ msg: 'Post a volunteer at a zone or a session, not both' }]);
+      }
+
       const assignment = await EventVolunteerModel.assignVolunteer(
         eventId,
         volunteer_id,
         managerId,
-        { assigned_location, permissions }
+        { assigned_location, permissions, gate_mode, zone_id, session_id }
       );
 
       // Log audit event
@@ -504,7 +682,10 @@ class EventManagerController {
           event_id: eventId,
           volunteer_id,
           assigned_location,
-          permissions
+          permissions,
+          gate_mode: assignment.gate_mode,
+          zone_id: assignment.zone_id,
+          session_id: assignment.session_id
         },
         ip_address: req.ip,
         user_agent: req.get('user-agent')
@@ -523,13 +704,14 @@ class EventManagerController {
   }
 
   /**
-   * Remove volunteer from event
-   * DELETE /api/event-managers/events/:eventId/volunteers/:volunteerId
+   * Update volunteer assignment (gate location and direction)
+   * PATCH /api/event-managers/events/:eventId/volunteers/:volunteerId
    */
-  static async removeVolunteer(req, res) {
+  static async updateVolunteerAssignment(req, res) {
     try {
       const { eventId, volunteerId } = req.params;
       const managerId = req.user.id;
+      const { assigned_location, gate_mode, zone_id, session_id } = req.body;
 
       // Check ownership
       const event = await EventModel.findById(eventId);
@@ -541,38 +723,98 @@ class EventManagerController {
         return errorResponse(res, 'Unauthorized access to this event', 403);
       }
 
-      await EventVolunteerModel.removeVolunteer(eventId, volunteerId);
+      if (assigned_location === undefined && gate_mode === undefined && zone_id === undefined && session_id === undefined) {
+        return validationErrorResponse(res, [
+          { msg: 'Provide assigned_location, gate_mode, zone_id and/or session_id to update' }
+        ]);
+      }
+
+      if (zone_id) {
+        const zone = await EventZoneModel.findById(zone_id);
+        if (!zone || zone.event_id !== eventId) {
+          return validationErrorResponse(res, [{ msg: 'zone_id must be a zone of this event' }]);
+        }
+      }
+
+      if (session_id) {
+        const session = await EventSessionModel.findById(session_id);
+        if (!session || session.event_id !== eventId) {
+          return validationErrorResponse(res, [{ msg: 'session_id must be a session of this event' }]);
+        }
+      }
+
+      if (gate_mode !== undefined && !EventVolunteerModel.GATE_MODES.includes(gate_mode)) {
+        return validationErrorResponse(res, [
+          { msg: `gate_mode must be one of: ${EventVolunteerModel.GATE_MODES.join(', ')}` }
+        ]);
+      }
+
+      const existing = await EventVolunteerModel.findAssignment(eventId, volunteerId);
+      if (!existing) {
+        return errorResponse(res, 'Volunteer is not assigned to this event', 404);
+      }
+
+      const postedAtZone = zone_id !== undefined ? zone_id : existing.zone_id;
+      const postedAtSession = session_id !== undefined ? session_id : existing.session_id;
+      if (postedAtZone && postedAtSession) {
+        return validationErrorResponse(res, [{ msg: 'Post a volunteer at a zone or a session, not both' }]);
+      }
+
+      let assignment = existing;
+      if (assigned_location !== undefined) {
+        assignment = await EventVolunteerModel.updateLocation(eventId, volunteerId, assigned_location);
+      }
+      if (gate_mode !== undefined) {
+        assignment = await EventVolunteerModel.updateGateMode(eventId, volunteerId, gate_mode);
+      }
+      if (zone_id !== undefined) {
+        assignment = await EventVolunteerModel.updateZone(eventId, volunteerId, zone_id || null);
+      }
+      if (session_id !== undefined) {
+        assignment = await EventVolunteerModel.updateSession(eventId, volunteerId, session_id || null);
+      }
 
       // Log audit event
       await logAuditEvent({
-        event_type: AuditEventType.VOLUNTEER_REMOVED,
+        event_type: AuditEventType.VOLUNTEER_ASSIGNMENT_UPDATED,
         user_id: managerId,
         user_role: 'EVENT_MANAGER',
         resource_type: 'EVENT_VOLUNTEER',
-        resource_id: volunteerId,
+        resource_id: assignment.id,
         metadata: {
           event_id: eventId,
-          volunteer_id: volunteerId
+          volunteer_id: volunteerId,
+          previous: {
+            assigned_location: existing.assigned_location,
+            gate_mode: existing.gate_mode,
+            zone_id: existing.zone_id,
+            session_id: existing.session_id
+          },
+          assigned_location: assignment.assigned_location,
+          gate_mode: assignment.gate_mode,
+          zone_id: assignment.zone_id,
+          session_id: assignment.session_id
         },
         ip_address: req.ip,
         user_agent: req.get('user-agent')
       });
 
-      return successResponse(res, null, 'Volunteer removed successfully');
+      return successResponse(res, { assignment }, 'Volunteer assignment updated successfully');
     } catch (error) {
-      console.error('Remove volunteer error:', error);
+      console.error('Update volunteer assignment error:', error);
       return errorResponse(res, error.message, 500);
     }
   }
 
   /**
-   * Get volunteers assigned to event
-   * GET /api/event-managers/events/:eventId/volunteers
+   * Replace a volunteer's permissions for an event
+   * PUT /api/event-managers/events/:eventId/volunteers/:volunteerId/permissions
    */
-  static async getEventVolunteers(req, res) {
+  static async updateVolunteerPermissions(req, res) {
     try {
-      const { eventId } = req.params;
+      const { eventId, volunteerId } = req.params;
       const managerId = req.user.id;
+      const { permissions } = req.body;
 
       // Check ownership
       const event = await EventModel.findById(eventId);
@@ -584,24 +826,58 @@ class EventManagerController {
         return errorResponse(res, 'Unauthorized access to this event', 403);
       }
 
-      const volunteers = await EventVolunteerModel.getEventVolunteers(eventId);
+      if (
+        !Array.isArray(permissions) ||
+        permissions.some((permission) => !EventVolunteerModel.PERMISSIONS.includes(permission))
+      ) {
+        return validationErrorResponse(res, [
+          { msg: `permissions must be an array of: ${EventVolunteerModel.PERMISSIONS.join(', ')}` }
+        ]);
+      }
 
-      return successResponse(res, { volunteers });
+      const existing = await EventVolunteerModel.findAssignment(eventId, volunteerId);
+      if (!existing) {
+        return errorResponse(res, 'Volunteer is not assigned to this event', 404);
+      }
+
+      const uniquePermissions = [...new Set(permissions)];
+      const assignment = await EventVolunteerModel.updatePermissions(eventId, volunteerId, uniquePermissions);
+
+      // Log audit event
+      await logAuditEvent({
+        event_type: AuditEventType.VOLUNTEER_ASSIGNMENT_UPDATED,
+        user_id: managerId,
+        user_role: 'EVENT_MANAGER',
+        resource_type: 'EVENT_VOLUNTEER',
+        resource_id: assignment.id,
+        metadata: {
+          event_id: eventId,
+          volunteer_id: volunteerId,
+          previous: {
+            permissions: existing.permissions
+          },
+          permissions: assignment.permissions
+        },
+        ip_address: req.ip,
+        user_agent: req.get('user-agent')
+      });
+
+      return successResponse(res, { assignment }, 'Volunteer permissions updated successfully');
     } catch (error) {
-      console.error('Get event volunteers error:', error);
+      console.error('Update volunteer permissions error:', error);
       return errorResponse(res, error.message, 500);
     }
   }
 
   /**
-   * Get event registrations
-   * GET /api/event-managers/events/:eventId/registrations
+   * Create a zone (hall/lab with its own capacity)
+   * POST /api/event-managers/events/:eventId/zones
    */
-  static async getEventRegistrations(req, res) {
+  static async createZone(req, res) {
     try {
       const { eventId } = req.params;
       const managerId = req.user.id;
-      const { registration_status, payment_status, page, limit } = req.query;
+      const { zone_name, description, capacity } = req.body;
 
       // Check ownership
       const event = await EventModel.findById(eventId);
@@ -613,25 +889,39 @@ class EventManagerController {
         return errorResponse(res, 'Unauthorized access to this event', 403);
       }
 
-      const result = await EventRegistrationModel.getEventRegistrations(eventId, {
-        registration_status,
-        payment_status,
-        page: parseInt(page) || 1,
-        limit: parseInt(limit) || 50
+      const errors = [];
+      if (!zone_name || !String(zone_name).trim()) {
+        errors.push({ msg: 'zone_name is required' });
+      }
+      if (!Number.isInteger(Number(capacity)) || Number(capacity) <= 0) {
+        errors.push({ msg: 'capacity must be a positive whole number' });
+      }
+      if (errors.length > 0) {
+        return validationErrorResponse(res, errors);
+      }
+
+      const zone = await EventZoneModel.create({
+        event_id: eventId,
+        zone_name: String(zone_name).trim(),
+        description,
+        capacity: Number(capacity)
       });
 
-      return successResponse(res, result);
+      return successResponse(res, { zone }, 'Zone created successfully', 201);
     } catch (error) {
-      console.error('Get event registrations error:', error);
+      console.error('Create zone error:', error);
+      if (error.code === '23505') {
+        return errorResponse(res, 'A zone with this name already exists for the event', 409);
+      }
       return errorResponse(res, error.message, 500);
     }
   }
 
   /**
-   * Get event analytics
-   * GET /api/event-managers/events/:eventId/analytics
+   * Get zones with live occupancy
+   * GET /api/event-managers/events/:eventId/zones
    */
-  static async getEventAnalytics(req, res) {
+  static async getEventZones(req, res) {
     try {
       const { eventId } = req.params;
       const managerId = req.user.id;
@@ -646,46 +936,25 @@ class EventManagerController {
         return errorResponse(res, 'Unauthorized access to this event', 403);
       }
 
-      // Get comprehensive analytics
-      const eventStats = await EventModel.getStats(eventId);
-      const registrationStats = await EventRegistrationModel.getStats(eventId);
-      const volunteerStats = await EventVolunteerModel.getEventStats(eventId);
-      const volunteerPerformance = await EventVolunteerModel.getVolunteerPerformance(eventId);
+      const zones = await EventZoneModel.getEventZones(eventId);
 
-      return successResponse(res, {
-        event: {
-          id: event.id,
-          event_name: event.event_name,
-          event_code: event.event_code,
-          status: event.status
-        },
-        stats: {
-          ...eventStats,
-          registrations: registrationStats,
-          volunteers: volunteerStats
-        },
-        volunteer_performance: volunteerPerformance
-      });
+      return successResponse(res, { zones });
     } catch (error) {
-      console.error('Get event analytics error:', error);
+      console.error('Get event zones error:', error);
       return errorResponse(res, error.message, 500);
     }
   }
 
   /**
-   * Assign stall to event
-   * POST /api/event-managers/events/:eventId/stalls
+   * Update a zone (name, description, capacity, is_active)
+   * Lowering capacity below the current occupancy only blocks new entries
+   * PATCH /api/event-managers/events/:eventId/zones/:zoneId
    */
-  static async assignStall(req, res) {
+  static async updateZone(req, res) {
     try {
-      const { eventId } = req.params;
-      const { stall_id } = req.body;
+      const { eventId, zoneId } = req.params;
       const managerId = req.user.id;
-
-      // Validation
-      if (!stall_id) {
-        return validationErrorResponse(res, [{ msg: 'Stall ID is required' }]);
-      }
+      const { zone_name, description, capacity, is_active } = req.body;
 
       // Check ownership
       const event = await EventModel.findById(eventId);
@@ -697,36 +966,43 @@ class EventManagerController {
         return errorResponse(res, 'Unauthorized access to this event', 403);
       }
 
-      // Update stall's event_id
-      const stallQuery = `
-        UPDATE stalls 
-        SET event_id = $1, updated_at = NOW()
-        WHERE id = $2 AND is_active = true
-        RETURNING *
-      `;
-      const stalls = await query(stallQuery, [eventId, stall_id]);
+      const existing = await EventZoneModel.findById(zoneId);
+      if (!existing || existing.event_id !== eventId) {
+        return errorResponse(res, 'Zone not found', 404);
+      }
 
-      if (stalls.length === 0) {
-        return errorResponse(res, 'Stall not found or already assigned', 404);
+      if (capacity !== undefined && (!Number.isInteger(Number(capacity)) || Number(capacity) <= 0)) {
+        return validationErrorResponse(res, [{ msg: 'capacity must be a positive whole number' }]);
       }
 
-      // Note: Audit logging removed - STALL_ASSIGNED not defined in AuditEventType
-      // Can be added later if needed
+      if (is_active !== undefined && typeof is_active !== 'boolean') {
+        return validationErrorResponse(res, [{ msg: 'is_active must be true or false' }]);
+      }
 
-      return successResponse(res, { stall: stalls[0] }, 'Stall assigned to event successfully', 201);
+      const zone = await EventZoneModel.update(zoneId, {
+        zone_name: zone_name !== undefined ? String(zone_name).trim() : undefined,
+        description,
+        capacity: capacity !== undefined ? Number(capacity) : undefined,
+        is_active
+      });
+
+      return successResponse(res, { zone }, 'Zone updated successfully');
     } catch (error) {
-      console.error('Assign stall error:', error);
+      console.error('Update zone error:', error);
+      if (error.code === '23505') {
+        return errorResponse(res, 'A zone with this name already exists for the event', 409);
+      }
       return errorResponse(res, error.message, 500);
     }
   }
 
   /**
-   * Remove stall from event
-   * DELETE /api/event-managers/events/:eventId/stalls/:stallId
+   * Delete a zone (only when empty)
+   * DELETE /api/event-managers/events/:eventId/zones/:zoneId
    */
-  static async removeStall(req, res) {
+  static async deleteZone(req, res) {
     try {
-      const { eventId, stallId } = req.params;
+      const { eventId, zoneId } = req.params;
       const managerId = req.user.id;
 
       // Check ownership
@@ -739,37 +1015,33 @@ class EventManagerController {
         return errorResponse(res, 'Unauthorized access to this event', 403);
       }
 
-      // Remove stall assignment (set event_id to NULL)
-      const removeQuery = `
-        UPDATE stalls 
-        SET event_id = NULL, updated_at = NOW()
-        WHERE id = $1 AND event_id = $2
-        RETURNING id
-      `;
-      const result = await query(removeQuery, [stallId, eventId]);
+      const existing = await EventZoneModel.findById(zoneId);
+      if (!existing || existing.event_id !== eventId) {
+        return errorResponse(res, 'Zone not found', 404);
+      }
 
-      if (result.length === 0) {
-        return errorResponse(res, 'Stall not found or not assigned to this event', 404);
+      if (existing.current_occupancy > 0) {
+        return errorResponse(res, `Zone still has ${existing.current_occupancy} students inside. Deactivate it instead.`, 409);
       }
 
-      // Note: Audit logging removed - STALL_REMOVED not defined in AuditEventType
-      // Can be added later if needed
+      await EventZoneModel.delete(zoneId);
 
-      return successResponse(res, null, 'Stall removed from event successfully');
+      return successResponse(res, null, 'Zone deleted successfully');
     } catch (error) {
-      console.error('Remove stall error:', error);
+      console.error('Delete zone error:', error);
       return errorResponse(res, error.message, 500);
     }
   }
 
   /**
-   * Get stalls assigned to event
-   * GET /api/event-managers/events/:eventId/stalls
+   * Create an event session (workshop in a series)
+   * POST /api/event-managers/events/:eventId/sessions
    */
-  static async getEventStalls(req, res) {
+  static async createSession(req, res) {
     try {
       const { eventId } = req.params;
       const managerId = req.user.id;
+      const { session_name, description, venue, start_time, end_time, capacity = null } = req.body;
 
       // Check ownership
       const event = await EventModel.findById(eventId);
@@ -781,22 +1053,1143 @@ class EventManagerController {
         return errorResponse(res, 'Unauthorized access to this event', 403);
       }
 
-      // Get stalls for this event
-      const stallsQuery = `
-        SELECT s.*, sc.school_name
-        FROM stalls s
-        LEFT JOIN schools sc ON s.school_id = sc.id
-        WHERE s.event_id = $1 AND s.is_active = true
-        ORDER BY s.stall_number ASC
-      `;
-      const stalls = await query(stallsQuery, [eventId]);
+      const errors = [];
+      if (!session_name || !String(session_name).trim()) {
+        errors.push({ msg: 'session_name is required' });
+      }
+      const timeError = validateShiftTimes(event, start_time, end_time, 'Session');
+      if (timeError) {
+        errors.push({ msg: timeError });
+      }
+      if (capacity !== null && (!Number.isInteger(Number(capacity)) || Number(capacity) <= 0)) {
+        errors.push({ msg: 'capacity must be a positive whole number or null for unlimited' });
+      }
+      if (errors.length > 0) {
+        return validationErrorResponse(res, errors);
+      }
 
-      return successResponse(res, { 
-        stalls,
-        total: stalls.length
+      const session = await EventSessionModel.create({
+        event_id: eventId,
+        session_name: String(session_name).trim(),
+        description,
+        venue,
+        start_time,
+        end_time,
+        capacity: capacity !== null ? Number(capacity) : null
       });
+
+      return successResponse(res, { session }, 'Session created successfully', 201);
     } catch (error) {
-      console.error('Get event stalls error:', error);
+      console.error('Create session error:', error);
+      if (error.code === '23505') {
+        return errorResponse(res, 'A session with this name already exists for the event', 409);
+      }
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Get sessions with bookings and attendance
+   * GET /api/event-managers/events/:eventId/sessions
+   */
+  static async getEventSessions(req, res) {
+    try {
+      const { eventId } = req.params;
+      const managerId = req.user.id;
+
+      // Check ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      const sessions = await EventSessionModel.getEventSessions(eventId);
+
+      return successResponse(res, { sessions });
+    } catch (error) {
+      console.error('Get event sessions error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Update a session (name, description, venue, times, capacity, is_active)
+   * Lowering capacity below the bookings only blocks new bookings
+   * PATCH /api/event-managers/events/:eventId/sessions/:sessionId
+   */
+  static async updateSession(req, res) {
+    try {
+      const { eventId, sessionId } = req.params;
+      const managerId = req.user.id;
+      const { session_name, description, venue, start_time, end_time, capacity, is_active } = req.body;
+
+      // Check ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      const existing = await EventSessionModel.findById(sessionId);
+      if (!existing || existing.event_id !== eventId) {
+        return errorResponse(res, 'Session not found', 404);
+      }
+
+      if (start_time !== undefined || end_time !== undefined) {
+        const timeError = validateShiftTimes(event, start_time ?? existing.start_time, end_time ?? existing.end_time, 'Session');
+        if (timeError) {
+          return validationErrorResponse(res, [{ msg: timeError }]);
+        }
+      }
+
+      if (capacity !== undefined && capacity !== null && (!Number.isInteger(Number(capacity)) || Number(capacity) <= 0)) {
+        return validationErrorResponse(res, [{ msg: 'capacity must be a positive whole number or null for unlimited' }]);
+      }
+
+      if (is_active !== undefined && typeof is_active !== 'boolean') {
+        return validationErrorResponse(res, [{ msg: 'is_active must be true or false' }]);
+      }
+
+      // update() skips undefined fields only, so a null capacity removes the limit
+      const session = await EventSessionModel.update(sessionId, {
+        session_name: session_name !== undefined ? String(session_name).trim() : undefined,
+        description,
+        venue,
+        start_time,
+        end_time,
+        capacity: capacity !== undefined && capacity !== null ? Number(capacity) : capacity,
+        is_active
+      });
+
+      return successResponse(res, { session }, 'Session updated successfully');
+    } catch (error) {
+      console.error('Update session error:', error);
+      if (error.code === '23505') {
+        return errorResponse(res, 'A session with this name already exists for the event', 409);
+      }
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Delete a session (only before any attendance is recorded)
+   * DELETE /api/event-managers/events/:eventId/sessions/:sessionId
+   */
+  static async deleteSession(req, res) {
+    try {
+      const { eventId, sessionId } = req.params;
+      const managerId = req.user.id;
+
+      // Check ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      const existing = await EventSessionModel.findById(sessionId);
+      if (!existing || existing.event_id !== eventId) {
+        return errorResponse(res, 'Session not found', 404);
+      }
+
+      const attended = await EventSessionModel.countAttendance(sessionId);
+      if (attended > 0) {
+        return errorResponse(res, `Session already has ${attended} attendance records. Deactivate it instead.`, 409);
+      }
+
+      await EventSessionModel.delete(sessionId);
+
+      return successResponse(res, null, 'Session deleted successfully');
+    } catch (error) {
+      console.error('Delete session error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Sessions attended per student with completion
+   * GET /api/event-managers/events/:eventId/sessions/attendance
+   */
+  static async getSessionAttendanceReport(req, res) {
+    try {
+      const { eventId } = req.params;
+      const managerId = req.user.id;
+
+      // Check ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      let minSessions = null;
+      if (req.query.min_sessions !== undefined) {
+        minSessions = Number(req.query.min_sessions);
+        if (!Number.isInteger(minSessions) || minSessions < 1) {
+          return validationErrorResponse(res, [{ msg: 'min_sessions must be a positive whole number' }]);
+        }
+      }
+
+      const report = await EventSessionService.getAttendanceReport(event, minSessions);
+
+      return successResponse(res, report);
+    } catch (error) {
+      console.error('Get session attendance report error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Create a volunteer shift
+   * POST /api/event-managers/events/:eventId/shifts
+   */
+  static async createShift(req, res) {
+    try {
+      const { eventId } = req.params;
+      const managerId = req.user.id;
+      const { volunteer_id, start_time, end_time, location, notes } = req.body;
+
+      // Check ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      if (!volunteer_id) {
+        return validationErrorResponse(res, [{ msg: 'volunteer_id is required' }]);
+      }
+
+      const timeError = validateShiftTimes(event, start_time, end_time);
+      if (timeError) {
+        return validationErrorResponse(res, [{ msg: timeError }]);
+      }
+
+      const assignment = await EventVolunteerModel.findAssignment(eventId, volunteer_id);
+      if (!assignment) {
+        return errorResponse(res, 'Volunteer is not assigned to this event', 404);
+      }
+
+      const overlapping = await VolunteerShiftModel.findOverlapping(eventId, volunteer_id, start_time, end_time);
+      if (overlapping.length > 0) {
+        return errorResponse(res, 'Shift overlaps an existing shift for this volunteer', 409, {
+          overlapping_shifts: overlapping
+        });
+      }
+
+      const shift = await VolunteerShiftModel.create({
+        event_id: eventId,
+        volunteer_id,
+        start_time,
+        end_time,
+        location,
+        notes,
+        created_by_manager_id: managerId
+      });
+
+      return successResponse(res, { shift }, 'Shift created successfully', 201);
+    } catch (error) {
+      console.error('Create shift error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Get volunteer shifts for an event
+   * GET /api/event-managers/events/:eventId/shifts
+   */
+  static async getEventShifts(req, res) {
+    try {
+      const { eventId } = req.params;
+      const managerId = req.user.id;
+      const { volunteer_id } = req.query;
+
+      // Check ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      const shifts = await VolunteerShiftModel.getEventShifts(eventId, { volunteer_id });
+
+      return successResponse(res, { shifts });
+    } catch (error) {
+      console.error('Get event shifts error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Update a volunteer shift
+   * PATCH /api/event-managers/events/:eventId/shifts/:shiftId
+   */
+  static async updateShift(req, res) {
+    try {
+      const { eventId, shiftId } = req.params;
+      const managerId = req.user.id;
+      const { start_time, end_time, location, notes } = req.body;
+
+      // Check ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      const existing = await VolunteerShiftModel.findById(shiftId);
+      if (!existing || existing.event_id !== eventId) {
+        return errorResponse(res, 'Shift not found', 404);
+      }
+
+      const newStart = start_time !== undefined ? start_time : existing.start_time;
+      const newEnd = end_time !== undefined ? end_time : existing.end_time;
+
+      if (start_time !== undefined || end_time !== undefined) {
+        const timeError = validateShiftTimes(event, newStart, newEnd);
+        if (timeError) {
+          return validationErrorResponse(res, [{ msg: timeError }]);
+        }
+
+        const overlapping = await VolunteerShiftModel.findOverlapping(
+          eventId,
+          existing.volunteer_id,
+          newStart,
+          newEnd,
+          shiftId
+        );
+        if (overlapping.length > 0) {
+          return errorResponse(res, 'Shift overlaps an existing shift for this volunteer', 409, {
+            overlapping_shifts: overlapping
+          });
+        }
+      }
+
+      const shift = await VolunteerShiftModel.update(shiftId, { start_time, end_time, location, notes });
+
+      return successResponse(res, { shift }, 'Shift updated successfully');
+    } catch (error) {
+      console.error('Update shift error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Delete a volunteer shift
+   * DELETE /api/event-managers/events/:eventId/shifts/:shiftId
+   */
+  static async deleteShift(req, res) {
+    try {
+      const { eventId, shiftId } = req.params;
+      const managerId = req.user.id;
+
+      // Check ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      const existing = await VolunteerShiftModel.findById(shiftId);
+      if (!existing || existing.event_id !== eventId) {
+        return errorResponse(res, 'Shift not found', 404);
+      }
+
+      await VolunteerShiftModel.delete(shiftId);
+
+      return successResponse(res, null, 'Shift deleted successfully');
+    } catch (error) {
+      console.error('Delete shift error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Bulk upload a shift roster (.xlsx / .csv file or JSON shifts array)
+   * Columns: volunteer_email (or volunteer_id), start_time, end_time, location, notes
+   * POST /api/event-managers/events/:eventId/shifts/bulk
+   */
+  static async uploadShiftRoster(req, res) {
+    try {
+      const { eventId } = req.params;
+      const managerId = req.user.id;
+      const replaceExisting = req.body?.replace_existing === true || req.body?.replace_existing === 'true';
+
+      // Check ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      let rows;
+      if (req.file) {
+        try {
+          rows = await parseSpreadsheet(req.file.buffer, req.file.originalname);
+        } catch (parseError) {
+          return errorResponse(res, `Could not read roster file: ${parseError.message}`, 400);
+        }
+      } else if (Array.isArray(req.body?.shifts)) {
+        rows = req.body.shifts.map((shift, index) => ({ row_number: index + 1, ...shift }));
+      } else {
+        return errorResponse(res, 'Upload a roster file (field "file") or send a shifts array', 400);
+      }
+
+      if (rows.length === 0) {
+        return errorResponse(res, 'Roster has no shifts', 400);
+      }
+
+      if (rows.length > MAX_ROSTER_ROWS) {
+        return errorResponse(res, `A roster can contain at most ${MAX_ROSTER_ROWS} shifts`, 400);
+      }
+
+      const results = {
+        success: [],
+        failed: []
+      };
+
+      // Validate every row before touching existing shifts
+      const volunteerCache = new Map();
+      const validRows = [];
+
+      for (const row of rows) {
+        const volunteerKey = row.volunteer_id || row.volunteer_email;
+        if (!volunteerKey) {
+          results.failed.push({ row_number: row.row_number, error: 'volunteer_email or volunteer_id is required' });
+          continue;
+        }
+
+        if (!volunteerCache.has(volunteerKey)) {
+          const volunteer = row.volunteer_id
+            ? await VolunteerModel.findById(row.volunteer_id, query)
+            : await VolunteerModel.findByEmail(String(row.volunteer_email).trim(), query);
+          const assignment = volunteer ? await EventVolunteerModel.findAssignment(eventId, volunteer.id) : null;
+          volunteerCache.set(volunteerKey, { volunteer, assignment });
+        }
+
+        const { volunteer, assignment } = volunteerCache.get(volunteerKey);
+        if (!volunteer) {
+          results.failed.push({ row_number: row.row_number, error: `Volunteer not found: ${volunteerKey}` });
+          continue;
+        }
+
+        if (!assignment) {
+          results.failed.push({ row_number: row.row_number, error: `Volunteer is not assigned to this event: ${volunteerKey}` });
+          continue;
+        }
+
+        const timeError = validateShiftTimes(event, row.start_time, row.end_time);
+        if (timeError) {
+          results.failed.push({ row_number: row.row_number, error: timeError });
+          continue;
+        }
+
+        validRows.push({ row, volunteer });
+      }
+
+      let replacedCount = 0;
+      if (replaceExisting && validRows.length > 0) {
+        replacedCount = await VolunteerShiftModel.deleteEventShifts(eventId);
+      }
+
+      for (const { row, volunteer } of validRows) {
+        try {
+          const overlapping = await VolunteerShiftModel.findOverlapping(eventId, volunteer.id, row.start_time, row.end_time);
+          if (overlapping.length > 0) {
+            results.failed.push({ row_number: row.row_number, error: 'Shift overlaps another shift for this volunteer' });
+            continue;
+          }
+
+          const shift = await VolunteerShiftModel.create({
+            event_id: eventId,
+            volunteer_id: volunteer.id,
+            start_time: row.start_time,
+            end_time: row.end_time,
+            location: row.location || null,
+            notes: row.notes || null,
+            created_by_manager_id: managerId
+          });
+          results.success.push(shift);
+        } catch (error) {
+          results.failed.push({ row_number: row.row_number, error: error.message });
+        }
+      }
+
+      results.failed.sort((a, b) => a.row_number - b.row_number);
+
+      // Log audit event
+      await logAuditEvent({
+        event_type: AuditEventType.VOLUNTEER_SHIFTS_UPLOADED,
+        user_id: managerId,
+        user_role: 'EVENT_MANAGER',
+        resource_type: 'EVENT',
+        resource_id: eventId,
+        metadata: {
+          source: req.file ? req.file.originalname : 'json',
+          total_rows: rows.length,
+          created: results.success.length,
+          failed: results.failed.length,
+          replaced_existing: replaceExisting,
+          replaced_count: replacedCount
+        },
+        ip_address: req.ip,
+        user_agent: req.get('user-agent')
+      });
+
+      return successResponse(res, {
+        total: rows.length,
+        created: results.success.length,
+        failed_count: results.failed.length,
+        replaced_count: replacedCount,
+        shifts: results.success,
+        failed: results.failed
+      }, `${results.success.length} of ${rows.length} shifts created`, results.success.length > 0 ? 201 : 200);
+    } catch (error) {
+      console.error('Upload shift roster error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Per-shift scan report with no-shows
+   * GET /api/event-managers/events/:eventId/shifts/report
+   */
+  static async getShiftReport(req, res) {
+    try {
+      const { eventId } = req.params;
+      const managerId = req.user.id;
+
+      // Check ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      const shifts = await VolunteerShiftModel.getShiftReport(eventId);
+
+      const summary = {
+        total_shifts: shifts.length,
+        completed_shifts: shifts.filter((shift) => shift.shift_status === 'COMPLETED').length,
+        no_shows: shifts.filter((shift) => shift.is_no_show).length,
+        total_scans: shifts.reduce((sum, shift) => sum + parseInt(shift.scan_count), 0)
+      };
+
+      return successResponse(res, { summary, shifts });
+    } catch (error) {
+      console.error('Get shift report error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Remove volunteer from event
+   * DELETE /api/event-managers/events/:eventId/volunteers/:volunteerId
+   */
+  static async removeVolunteer(req, res) {
+    try {
+      const { eventId, volunteerId } = req.params;
+      const managerId = req.user.id;
+
+      // Check ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      await EventVolunteerModel.removeVolunteer(eventId, volunteerId);
+
+      // Log audit event
+      await logAuditEvent({
+        event_type: AuditEventType.VOLUNTEER_REMOVED,
+        user_id: managerId,
+        user_role: 'EVENT_MANAGER',
+        resource_type: 'EVENT_VOLUNTEER',
+        resource_id: volunteerId,
+        metadata: {
+          event_id: eventId,
+          volunteer_id: volunteerId
+        },
+        ip_address: req.ip,
+        user_agent: req.get('user-agent')
+      });
+
+      return successResponse(res, null, 'Volunteer removed successfully');
+    } catch (error) {
+      console.error('Remove volunteer error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Get volunteers assigned to event
+   * GET /api/event-managers/events/:eventId/volunteers
+   */
+  static async getEventVolunteers(req, res) {
+    try {
+      const { eventId } = req.params;
+      const managerId = req.user.id;
+
+      // Check ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      const volunteers = await EventVolunteerModel.getEventVolunteers(eventId);
+
+      return successResponse(res, { volunteers });
+    } catch (error) {
+      console.error('Get event volunteers error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Get event registrations
+   * GET /api/event-managers/events/:eventId/registrations
+   */
+  static async getEventRegistrations(req, res) {
+    try {
+      const { eventId } = req.params;
+      const managerId = req.user.id;
+      const { registration_status, payment_status, page, limit } = req.query;
+
+      // Check ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      const result = await EventRegistrationModel.getEventRegistrations(eventId, {
+        registration_status,
+        payment_status,
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 50
+      });
+
+      return successResponse(res, result);
+    } catch (error) {
+      console.error('Get event registrations error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Check out every student still inside the event
+   * POST /api/event-managers/events/:eventId/close-sessions
+   */
+  static async closeOpenSessions(req, res) {
+    try {
+      const { eventId } = req.params;
+      const managerId = req.user.id;
+
+      // Check ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      const result = await CheckInService.closeOpenSessions(eventId, {
+        trigger: 'MANUAL',
+        closedBy: managerId,
+        closedByRole: 'EVENT_MANAGER',
+        ip_address: req.ip,
+        user_agent: req.get('user-agent')
+      });
+
+      return successResponse(
+        res,
+        result,
+        result.closed_count > 0
+          ? `Checked out ${result.closed_count} student(s) still inside`
+          : 'No open sessions to close'
+      );
+    } catch (error) {
+      console.error('Close open sessions error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Get security events for event (e.g. reused rotating QR tokens)
+   * GET /api/event-managers/events/:eventId/security-events
+   */
+  static async getEventSecurityEvents(req, res) {
+    try {
+      const { eventId } = req.params;
+      const managerId = req.user.id;
+      const { event_type, page, limit } = req.query;
+
+      // Check ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      const pageNum = parseInt(page) || 1;
+      const limitNum = Math.min(parseInt(limit) || 50, 200);
+
+      const securityEvents = await SecurityEventModel.getEventSecurityEvents(eventId, {
+        event_type,
+        limit: limitNum,
+        offset: (pageNum - 1) * limitNum
+      });
+
+      return successResponse(res, {
+        security_events: securityEvents,
+        page: pageNum,
+        limit: limitNum
+      });
+    } catch (error) {
+      console.error('Get event security events error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Get manual (registration number) check-ins/outs for an event
+   * GET /api/event-managers/events/:eventId/manual-scans
+   */
+  static async getManualScans(req, res) {
+    try {
+      const { eventId } = req.params;
+      const managerId = req.user.id;
+      const { page, limit } = req.query;
+
+      // Check ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      const pageNum = parseInt(page) || 1;
+      const limitNum = Math.min(parseInt(limit) || 50, 200);
+
+      const [manualScans, total] = await Promise.all([
+        CheckInOutModel.getManualScansByEvent(eventId, limitNum, (pageNum - 1) * limitNum, query),
+        CheckInOutModel.countManualScansByEvent(eventId, query)
+      ]);
+
+      return successResponse(res, {
+        manual_scans: manualScans.map((scan) => ({
+          id: scan.id,
+          scan_type: scan.scan_type,
+          scanned_at: scan.scanned_at,
+          duration_minutes: scan.duration_minutes,
+          reason: scan.manual_reason,
+          student: {
+            id: scan.student_id,
+            full_name: scan.student_name,
+            registration_no: scan.registration_no
+          },
+          volunteer: {
+            id: scan.volunteer_id,
+            full_name: scan.volunteer_name
+          }
+        })),
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          total_pages: Math.ceil(total / limitNum)
+        }
+      });
+    } catch (error) {
+      console.error('Get manual scans error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Get live occupancy snapshot
+   * GET /api/event-managers/events/:eventId/occupancy
+   */
+  static async getOccupancy(req, res) {
+    try {
+      const { eventId } = req.params;
+      const managerId = req.user.id;
+
+      // Check ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      const occupancy = await OccupancyService.getSnapshot(eventId);
+
+      return successResponse(res, { occupancy });
+    } catch (error) {
+      console.error('Get occupancy error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Stream live occupancy (Server-Sent Events)
+   * Sends a "snapshot" event on connect, then "occupancy" events as scans happen
+   * GET /api/event-managers/events/:eventId/occupancy/stream
+   */
+  static async streamOccupancy(req, res) {
+    try {
+      const { eventId } = req.params;
+      const managerId = req.user.id;
+
+      // Check ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      const snapshot = await OccupancyService.getSnapshot(eventId);
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable nginx buffering
+      });
+
+      // compression() buffers responses; flush so each event goes out immediately
+      const send = (eventName, data) => {
+        res.write(`event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
+        if (typeof res.flush === 'function') res.flush();
+      };
+
+      send('snapshot', snapshot);
+
+      const unsubscribe = OccupancyService.subscribe(eventId, (update) => send('occupancy', update));
+      const heartbeat = setInterval(() => {
+        res.write(': heartbeat\n\n');
+        if (typeof res.flush === 'function') res.flush();
+      }, OccupancyService.HEARTBEAT_INTERVAL_MS);
+
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      });
+    } catch (error) {
+      console.error('Stream occupancy error:', error);
+      if (res.headersSent) {
+        return res.end();
+      }
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Get event analytics
+   * GET /api/event-managers/events/:eventId/analytics
+   */
+  static async getEventAnalytics(req, res) {
+    try {
+      const { eventId } = req.params;
+      const managerId = req.user.id;
+
+      // Check ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      // Get comprehensive analytics
+      const eventStats = await EventModel.getStats(eventId);
+      const registrationStats = await EventRegistrationModel.getStats(eventId);
+      const volunteerStats = await EventVolunteerModel.getEventStats(eventId);
+      const volunteerPerformance = await EventVolunteerModel.getVolunteerPerformance(eventId);
+
+      return successResponse(res, {
+        event: {
+          id: event.id,
+          event_name: event.event_name,
+          event_code: event.event_code,
+          status: event.status
+        },
+        stats: {
+          ...eventStats,
+          registrations: registrationStats,
+          volunteers: volunteerStats
+        },
+        volunteer_performance: volunteerPerformance
+      });
+    } catch (error) {
+      console.error('Get event analytics error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Assign stall to event
+   * POST /api/event-managers/events/:eventId/stalls
+   */
+  static async assignStall(req, res) {
+    try {
+      const { eventId } = req.params;
+      const { stall_id } = req.body;
+      const managerId = req.user.id;
+
+      // Validation
+      if (!stall_id) {
+        return validationErrorResponse(res, [{ msg: 'Stall ID is required' }]);
+      }
+
+      // Check ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      // Update stall's event_id
+      const stallQuery = `
+        UPDATE stalls 
+        SET event_id = $1, updated_at = NOW()
+        WHERE id = $2 AND is_active = true
+        RETURNING *
+      `;
+      const stalls = await query(stallQuery, [eventId, stall_id]);
+
+      if (stalls.length === 0) {
+        return errorResponse(res, 'Stall not found or already assigned', 404);
+      }
+
+      // Note: Audit logging removed - STALL_ASSIGNED not defined in AuditEventType
+      // Can be added later if needed
+
+      return successResponse(res, { stall: stalls[0] }, 'Stall assigned to event successfully', 201);
+    } catch (error) {
+      console.error('Assign stall error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Remove stall from event
+   * DELETE /api/event-managers/events/:eventId/stalls/:stallId
+   */
+  static async removeStall(req, res) {
+    try {
+      const { eventId, stallId } = req.params;
+      const managerId = req.user.id;
+
+      // Check ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      // Remove stall assignment (set event_id to NULL)
+      const removeQuery = `
+        UPDATE stalls 
+        SET event_id = NULL, updated_at = NOW()
+        WHERE id = $1 AND event_id = $2
+        RETURNING id
+      `;
+      const result = await query(removeQuery, [stallId, eventId]);
+
+      if (result.length === 0) {
+        return errorResponse(res, 'Stall not found or not assigned to this event', 404);
+      }
+
+      // Note: Audit logging removed - STALL_REMOVED not defined in AuditEventType
+      // Can be added later if needed
+
+      return successResponse(res, null, 'Stall removed from event successfully');
+    } catch (error) {
+      console.error('Remove stall error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Get stalls assigned to event
+   * GET /api/event-managers/events/:eventId/stalls
+   */
+  static async getEventStalls(req, res) {
+    try {
+      const { eventId } = req.params;
+      const managerId = req.user.id;
+
+      // Check ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      // Get stalls for this event
+      const stallsQuery = `
+        SELECT s.*, sc.school_name
+        FROM stalls s
+        LEFT JOIN schools sc ON s.school_id = sc.id
+        WHERE s.event_id = $1 AND s.is_active = true
+        ORDER BY s.stall_number ASC
+      `;
+      const stalls = await query(stallsQuery, [eventId]);
+
+      return successResponse(res, { 
+        stalls,
+        total: stalls.length
+      });
+    } catch (error) {
+      console.error('Get event stalls error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Turn rotating QR mode on/off for an event stall
+   * PATCH /api/event-managers/events/:eventId/stalls/:stallId/qr-mode
+   * Enabling (or regenerate_display_key) issues a new display key, returned only in this response
+   */
+  static async updateStallQRMode(req, res) {
+    try {
+      const { eventId, stallId } = req.params;
+      const { rotating_qr_enabled, regenerate_display_key = false } = req.body;
+      const managerId = req.user.id;
+
+      if (typeof rotating_qr_enabled !== 'boolean') {
+        return validationErrorResponse(res, [{ msg: 'rotating_qr_enabled must be true or false' }]);
+      }
+
+      // Check ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      const stall = await StallModel.findById(stallId, query);
+      if (!stall || stall.event_id !== eventId) {
+        return errorResponse(res, 'Stall not found or not assigned to this event', 404);
+      }
+
+      // Keep the current key unless the mode is switched on or a new key is asked for
+      let displayKey = null;
+      let displayKeyHash = null;
+      if (rotating_qr_enabled) {
+        const existingHash = await StallModel.getDisplayKeyHash(stallId, query);
+        if (!stall.rotating_qr_enabled || regenerate_display_key === true || !existingHash) {
+          const issued = QRCodeService.generateStallDisplayKey();
+          displayKey = issued.key;
+          displayKeyHash = issued.hash;
+        } else {
+          displayKeyHash = existingHash;
+        }
+      }
+
+      const updatedStall = await StallModel.updateQRMode(stallId, rotating_qr_enabled, displayKeyHash, query);
+
+      await logAuditEvent({
+        event_type: AuditEventType.STALL_QR_MODE_UPDATED,
+        user_id: managerId,
+        user_role: 'EVENT_MANAGER',
+        resource_type: 'STALL',
+        resource_id: stallId,
+        metadata: {
+          event_id: eventId,
+          stall_number: stall.stall_number,
+          rotating_qr_enabled,
+          display_key_issued: displayKey !== null
+        },
+        ip_address: req.ip,
+        user_agent: req.get('user-agent')
+      });
+
+      return successResponse(res, {
+        stall: {
+          id: updatedStall.id,
+          stall_number: updatedStall.stall_number,
+          stall_name: updatedStall.stall_name,
+          rotating_qr_enabled: updatedStall.rotating_qr_enabled
+        },
+        ...(displayKey && {
+          display_key: displayKey,
+          display_path: `/api/stall/${stallId}/display?key=${displayKey}`
+        })
+      }, rotating_qr_enabled ? 'Rotating QR mode enabled' : 'Rotating QR mode disabled');
+    } catch (error) {
+      console.error('Update stall QR mode error:', error);
       return errorResponse(res, error.message, 500);
     }
   }
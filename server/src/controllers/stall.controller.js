@@ -1,4 +1,5 @@
 import Stall from '../models/Stall.model.js';
+import StallVisit from '../models/StallVisit.model.js';
 import QRCodeService from '../services/qrCode.js';
 import { successResponse, errorResponse } from '../helpers/response.js';
 import { query } from '../config/db.js';
@@ -91,6 +92,48 @@ const getStallQRCode = async (req, res, next) => {
   }
 };
 
+/**
+ * Get the current rotating QR for a stall display screen
+ * The screen polls this every rotation; the display key comes from the event manager
+ * @route GET /api/stall/:id/display?key=<display_key>
+ */
+const getStallDisplay = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const displayKey = req.get('x-display-key') || req.query.key;
+
+    const stall = await Stall.findById(id, query);
+    if (!stall) {
+      return errorResponse(res, 'Stall not found', 404);
+    }
+
+    if (!stall.rotating_qr_enabled) {
+      return errorResponse(res, 'Rotating QR mode is not enabled for this stall', 409);
+    }
+
+    const displayKeyHash = await Stall.getDisplayKeyHash(id, query);
+    if (!QRCodeService.verifyStallDisplayKey(displayKey, displayKeyHash)) {
+      return errorResponse(res, 'Invalid display key', 401);
+    }
+
+    const qrCodeImage = await QRCodeService.generateRotatingStallQRCodeImage(stall);
+    const expiresIn = QRCodeService.getSecondsUntilRotation();
+
+    res.set('Cache-Control', 'no-store');
+    return successResponse(res, {
+      qr_code: qrCodeImage,
+      stall_number: stall.stall_number,
+      stall_name: stall.stall_name,
+      time_window: QRCodeService.getCurrentTimeWindow(),
+      rotation_interval_seconds: QRCodeService.ROTATION_INTERVAL_SECONDS,
+      expires_in_seconds: expiresIn,
+      refresh_after_seconds: expiresIn
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get stalls by school name
  * @route GET /api/stall/school/:schoolName
@@ -112,20 +155,23 @@ const getStallsBySchool = async (req, res, next) => {
 const getStallStats = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const CheckInOut = require('../models/CheckInOut.model');
     
     const stall = await Stall.findById(id, query);
     if (!stall) {
       return errorResponse(res, 'Stall not found', 404);
     }
 
-    const checkIns = await CheckInOut.findByStallId(id);
+    const visitStats = await StallVisit.getStallStats(id, query);
     
     return successResponse(res, {
       stall_name: stall.stall_name,
       stall_number: stall.stall_number,
-      total_visits: checkIns.length,
-      active_visitors: checkIns.filter(c => !c.check_out_time).length
+      total_visits: parseInt(visitStats.total_visits),
+      unique_visitors: parseInt(visitStats.unique_visitors),
+      active_visitors: parseInt(visitStats.current_visitors),
+      today_visits: parseInt(visitStats.today_visits),
+      avg_dwell_minutes: visitStats.avg_dwell_minutes !== null ? parseFloat(visitStats.avg_dwell_minutes) : null,
+      last_visit_at: visitStats.last_visit_at
     });
   } catch (error) {
     next(error);
@@ -217,6 +263,7 @@ export default {
   getStallById,
   getStallByNumber,
   getStallQRCode,
+  getStallDisplay,
   getStallsBySchool,
   getStallStats,
   createStall,
@@ -2,13 +2,22 @@ import Student from '../models/Student.model.js';
 import CheckInOut from '../models/CheckInOut.model.js';
 import Stall from '../models/Stall.model.js';
 import Feedback from '../models/Feedback.model.js';
+import StallVisit from '../models/StallVisit.model.js';
 import Ranking from '../models/Ranking.model.js';
 import EventModel from '../models/Event.model.js';
 import EventRegistrationModel from '../models/EventRegistration.model.js';
+import EventSessionModel from '../models/EventSession.model.js';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import KeyRingService from '../services/keyRing.js';
 import QRCodeService from '../services/qrCode.js';
 import PaymentService from '../services/payment.js';
+import WaitlistService from '../services/waitlist.js';
+import SeatReservationService from '../services/seatReservation.js';
+import RefundService from '../services/refund.js';
+import PaymentWebhookService from '../services/paymentWebhook.js';
+import EventSessionService from '../services/eventSession.js';
+import { logAuditEvent, AuditEventType } from '../utils/auditLogger.js';
 import { successResponse, errorResponse } from '../helpers/response.js';
 import { setAuthCookie, clearAuthCookie } from '../helpers/cookie.js';
 import { query } from '../config/db.js';
@@ -18,6 +27,53 @@ import { query } from '../config/db.js';
  * Handles student authentication, profile, and QR code operations
  */
 
+/**
+ * Check the student is inside the event a stall belongs to
+ * Event stalls use the per-event registration state; legacy stalls
+ * (no event_id) fall back to the global students.is_inside_event flag
+ */
+const isInsideStallEvent = async (student, stall) => {
+  if (stall.event_id) {
+    return EventRegistrationModel.isInsideEvent(stall.event_id, student.id);
+  }
+  return student.is_inside_event === true;
+};
+
+/**
+ * Find the stall a scanned stall QR belongs to
+ * Accepts rotating display tokens and printed static tokens; stalls in
+ * rotating mode only accept a display token from the current windows
+ * @returns {Promise<Object>} { stall } or { error, status }
+ */
+const resolveScannedStall = async (stallQrToken) => {
+  const rotating = QRCodeService.verifyRotatingStallToken(stallQrToken);
+
+  if (rotating.expired) {
+    return { error: 'Stall QR code has expired. Scan the code on the stall display again', status: 400 };
+  }
+
+  let stall;
+  if (rotating.valid) {
+    stall = await Stall.findByStallNumber(rotating.stall_number, query);
+  } else {
+    const stallDecoded = QRCodeService.verifyStallQRToken(stallQrToken);
+    if (!rotating.isStatic || !stallDecoded || !stallDecoded.valid) {
+      return { error: 'Invalid stall QR code', status: 400 };
+    }
+    stall = await Stall.findByVerifiedToken(stallQrToken, stallDecoded, query);
+  }
+
+  if (!stall) {
+    return { error: 'Stall not found', status: 404 };
+  }
+
+  if (stall.rotating_qr_enabled && !rotating.valid) {
+    return { error: 'This stall uses a rotating QR code. Scan the code on the stall display', status: 403 };
+  }
+
+  return { stall };
+};
+
 /**
  * Student login
  * @route POST /api/student/login
@@ -53,13 +109,13 @@ const login = async (req, res, next) => {
       }, 'Password reset required');
     }
 
-    const token = jwt.sign(
+    const token = KeyRingService.sign(
+      KeyRingService.PURPOSES.SESSION,
       { 
         id: student.id, 
         registration_no: student.registration_no, 
         role: student.role 
       },
-      process.env.JWT_SECRET,
       { expiresIn: '24h' }
     );
 
@@ -124,20 +180,28 @@ const logout = async (req, res, next) => {
 
 /**
  * Get student QR code
+ * ?format=signed returns the Ed25519 compact token that scanners can verify offline
  * @route GET /api/student/qr-code
  */
 const getQRCode = async (req, res, next) => {
   try {
+    const format = String(req.query.format || 'jwt').toUpperCase();
+    if (!['JWT', 'SIGNED'].includes(format)) {
+      return errorResponse(res, 'Format must be jwt or signed', 400);
+    }
+
     const student = await Student.findById(req.user.id, query);
     if (!student) {
       return errorResponse(res, 'Student not found', 404);
     }
 
-    // Generate rotating token (JWT string ~140 chars)
-    const token = QRCodeService.generateRotatingStudentToken(student);
+    // Generate rotating token (JWT string ~140 chars, signed compact ~120 chars)
+    const token = format === 'SIGNED'
+      ? QRCodeService.generateSignedStudentToken(student)
+      : QRCodeService.generateRotatingStudentToken(student);
     
     // Generate rotating QR code image (Base64 PNG)
-    const qrCodeImage = await QRCodeService.generateRotatingQRCodeImage(student);
+    const qrCodeImage = await QRCodeService.generateRotatingQRCodeImage(student, { format });
 
     // Calculate rotation metadata for frontend
     const rotationInfo = {
@@ -149,6 +213,7 @@ const getQRCode = async (req, res, next) => {
     return successResponse(res, {
       qr_code: qrCodeImage,
       qr_code_token: token,
+      qr_format: format,
       registration_no: student.registration_no,
       rotation_info: rotationInfo
     });
@@ -217,17 +282,12 @@ const scanStall = async (req, res, next) => {
       return errorResponse(res, 'Stall QR code is required', 400);
     }
 
-    // Verify stall QR code
-    const stallDecoded = QRCodeService.verifyStallQRToken(stall_qr_token);
-    if (!stallDecoded || !stallDecoded.valid) {
-      return errorResponse(res, 'Invalid stall QR code', 400);
-    }
-
-    // Find stall by QR token
-    const stall = await Stall.findByQRToken(stall_qr_token, query);
-    if (!stall) {
-      return errorResponse(res, 'Stall not found', 404);
+    // Verify stall QR code (printed or rotating display token)
+    const scanned = await resolveScannedStall(stall_qr_token);
+    if (scanned.error) {
+      return errorResponse(res, scanned.error, scanned.status);
     }
+    const { stall } = scanned;
 
     // Check if student is inside event
     const student = await Student.findById(req.user.id, query);
@@ -237,10 +297,13 @@ const scanStall = async (req, res, next) => {
       return errorResponse(res, 'Student not found. Please login again.', 404);
     }
     
-    if (!student.is_inside_event) {
+    if (!(await isInsideStallEvent(student, stall))) {
       return errorResponse(res, 'You must be checked in at the event to scan stalls', 403);
     }
 
+    // Record the visit (first scan opens it, a re-scan closes it with dwell time)
+    const { action: visitAction, visit } = await StallVisit.recordScan(stall.id, student.id, stall.event_id, query);
+
     // Check if student already gave feedback to this stall
     const existingFeedback = await Feedback.findByStudentAndStall(req.user.id, stall.id, query);
     
@@ -253,6 +316,12 @@ const scanStall = async (req, res, next) => {
         description: stall.description,
         location: stall.location
       },
+      visit: {
+        action: visitAction,
+        scanned_in_at: visit?.scanned_in_at || null,
+        scanned_out_at: visit?.scanned_out_at || null,
+        dwell_minutes: visit?.dwell_minutes ?? null
+      },
       already_reviewed: !!existingFeedback,
       existing_feedback: existingFeedback ? {
         rating: existingFeedback.rating,
@@ -271,7 +340,7 @@ const scanStall = async (req, res, next) => {
  */
 const submitFeedback = async (req, res, next) => {
   try {
-    const { stall_id, rating, comment } = req.body;
+    const { stall_id, rating, comment, stall_qr_token } = req.body;
 
     // Validation
     if (!stall_id || !rating) {
@@ -293,22 +362,42 @@ const submitFeedback = async (req, res, next) => {
       return errorResponse(res, 'Student not found. Please login again.', 404);
     }
     
-    if (!student.is_inside_event) {
+    // Check if stall exists
+    const stall = await Stall.findById(stall_id, query);
+    if (!stall) {
+      return errorResponse(res, 'Stall not found', 404);
+    }
+
+    if (!(await isInsideStallEvent(student, stall))) {
       return errorResponse(res, 'You must be checked in at the event to submit feedback', 403);
     }
 
+    // Rotating stalls need a current display token, so a photo of an old one is not enough
+    if (stall.rotating_qr_enabled) {
+      if (!stall_qr_token) {
+        return errorResponse(res, 'Scan the stall display QR code to submit feedback for this stall', 403);
+      }
+
+      const scanned = await resolveScannedStall(stall_qr_token);
+      if (scanned.error) {
+        return errorResponse(res, scanned.error, scanned.status);
+      }
+      if (scanned.stall.id !== stall.id) {
+        return errorResponse(res, 'Stall QR code does not match this stall', 400);
+      }
+    }
+
+    // Feedback is only accepted for stalls the student actually visited
+    if (!(await StallVisit.hasVisited(stall_id, req.user.id, query))) {
+      return errorResponse(res, 'Scan the stall QR code before submitting feedback', 403);
+    }
+
     // Check feedback limit (max 200 per student)
     const feedbackCount = await Feedback.countByStudent(req.user.id, query);
     if (feedbackCount >= 200) {
       return errorResponse(res, 'You have reached the maximum feedback limit (200)', 403);
     }
 
-    // Check if stall exists
-    const stall = await Stall.findById(stall_id, query);
-    if (!stall) {
-      return errorResponse(res, 'Stall not found', 404);
-    }
-
     // Check if already gave feedback to this stall
     const existingFeedback = await Feedback.findByStudentAndStall(req.user.id, stall_id, query);
     if (existingFeedback) {
@@ -355,22 +444,28 @@ const submitFeedback = async (req, res, next) => {
  */
 const getMyVisits = async (req, res, next) => {
   try {
-    const feedbacks = await Feedback.findByStudent(req.user.id, query);
-    
-    const feedbackCount = feedbacks.length;
+    const visits = await StallVisit.findByStudent(req.user.id, query);
+    const feedbackCount = await Feedback.countByStudent(req.user.id, query);
     const remainingFeedbacks = 200 - feedbackCount;
 
     return successResponse(res, {
-      total_visits: feedbackCount,
+      total_visits: visits.length,
+      total_feedbacks: feedbackCount,
       remaining_feedbacks: remainingFeedbacks,
-      visits: feedbacks.map(f => ({
-        stall_id: f.stall_id,
-        stall_number: f.stall_number,
-        stall_name: f.stall_name,
-        school_name: f.school_name,
-        rating: f.rating,
-        comment: f.comment,
-        visited_at: f.submitted_at
+      visits: visits.map(v => ({
+        stall_id: v.stall_id,
+        stall_number: v.stall_number,
+        stall_name: v.stall_name,
+        school_name: v.school_name,
+        visit_count: parseInt(v.visit_count),
+        total_dwell_minutes: parseInt(v.total_dwell_minutes),
+        is_visiting: v.is_visiting,
+        first_visited_at: v.first_visited_at,
+        visited_at: v.last_visited_at,
+        has_feedback: v.rating !== null,
+        rating: v.rating,
+        comment: v.comment,
+        feedback_submitted_at: v.feedback_submitted_at
       }))
     });
   } catch (error) {
@@ -637,13 +732,13 @@ const verifyResetCredentials = async (req, res, next) => {
     }
 
     // Generate temporary reset token (valid for 10 minutes)
-    const resetToken = jwt.sign(
+    const resetToken = KeyRingService.sign(
+      KeyRingService.PURPOSES.SESSION,
       { 
         id: student.id, 
         registration_no: student.registration_no,
         purpose: 'password_reset' 
       },
-      process.env.JWT_SECRET,
       { expiresIn: '10m' }
     );
 
@@ -685,7 +780,7 @@ const resetPassword = async (req, res, next) => {
     // Verify reset token
     let decoded;
     try {
-      decoded = jwt.verify(reset_token, process.env.JWT_SECRET);
+      decoded = KeyRingService.verify(KeyRingService.PURPOSES.SESSION, reset_token);
       
       if (decoded.purpose !== 'password_reset') {
         return errorResponse(res, 'Invalid reset token', 401);
@@ -705,14 +800,14 @@ const resetPassword = async (req, res, next) => {
     }
 
     // Generate new auth token
-    const authToken = jwt.sign(
+    const authToken = KeyRingService.sign(
+      KeyRingService.PURPOSES.SESSION,
       { 
         id: updatedStudent.id, 
         registration_no: updatedStudent.registration_no, 
         email: updatedStudent.email,
         role: updatedStudent.role 
       },
-      process.env.JWT_SECRET,
       { expiresIn: '24h' }
     );
 
@@ -817,6 +912,51 @@ const getEventDetails = async (req, res, next) => {
   }
 };
 
+/**
+ * Add the student to a full event's waitlist and report their position
+ * Shared by free registration and paid payment initiation
+ */
+const respondWithWaitlistEntry = async (res, event, studentId) => {
+  const { registration } = await WaitlistService.join(event, studentId);
+
+  // A seat may have been free already - joining promotes straight away then
+  if (registration.registration_status === 'CONFIRMED') {
+    return successResponse(res, { registration }, 'Successfully registered for the event', 201);
+  }
+
+  const waitlist = await WaitlistService.getStatus(registration);
+  return successResponse(
+    res,
+    { registration, waitlist },
+    waitlist.offer
+      ? `A seat is available for you. Complete payment before ${new Date(waitlist.offer.expires_at).toISOString()}`
+      : `Event is full (${event.max_capacity} capacity reached). You are #${waitlist.position} on the waitlist`,
+    202
+  );
+};
+
+/**
+ * Get the student's waitlist position for an event
+ * @route GET /api/student/events/:eventId/waitlist
+ */
+const getWaitlistStatus = async (req, res, next) => {
+  try {
+    const registration = await EventRegistrationModel.findByEventAndStudent(
+      req.params.eventId,
+      req.user.id
+    );
+
+    if (!registration || (registration.registration_status !== 'WAITLISTED' && !registration.promoted_at)) {
+      return errorResponse(res, 'You are not on the waitlist for this event', 404);
+    }
+
+    const waitlist = await WaitlistService.getStatus(registration);
+    return successResponse(res, { waitlist });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Register for free event
  * @route POST /api/student/events/:eventId/register
@@ -848,34 +988,43 @@ const registerForFreeEvent = async (req, res, next) => {
       eventId,
       studentId
     );
-    if (existing) {
+    // A cancelled registration is registered again on the same row
+    if (existing && !EventRegistrationModel.isSettledCancellation(existing)) {
+      if (existing.registration_status === 'WAITLISTED') {
+        const waitlist = await WaitlistService.getStatus(existing);
+        return errorResponse(res, `You are already on the waitlist for this event (position ${waitlist.position})`, 400);
+      }
       return errorResponse(res, 'You are already registered for this event', 400);
     }
 
     // ✅ CRITICAL: Check event capacity before registration
-    if (event.max_capacity && event.current_registrations >= event.max_capacity) {
+    const joinWaitlist = event.waitlist_enabled && await WaitlistService.mustJoinWaitlist(event);
+    if (joinWaitlist) {
+      console.log(`⚠️ [REGISTRATION] Event full, adding to waitlist: ${event.event_name}`);
+      return await respondWithWaitlistEntry(res, event, studentId);
+    }
+    if (WaitlistService.getAvailableSeats(event) === 0) {
+      console.log(`❌ [REGISTRATION] Event full, no waitlist: ${event.event_name}`);
+      return errorResponse(res, 
+        `Event is full. Registration closed. Capacity: ${event.max_capacity}`, 
+        400
+      );
+    }
+
+    // Take the seat (another student may have taken the last one meanwhile)
+    const registration = await SeatReservationService.registerFree(eventId, studentId);
+    if (!registration) {
       if (event.waitlist_enabled) {
-        console.log(`⚠️ [REGISTRATION] Event full, waitlist enabled: ${event.event_name}`);
-        return errorResponse(res, 
-          `Event is full (${event.max_capacity} capacity reached). Waitlist feature coming soon.`, 
-          400
-        );
-      } else {
-        console.log(`❌ [REGISTRATION] Event full, no waitlist: ${event.event_name}`);
-        return errorResponse(res, 
-          `Event is full. Registration closed. Capacity: ${event.max_capacity}`, 
-          400
-        );
+        console.log(`⚠️ [REGISTRATION] Last seat taken, adding to waitlist: ${event.event_name}`);
+        return await respondWithWaitlistEntry(res, event, studentId);
       }
+      return errorResponse(res, 
+        `Event is full. Registration closed. Capacity: ${event.max_capacity}`, 
+        400
+      );
     }
 
-    console.log(`✅ [REGISTRATION] Capacity check passed: ${event.current_registrations}/${event.max_capacity || 'unlimited'}`);
-
-    // Create registration
-    const registration = await EventRegistrationModel.createFreeRegistration(
-      eventId,
-      studentId
-    );
+    console.log(`✅ [REGISTRATION] Seat reserved: ${event.event_name}`);
 
     return successResponse(
       res,
@@ -919,19 +1068,42 @@ const initiatePaidEventPayment = async (req, res, next) => {
       eventId,
       studentId
     );
-    if (existing && existing.payment_status === 'COMPLETED') {
+
+    // A seat offered from the waitlist is held for this student until the offer expires
+    const holdsWaitlistOffer = existing?.registration_status === 'WAITLISTED' &&
+      !!existing.waitlist_offer_expires_at &&
+      new Date(existing.waitlist_offer_expires_at) > new Date();
+
+    if (existing?.registration_status === 'WAITLISTED' && !holdsWaitlistOffer) {
+      const waitlist = await WaitlistService.getStatus(existing);
+      return errorResponse(res, `You are on the waitlist for this event (position ${waitlist.position}). You can pay once a seat is offered to you.`, 400);
+    }
+
+    // Retry of a pending, failed or expired payment, or payment for a seat offered from the waitlist
+    const isRetry = !!existing &&
+      (existing.payment_status === 'PENDING' || holdsWaitlistOffer || EventRegistrationModel.isClosedCheckout(existing));
+
+    // Anything else but a settled cancellation (checked out again on the same row) is
+    // already registered - checked before an order is created for it
+    if (existing && !isRetry && !EventRegistrationModel.isSettledCancellation(existing)) {
+      if (existing.registration_status === 'CANCELLED') {
+        return errorResponse(res, 'The refund for your cancelled registration has not been settled yet. You can register again once it is.', 409, {
+          refund_status: existing.refund_status
+        });
+      }
       return errorResponse(res, 'You are already registered for this event', 400);
     }
 
     // ✅ CRITICAL: Check event capacity before payment initiation
-    if (event.max_capacity && event.current_registrations >= event.max_capacity) {
-      if (event.waitlist_enabled) {
-        console.log(`⚠️ [PAYMENT] Event full, waitlist enabled: ${event.event_name}`);
-        return errorResponse(res, 
-          `Event is full (${event.max_capacity} capacity reached). Waitlist feature coming soon.`, 
-          400
-        );
-      } else {
+    // (a retried checkout that still holds its seat doesn't need a new one)
+    if (!holdsWaitlistOffer && !existing?.seat_hold_expires_at) {
+      const joinWaitlist = event.waitlist_enabled && existing?.payment_status !== 'PENDING' &&
+        await WaitlistService.mustJoinWaitlist(event);
+      if (joinWaitlist) {
+        console.log(`⚠️ [PAYMENT] Event full, adding to waitlist: ${event.event_name}`);
+        return await respondWithWaitlistEntry(res, event, studentId);
+      }
+      if (WaitlistService.getAvailableSeats(event) === 0) {
         console.log(`❌ [PAYMENT] Event full, no waitlist: ${event.event_name}`);
         return errorResponse(res, 
           `Event is full. Registration closed. Capacity: ${event.max_capacity}`, 
@@ -940,8 +1112,6 @@ const initiatePaidEventPayment = async (req, res, next) => {
       }
     }
 
-    console.log(`✅ [PAYMENT] Capacity check passed: ${event.current_registrations}/${event.max_capacity || 'unlimited'}`);
-
     // Get student details
     const student = await Student.findById(studentId, query);
 
@@ -954,27 +1124,33 @@ const initiatePaidEventPayment = async (req, res, next) => {
       event_code: event.event_code
     });
 
-    // Create or update registration record
-    let registration;
-    if (existing && existing.payment_status === 'PENDING') {
-      // Update existing pending registration
-      registration = await EventRegistrationModel.completePayment(existing.id, {
-        razorpay_payment_id: null,
-        razorpay_signature: null
-      });
-    } else {
-      // Create new registration
-      registration = await EventRegistrationModel.createPaidRegistration(
-        eventId,
-        studentId,
-        {
-          amount: event.price,
-          currency: event.currency,
-          razorpay_order_id: order.order_id
-        }
+    // Hold a seat until the checkout is paid, fails or times out
+    const paymentData = {
+      amount: event.price,
+      currency: event.currency,
+      razorpay_order_id: order.order_id
+    };
+    const registration = isRetry
+      ? await SeatReservationService.holdForRetry(existing.id, paymentData)
+      : await SeatReservationService.holdForCheckout(eventId, studentId, paymentData);
+
+    if (!registration) {
+      if (holdsWaitlistOffer) {
+        return errorResponse(res, 'Registration can no longer be paid for', 409);
+      }
+      // A pending checkout keeps its order (it may still be paid) instead of joining the waitlist
+      if (event.waitlist_enabled && existing?.payment_status !== 'PENDING') {
+        console.log(`⚠️ [PAYMENT] Last seat taken, adding to waitlist: ${event.event_name}`);
+        return await respondWithWaitlistEntry(res, event, studentId);
+      }
+      return errorResponse(res, 
+        `Event is full. Registration closed. Capacity: ${event.max_capacity}`, 
+        400
       );
     }
 
+    console.log(`✅ [PAYMENT] Seat held until ${registration.seat_hold_expires_at ? new Date(registration.seat_hold_expires_at).toISOString() : 'offer expiry'}: ${event.event_name}`);
+
     return successResponse(
       res,
       {
@@ -989,7 +1165,9 @@ const initiatePaidEventPayment = async (req, res, next) => {
         event: {
           name: event.event_name,
           code: event.event_code
-        }
+        },
+        seat_hold_expires_at: registration.seat_hold_expires_at,
+        ...(holdsWaitlistOffer && { waitlist_offer_expires_at: existing.waitlist_offer_expires_at })
       },
       'Payment order created successfully',
       201
@@ -1046,12 +1224,19 @@ const verifyPayment = async (req, res, next) => {
       return errorResponse(res, 'Unauthorized', 403);
     }
 
-    // Complete payment
-    const updated = await EventRegistrationModel.completePayment(registration.id, {
+    // Complete payment (the Razorpay webhook may have done it already)
+    const { outcome, registration: updated } = await PaymentWebhookService.applyCapturedPayment(registration, {
       razorpay_payment_id,
       razorpay_signature
     });
 
+    if (outcome === 'REFUND_OWED') {
+      return errorResponse(res, 'Your seat was released before the payment arrived and could not be confirmed. The amount will be refunded.', 409);
+    }
+    if (outcome !== 'COMPLETED' && outcome !== 'ALREADY_COMPLETED') {
+      return errorResponse(res, 'Payment could not be applied to this registration', 409);
+    }
+
     return successResponse(
       res,
       { registration: updated },
@@ -1063,6 +1248,193 @@ const verifyPayment = async (req, res, next) => {
   }
 };
 
+/**
+ * Razorpay webhook - confirms payments the browser never verified
+ * (student closed the tab), records failures and completes refunds
+ * @route POST /api/student/payment/webhook
+ */
+const handlePaymentWebhook = async (req, res, next) => {
+  try {
+    const signature = req.get('x-razorpay-signature');
+    if (!req.rawBody || !signature || !PaymentService.verifyWebhookSignature(req.rawBody, signature)) {
+      return errorResponse(res, 'Invalid webhook signature', 400);
+    }
+
+    // Razorpay sends the same event ID on every redelivery
+    const eventId = req.get('x-razorpay-event-id') ||
+      crypto.createHash('sha256').update(req.rawBody).digest('hex');
+
+    const { duplicate, outcome } = await PaymentWebhookService.process(eventId, req.body);
+
+    return successResponse(res, { event_id: eventId, duplicate, outcome }, 'Webhook processed');
+  } catch (error) {
+    // A non-2xx response makes Razorpay redeliver the event
+    console.error('Payment webhook error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Cancel the student's registration (or leave the waitlist)
+ * Paid registrations are refunded per the event's refund rules; the freed
+ * seat goes to the next student on the waitlist
+ * @route POST /api/student/events/:eventId/cancel
+ */
+const cancelRegistration = async (req, res, next) => {
+  try {
+    const { eventId } = req.params;
+    const studentId = req.user.id;
+
+    const event = await EventModel.findById(eventId);
+    if (!event) {
+      return errorResponse(res, 'Event not found', 404);
+    }
+
+    const registration = await EventRegistrationModel.findByEventAndStudent(eventId, studentId);
+    if (!registration || !['CONFIRMED', 'WAITLISTED'].includes(registration.registration_status)) {
+      return errorResponse(res, 'You have no active registration for this event', 404);
+    }
+
+    if (new Date(event.start_date) <= new Date() || ['COMPLETED', 'ARCHIVED', 'CANCELLED'].includes(event.status)) {
+      return errorResponse(res, 'Registrations can only be cancelled before the event starts', 400);
+    }
+
+    const refund = RefundService.calculateRefund(event, registration);
+
+    const cancelled = await SeatReservationService.cancel(registration.id, {
+      amount: refund.amount,
+      reason: refund.amount > 0 ? refund.reason : (req.body?.reason || null)
+    });
+    if (!cancelled) {
+      // Cancelled (or expired) by another request since it was read
+      return errorResponse(res, 'This registration has already been cancelled', 409);
+    }
+
+    console.log(`🚫 [REGISTRATION] Student ${studentId} cancelled ${event.event_name} (refund: ${refund.amount})`);
+
+    // Free the session seats the student had booked
+    await EventSessionModel.releaseRegistrationBookings(registration.id);
+
+    await logAuditEvent({
+      event_type: AuditEventType.REGISTRATION_CANCELLED,
+      user_id: studentId,
+      user_role: 'STUDENT',
+      resource_type: 'EVENT_REGISTRATION',
+      resource_id: registration.id,
+      metadata: {
+        event_id: eventId,
+        previous_status: cancelled.previous_status,
+        refund_amount: refund.amount,
+        refund_percent: refund.refund_percent,
+        reason: req.body?.reason || null
+      },
+      ip_address: req.ip,
+      user_agent: req.get('user-agent')
+    });
+
+    // Send the refund now; the refund job retries if this fails
+    let refunded = null;
+    if (refund.amount > 0) {
+      refunded = await RefundService.issueRefund(registration.id).catch((error) => {
+        console.error('❌ [REFUND] Immediate refund failed, left for the refund job:', error.message);
+        return null;
+      });
+    }
+
+    // Hand the seat to the next student in line
+    if (cancelled.held_seat || cancelled.held_offer) {
+      WaitlistService.promote(eventId).catch((error) => console.error('❌ [WAITLIST] Promotion after cancellation failed:', error));
+    }
+
+    return successResponse(res, {
+      registration: refunded || cancelled,
+      refund: {
+        amount: refund.amount,
+        refund_percent: refund.refund_percent,
+        status: refunded?.refund_status || (refund.amount > 0 ? 'PENDING' : null),
+        message: refund.reason
+      }
+    }, refund.amount > 0
+      ? `Registration cancelled. Refund of ${event.currency} ${refund.amount} initiated`
+      : 'Registration cancelled');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get an event's sessions with the student's bookings and attendance
+ * @route GET /api/student/events/:eventId/sessions
+ */
+const getEventSessions = async (req, res, next) => {
+  try {
+    const { eventId } = req.params;
+
+    const event = await EventModel.findById(eventId);
+    if (!event) {
+      return errorResponse(res, 'Event not found', 404);
+    }
+
+    const registration = await EventRegistrationModel.findByEventAndStudent(eventId, req.user.id);
+    const sessions = await EventSessionModel.getStudentSessions(eventId, req.user.id);
+
+    return successResponse(res, {
+      session_scope: registration?.session_scope || null,
+      min_sessions_for_completion: event.min_sessions_for_completion,
+      sessions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Choose the whole event or specific sessions, and book session seats
+ * @route PUT /api/student/events/:eventId/sessions
+ */
+const updateSessionBookings = async (req, res, next) => {
+  try {
+    const { eventId } = req.params;
+    const { session_scope = 'EVENT', session_ids = [] } = req.body;
+
+    if (!EventSessionModel.SCOPES.includes(session_scope)) {
+      return errorResponse(res, `session_scope must be one of: ${EventSessionModel.SCOPES.join(', ')}`, 400);
+    }
+    if (!Array.isArray(session_ids)) {
+      return errorResponse(res, 'session_ids must be an array of session IDs', 400);
+    }
+
+    const event = await EventModel.findById(eventId);
+    if (!event) {
+      return errorResponse(res, 'Event not found', 404);
+    }
+    if (!['APPROVED', 'ACTIVE'].includes(event.status)) {
+      return errorResponse(res, 'Sessions can no longer be booked for this event', 400);
+    }
+
+    const registration = await EventRegistrationModel.findByEventAndStudent(eventId, req.user.id);
+    if (!registration) {
+      return errorResponse(res, 'Register for the event before choosing sessions', 404);
+    }
+
+    const result = await EventSessionService.updateBookings(registration, { session_scope, session_ids });
+    if (!result.ok) {
+      return errorResponse(res, result.message, result.status, result.details);
+    }
+
+    console.log(`🗓️ [SESSIONS] Student ${req.user.id} chose ${session_scope} for ${event.event_name} (${result.booked} booked, ${result.cancelled} cancelled)`);
+
+    return successResponse(res, {
+      session_scope: result.registration.session_scope,
+      bookings: result.bookings
+    }, session_scope === 'SESSIONS'
+      ? `Registered for ${result.bookings.length} session(s)`
+      : 'Registered for every session');
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get student's registered events
  * @route GET /api/student/my-events
@@ -1154,6 +1526,11 @@ export default {
   registerForFreeEvent,
   initiatePaidEventPayment,
   verifyPayment,
+  handlePaymentWebhook,
+  cancelRegistration,
+  getWaitlistStatus,
+  getEventSessions,
+  updateSessionBookings,
   getMyRegisteredEvents,
   getEventQRCode
 };
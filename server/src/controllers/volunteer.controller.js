@@ -5,11 +5,14 @@ import CheckInOut from '../models/CheckInOut.model.js';
 import EventVolunteerModel from '../models/EventVolunteer.model.js';
 import EventRegistrationModel from '../models/EventRegistration.model.js';
 import QRCodeService from '../services/qrCode.js';
+import CheckInService from '../services/checkIn.js';
+import RosterBundleService from '../services/rosterBundle.js';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
+import KeyRingService from '../services/keyRing.js';
 import { successResponse, errorResponse } from '../helpers/response.js';
 import { setAuthCookie, clearAuthCookie } from '../helpers/cookie.js';
 import { query } from '../config/db.js';
+import { logAuditEvent, AuditEventType } from '../utils/auditLogger.js';
 
 /**
  * Volunteer Controller
@@ -44,13 +47,13 @@ const login = async (req, res, next) => {
       return errorResponse(res, 'Invalid credentials', 401);
     }
 
-    const token = jwt.sign(
+    const token = KeyRingService.sign(
+      KeyRingService.PURPOSES.SESSION,
       { 
         id: volunteer.id, 
         email: volunteer.email,
         role: volunteer.role 
       },
-      process.env.JWT_SECRET,
       { expiresIn: '24h' }
     );
 
@@ -101,13 +104,13 @@ const register = async (req, res, next) => {
     }, query);
 
     // Generate token
-    const token = jwt.sign(
+    const token = KeyRingService.sign(
+      KeyRingService.PURPOSES.SESSION,
       { 
         id: newVolunteer.id, 
         email: newVolunteer.email,
         role: newVolunteer.role 
       },
-      process.env.JWT_SECRET,
       { expiresIn: '24h' }
     );
 
@@ -168,6 +171,191 @@ const logout = async (req, res, next) => {
   }
 };
 
+/**
+ * Public keys for verifying signed compact student QR tokens on the scanner device
+ * Devices cache this and refresh it whenever they see an unknown key ID
+ * @route GET /api/volunteer/qr-public-keys
+ */
+const getQRPublicKeys = async (req, res, next) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=300');
+    return successResponse(res, QRCodeService.getSignedTokenVerificationInfo());
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Build the scanner response for an ENTRY/EXIT
+ * Shared by fresh scans and repeat scans suppressed by the cooldown
+ */
+const buildScanResponseData = ({ student, presence, action, durationMinutes, user, eventId }) => {
+  const responseData = {
+    student: {
+      id: student.id,
+      full_name: student.full_name,
+      registration_no: student.registration_no,
+      school_name: student.school_name,
+      is_inside_event: presence.is_inside_event,
+      total_scan_count: presence.scan_count
+    },
+    action: action,
+    scan_details: {
+      timestamp: new Date().toISOString(),
+      volunteer_id: user.id,
+      volunteer_email: user.email,
+      event_id: eventId
+    }
+  };
+
+  // Add action-specific fields
+  if (action === 'ENTRY') {
+    responseData.student.check_in_time = presence.last_check_in_at;
+    responseData.message = `Welcome ${student.full_name}! Enjoy the event.`;
+  } else {
+    responseData.student.check_out_time = presence.last_check_out_at;
+    responseData.student.duration_minutes = durationMinutes;
+    responseData.student.duration_formatted = `${Math.floor(durationMinutes / 60)}h ${durationMinutes % 60}m`;
+    responseData.message = `Goodbye ${student.full_name}! You spent ${responseData.student.duration_formatted} at the event.`;
+  }
+
+  return responseData;
+};
+
+/**
+ * Respond to a repeat scan suppressed by the event's cooldown
+ * The previous result is returned and nothing is recorded
+ */
+const sendSuppressedScanResponse = (res, { student, authorization, cooldown, user }) => {
+  const previousAction = cooldown.previous.scan_type === 'CHECKIN' ? 'ENTRY' : 'EXIT';
+  const responseData = buildScanResponseData({
+    student,
+    presence: CheckInService.getPresence(student, authorization.registration),
+    action: previousAction,
+    durationMinutes: cooldown.previous.duration_minutes || 0,
+    user,
+    eventId: authorization.eventContext?.event_id || null
+  });
+  responseData.duplicate_suppressed = true;
+  responseData.cooldown = {
+    cooldown_seconds: cooldown.cooldown_seconds,
+    seconds_since_last_scan: cooldown.seconds_since_last_scan,
+    previous_scan_at: cooldown.previous.scanned_at
+  };
+
+  return successResponse(
+    res,
+    responseData,
+    `Already ${previousAction === 'ENTRY' ? 'checked in' : 'checked out'} ${cooldown.seconds_since_last_scan}s ago - repeat scan ignored`
+  );
+};
+
+/**
+ * Reject a rotating token that was already used at this post
+ */
+const sendTokenReusedResponse = (res, { student, claim }) => {
+  return errorResponse(res, claim.message, 409, {
+    ...claim.details,
+    student: {
+      id: student.id,
+      full_name: student.full_name,
+      registration_no: student.registration_no
+    }
+  });
+};
+
+/**
+ * Respond to a scan by a volunteer posted at a zone
+ */
+const sendZoneScanResponse = (res, { student, zoneScan, user, eventId }) => {
+  const { action, zone, presence } = zoneScan;
+  const responseData = {
+    student: {
+      id: student.id,
+      full_name: student.full_name,
+      registration_no: student.registration_no,
+      school_name: student.school_name,
+      is_inside_zone: action === 'ENTRY'
+    },
+    action,
+    zone: {
+      id: zone.id,
+      zone_name: zone.zone_name,
+      current_occupancy: zone.current_occupancy,
+      capacity: zone.capacity
+    },
+    scan_details: {
+      timestamp: new Date().toISOString(),
+      volunteer_id: user.id,
+      volunteer_email: user.email,
+      event_id: eventId
+    }
+  };
+
+  if (action === 'EXIT') {
+    responseData.student.duration_minutes = zoneScan.durationMinutes;
+  }
+
+  if (zoneScan.suppressed) {
+    responseData.duplicate_suppressed = true;
+    responseData.cooldown = {
+      cooldown_seconds: zoneScan.cooldown_seconds,
+      seconds_since_last_scan: zoneScan.seconds_since_last_scan,
+      previous_scan_at: action === 'ENTRY' ? presence.last_entered_at : presence.last_exited_at
+    };
+
+    return successResponse(res, responseData, `Repeat zone scan ignored - ${student.full_name} is ${action === 'ENTRY' ? 'inside' : 'outside'} ${zone.zone_name}`);
+  }
+
+  return successResponse(
+    res,
+    responseData,
+    action === 'ENTRY'
+      ? `Student entered ${zone.zone_name}`
+      : `Student left ${zone.zone_name}`,
+    action === 'ENTRY' ? 201 : 200
+  );
+};
+
+/**
+ * Respond to a scan by a volunteer posted at an event session
+ */
+const sendEventSessionScanResponse = (res, { student, sessionScan, user, eventId }) => {
+  const { session, attendance, already_attended } = sessionScan;
+  const responseData = {
+    student: {
+      id: student.id,
+      full_name: student.full_name,
+      registration_no: student.registration_no,
+      school_name: student.school_name
+    },
+    action: 'ATTENDANCE',
+    session: {
+      id: session.id,
+      session_name: session.session_name,
+      venue: session.venue,
+      start_time: session.start_time,
+      end_time: session.end_time
+    },
+    attendance: {
+      checked_in_at: attendance.checked_in_at
+    },
+    scan_details: {
+      timestamp: new Date().toISOString(),
+      volunteer_id: user.id,
+      volunteer_email: user.email,
+      event_id: eventId
+    }
+  };
+
+  if (already_attended) {
+    responseData.duplicate_suppressed = true;
+    return successResponse(res, responseData, `${student.full_name} is already marked present for ${session.session_name}`);
+  }
+
+  return successResponse(res, responseData, `Attendance recorded for ${session.session_name}`, 201);
+};
+
 /**
  * Smart scan - Automatically handles check-in OR check-out
  * @route POST /api/volunteer/scan/student
@@ -182,16 +370,28 @@ const logout = async (req, res, next) => {
  * - JWT token validates the VOLUNTEER role (via middleware)
  * - QR token identifies the STUDENT being scanned
  * - No need to verify volunteer owns the QR code (volunteers scan other people)
+ * - Event assignments need the SCAN permission (requireVolunteerPermission)
+ * - Volunteers with shifts can only scan during a shift (403 OUTSIDE_SHIFT)
+ * - Volunteers posted at a zone scan in/out of that zone instead of the event
+ *   (entry needs the student inside the event; 409 ZONE_FULL at capacity;
+ *   rotating tokens are single-use per zone, 409 QR_ALREADY_USED)
+ * - Volunteers posted at a session record attendance for it instead (once per
+ *   student; 403 SESSION_NOT_BOOKED without a seat they need; rotating tokens
+ *   are single-use per session, 409 QR_ALREADY_USED)
  * 
  * Flow:
  * 1. Decode QR token to extract student registration number
  * 2. Find student in database
- * 3. Determine action (ENTRY if outside, EXIT if inside)
+ * 3. Determine action (ENTRY if outside, EXIT if inside) for the volunteer's event only
+ *    and reject it with 409 GATE_DIRECTION_MISMATCH at entry-only / exit-only gates
+ *    Rotating tokens are single-use per event (409 QR_ALREADY_USED on reuse)
+ *    A repeat scan inside the event's cooldown returns the previous result (200, no state change)
  * 4. Process check-in/out and update timestamps
  * 5. Calculate duration for EXIT actions
  * 6. Update volunteer scan count
  * 
  * @param {string} req.body.qr_code_token - JWT token from student's QR code
+ * @param {string} [req.body.event_id] - Event being scanned for (defaults to session's current event)
  * @returns {Object} Student info, action type (ENTRY/EXIT), scan details
  */
 const scanStudentQR = async (req, res, next) => {
@@ -205,15 +405,9 @@ const scanStudentQR = async (req, res, next) => {
     console.log('🔍 [SCAN] Received QR token (first 50 chars):', qr_code_token.substring(0, 50) + '...');
 
     // 1️⃣ Verify QR code token (try rotating first, fallback to static)
-    let decoded = QRCodeService.verifyRotatingStudentToken(qr_code_token);
-    
-    // If not a valid rotating token, try static token verification
-    if (!decoded.valid && decoded.isStatic) {
-      console.log('🔄 [SCAN] Not a rotating token, trying static verification...');
-      decoded = await QRCodeService.verifyStudentQRToken(qr_code_token);
-    }
+    const decoded = CheckInService.verifyStudentToken(qr_code_token);
     
-    if (!decoded || !decoded.valid) {
+    if (!decoded.valid) {
       console.log('❌ [SCAN] Invalid QR token');
       return errorResponse(res, 'Invalid QR code', 400);
     }
@@ -225,11 +419,6 @@ const scanStudentQR = async (req, res, next) => {
     
     if (!student) {
       console.log('❌ [SCAN] Student not found:', decoded.registration_no);
-      
-      // Debug: Check if ANY students exist
-      const sampleStudents = await query('SELECT registration_no, full_name FROM students LIMIT 5');
-      console.log('📊 [DEBUG] Sample students in database:', sampleStudents);
-      
       return errorResponse(res, `Student not found. Registration: ${decoded.registration_no}`, 404);
     }
 
@@ -247,141 +436,154 @@ const scanStudentQR = async (req, res, next) => {
     }
 
     // 🔒 CRITICAL: Multi-Event Context Validation (Security Layer)
-    const volunteerAssignment = await EventVolunteerModel.findActiveAssignment(req.user.id);
-    let eventContext = null;
-
-    if (volunteerAssignment) {
-      console.log(`🎯 [SCAN] Volunteer assigned to event: ${volunteerAssignment.event_name} (${volunteerAssignment.event_type})`);
-      
-      // Verify student is registered for THIS specific event
-      const registration = await EventRegistrationModel.findByEventAndStudent(
-        volunteerAssignment.event_id,
-        student.id
-      );
-
-      if (!registration) {
-        console.log(`❌ [SCAN] Student not registered for event: ${volunteerAssignment.event_name}`);
-        return errorResponse(res, 
-          `Student is not registered for "${volunteerAssignment.event_name}". Please register first.`, 
-          403
-        );
-      }
-
-      // For paid events, verify payment is completed
-      if (registration.registration_type === 'PAID') {
-        if (registration.payment_status !== 'COMPLETED') {
-          console.log(`❌ [SCAN] Payment not completed for paid event`);
-          return errorResponse(res, 
-            `Payment pending for "${volunteerAssignment.event_name}". Amount: ${volunteerAssignment.currency} ${volunteerAssignment.price}`, 
-            402 // Payment Required
-          );
-        }
-        console.log(`✅ [SCAN] Payment verified: ${registration.payment_status}`);
-      }
+    // The event assignment (and its SCAN permission) is resolved by requireVolunteerPermission
+    // ⏰ Volunteers on a shift roster may only scan during their shifts
+    const shift = await CheckInService.checkShift(req.volunteerAssignment, req.user.id);
+    if (!shift.allowed) {
+      return errorResponse(res, shift.message, shift.status, shift.details);
+    }
 
-      console.log(`✅ [SCAN] Student authorized for event: ${volunteerAssignment.event_name}`);
-      eventContext = volunteerAssignment;
-    } else {
-      console.log('ℹ️ [SCAN] No active event assignment - using legacy single-event mode');
+    const authorization = await CheckInService.authorizeForEvent(shift.assignment, student);
+    if (!authorization.allowed) {
+      return errorResponse(res, authorization.message, authorization.status);
     }
 
-    // 4️⃣ 🎯 SMART LOGIC: Determine action based on current status
-    const isCurrentlyInside = student.is_inside_event;
-    const action = isCurrentlyInside ? 'EXIT' : 'ENTRY';
-    
-    console.log(`🎯 [SCAN] Current status: ${isCurrentlyInside ? 'INSIDE' : 'OUTSIDE'}`);
-    console.log(`🎯 [SCAN] Action to perform: ${action}`);
+    // 🗓️ Volunteers posted at a session record attendance for it, not the event gate
+    if (authorization.eventContext?.session_id) {
+      // 🔐 Rotating tokens are single-use per session too
+      const claim = await CheckInService.claimToken(qr_code_token, decoded, {
+        student,
+        volunteerId: req.user.id,
+        eventContext: authorization.eventContext
+      });
+      if (!claim.claimed) {
+        return sendTokenReusedResponse(res, { student, claim });
+      }
 
-    // 5️⃣ Store the check-in time BEFORE updating (for duration calculation)
-    const previousCheckInTime = student.last_checkin_at;
+      let sessionScan;
+      try {
+        sessionScan = await CheckInService.scanEventSession({
+          student,
+          volunteerId: req.user.id,
+          eventContext: authorization.eventContext,
+          registration: authorization.registration
+        });
+      } catch (error) {
+        await CheckInService.releaseToken(qr_code_token, decoded, authorization.eventContext);
+        throw error;
+      }
+      if (!sessionScan.ok) {
+        // Let the student retry with the same QR once they can attend
+        await CheckInService.releaseToken(qr_code_token, decoded, authorization.eventContext);
+        return errorResponse(res, sessionScan.message, sessionScan.status, sessionScan.details);
+      }
 
-    // 6️⃣ Process check-in/out FIRST (toggles is_inside_event automatically and updates timestamps)
-    const updatedStudent = await Student.processCheckInOut(student.id, query);
+      return sendEventSessionScanResponse(res, {
+        student,
+        sessionScan,
+        user: req.user,
+        eventId: authorization.eventContext.event_id
+      });
+    }
 
-    // 7️⃣ Calculate duration AFTER checkout using the previous check-in time
-    let durationMinutes = 0;
-    let checkInOutRecord = null;
+    // 🏛️ Volunteers posted at a zone scan students in/out of that zone, not the event gate
+    if (authorization.eventContext?.zone_id) {
+      // 🔐 Rotating tokens are single-use per zone too
+      const claim = await CheckInService.claimToken(qr_code_token, decoded, {
+        student,
+        volunteerId: req.user.id,
+        eventContext: authorization.eventContext
+      });
+      if (!claim.claimed) {
+        return sendTokenReusedResponse(res, { student, claim });
+      }
 
-    if (action === 'ENTRY') {
-      // 🔥 FIX: Save check-in record to database with event context
-      checkInOutRecord = await CheckInOut.create({
-        student_id: student.id,
-        volunteer_id: req.user.id,
-        event_id: eventContext?.event_id || null, // ✅ Add event context for multi-event tracking
-        scan_type: 'CHECKIN',
-        scan_number: updatedStudent.total_scan_count,
-        duration_minutes: null
-      }, query);
-      
-      console.log('✅ [DB] Check-in record saved:', checkInOutRecord.id);
-      if (eventContext) {
-        console.log(`✅ [DB] Event context recorded: ${eventContext.event_name}`);
+      let zoneScan;
+      try {
+        zoneScan = await CheckInService.scanZone({
+          student,
+          volunteerId: req.user.id,
+          eventContext: authorization.eventContext,
+          registration: authorization.registration
+        });
+      } catch (error) {
+        await CheckInService.releaseToken(qr_code_token, decoded, authorization.eventContext);
+        throw error;
       }
-      
-    } else if (action === 'EXIT' && previousCheckInTime) {
-      const checkInTime = new Date(previousCheckInTime);
-      const checkOutTime = new Date(updatedStudent.last_checkout_at);
-      durationMinutes = Math.floor((checkOutTime - checkInTime) / (1000 * 60));
-      
-      console.log(`⏱️ [SCAN] Duration: ${durationMinutes} minutes (${Math.floor(durationMinutes / 60)}h ${durationMinutes % 60}m)`);
-      console.log(`⏱️ [SCAN] Check-in: ${checkInTime.toISOString()}, Check-out: ${checkOutTime.toISOString()}`);
-      
-      // 🔥 FIX: Save check-out record to database with event context
-      checkInOutRecord = await CheckInOut.create({
-        student_id: student.id,
-        volunteer_id: req.user.id,
-        event_id: eventContext?.event_id || null, // ✅ Add event context for multi-event tracking
-        scan_type: 'CHECKOUT',
-        scan_number: updatedStudent.total_scan_count,
-        duration_minutes: durationMinutes
-      }, query);
-      
-      console.log('✅ [DB] Check-out record saved:', checkInOutRecord.id);
-      if (eventContext) {
-        console.log(`✅ [DB] Event context recorded: ${eventContext.event_name}`);
+      if (!zoneScan.ok) {
+        // Let the student retry with the same QR once the zone can take them
+        await CheckInService.releaseToken(qr_code_token, decoded, authorization.eventContext);
+        return errorResponse(res, zoneScan.message, zoneScan.status, zoneScan.details);
       }
-      
-      // Update total active duration
-      await Student.updateActiveDuration(student.id, durationMinutes, query);
+
+      return sendZoneScanResponse(res, {
+        student,
+        zoneScan,
+        user: req.user,
+        eventId: authorization.eventContext.event_id
+      });
     }
 
-    // 8️⃣ Update volunteer's scan count
-    await query(
-      'UPDATE volunteers SET total_scans_performed = total_scans_performed + 1 WHERE id = $1',
-      [req.user.id]
-    );
+    // 🔁 Anti-passback: a repeat scan inside the cooldown returns the previous result
+    const cooldown = await CheckInService.checkCooldown(student, authorization);
+    if (cooldown.suppressed) {
+      await CheckInService.recordSuppressedScan(req.user.id, authorization.eventContext);
+      return sendSuppressedScanResponse(res, { student, authorization, cooldown, user: req.user });
+    }
 
-    console.log(`✅ [SCAN] ${action} successful for ${student.full_name}`);
+    // 🚦 Directional gates only accept scans in their direction
+    const gate = CheckInService.checkGateDirection(student, authorization);
+    if (!gate.allowed) {
+      return errorResponse(res, gate.message, 409, {
+        ...gate.details,
+        student: {
+          id: student.id,
+          full_name: student.full_name,
+          registration_no: student.registration_no
+        }
+      });
+    }
 
-    // 9️⃣ Return different response based on action
-    const responseData = {
-      student: {
-        id: updatedStudent.id,
-        full_name: updatedStudent.full_name,
-        registration_no: updatedStudent.registration_no,
-        school_name: updatedStudent.school_name,
-        is_inside_event: updatedStudent.is_inside_event,
-        total_scan_count: updatedStudent.total_scan_count
-      },
-      action: action,
-      scan_details: {
-        timestamp: new Date().toISOString(),
-        volunteer_id: req.user.id,
-        volunteer_email: req.user.email
-      }
-    };
+    // 🔐 Rotating tokens are single-use per event (blocks screenshot sharing)
+    const claim = await CheckInService.claimToken(qr_code_token, decoded, {
+      student,
+      volunteerId: req.user.id,
+      eventContext: authorization.eventContext
+    });
+    if (!claim.claimed) {
+      return sendTokenReusedResponse(res, { student, claim });
+    }
 
-    // Add action-specific fields
-    if (action === 'ENTRY') {
-      responseData.student.check_in_time = updatedStudent.last_checkin_at;
-      responseData.message = `Welcome ${student.full_name}! Enjoy the event.`;
-    } else {
-      responseData.student.check_out_time = updatedStudent.last_checkout_at;
-      responseData.student.duration_minutes = durationMinutes;
-      responseData.student.duration_formatted = `${Math.floor(durationMinutes / 60)}h ${durationMinutes % 60}m`;
-      responseData.message = `Goodbye ${student.full_name}! You spent ${responseData.student.duration_formatted} at the event.`;
+    // 4️⃣ Toggle ENTRY/EXIT, save the check-in/out record and update durations
+    // Presence is tracked on the event registration (or globally in legacy mode)
+    let scan;
+    try {
+      scan = await CheckInService.recordScan({
+        student,
+        volunteerId: req.user.id,
+        eventContext: authorization.eventContext,
+        registration: authorization.registration
+      });
+    } catch (error) {
+      // Let the student retry with the same QR if the scan itself failed
+      await CheckInService.releaseToken(qr_code_token, decoded, authorization.eventContext);
+      throw error;
     }
 
+    const { action, student: updatedStudent, presence, durationMinutes } = scan;
+
+    console.log(`✅ [SCAN] ${action} successful for ${student.full_name}`);
+
+    // 5️⃣ Return different response based on action
+    const responseData = buildScanResponseData({
+      student: updatedStudent,
+      presence,
+      action,
+      durationMinutes,
+      user: req.user,
+      eventId: authorization.eventContext?.event_id || null
+    });
+
     return successResponse(
       res, 
       responseData,
@@ -397,6 +599,328 @@ const scanStudentQR = async (req, res, next) => {
   }
 };
 
+/**
+ * Sync scans captured while the volunteer's device was offline
+ * @route POST /api/volunteer/scan/sync
+ * @access Protected (Volunteer only)
+ *
+ * @description
+ * Replays a batch of offline scans in client timestamp order through the same
+ * ENTRY/EXIT logic as the live scanner. Check-in/out times and durations use
+ * the client's scanned_at. Re-sending a batch is safe: scans whose
+ * idempotency_key was already synced come back as DUPLICATE.
+ *
+ * @param {Array} req.body.scans - [{ idempotency_key, qr_code_token, scanned_at, event_id? }]
+ * @param {string} [req.body.event_id] - Event for scans without their own event_id
+ * @returns {Object} Per-scan results (ACCEPTED, DUPLICATE, REJECTED, CONFLICT) and a summary
+ */
+const syncOfflineScans = async (req, res, next) => {
+  try {
+    const { scans, event_id } = req.body;
+
+    if (!Array.isArray(scans) || scans.length === 0) {
+      return errorResponse(res, 'scans must be a non-empty array', 400);
+    }
+
+    if (scans.length > CheckInService.MAX_SYNC_BATCH_SIZE) {
+      return errorResponse(res, `A sync batch can contain at most ${CheckInService.MAX_SYNC_BATCH_SIZE} scans`, 400);
+    }
+
+    const volunteer = await Volunteer.findById(req.user.id, query);
+    if (volunteer && !volunteer.is_active) {
+      console.log('⚠️ [SYNC] Inactive volunteer attempted sync:', volunteer.email);
+      return errorResponse(res, 'Your volunteer account is inactive. Contact admin.', 403);
+    }
+
+    console.log(`📴 [SYNC] Replaying ${scans.length} offline scans for volunteer ${req.user.id}`);
+
+    const results = await CheckInService.replayOfflineScans(
+      req.user.id,
+      scans,
+      event_id || req.user.current_event_id || null
+    );
+
+    const summary = { total: results.length, accepted: 0, duplicate: 0, rejected: 0, conflict: 0 };
+    for (const result of results) {
+      summary[result.status.toLowerCase()] += 1;
+    }
+
+    console.log(`✅ [SYNC] Done: ${summary.accepted} accepted, ${summary.duplicate} duplicate, ${summary.rejected} rejected, ${summary.conflict} conflict`);
+
+    return successResponse(res, { summary, results }, 'Offline scans synced');
+  } catch (error) {
+    console.error('❌ [SYNC] Error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Manual check-in/out by registration number (QR fallback)
+ * @route POST /api/volunteer/scan/manual
+ * @access Protected (Volunteer with MANUAL_CHECKIN permission on the event)
+ *
+ * @description
+ * For students whose QR cannot be scanned (dead phone, cracked screen).
+ * Runs the same registration, payment, cooldown and gate checks as
+ * /scan/student, but identifies the student by registration number.
+ * The row is flagged is_manual with the volunteer's reason and audit-logged.
+ * Only available for event assignments, not legacy single-event mode.
+ *
+ * @param {string} req.body.registration_no - Student registration number
+ * @param {string} req.body.reason - Why the QR could not be scanned
+ * @param {string} [req.body.event_id] - Event being scanned for (defaults to session's current event)
+ * @returns {Object} Same shape as /scan/student, with is_manual: true
+ */
+const manualCheckInOut = async (req, res, next) => {
+  try {
+    const { registration_no } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!registration_no) {
+      return errorResponse(res, 'Registration number is required', 400);
+    }
+
+    if (reason.length < CheckInService.MANUAL_REASON_MIN_LENGTH) {
+      return errorResponse(res, `A reason of at least ${CheckInService.MANUAL_REASON_MIN_LENGTH} characters is required for manual check-in`, 400);
+    }
+
+    if (reason.length > CheckInService.MANUAL_REASON_MAX_LENGTH) {
+      return errorResponse(res, `Reason must be at most ${CheckInService.MANUAL_REASON_MAX_LENGTH} characters`, 400);
+    }
+
+    const volunteer = await Volunteer.findById(req.user.id, query);
+    if (volunteer && !volunteer.is_active) {
+      console.log('⚠️ [MANUAL] Inactive volunteer attempted manual check-in:', volunteer.email);
+      return errorResponse(res, 'Your volunteer account is inactive. Contact admin.', 403);
+    }
+
+    const student = await Student.findByRegistrationNo(String(registration_no).trim(), query);
+    if (!student) {
+      return errorResponse(res, `Student not found. Registration: ${registration_no}`, 404);
+    }
+
+    // Assignment with MANUAL_CHECKIN is resolved by requireVolunteerPermission
+    const shift = await CheckInService.checkShift(req.volunteerAssignment, req.user.id);
+    if (!shift.allowed) {
+      return errorResponse(res, shift.message, shift.status, shift.details);
+    }
+
+    if (shift.assignment.zone_id) {
+      return errorResponse(res, 'Manual check-in is only available at event gates, not zones', 409, {
+        code: 'ZONE_MANUAL_NOT_SUPPORTED',
+        zone_id: shift.assignment.zone_id
+      });
+    }
+
+    if (shift.assignment.session_id) {
+      return errorResponse(res, 'Manual check-in is only available at event gates, not sessions', 409, {
+        code: 'SESSION_MANUAL_NOT_SUPPORTED',
+        session_id: shift.assignment.session_id
+      });
+    }
+
+    const authorization = await CheckInService.authorizeForEvent(shift.assignment, student);
+    if (!authorization.allowed) {
+      return errorResponse(res, authorization.message, authorization.status);
+    }
+
+    const cooldown = await CheckInService.checkCooldown(student, authorization);
+    if (cooldown.suppressed) {
+      await CheckInService.recordSuppressedScan(req.user.id, authorization.eventContext);
+      return sendSuppressedScanResponse(res, { student, authorization, cooldown, user: req.user });
+    }
+
+    const gate = CheckInService.checkGateDirection(student, authorization);
+    if (!gate.allowed) {
+      return errorResponse(res, gate.message, 409, {
+        ...gate.details,
+        student: {
+          id: student.id,
+          full_name: student.full_name,
+          registration_no: student.registration_no
+        }
+      });
+    }
+
+    const { action, student: updatedStudent, presence, record, durationMinutes } = await CheckInService.recordScan({
+      student,
+      volunteerId: req.user.id,
+      eventContext: authorization.eventContext,
+      registration: authorization.registration,
+      manualReason: reason
+    });
+
+    console.log(`✍️ [MANUAL] ${action} recorded for ${student.full_name} by volunteer ${req.user.id}: ${reason}`);
+
+    await logAuditEvent({
+      event_type: AuditEventType.MANUAL_SCAN_RECORDED,
+      user_id: req.user.id,
+      user_role: 'VOLUNTEER',
+      resource_type: 'CHECK_IN_OUT',
+      resource_id: record.id,
+      metadata: {
+        event_id: authorization.eventContext.event_id,
+        student_id: student.id,
+        registration_no: student.registration_no,
+        action,
+        reason
+      },
+      ip_address: req.ip,
+      user_agent: req.get('user-agent')
+    });
+
+    const responseData = buildScanResponseData({
+      student: updatedStudent,
+      presence,
+      action,
+      durationMinutes,
+      user: req.user,
+      eventId: authorization.eventContext.event_id
+    });
+    responseData.is_manual = true;
+    responseData.manual_reason = reason;
+
+    return successResponse(
+      res,
+      responseData,
+      action === 'ENTRY'
+        ? 'Student checked in manually'
+        : 'Student checked out manually',
+      action === 'ENTRY' ? 201 : 200
+    );
+  } catch (error) {
+    console.error('❌ [MANUAL] Error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Look up a student's registration and presence for the volunteer's event
+ * @route GET /api/volunteer/students/:registrationNo
+ * @access Protected (Volunteer with VIEW_STUDENTS permission on the event)
+ *
+ * @param {string} req.params.registrationNo - Student registration number
+ * @param {string} [req.query.event_id] - Event to look up (defaults to session's current event)
+ * @returns {Object} Student basics, registration status and whether they are inside
+ */
+const lookupStudent = async (req, res, next) => {
+  try {
+    const assignment = req.volunteerAssignment;
+
+    const student = await Student.findByRegistrationNo(req.params.registrationNo, query);
+    if (!student) {
+      return errorResponse(res, `Student not found. Registration: ${req.params.registrationNo}`, 404);
+    }
+
+    const registration = await EventRegistrationModel.findByEventAndStudent(assignment.event_id, student.id);
+
+    return successResponse(res, {
+      event_id: assignment.event_id,
+      event_name: assignment.event_name,
+      student: {
+        id: student.id,
+        full_name: student.full_name,
+        registration_no: student.registration_no,
+        school_name: student.school_name
+      },
+      is_registered: Boolean(registration),
+      registration: registration ? {
+        id: registration.id,
+        registration_type: registration.registration_type,
+        registration_status: registration.registration_status,
+        is_inside_event: registration.is_inside_event === true,
+        last_check_in_at: registration.last_check_in_at,
+        last_check_out_at: registration.last_check_out_at
+      } : null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check a student's payment for the volunteer's event (payment desk)
+ * @route GET /api/volunteer/students/:registrationNo/payment
+ * @access Protected (Volunteer with VERIFY_PAYMENTS permission on the event)
+ *
+ * @param {string} req.params.registrationNo - Student registration number
+ * @param {string} [req.query.event_id] - Event to check (defaults to session's current event)
+ * @returns {Object} Registration payment status and Razorpay references
+ */
+const verifyStudentPayment = async (req, res, next) => {
+  try {
+    const assignment = req.volunteerAssignment;
+
+    const student = await Student.findByRegistrationNo(req.params.registrationNo, query);
+    if (!student) {
+      return errorResponse(res, `Student not found. Registration: ${req.params.registrationNo}`, 404);
+    }
+
+    const registration = await EventRegistrationModel.findByEventAndStudent(assignment.event_id, student.id);
+    if (!registration) {
+      return errorResponse(res, `Student is not registered for "${assignment.event_name}"`, 404);
+    }
+
+    const isPaid = registration.registration_type !== 'PAID' || registration.payment_status === 'COMPLETED';
+
+    return successResponse(res, {
+      event_id: assignment.event_id,
+      event_name: assignment.event_name,
+      student: {
+        id: student.id,
+        full_name: student.full_name,
+        registration_no: student.registration_no
+      },
+      payment: {
+        registration_id: registration.id,
+        registration_type: registration.registration_type,
+        registration_status: registration.registration_status,
+        payment_status: registration.payment_status,
+        payment_amount: registration.payment_amount,
+        payment_currency: assignment.currency,
+        razorpay_order_id: registration.razorpay_order_id,
+        razorpay_payment_id: registration.razorpay_payment_id,
+        payment_completed_at: registration.payment_completed_at,
+        is_paid: isPaid
+      }
+    }, isPaid ? 'Payment verified' : 'Payment pending');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download the signed offline roster for an event
+ * Lets the gate keep admitting students during a network outage
+ * @route GET /api/volunteer/events/:eventId/roster-bundle
+ */
+const getRosterBundle = async (req, res, next) => {
+  try {
+    const bundle = await RosterBundleService.buildBundle(req.volunteerAssignment);
+    return successResponse(res, bundle, 'Roster bundle generated');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Roster changes since a previous bundle/delta version
+ * @route GET /api/volunteer/events/:eventId/roster-bundle/delta?since=<version>
+ */
+const getRosterDelta = async (req, res, next) => {
+  try {
+    const since = String(req.query.since || '');
+    if (!/^\d{1,20}$/.test(since)) {
+      return errorResponse(res, 'since must be a roster version from a previous bundle', 400);
+    }
+
+    const delta = await RosterBundleService.buildDelta(req.volunteerAssignment, since);
+    return successResponse(res, delta, 'Roster delta generated');
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Scan stall QR code and verify
  * @route POST /api/volunteer/scan/stall
@@ -411,12 +935,12 @@ const scanStallQR = async (req, res, next) => {
 
     // Verify QR code token
     const decoded = await QRCodeService.verifyStallQRToken(qr_code_token);
-    if (!decoded) {
+    if (!decoded || !decoded.valid) {
       return errorResponse(res, 'Invalid QR code', 400);
     }
 
     // Find stall
-    const stall = await Stall.findByQRToken(qr_code_token, query);
+    const stall = await Stall.findByVerifiedToken(qr_code_token, decoded, query);
     if (!stall) {
       return errorResponse(res, 'Stall not found', 404);
     }
@@ -479,6 +1003,7 @@ const getAssignedEvents = async (req, res, next) => {
 
     return successResponse(res, {
       total_events: events.length,
+      current_event_id: req.user.current_event_id || null,
       events,
       note: 'Use universal /scan/student endpoint for all scanning operations'
     });
@@ -487,14 +1012,81 @@ const getAssignedEvents = async (req, res, next) => {
   }
 };
 
+/**
+ * Select the event this volunteer is currently scanning for
+ * @route POST /api/volunteer/current-event
+ *
+ * @description
+ * Stores the selection on the session by re-issuing the JWT with a
+ * current_event_id claim (same expiry). Scans without an explicit event_id
+ * use this event. Send event_id: null to clear the selection.
+ *
+ * @param {string|null} req.body.event_id - Event UUID from /assigned-events
+ */
+const setCurrentEvent = async (req, res, next) => {
+  try {
+    const { event_id } = req.body;
+
+    if (event_id === undefined) {
+      return errorResponse(res, 'event_id is required (send null to clear the selection)', 400);
+    }
+
+    let assignment = null;
+    if (event_id !== null) {
+      const context = await CheckInService.resolveEventContext(req.user.id, event_id);
+      if (!context.resolved) {
+        return errorResponse(res, context.message, context.status, context.details);
+      }
+      assignment = context.assignment;
+    }
+
+    // Re-issue the session token with the selection, keeping the original expiry
+    const payload = {
+      id: req.user.id,
+      email: req.user.email,
+      role: req.user.role,
+      exp: req.user.exp
+    };
+    if (assignment) {
+      payload.current_event_id = assignment.event_id;
+    }
+
+    const token = KeyRingService.sign(KeyRingService.PURPOSES.SESSION, payload);
+
+    // Set secure HTTP-Only cookie
+    setAuthCookie(res, token);
+
+    return successResponse(res, {
+      token,
+      current_event: assignment ? {
+        event_id: assignment.event_id,
+        event_name: assignment.event_name,
+        event_code: assignment.event_code,
+        assigned_location: assignment.assigned_location,
+        gate_mode: assignment.gate_mode
+      } : null
+    }, assignment ? `Now scanning for "${assignment.event_name}"` : 'Current event cleared');
+  } catch (error) {
+    next(error);
+  }
+};
+
 export default {
   login,
   register,
   logout,
   getProfile,
+  getQRPublicKeys,  // Offline verification of signed compact QR tokens
   scanStudentQR,  // ✅ Universal scanner - handles ALL scenarios
+  syncOfflineScans,
+  getRosterBundle,   // Offline gate roster (SCAN permission)
+  getRosterDelta,
+  manualCheckInOut,  // QR fallback by registration number (MANUAL_CHECKIN permission)
+  lookupStudent,         // VIEW_STUDENTS permission
+  verifyStudentPayment,  // VERIFY_PAYMENTS permission
   scanStallQR,
   getHistory,
   // Multi-event support
-  getAssignedEvents  // Volunteers can see their assigned events
+  getAssignedEvents,  // Volunteers can see their assigned events
+  setCurrentEvent     // Session-level event selection for scanning
 };
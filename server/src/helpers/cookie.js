@@ -33,7 +33,7 @@ const COOKIE_CONFIG = {
  * @returns {void}
  * 
  * @example
- * const token = jwt.sign({ id: user.id }, process.env.JWT_SECRET);
+ * const token = KeyRingService.sign(KeyRingService.PURPOSES.SESSION, { id: user.id });
  * setAuthCookie(res, token);
  */
 export const setAuthCookie = (res, token) => {
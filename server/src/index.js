@@ -20,7 +20,12 @@ app.use(cors({
 }));
 app.use(compression());
 app.use(cookieParser()); // Parse cookies
-app.use(express.json());
+app.use(express.json({
+  // Keep the exact bytes for webhook signature checks (Razorpay signs the raw body)
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Health check endpoint
@@ -63,6 +68,9 @@ import {
   checkInOutRoutes,
   eventManagerRoutes
 } from './routes/index.js';
+import { startBackgroundJobs } from './jobs/index.js';
+import { stopAllJobs } from './utils/scheduler.js';
+import KeyRingService from './services/keyRing.js';
 
 // Use routes
 app.use('/api/admin', adminRoutes);
@@ -98,6 +106,9 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Load token signing keys before serving requests (falls back to JWT_SECRET if unavailable)
+await KeyRingService.start();
+
 // Start server
 app.listen(PORT, () => {
   if (process.env.NODE_ENV === 'production') {
@@ -111,16 +122,23 @@ app.listen(PORT, () => {
     console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`🔗 CORS allowed from: ${process.env.CLIENT_URL || 'http://localhost:3000'}`);
   }
+
+  // Scheduled jobs (auto-checkout when events end, ...)
+  startBackgroundJobs();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  stopAllJobs();
+  KeyRingService.stop();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
+  stopAllJobs();
+  KeyRingService.stop();
   process.exit(0);
 });``
 
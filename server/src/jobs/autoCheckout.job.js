@@ -0,0 +1,24 @@
+// Auto-Checkout Job - Closes sessions of students still inside when an event ends
+import EventRegistrationModel from '../models/EventRegistration.model.js';
+import CheckInService from '../services/checkIn.js';
+
+export const AUTO_CHECKOUT_INTERVAL_MS = 60 * 1000; // Check for ended events every minute
+
+/**
+ * Find ended events with students still marked inside and check them out
+ * at the event's end_date (duration capped by CheckInService.AUTO_CLOSE_MAX_MINUTES)
+ */
+export const runAutoCheckout = async () => {
+  const events = await EventRegistrationModel.getEndedEventsWithOpenSessions();
+
+  for (const event of events) {
+    try {
+      await CheckInService.closeOpenSessions(event.id, { trigger: 'SCHEDULED' });
+    } catch (error) {
+      // Keep going so one failing event doesn't block the others
+      console.error(`❌ [AUTO-CHECKOUT] Failed for event ${event.event_name}:`, error);
+    }
+  }
+};
+
+export default runAutoCheckout;
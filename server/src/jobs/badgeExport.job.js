@@ -0,0 +1,91 @@
+// Badge Export Job - Renders queued student ID badge sheets (PDF/SVG)
+import BadgeExportModel from '../models/BadgeExport.model.js';
+import StudentModel from '../models/Student.model.js';
+import QRCodeService from '../services/qrCode.js';
+import KeyRingService from '../services/keyRing.js';
+import { renderBadgeSheetsPDF, renderBadgeSheetsSVG, getPageCount } from '../utils/badgeRenderer.js';
+import { query } from '../config/db.js';
+
+export const BADGE_EXPORT_INTERVAL_MS = 30 * 1000; // Pick up queued exports every 30 seconds
+export const MAX_EXPORTS_PER_RUN = 5;
+
+/**
+ * Render one claimed export and store the file
+ * @param {Object} badgeExport - Claimed badge_exports row (status PROCESSING)
+ */
+export const processBadgeExport = async (badgeExport) => {
+  const students = await StudentModel.findForBadges(badgeExport.selection, query);
+
+  if (students.length === 0) {
+    await BadgeExportModel.fail(badgeExport.id, 'No students match this selection', false);
+    return;
+  }
+
+  // Print the student's stored static token (what their QR endpoint and ID
+  // card carry, and what key re-signing updates); one is stored first if missing
+  const badges = [];
+  for (const student of students) {
+    const qrToken = student.qr_code_token ||
+      await StudentModel.ensureQRToken(student.id, QRCodeService.generateStudentQRToken(student), query);
+
+    badges.push({
+      full_name: student.full_name,
+      registration_no: student.registration_no,
+      school_name: student.school_name,
+      batch: student.batch,
+      qr_token: qrToken
+    });
+  }
+
+  // Keys on paper, so a key isn't retired under printed sheets without a force
+  const qrKeyIds = new Set(badges.map((badge) => KeyRingService.getTokenKid(badge.qr_token) || KeyRingService.LEGACY_KID));
+
+  const output = {
+    student_count: badges.length,
+    page_count: getPageCount(badges.length),
+    qr_key_ids: [...qrKeyIds]
+  };
+
+  if (badgeExport.format === 'SVG') {
+    output.svg_pages = renderBadgeSheetsSVG(badges);
+  } else {
+    output.pdf = renderBadgeSheetsPDF(badges);
+  }
+
+  await BadgeExportModel.complete(badgeExport.id, output);
+  console.log(`🪪 [BADGES] Export ${badgeExport.id} ready: ${output.student_count} badges, ${output.page_count} pages (${badgeExport.format})`);
+};
+
+/**
+ * Process queued exports, fail abandoned ones and drop expired results
+ * Claims are atomic, so this is safe to run from the scheduler and right
+ * after an export is requested at the same time
+ */
+export const runBadgeExports = async () => {
+  for (let processed = 0; processed < MAX_EXPORTS_PER_RUN; processed++) {
+    const badgeExport = await BadgeExportModel.claimNext();
+    if (!badgeExport) {
+      break;
+    }
+
+    try {
+      await processBadgeExport(badgeExport);
+    } catch (error) {
+      // Keep going so one failing export doesn't block the others
+      console.error(`❌ [BADGES] Export ${badgeExport.id} failed:`, error);
+      await BadgeExportModel.fail(badgeExport.id, error.message);
+    }
+  }
+
+  const abandoned = await BadgeExportModel.failStaleProcessing();
+  if (abandoned > 0) {
+    console.log(`⚠️ [BADGES] Failed ${abandoned} export(s) abandoned on their last attempt`);
+  }
+
+  const expired = await BadgeExportModel.expireOldResults();
+  if (expired > 0) {
+    console.log(`🧹 [BADGES] Expired ${expired} old badge export(s)`);
+  }
+};
+
+export default runBadgeExports;
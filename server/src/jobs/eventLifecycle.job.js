@@ -0,0 +1,17 @@
+// Event Lifecycle Job - Activates, completes and archives events by their dates
+import EventLifecycleService from '../services/eventLifecycle.js';
+
+export const EVENT_LIFECYCLE_INTERVAL_MS = 5 * 60 * 1000; // Gates open within 5 minutes of start_date
+
+/**
+ * Apply due APPROVED → ACTIVE → COMPLETED → ARCHIVED transitions
+ */
+export const runEventLifecycle = async () => {
+  const summary = await EventLifecycleService.run({ trigger: 'SCHEDULED' });
+
+  if (summary.transitions.length > 0 || summary.errors > 0) {
+    console.log(`📅 [LIFECYCLE] ${summary.activated} activated, ${summary.completed} completed, ${summary.archived} archived, ${summary.skipped} skipped, ${summary.errors} errors`);
+  }
+};
+
+export default runEventLifecycle;
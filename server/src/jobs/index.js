@@ -0,0 +1,31 @@
+// Background jobs - started once the HTTP server is listening
+import { scheduleJob } from '../utils/scheduler.js';
+import { runAutoCheckout, AUTO_CHECKOUT_INTERVAL_MS } from './autoCheckout.job.js';
+import { runBadgeExports, BADGE_EXPORT_INTERVAL_MS } from './badgeExport.job.js';
+import { runQRTokenResign, QR_TOKEN_RESIGN_INTERVAL_MS } from './qrTokenResign.job.js';
+import { runWaitlistPromotion, WAITLIST_INTERVAL_MS } from './waitlist.job.js';
+import { runRefunds, REFUND_INTERVAL_MS } from './refund.job.js';
+import { runPaymentReconciliation, PAYMENT_RECONCILIATION_INTERVAL_MS } from './paymentReconciliation.job.js';
+import { runEventLifecycle, EVENT_LIFECYCLE_INTERVAL_MS } from './eventLifecycle.job.js';
+
+/**
+ * Start all background jobs
+ * Disabled with DISABLE_BACKGROUND_JOBS=true (e.g. serverless deployments, where
+ * an external cron should call the manager endpoints instead)
+ */
+export const startBackgroundJobs = () => {
+  if (process.env.NODE_ENV === 'test' || process.env.DISABLE_BACKGROUND_JOBS === 'true') {
+    console.log('⚠️  Background jobs disabled');
+    return;
+  }
+
+  scheduleJob('auto-checkout', AUTO_CHECKOUT_INTERVAL_MS, runAutoCheckout);
+  scheduleJob('badge-export', BADGE_EXPORT_INTERVAL_MS, runBadgeExports);
+  scheduleJob('qr-token-resign', QR_TOKEN_RESIGN_INTERVAL_MS, runQRTokenResign);
+  scheduleJob('waitlist', WAITLIST_INTERVAL_MS, runWaitlistPromotion);
+  scheduleJob('refunds', REFUND_INTERVAL_MS, runRefunds);
+  scheduleJob('payment-reconciliation', PAYMENT_RECONCILIATION_INTERVAL_MS, runPaymentReconciliation);
+  scheduleJob('event-lifecycle', EVENT_LIFECYCLE_INTERVAL_MS, runEventLifecycle);
+};
+
+export default startBackgroundJobs;
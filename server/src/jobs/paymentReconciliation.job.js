@@ -0,0 +1,13 @@
+// Payment Reconciliation Job - Settles paid registrations whose checkout was abandoned or never verified
+import PaymentReconciliationService from '../services/paymentReconciliation.js';
+
+export const PAYMENT_RECONCILIATION_INTERVAL_MS = 10 * 60 * 1000; // Checkouts go stale after 30 minutes by default
+
+/**
+ * Complete, fail or expire stale PENDING checkouts (report stored per run)
+ */
+export const runPaymentReconciliation = async () => {
+  await PaymentReconciliationService.reconcile({ trigger: 'SCHEDULED' });
+};
+
+export default runPaymentReconciliation;
@@ -0,0 +1,124 @@
+// QR Token Re-sign Job - Moves stored stall and student QR tokens onto the current signing keys
+import StallModel from '../models/Stall.model.js';
+import StudentModel from '../models/Student.model.js';
+import QRCodeService from '../services/qrCode.js';
+import KeyRingService from '../services/keyRing.js';
+import { query } from '../config/db.js';
+
+export const QR_TOKEN_RESIGN_INTERVAL_MS = 10 * 60 * 1000; // Catch up every 10 minutes
+
+const STUDENT_PAGE_SIZE = 500;
+
+const tokenKid = (token) => KeyRingService.getTokenKid(token) || KeyRingService.LEGACY_KID;
+
+/**
+ * Walk the stored JWT QR tokens of a purpose, a page at a time
+ * @param {string} purpose - STALL_QR or STUDENT_QR
+ * @param {Function} handlePage - async (rows) => void, rows are { id, qr_code_token, ... }
+ * @returns {Promise<void>}
+ */
+const forEachStoredTokenPage = async (purpose, handlePage) => {
+  if (purpose === KeyRingService.PURPOSES.STALL_QR) {
+    await handlePage(await StallModel.findSignedQRTokens(query));
+    return;
+  }
+
+  let afterId = null;
+  for (;;) {
+    const page = await StudentModel.findQRTokensPage(afterId, STUDENT_PAGE_SIZE, query);
+    if (page.length === 0) return;
+    await handlePage(page);
+    afterId = page[page.length - 1].id;
+  }
+};
+
+/**
+ * Whether a purpose has an older key that still verifies (tokens may need re-signing)
+ * @param {string} purpose - KeyRingService.PURPOSES value
+ * @param {string} signingKid - Current signing key
+ * @returns {boolean}
+ */
+const hasRetiringKey = (purpose, signingKid) => {
+  const now = Date.now();
+  return KeyRingService.getKeys(purpose).some((key) => key.kid !== signingKid && key.activatedAt <= now);
+};
+
+/**
+ * Re-sign the stored tokens of a purpose whose kid is not its current key
+ * Nothing is read while the signing key is the only usable one
+ * @param {string} purpose - STALL_QR or STUDENT_QR
+ * @returns {Promise<Object>} { checked, resigned, failed, signing_kid, skipped }
+ */
+const resignStoredTokens = async (purpose) => {
+  const signingKey = KeyRingService.getSigningKey(purpose);
+  const isStall = purpose === KeyRingService.PURPOSES.STALL_QR;
+  const summary = { checked: 0, resigned: 0, failed: 0, signing_kid: signingKey.kid, skipped: false };
+
+  if (!hasRetiringKey(purpose, signingKey.kid)) {
+    summary.skipped = true;
+    return summary;
+  }
+
+  await forEachStoredTokenPage(purpose, async (rows) => {
+    summary.checked += rows.length;
+
+    for (const row of rows) {
+      if (tokenKid(row.qr_code_token) === signingKey.kid) {
+        continue;
+      }
+
+      try {
+        const replaced = isStall
+          ? await StallModel.replaceQRToken(row.id, row.qr_code_token, QRCodeService.generateSignedStallQRToken(row), query)
+          : await StudentModel.replaceQRToken(row.id, row.qr_code_token, QRCodeService.generateStudentQRToken(row), query);
+        if (replaced) {
+          await QRCodeService.clearQRCache(row.qr_code_token);
+          summary.resigned++;
+        }
+      } catch (error) {
+        // Keep going so one token doesn't block the others
+        summary.failed++;
+        console.error(`❌ [KEY RING] Re-sign failed for ${isStall ? `stall ${row.stall_number}` : `student ${row.registration_no}`}:`, error.message);
+      }
+    }
+  });
+
+  if (summary.resigned > 0 || summary.failed > 0) {
+    console.log(`🔑 [KEY RING] Re-signed ${summary.resigned}/${summary.checked} ${isStall ? 'stall' : 'student'} QR tokens with ${signingKey.kid} (${summary.failed} failed)`);
+  }
+
+  return summary;
+};
+
+/**
+ * Stored QR tokens still signed with a key (retiring it would invalidate them)
+ * @param {string} purpose - KeyRingService.PURPOSES value
+ * @param {string} kid - Key ID
+ * @returns {Promise<number>}
+ */
+export const countStoredQRTokens = async (purpose, kid) => {
+  if (purpose !== KeyRingService.PURPOSES.STALL_QR && purpose !== KeyRingService.PURPOSES.STUDENT_QR) {
+    return 0;
+  }
+
+  let count = 0;
+  await forEachStoredTokenPage(purpose, async (rows) => {
+    count += rows.filter((row) => tokenKid(row.qr_code_token) === kid).length;
+  });
+  return count;
+};
+
+/**
+ * Re-sign stored JWT stall and student tokens whose kid is not the current key
+ * Printed copies of the old token keep working until their key is retired
+ * (stalls and students are then found by the number inside the token)
+ * @returns {Promise<Object>} { stalls, students } - { checked, resigned, failed, signing_kid, skipped } each
+ */
+export const runQRTokenResign = async () => {
+  return {
+    stalls: await resignStoredTokens(KeyRingService.PURPOSES.STALL_QR),
+    students: await resignStoredTokens(KeyRingService.PURPOSES.STUDENT_QR)
+  };
+};
+
+export default runQRTokenResign;
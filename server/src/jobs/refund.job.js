@@ -0,0 +1,17 @@
+// Refund Job - Sends refunds owed for cancellations and follows them until Razorpay processes them
+import RefundService from '../services/refund.js';
+
+export const REFUND_INTERVAL_MS = 5 * 60 * 1000; // Razorpay refunds take minutes to days
+
+/**
+ * Retry unsent refunds and record the outcome of refunds in flight
+ */
+export const runRefunds = async () => {
+  const summary = await RefundService.processOpenRefunds();
+
+  if (summary.sent > 0 || summary.processed > 0 || summary.failed > 0) {
+    console.log(`💸 [REFUND] ${summary.sent} sent, ${summary.processed} processed, ${summary.failed} failed, ${summary.waiting} waiting`);
+  }
+};
+
+export default runRefunds;
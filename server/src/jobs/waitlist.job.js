@@ -0,0 +1,19 @@
+// Waitlist Job - Expires unpaid waitlist offers and checkout holds and promotes the next students in line
+import WaitlistService from '../services/waitlist.js';
+
+export const WAITLIST_INTERVAL_MS = 60 * 1000; // Offer windows and checkout holds are minutes long
+
+/**
+ * Expire lapsed offers and checkout holds and fill free seats (from
+ * cancellations, refunds, expired holds or capacity increases) from each
+ * event's waitlist
+ */
+export const runWaitlistPromotion = async () => {
+  const { expired, released, promoted } = await WaitlistService.processWaitlists();
+
+  if (expired > 0 || released > 0 || promoted > 0) {
+    console.log(`⏳ [WAITLIST] ${expired} offers expired, ${released} checkout holds released, ${promoted} students promoted`);
+  }
+};
+
+export default runWaitlistPromotion;
@@ -1,5 +1,5 @@
-import jwt from 'jsonwebtoken';
 import { getTokenFromCookie } from '../helpers/cookie.js';
+import KeyRingService from '../services/keyRing.js';
 
 /**
  * Authentication & Authorization Middleware
@@ -46,19 +46,20 @@ export const authenticateToken = (req, res, next) => {
       });
     }
 
-    // Verify token
-    jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-      if (err) {
-        return res.status(403).json({
-          success: false,
-          message: 'Invalid or expired token'
-        });
-      }
+    // Verify token (against the session key named in its kid header)
+    let decoded;
+    try {
+      decoded = KeyRingService.verify(KeyRingService.PURPOSES.SESSION, token);
+    } catch (err) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or expired token'
+      });
+    }
 
-      // Attach user data to request
-      req.user = decoded;
-      next();
-    });
+    // Attach user data to request
+    req.user = decoded;
+    next();
   } catch (error) {
     return res.status(500).json({
       success: false,
@@ -130,11 +131,11 @@ export const optionalAuth = (req, res, next) => {
     }
 
     if (token) {
-      jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-        if (!err) {
-          req.user = decoded;
-        }
-      });
+      try {
+        req.user = KeyRingService.verify(KeyRingService.PURPOSES.SESSION, token);
+      } catch (err) {
+        // Invalid token - continue unauthenticated
+      }
     }
 
     next();
@@ -0,0 +1,82 @@
+import CheckInService from '../services/checkIn.js';
+import EventVolunteerModel from '../models/EventVolunteer.model.js';
+import { errorResponse } from '../helpers/response.js';
+
+/**
+ * Volunteer Permission Middleware
+ *
+ * Resolves which event assignment a volunteer request acts under and checks
+ * the assignment's permissions array (SCAN, VIEW_STUDENTS, VERIFY_PAYMENTS,
+ * MANUAL_CHECKIN) granted by the event manager.
+ *
+ * The event comes from an :eventId route param, event_id in the body or
+ * query, else the session's
+ * current event (POST /api/volunteer/current-event), else the volunteer's only
+ * active assignment - same rules as the scanner.
+ *
+ * @module middleware/volunteerPermission
+ */
+
+/**
+ * Require a permission on the volunteer's event assignment
+ *
+ * @middleware
+ * @description
+ * - Must be used AFTER authenticateToken + authorizeRoles('VOLUNTEER')
+ * - Attaches the resolved assignment to req.volunteerAssignment
+ * - With allowLegacy, volunteers without any active assignment pass through
+ *   with req.volunteerAssignment = null (legacy single-event scanning)
+ *
+ * @param {string} permission - One of EventVolunteerModel.PERMISSIONS
+ * @param {Object} [options]
+ * @param {boolean} [options.allowLegacy=false] - Allow volunteers with no active assignment
+ * @returns {Function} Express middleware function
+ *
+ * @example
+ * router.post('/scan/student', requireVolunteerPermission('SCAN', { allowLegacy: true }), controller.scanStudentQR);
+ *
+ * @throws {403} - Not assigned to the event, or permission not granted
+ * @throws {409} - Several active assignments and no event selected
+ */
+export const requireVolunteerPermission = (permission, { allowLegacy = false } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const requestedEventId = req.params?.eventId || req.body?.event_id || req.query?.event_id || req.user.current_event_id || null;
+
+      const context = await CheckInService.resolveEventContext(req.user.id, requestedEventId);
+      if (!context.resolved) {
+        return errorResponse(res, context.message, context.status, context.details);
+      }
+
+      if (!context.assignment) {
+        if (allowLegacy) {
+          req.volunteerAssignment = null;
+          return next();
+        }
+
+        return errorResponse(res, 'You are not assigned to an active event', 403, {
+          code: 'EVENT_NOT_ASSIGNED'
+        });
+      }
+
+      if (!EventVolunteerModel.hasPermission(context.assignment, permission)) {
+        console.log(`❌ [PERMISSION] Volunteer ${req.user.id} lacks ${permission} for event ${context.assignment.event_id}`);
+        return errorResponse(res, `You do not have ${permission} permission for "${context.assignment.event_name}". Ask the event manager.`, 403, {
+          code: 'PERMISSION_REQUIRED',
+          permission,
+          event_id: context.assignment.event_id,
+          granted_permissions: context.assignment.permissions || []
+        });
+      }
+
+      req.volunteerAssignment = context.assignment;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+export default {
+  requireVolunteerPermission
+};
@@ -0,0 +1,45 @@
+-- ============================================================
+-- Migration: Add Offline Scan Sync
+-- Version: 007
+-- Description: Lets volunteers replay scans captured offline in a batch.
+--              Check-in/out rows keep the client timestamp in scanned_at and
+--              every synced scan leaves a receipt keyed by its idempotency key.
+-- Author: Event Management Team
+-- Date: 2025-11-27
+-- ============================================================
+
+-- ============================================================
+-- 1. CHECK_IN_OUTS: mark rows that arrived through offline sync
+-- ============================================================
+ALTER TABLE check_in_outs
+ADD COLUMN IF NOT EXISTS is_offline_sync BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS synced_at TIMESTAMP; -- Server receipt time (scanned_at holds the client time)
+
+CREATE INDEX IF NOT EXISTS idx_check_in_outs_offline ON check_in_outs(is_offline_sync) WHERE is_offline_sync = TRUE;
+
+-- ============================================================
+-- 2. OFFLINE_SCAN_RECEIPTS TABLE
+-- One row per synced scan so re-sent batches are answered idempotently
+-- ============================================================
+CREATE TABLE IF NOT EXISTS offline_scan_receipts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    volunteer_id UUID NOT NULL REFERENCES volunteers(id) ON DELETE CASCADE,
+    idempotency_key VARCHAR(100) NOT NULL,
+
+    -- Outcome of the replay
+    status VARCHAR(20) NOT NULL CHECK (status IN ('ACCEPTED', 'REJECTED', 'CONFLICT')),
+    check_in_out_id UUID REFERENCES check_in_outs(id) ON DELETE SET NULL,
+    result JSONB DEFAULT '{}'::jsonb,
+
+    -- Timing
+    client_scanned_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+
+    -- Constraints
+    UNIQUE(volunteer_id, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_offline_scan_receipts_volunteer ON offline_scan_receipts(volunteer_id, created_at DESC);
+
+COMMENT ON TABLE offline_scan_receipts IS 'Idempotency receipts for scans synced from offline volunteer devices';
+COMMENT ON COLUMN check_in_outs.synced_at IS 'When an offline scan reached the server (NULL for live scans)';
@@ -0,0 +1,61 @@
+-- ============================================================
+-- Migration: Per-Event Presence Tracking
+-- Version: 008
+-- Description: Tracks inside/outside state per event registration instead
+--              of the global students.is_inside_event flag, and numbers
+--              check_in_outs per event so scans at different events no
+--              longer collide on (student_id, scan_number).
+-- Author: Event Management Team
+-- Date: 2025-11-28
+-- ============================================================
+
+-- ============================================================
+-- 1. EVENT_REGISTRATIONS: presence state for this event only
+-- ============================================================
+ALTER TABLE event_registrations
+ADD COLUMN IF NOT EXISTS is_inside_event BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS scan_count INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS last_check_out_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_event_registrations_inside ON event_registrations(event_id) WHERE is_inside_event = TRUE;
+
+-- ============================================================
+-- 2. CHECK_IN_OUTS: scan numbers are unique per (student, event)
+-- Legacy scans without an event keep the global numbering
+-- ============================================================
+ALTER TABLE check_in_outs DROP CONSTRAINT IF EXISTS unique_student_scan;
+
+CREATE UNIQUE INDEX IF NOT EXISTS unique_student_event_scan
+ON check_in_outs(student_id, event_id, scan_number)
+WHERE event_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS unique_student_legacy_scan
+ON check_in_outs(student_id, scan_number)
+WHERE event_id IS NULL;
+
+-- ============================================================
+-- 3. BACKFILL from existing event-tagged scans
+-- scan_count continues after the highest number already used for the event,
+-- and the student is inside if their latest scan for the event was a CHECKIN
+-- ============================================================
+UPDATE event_registrations er
+SET
+    scan_count = history.max_scan_number,
+    is_inside_event = (history.latest_scan_type = 'CHECKIN'),
+    last_check_out_at = history.last_check_out_at
+FROM (
+    SELECT
+        student_id,
+        event_id,
+        MAX(scan_number) AS max_scan_number,
+        MAX(scanned_at) FILTER (WHERE scan_type = 'CHECKOUT') AS last_check_out_at,
+        (ARRAY_AGG(scan_type ORDER BY scanned_at DESC, scan_number DESC))[1] AS latest_scan_type
+    FROM check_in_outs
+    WHERE event_id IS NOT NULL
+    GROUP BY student_id, event_id
+) history
+WHERE er.student_id = history.student_id
+  AND er.event_id = history.event_id;
+
+COMMENT ON COLUMN event_registrations.is_inside_event IS 'Whether the student is currently inside this event (toggled by gate scans)';
+COMMENT ON COLUMN event_registrations.scan_count IS 'Last check_in_outs.scan_number used for this event';
@@ -0,0 +1,23 @@
+-- ============================================================
+-- Migration: Directional Gate Modes
+-- Version: 009
+-- Description: Each volunteer assignment carries a gate mode next to its
+--              assigned_location. ENTRY_ONLY / EXIT_ONLY gates reject scans
+--              in the other direction instead of flipping the student's state.
+-- Author: Event Management Team
+-- Date: 2025-11-28
+-- ============================================================
+
+ALTER TABLE event_volunteers
+ADD COLUMN IF NOT EXISTS gate_mode VARCHAR(15) DEFAULT 'TOGGLE';
+
+ALTER TABLE event_volunteers DROP CONSTRAINT IF EXISTS event_volunteers_gate_mode_check;
+
+ALTER TABLE event_volunteers
+ADD CONSTRAINT event_volunteers_gate_mode_check CHECK (gate_mode IN (
+    'TOGGLE',       -- Scan flips inside/outside (default, legacy behaviour)
+    'ENTRY_ONLY',   -- Only check-ins allowed at this gate
+    'EXIT_ONLY'     -- Only check-outs allowed at this gate
+));
+
+COMMENT ON COLUMN event_volunteers.gate_mode IS 'Scan direction enforced at this volunteer''s gate: TOGGLE, ENTRY_ONLY or EXIT_ONLY';
@@ -0,0 +1,33 @@
+-- ============================================================
+-- Migration: Security Events
+-- Version: 010
+-- Description: Records suspicious scan activity (e.g. a rotating QR token
+--              presented twice for the same event) so event managers can
+--              review it per event.
+-- Author: Event Management Team
+-- Date: 2025-11-29
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS security_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    event_id UUID REFERENCES events(id) ON DELETE CASCADE, -- NULL for legacy single-event scans
+
+    -- What happened
+    event_type VARCHAR(50) NOT NULL, -- e.g. QR_TOKEN_REUSED
+    severity VARCHAR(10) DEFAULT 'MEDIUM' CHECK (severity IN ('LOW', 'MEDIUM', 'HIGH')),
+
+    -- Who was involved
+    student_id UUID REFERENCES students(id) ON DELETE SET NULL,
+    volunteer_id UUID REFERENCES volunteers(id) ON DELETE SET NULL,
+
+    -- Context (first use, gate, token window, ...)
+    details JSONB DEFAULT '{}'::jsonb,
+
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_security_events_event ON security_events(event_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_security_events_type ON security_events(event_type);
+CREATE INDEX IF NOT EXISTS idx_security_events_student ON security_events(student_id);
+
+COMMENT ON TABLE security_events IS 'Suspicious scan activity surfaced to event managers';
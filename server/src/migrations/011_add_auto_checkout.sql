@@ -0,0 +1,20 @@
+-- ============================================================
+-- Migration: Automatic Checkout
+-- Version: 011
+-- Description: Students who leave without scanning out are checked out by a
+--              scheduled closer when the event ends (or on demand by the
+--              event manager). Those CHECKOUT rows are system-generated, so
+--              they carry no volunteer and are flagged as auto-closed.
+-- Author: Event Management Team
+-- Date: 2025-11-30
+-- ============================================================
+
+-- System-generated rows have no volunteer (also matches ON DELETE SET NULL)
+ALTER TABLE check_in_outs ALTER COLUMN volunteer_id DROP NOT NULL;
+
+ALTER TABLE check_in_outs
+ADD COLUMN IF NOT EXISTS is_auto_closed BOOLEAN DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_check_in_outs_auto_closed ON check_in_outs(event_id) WHERE is_auto_closed = TRUE;
+
+COMMENT ON COLUMN check_in_outs.is_auto_closed IS 'CHECKOUT written by the session closer, not a gate scan (duration is capped)';
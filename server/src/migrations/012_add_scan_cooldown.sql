@@ -0,0 +1,41 @@
+-- ============================================================
+-- Migration: Anti-Passback Cooldown
+-- Version: 012
+-- Description: A repeat scan of the same student within an event's cooldown
+--              window is suppressed (previous result returned, state not
+--              flipped). Suppressed scans are counted per volunteer so
+--              managers can spot double-tapping or faulty scanners.
+-- Author: Event Management Team
+-- Date: 2025-11-30
+-- ============================================================
+
+-- ============================================================
+-- 1. EVENTS: cooldown window per event
+-- ============================================================
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS scan_cooldown_seconds INTEGER DEFAULT 10;
+
+ALTER TABLE events DROP CONSTRAINT IF EXISTS events_scan_cooldown_seconds_check;
+
+ALTER TABLE events
+ADD CONSTRAINT events_scan_cooldown_seconds_check CHECK (scan_cooldown_seconds BETWEEN 0 AND 3600);
+
+-- ============================================================
+-- 2. SUPPRESSED SCAN COUNTERS
+-- ============================================================
+ALTER TABLE event_volunteers
+ADD COLUMN IF NOT EXISTS suppressed_scan_count INTEGER DEFAULT 0;
+
+ALTER TABLE volunteers
+ADD COLUMN IF NOT EXISTS total_suppressed_scans INTEGER DEFAULT 0;
+
+-- ============================================================
+-- 3. OFFLINE SYNC: suppressed offline scans are stored as DUPLICATE
+-- ============================================================
+ALTER TABLE offline_scan_receipts DROP CONSTRAINT IF EXISTS offline_scan_receipts_status_check;
+
+ALTER TABLE offline_scan_receipts
+ADD CONSTRAINT offline_scan_receipts_status_check CHECK (status IN ('ACCEPTED', 'DUPLICATE', 'REJECTED', 'CONFLICT'));
+
+COMMENT ON COLUMN events.scan_cooldown_seconds IS 'Repeat gate scans of a student within this many seconds are ignored (0 = off)';
+COMMENT ON COLUMN event_volunteers.suppressed_scan_count IS 'Scans by this volunteer ignored by the cooldown';
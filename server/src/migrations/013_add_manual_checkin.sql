@@ -0,0 +1,27 @@
+-- ============================================================
+-- Migration: Manual Check-In Fallback
+-- Version: 013
+-- Description: Volunteers holding the MANUAL_CHECKIN permission can check a
+--              student in/out by registration number when the QR cannot be
+--              scanned (dead phone, damaged screen). Manual rows are flagged
+--              and must carry the volunteer's reason.
+-- Author: Event Management Team
+-- Date: 2025-12-01
+-- ============================================================
+
+-- ============================================================
+-- 1. CHECK_IN_OUTS: flag manual entries and keep the reason
+-- ============================================================
+ALTER TABLE check_in_outs
+ADD COLUMN IF NOT EXISTS is_manual BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS manual_reason TEXT;
+
+ALTER TABLE check_in_outs DROP CONSTRAINT IF EXISTS check_in_outs_manual_reason_check;
+
+ALTER TABLE check_in_outs
+ADD CONSTRAINT check_in_outs_manual_reason_check CHECK (is_manual = FALSE OR manual_reason IS NOT NULL);
+
+CREATE INDEX IF NOT EXISTS idx_check_in_outs_manual ON check_in_outs(event_id, scanned_at DESC) WHERE is_manual = TRUE;
+
+COMMENT ON COLUMN check_in_outs.is_manual IS 'Entered by registration number instead of a QR scan';
+COMMENT ON COLUMN check_in_outs.manual_reason IS 'Why the volunteer had to check the student in/out manually';
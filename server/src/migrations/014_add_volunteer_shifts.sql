@@ -0,0 +1,41 @@
+-- ============================================================
+-- Migration: Volunteer Shifts
+-- Version: 014
+-- Description: Gate staffing by shift. A volunteer with shifts for an event
+--              may only scan inside one of them, at the shift's location.
+--              Volunteers without shifts keep scanning for the whole event.
+--              Shift reports are derived from check_in_outs
+--              (volunteer + event + scanned_at inside the shift).
+-- Author: Event Management Team
+-- Date: 2025-12-02
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS volunteer_shifts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    volunteer_id UUID NOT NULL REFERENCES volunteers(id) ON DELETE CASCADE,
+
+    -- Scan window
+    start_time TIMESTAMP NOT NULL,
+    end_time TIMESTAMP NOT NULL,
+
+    -- Where the volunteer stands during this shift (overrides assigned_location)
+    location VARCHAR(255),
+    notes TEXT,
+
+    created_by_manager_id UUID REFERENCES event_managers(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    -- Constraints
+    CONSTRAINT volunteer_shifts_time_check CHECK (end_time > start_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_volunteer_shifts_event ON volunteer_shifts(event_id, start_time);
+CREATE INDEX IF NOT EXISTS idx_volunteer_shifts_volunteer ON volunteer_shifts(volunteer_id, event_id, start_time);
+
+-- Per-shift reporting looks up scans by volunteer, event and time
+CREATE INDEX IF NOT EXISTS idx_check_in_outs_volunteer_event_time ON check_in_outs(volunteer_id, event_id, scanned_at);
+
+COMMENT ON TABLE volunteer_shifts IS 'Time ranges a volunteer staffs an event (scans outside them are rejected)';
+COMMENT ON COLUMN volunteer_shifts.location IS 'Gate/location for this shift (falls back to event_volunteers.assigned_location)';
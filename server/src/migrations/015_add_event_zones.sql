@@ -0,0 +1,84 @@
+-- ============================================================
+-- Migration: Event Zones
+-- Version: 015
+-- Description: Halls/labs inside an event venue with their own capacity.
+--              Volunteers assigned to a zone scan students in and out of it;
+--              entry requires the student to be inside the event and is
+--              refused once current_occupancy reaches capacity.
+-- Author: Event Management Team
+-- Date: 2025-12-03
+-- ============================================================
+
+-- ============================================================
+-- 1. EVENT_ZONES TABLE
+-- ============================================================
+CREATE TABLE IF NOT EXISTS event_zones (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+
+    zone_name VARCHAR(100) NOT NULL,
+    description TEXT,
+
+    -- Capacity (current_occupancy is only changed by conditional updates)
+    capacity INTEGER NOT NULL CHECK (capacity > 0),
+    current_occupancy INTEGER NOT NULL DEFAULT 0 CHECK (current_occupancy >= 0),
+
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    -- Constraints
+    UNIQUE(event_id, zone_name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_zones_event ON event_zones(event_id);
+
+-- ============================================================
+-- 2. ZONE_PRESENCE TABLE (one row per student per zone)
+-- ============================================================
+CREATE TABLE IF NOT EXISTS zone_presence (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    zone_id UUID NOT NULL REFERENCES event_zones(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    student_id UUID NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+
+    is_inside BOOLEAN DEFAULT FALSE,
+    last_entered_at TIMESTAMP,
+    last_exited_at TIMESTAMP,
+    visit_count INTEGER DEFAULT 0,
+    total_time_minutes INTEGER DEFAULT 0,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    -- Constraints
+    UNIQUE(zone_id, student_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_zone_presence_student ON zone_presence(event_id, student_id) WHERE is_inside = TRUE;
+
+-- ============================================================
+-- 3. ZONE_SCANS TABLE (history of zone entries/exits)
+-- ============================================================
+CREATE TABLE IF NOT EXISTS zone_scans (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    zone_id UUID NOT NULL REFERENCES event_zones(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    student_id UUID NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+    volunteer_id UUID REFERENCES volunteers(id) ON DELETE SET NULL, -- NULL when closed by a gate exit / auto-checkout
+
+    scan_type VARCHAR(20) NOT NULL CHECK (scan_type IN ('CHECKIN', 'CHECKOUT')),
+    scanned_at TIMESTAMP DEFAULT NOW(),
+    duration_minutes INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_zone_scans_zone ON zone_scans(zone_id, scanned_at DESC);
+
+-- ============================================================
+-- 4. EVENT_VOLUNTEERS: volunteers posted at a zone scan for it
+-- ============================================================
+ALTER TABLE event_volunteers
+ADD COLUMN IF NOT EXISTS zone_id UUID REFERENCES event_zones(id) ON DELETE SET NULL;
+
+COMMENT ON TABLE event_zones IS 'Capacity-limited areas (halls, labs) inside an event venue';
+COMMENT ON COLUMN event_volunteers.zone_id IS 'Zone this volunteer scans for (NULL = event gate)';
@@ -0,0 +1,35 @@
+-- ============================================================
+-- Migration: Stall Visits
+-- Version: 016
+-- Description: Records a visit when a student scans a stall QR. The first
+--              scan opens the visit, a re-scan closes it with dwell time.
+--              Feedback for a stall requires a recorded visit.
+-- Author: Event Management Team
+-- Date: 2025-12-04
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS stall_visits (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    stall_id UUID NOT NULL REFERENCES stalls(id) ON DELETE CASCADE,
+    student_id UUID NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+    event_id UUID REFERENCES events(id) ON DELETE SET NULL, -- NULL for legacy single-event stalls
+
+    -- Timing
+    scanned_in_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    scanned_out_at TIMESTAMP,           -- Set by the re-scan that ends the visit
+    dwell_minutes INTEGER,              -- NULL while open or when abandoned
+    is_abandoned BOOLEAN DEFAULT FALSE, -- Left open too long, closed without dwell time
+
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- At most one open visit per student per stall
+CREATE UNIQUE INDEX IF NOT EXISTS unique_open_stall_visit
+ON stall_visits(stall_id, student_id)
+WHERE scanned_out_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_stall_visits_student ON stall_visits(student_id, scanned_in_at DESC);
+CREATE INDEX IF NOT EXISTS idx_stall_visits_stall ON stall_visits(stall_id, scanned_in_at DESC);
+
+COMMENT ON TABLE stall_visits IS 'Student stall visits recorded from stall QR scans';
+COMMENT ON COLUMN stall_visits.dwell_minutes IS 'Minutes between the opening scan and the re-scan that closed the visit';
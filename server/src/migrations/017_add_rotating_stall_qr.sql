@@ -0,0 +1,20 @@
+-- ============================================================
+-- Migration: Rotating Stall QR
+-- Version: 017
+-- Description: Optional rotating QR mode per stall. When enabled the stall
+--              shows a time-window token on a display screen (fetched with a
+--              per-stall display key) and the static printed token is no
+--              longer accepted for stall scans or feedback.
+-- Author: Event Management Team
+-- Date: 2025-12-05
+-- ============================================================
+
+ALTER TABLE stalls
+ADD COLUMN IF NOT EXISTS rotating_qr_enabled BOOLEAN DEFAULT FALSE;
+
+-- SHA-256 of the display key; the key itself is only shown once when issued
+ALTER TABLE stalls
+ADD COLUMN IF NOT EXISTS display_key_hash VARCHAR(64);
+
+COMMENT ON COLUMN stalls.rotating_qr_enabled IS 'Only rotating display tokens are accepted for this stall';
+COMMENT ON COLUMN stalls.display_key_hash IS 'SHA-256 of the key the stall display uses to fetch its rotating QR';
@@ -0,0 +1,43 @@
+-- ============================================================
+-- Migration: Badge Exports
+-- Version: 018
+-- Description: Admin-requested printable student ID badge sheets (A4, PDF
+--              or SVG) with static QR codes. Exports are queued here and
+--              rendered by the badge-export background job; the rendered file
+--              is kept for download until it expires.
+-- Author: Event Management Team
+-- Date: 2025-12-06
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS badge_exports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    requested_by_admin_id UUID REFERENCES admins(id) ON DELETE SET NULL,
+
+    -- Request
+    format VARCHAR(3) NOT NULL CHECK (format IN ('PDF', 'SVG')),
+    selection JSONB NOT NULL,           -- { school_id, batch, registration_nos }
+
+    -- Processing
+    status VARCHAR(20) NOT NULL DEFAULT 'PENDING'
+        CHECK (status IN ('PENDING', 'PROCESSING', 'COMPLETED', 'FAILED', 'EXPIRED')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    error_message TEXT,
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+
+    -- Result
+    student_count INTEGER,
+    page_count INTEGER,
+    result_pdf BYTEA,                   -- PDF: one multi-page document
+    result_svg_pages TEXT[],            -- SVG: one document per A4 page
+    result_size_bytes INTEGER,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_badge_exports_status ON badge_exports(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_badge_exports_admin ON badge_exports(requested_by_admin_id, created_at DESC);
+
+COMMENT ON TABLE badge_exports IS 'Queued and rendered student ID badge sheet exports';
+COMMENT ON COLUMN badge_exports.selection IS 'Students to include: school_id and/or batch, or an explicit registration_nos list';
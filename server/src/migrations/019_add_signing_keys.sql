@@ -0,0 +1,44 @@
+-- ============================================================
+-- Migration: Signing Key Ring
+-- Version: 019
+-- Description: Per-purpose signing keys (sessions, student QR, stall QR)
+--              identified by a key ID ("kid") in the token header. Tokens
+--              verify against any key that is not retired, so a rotation
+--              does not log everyone out or void printed QR codes.
+--              The "legacy" key of each purpose is JWT_SECRET itself and
+--              covers tokens issued before the key ring (no kid header).
+-- Author: Event Management Team
+-- Date: 2025-12-07
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS signing_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('SESSION', 'STUDENT_QR', 'STALL_QR')),
+    kid VARCHAR(32) NOT NULL,
+
+    -- AES-256-GCM encrypted key material (NULL for the legacy JWT_SECRET key)
+    secret_ciphertext TEXT,
+
+    status VARCHAR(20) NOT NULL DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'RETIRED')),
+    activated_at TIMESTAMP NOT NULL DEFAULT NOW(), -- Signs new tokens from this moment (newest wins)
+    retired_at TIMESTAMP,
+    created_by_admin_id UUID REFERENCES admins(id) ON DELETE SET NULL,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+
+    CONSTRAINT unique_signing_key UNIQUE (purpose, kid),
+    CONSTRAINT legacy_key_has_no_secret CHECK ((kid = 'legacy') = (secret_ciphertext IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_signing_keys_purpose ON signing_keys(purpose, status, activated_at DESC);
+
+-- Existing tokens were all signed with JWT_SECRET
+INSERT INTO signing_keys (purpose, kid, secret_ciphertext, activated_at)
+VALUES
+    ('SESSION', 'legacy', NULL, '2000-01-01'),
+    ('STUDENT_QR', 'legacy', NULL, '2000-01-01'),
+    ('STALL_QR', 'legacy', NULL, '2000-01-01')
+ON CONFLICT (purpose, kid) DO NOTHING;
+
+COMMENT ON TABLE signing_keys IS 'Key ring for session and QR token signing (kid is carried in the JWT header)';
+COMMENT ON COLUMN signing_keys.activated_at IS 'Future activation gives every API instance time to load the key before tokens signed with it appear';
@@ -0,0 +1,19 @@
+-- ============================================================
+-- Migration: Offline-Verifiable QR Signing Keys
+-- Version: 020
+-- Description: Adds the OFFLINE_QR key ring purpose. Its keys are Ed25519
+--              key pairs derived from the stored secret; scanner devices
+--              verify signed compact student QR tokens with the public keys
+--              from GET /api/volunteer/qr-public-keys.
+-- Author: Event Management Team
+-- Date: 2025-12-08
+-- ============================================================
+
+ALTER TABLE signing_keys DROP CONSTRAINT IF EXISTS signing_keys_purpose_check;
+ALTER TABLE signing_keys ADD CONSTRAINT signing_keys_purpose_check
+    CHECK (purpose IN ('SESSION', 'STUDENT_QR', 'STALL_QR', 'OFFLINE_QR'));
+
+-- The legacy key pair is derived from JWT_SECRET, like the other purposes
+INSERT INTO signing_keys (purpose, kid, secret_ciphertext, activated_at)
+VALUES ('OFFLINE_QR', 'legacy', NULL, '2000-01-01')
+ON CONFLICT (purpose, kid) DO NOTHING;
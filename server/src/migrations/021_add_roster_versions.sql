@@ -0,0 +1,65 @@
+-- ============================================================
+-- Migration: Offline Roster Versions
+-- Version: 021
+-- Description: Change tracking for the offline gate roster bundle.
+--              Each registration remembers the transaction that last
+--              changed what the roster carries (registration/payment
+--              status, student name, photo). A roster version is the
+--              oldest transaction still running when it was read, so a
+--              delta "since" that version also picks up changes that
+--              committed after the read.
+-- Author: Event Management Team
+-- Date: 2025-12-09
+-- ============================================================
+
+-- SHA-256 of the student's ID photo (set when photos are imported)
+ALTER TABLE students ADD COLUMN IF NOT EXISTS photo_hash VARCHAR(64);
+
+ALTER TABLE event_registrations
+    ADD COLUMN IF NOT EXISTS roster_txid XID8 NOT NULL DEFAULT pg_current_xact_id();
+
+CREATE INDEX IF NOT EXISTS idx_event_registrations_roster ON event_registrations(event_id, roster_txid);
+
+-- Registration changes that affect gate eligibility
+CREATE OR REPLACE FUNCTION touch_registration_roster_txid()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.roster_txid := pg_current_xact_id();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_registration_roster_txid ON event_registrations;
+CREATE TRIGGER trg_registration_roster_txid
+BEFORE UPDATE ON event_registrations
+FOR EACH ROW
+WHEN (
+    OLD.registration_type IS DISTINCT FROM NEW.registration_type
+    OR OLD.payment_status IS DISTINCT FROM NEW.payment_status
+    OR OLD.registration_status IS DISTINCT FROM NEW.registration_status
+)
+EXECUTE FUNCTION touch_registration_roster_txid();
+
+-- Student details shown on the gate device
+CREATE OR REPLACE FUNCTION touch_student_roster_txid()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE event_registrations
+    SET roster_txid = pg_current_xact_id()
+    WHERE student_id = NEW.id;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_student_roster_txid ON students;
+CREATE TRIGGER trg_student_roster_txid
+AFTER UPDATE ON students
+FOR EACH ROW
+WHEN (
+    OLD.registration_no IS DISTINCT FROM NEW.registration_no
+    OR OLD.full_name IS DISTINCT FROM NEW.full_name
+    OR OLD.photo_hash IS DISTINCT FROM NEW.photo_hash
+)
+EXECUTE FUNCTION touch_student_roster_txid();
+
+COMMENT ON COLUMN event_registrations.roster_txid IS 'Transaction that last changed this row''s offline roster entry';
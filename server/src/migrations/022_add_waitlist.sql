@@ -0,0 +1,29 @@
+-- ============================================================
+-- Migration: Event Waitlist
+-- Version: 022
+-- Description: FIFO waitlist with automatic promotion. Waitlisted
+--              registrations queue by registered_at. When a seat frees up
+--              the next student is confirmed (free events) or offered the
+--              seat for waitlist_offer_minutes to pay (paid events). An open
+--              offer holds its seat through events.waitlist_offers_open.
+-- Author: Event Management Team
+-- Date: 2025-12-10
+-- ============================================================
+
+ALTER TABLE events
+    ADD COLUMN IF NOT EXISTS waitlist_offer_minutes INTEGER NOT NULL DEFAULT 60
+        CHECK (waitlist_offer_minutes BETWEEN 5 AND 10080),
+    ADD COLUMN IF NOT EXISTS waitlist_offers_open INTEGER NOT NULL DEFAULT 0
+        CHECK (waitlist_offers_open >= 0);
+
+ALTER TABLE event_registrations
+    ADD COLUMN IF NOT EXISTS waitlist_offer_expires_at TIMESTAMP, -- Set while a paid-event seat is offered
+    ADD COLUMN IF NOT EXISTS promoted_at TIMESTAMP;
+
+-- Queue order lookups
+CREATE INDEX IF NOT EXISTS idx_event_registrations_waitlist
+    ON event_registrations(event_id, registered_at)
+    WHERE registration_status = 'WAITLISTED';
+
+COMMENT ON COLUMN events.waitlist_offers_open IS 'Seats held for waitlisted students who were offered a paid seat and have not paid yet';
+COMMENT ON COLUMN event_registrations.waitlist_offer_expires_at IS 'End of the payment window after promotion from the waitlist (paid events)';
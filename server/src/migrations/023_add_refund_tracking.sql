@@ -0,0 +1,37 @@
+-- ============================================================
+-- Migration: Registration Cancellation & Refund Tracking
+-- Version: 023
+-- Description: Structured refund rules per event and refund state on
+--              registrations. A student cancellation records the refund
+--              owed (PENDING), the refund job sends it to Razorpay
+--              (PROCESSING) and follows it until Razorpay reports it
+--              processed (PROCESSED) or it is given up on (FAILED).
+-- Author: Event Management Team
+-- Date: 2025-12-11
+-- ============================================================
+
+-- Tiers, e.g. [{"hours_before_start": 72, "refund_percent": 100}, {"hours_before_start": 24, "refund_percent": 50}]
+-- Cancelling at least hours_before_start before the event refunds refund_percent; later gets nothing.
+-- NULL with refund_enabled = TRUE refunds in full until the event starts.
+ALTER TABLE events ADD COLUMN IF NOT EXISTS refund_rules JSONB;
+
+ALTER TABLE event_registrations
+    ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS refund_status VARCHAR(20) CHECK (refund_status IN (
+        'PENDING',      -- Owed, not yet sent to Razorpay
+        'PROCESSING',   -- Sent, waiting for Razorpay to process it
+        'PROCESSED',    -- Money returned
+        'FAILED'        -- Gave up, needs manual follow-up
+    )),
+    ADD COLUMN IF NOT EXISTS razorpay_refund_id VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS refund_requested_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS refund_attempts INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS refund_error TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_event_registrations_refund_status
+    ON event_registrations(refund_status)
+    WHERE refund_status IN ('PENDING', 'PROCESSING');
+
+CREATE INDEX IF NOT EXISTS idx_event_registrations_refund_id
+    ON event_registrations(razorpay_refund_id)
+    WHERE razorpay_refund_id IS NOT NULL;
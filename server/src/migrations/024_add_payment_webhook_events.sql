@@ -0,0 +1,27 @@
+-- ============================================================
+-- Migration: Razorpay Webhook Deliveries
+-- Version: 024
+-- Description: One row per Razorpay webhook event (x-razorpay-event-id).
+--              Razorpay redelivers until it gets a 2xx, so an event that
+--              was PROCESSED is acknowledged without running it again; a
+--              FAILED one is retried on the next delivery.
+-- Author: Event Management Team
+-- Date: 2025-12-12
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS payment_webhook_events (
+    event_id VARCHAR(100) PRIMARY KEY,          -- x-razorpay-event-id header
+    event_type VARCHAR(50) NOT NULL,            -- payment.captured, refund.processed, ...
+    status VARCHAR(20) NOT NULL DEFAULT 'RECEIVED' CHECK (status IN ('RECEIVED', 'PROCESSED', 'FAILED')),
+    outcome VARCHAR(50),                        -- What the event did, e.g. COMPLETED, ALREADY_COMPLETED, UNMATCHED
+    attempts INTEGER NOT NULL DEFAULT 1,
+    error_message TEXT,
+    payload JSONB,
+    received_at TIMESTAMP DEFAULT NOW(),
+    processed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_webhook_events_received
+    ON payment_webhook_events(received_at DESC);
+
+COMMENT ON TABLE payment_webhook_events IS 'Razorpay webhook deliveries, deduplicated by event ID';
@@ -0,0 +1,36 @@
+-- ============================================================
+-- Migration: Payment Reconciliation Reports
+-- Version: 025
+-- Description: One report per reconciliation run. The reconciler checks
+--              PENDING paid registrations whose checkout went stale with
+--              Razorpay and completes, fails or expires them; actions lists
+--              what it did to each registration.
+-- Author: Event Management Team
+-- Date: 2025-12-13
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS payment_reconciliation_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    trigger VARCHAR(20) NOT NULL DEFAULT 'SCHEDULED' CHECK (trigger IN ('SCHEDULED', 'MANUAL')),
+    triggered_by_admin_id UUID REFERENCES admins(id) ON DELETE SET NULL,
+    stale_after_minutes INTEGER NOT NULL,
+    checked INTEGER NOT NULL DEFAULT 0,
+    completed INTEGER NOT NULL DEFAULT 0,
+    failed INTEGER NOT NULL DEFAULT 0,
+    expired INTEGER NOT NULL DEFAULT 0,
+    skipped INTEGER NOT NULL DEFAULT 0,                -- Payment still in progress or nothing to change
+    errors INTEGER NOT NULL DEFAULT 0,                 -- Razorpay/database errors, retried next run
+    actions JSONB NOT NULL DEFAULT '[]'::jsonb,        -- [{ registration_id, order_id, action, detail }]
+    started_at TIMESTAMP NOT NULL,
+    finished_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_reconciliation_runs_started
+    ON payment_reconciliation_runs(started_at DESC);
+
+-- Stale checkout lookups
+CREATE INDEX IF NOT EXISTS idx_event_registrations_pending_payment
+    ON event_registrations(updated_at)
+    WHERE payment_status = 'PENDING';
+
+COMMENT ON TABLE payment_reconciliation_runs IS 'Reports of the stale PENDING payment reconciler';
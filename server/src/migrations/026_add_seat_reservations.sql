@@ -0,0 +1,105 @@
+-- ============================================================
+-- Migration: Atomic Seat Reservation
+-- Version: 026
+-- Description: Seats are taken and released only by
+--              SeatReservationService, with conditional updates on the
+--              events row, so concurrent registrations can't oversell.
+--              - events.seats_held (was waitlist_offers_open) counts seats
+--                held for open waitlist offers AND paid checkouts
+--              - event_registrations.seat_hold_expires_at marks a paid
+--                checkout's hold until it is paid, fails or times out
+--              - The registration trigger no longer touches
+--                current_registrations (it counted every insert on top of
+--                the application's own increment) and the counters are
+--                recounted from the registrations
+-- Author: Event Management Team
+-- Date: 2025-12-14
+-- ============================================================
+
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'events' AND column_name = 'waitlist_offers_open'
+    ) THEN
+        ALTER TABLE events RENAME COLUMN waitlist_offers_open TO seats_held;
+    END IF;
+END $$;
+
+ALTER TABLE events
+    ADD COLUMN IF NOT EXISTS seats_held INTEGER NOT NULL DEFAULT 0 CHECK (seats_held >= 0);
+
+ALTER TABLE event_registrations
+    ADD COLUMN IF NOT EXISTS seat_hold_expires_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_event_registrations_seat_hold
+    ON event_registrations(seat_hold_expires_at)
+    WHERE seat_hold_expires_at IS NOT NULL;
+
+-- Statistics only; capacity (current_registrations, seats_held) is maintained by the application
+CREATE OR REPLACE FUNCTION update_event_registration_count()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        UPDATE events 
+        SET total_registrations = total_registrations + 1,
+            updated_at = NOW()
+        WHERE id = NEW.event_id;
+        
+        IF NEW.registration_type = 'PAID' AND NEW.payment_status = 'COMPLETED' THEN
+            UPDATE events 
+            SET total_paid_registrations = total_paid_registrations + 1,
+                total_revenue = total_revenue + NEW.payment_amount,
+                updated_at = NOW()
+            WHERE id = NEW.event_id;
+        END IF;
+        
+        UPDATE students 
+        SET total_events_registered = total_events_registered + 1,
+            updated_at = NOW()
+        WHERE id = NEW.student_id;
+        
+    ELSIF TG_OP = 'UPDATE' THEN
+        IF OLD.payment_status != 'COMPLETED' AND NEW.payment_status = 'COMPLETED' THEN
+            UPDATE events 
+            SET total_paid_registrations = total_paid_registrations + 1,
+                total_revenue = total_revenue + NEW.payment_amount,
+                updated_at = NOW()
+            WHERE id = NEW.event_id;
+            
+            UPDATE students 
+            SET total_paid_events = total_paid_events + 1,
+                total_spent_on_events = total_spent_on_events + NEW.payment_amount,
+                updated_at = NOW()
+            WHERE id = NEW.student_id;
+        END IF;
+        
+        IF OLD.payment_status != 'REFUNDED' AND NEW.payment_status = 'REFUNDED' THEN
+            UPDATE events 
+            SET total_revenue = total_revenue - NEW.refund_amount,
+                updated_at = NOW()
+            WHERE id = NEW.event_id;
+        END IF;
+    END IF;
+    
+    RETURN COALESCE(NEW, OLD);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Recount from the registrations (taken seats and held seats)
+UPDATE events e
+SET current_registrations = (
+        SELECT COUNT(*) FROM event_registrations er
+        WHERE er.event_id = e.id
+          AND er.registration_status = 'CONFIRMED'
+          AND (er.registration_type <> 'PAID' OR er.payment_status = 'COMPLETED')
+    ),
+    seats_held = (
+        SELECT COUNT(*) FROM event_registrations er
+        WHERE er.event_id = e.id
+          AND (er.seat_hold_expires_at IS NOT NULL
+            OR (er.registration_status = 'WAITLISTED' AND er.waitlist_offer_expires_at IS NOT NULL))
+    );
+
+COMMENT ON COLUMN events.seats_held IS 'Seats held for open waitlist offers and unpaid checkouts (see SeatReservationService)';
+COMMENT ON COLUMN event_registrations.seat_hold_expires_at IS 'End of the seat hold for an unpaid checkout';
@@ -0,0 +1,97 @@
+-- ============================================================
+-- Migration: Event Sessions
+-- Version: 027
+-- Description: Sessions inside an event (workshop series), each with its
+--              own time, venue and optional capacity. A registration covers
+--              the whole event (session_scope EVENT) or only the sessions it
+--              booked (SESSIONS); sessions with a capacity always need a
+--              booking, and booked_count is only changed by conditional
+--              updates. Volunteers posted at a session record attendance,
+--              and events.min_sessions_for_completion sets how many attended
+--              sessions count as completing the event.
+-- Author: Event Management Team
+-- Date: 2025-12-15
+-- ============================================================
+
+-- ============================================================
+-- 1. EVENT_SESSIONS TABLE
+-- ============================================================
+CREATE TABLE IF NOT EXISTS event_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+
+    session_name VARCHAR(200) NOT NULL,
+    description TEXT,
+    venue VARCHAR(255),
+    start_time TIMESTAMP NOT NULL,
+    end_time TIMESTAMP NOT NULL,
+
+    -- Capacity (NULL = unlimited; booked_count is only changed by conditional updates)
+    capacity INTEGER CHECK (capacity IS NULL OR capacity > 0),
+    booked_count INTEGER NOT NULL DEFAULT 0 CHECK (booked_count >= 0),
+
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    -- Constraints
+    CHECK (end_time > start_time),
+    UNIQUE(event_id, session_name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_sessions_event ON event_sessions(event_id, start_time);
+
+-- ============================================================
+-- 2. SESSION_BOOKINGS TABLE (seats booked in a session)
+-- ============================================================
+CREATE TABLE IF NOT EXISTS session_bookings (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES event_sessions(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    student_id UUID NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+    registration_id UUID NOT NULL REFERENCES event_registrations(id) ON DELETE CASCADE,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+
+    -- Constraints
+    UNIQUE(session_id, student_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_bookings_registration ON session_bookings(registration_id);
+
+-- ============================================================
+-- 3. SESSION_ATTENDANCE TABLE (one row per student per attended session)
+-- ============================================================
+CREATE TABLE IF NOT EXISTS session_attendance (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES event_sessions(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    student_id UUID NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+    volunteer_id UUID REFERENCES volunteers(id) ON DELETE SET NULL,
+
+    checked_in_at TIMESTAMP DEFAULT NOW(),
+
+    -- Constraints
+    UNIQUE(session_id, student_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_attendance_student ON session_attendance(event_id, student_id);
+
+-- ============================================================
+-- 4. REGISTRATION SCOPE, COMPLETION RULE, SESSION POSTS
+-- ============================================================
+ALTER TABLE event_registrations
+ADD COLUMN IF NOT EXISTS session_scope VARCHAR(10) NOT NULL DEFAULT 'EVENT'
+    CHECK (session_scope IN ('EVENT', 'SESSIONS'));
+
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS min_sessions_for_completion INTEGER
+    CHECK (min_sessions_for_completion IS NULL OR min_sessions_for_completion > 0);
+
+ALTER TABLE event_volunteers
+ADD COLUMN IF NOT EXISTS session_id UUID REFERENCES event_sessions(id) ON DELETE SET NULL;
+
+COMMENT ON TABLE event_sessions IS 'Scheduled sessions of an event (workshop series), optionally capacity-limited';
+COMMENT ON COLUMN event_registrations.session_scope IS 'EVENT = every session, SESSIONS = only the booked sessions';
+COMMENT ON COLUMN events.min_sessions_for_completion IS 'Attended sessions needed to complete the event (NULL = all of the student''s sessions)';
+COMMENT ON COLUMN event_volunteers.session_id IS 'Session this volunteer records attendance for (NULL = event gate or zone)';
@@ -0,0 +1,23 @@
+-- ============================================================
+-- Migration: Reserve Offline Scan Receipts
+-- Version: 028
+-- Description: A synced scan first claims its idempotency key with a
+--              PENDING receipt and is only replayed by the request that
+--              won the claim, so concurrent syncs of the same batch can't
+--              both apply it. The receipt is finalized with the outcome.
+-- Author: Event Management Team
+-- Date: 2025-12-16
+-- ============================================================
+
+ALTER TABLE offline_scan_receipts DROP CONSTRAINT IF EXISTS offline_scan_receipts_status_check;
+
+ALTER TABLE offline_scan_receipts
+ADD CONSTRAINT offline_scan_receipts_status_check CHECK (status IN (
+    'PENDING',      -- Key claimed, replay in progress
+    'ACCEPTED',
+    'DUPLICATE',    -- Repeat scan inside the cooldown (012)
+    'REJECTED',
+    'CONFLICT'
+));
+
+COMMENT ON COLUMN offline_scan_receipts.status IS 'PENDING while the claiming request replays the scan, then its outcome';
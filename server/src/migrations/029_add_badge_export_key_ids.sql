@@ -0,0 +1,17 @@
+-- ============================================================
+-- Migration: Badge Export Signing Keys
+-- Version: 029
+-- Description: Records which STUDENT_QR keys signed the tokens printed on
+--              each badge export. Re-signing only moves the stored tokens,
+--              so printed sheets keep the old key and retiring it needs an
+--              explicit force once any export carries it.
+-- Author: Event Management Team
+-- Date: 2025-12-17
+-- ============================================================
+
+ALTER TABLE badge_exports
+ADD COLUMN IF NOT EXISTS qr_key_ids TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_badge_exports_qr_key_ids ON badge_exports USING GIN (qr_key_ids);
+
+COMMENT ON COLUMN badge_exports.qr_key_ids IS 'Key IDs (kid, legacy for tokens without one) of the QR tokens printed in this export';
@@ -0,0 +1,20 @@
+-- ============================================================
+-- Migration: Razorpay Webhook Delivery Claims
+-- Version: 030
+-- Description: claimed_at records when a delivery last took an event for
+--              processing. A redelivery only takes the event again if it
+--              FAILED, or if it is still RECEIVED and the claim is stale
+--              (the instance handling it died), so an event in flight is
+--              never processed by two deliveries at once.
+-- Author: Event Management Team
+-- Date: 2025-12-17
+-- ============================================================
+
+ALTER TABLE payment_webhook_events
+ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP DEFAULT NOW();
+
+UPDATE payment_webhook_events
+SET claimed_at = received_at
+WHERE claimed_at IS NULL OR claimed_at > received_at;
+
+COMMENT ON COLUMN payment_webhook_events.claimed_at IS 'When a delivery last took this event for processing (stale RECEIVED claims are taken over)';
@@ -26,10 +26,38 @@ async function runMigration() {
     `);
 
     // Get list of migration files (in order)
+    // 005/006 are idempotent, so they are safe to replay on databases
+    // that were upgraded through run-multi-event-migration.js
     const migrationFiles = [
       '001_initial_schema.sql',
       '003_add_student_auth_fields.sql',
-      '004_remove_is_first_login.sql'
+      '004_remove_is_first_login.sql',
+      '005_add_multi_event_support.sql',
+      '006_add_audit_logs_table.sql',
+      '007_add_offline_scan_sync.sql',
+      '008_add_per_event_presence.sql',
+      '009_add_volunteer_gate_mode.sql',
+      '010_add_security_events.sql',
+      '011_add_auto_checkout.sql',
+      '012_add_scan_cooldown.sql',
+      '013_add_manual_checkin.sql',
+      '014_add_volunteer_shifts.sql',
+      '015_add_event_zones.sql',
+      '016_add_stall_visits.sql',
+      '017_add_rotating_stall_qr.sql',
+      '018_add_badge_exports.sql',
+      '019_add_signing_keys.sql',
+      '020_add_offline_qr_signing_key.sql',
+      '021_add_roster_versions.sql',
+      '022_add_waitlist.sql',
+      '023_add_refund_tracking.sql',
+      '024_add_payment_webhook_events.sql',
+      '025_add_payment_reconciliation_runs.sql',
+      '026_add_seat_reservations.sql',
+      '027_add_event_sessions.sql',
+      '028_add_offline_scan_reservations.sql',
+      '029_add_badge_export_key_ids.sql',
+      '030_add_webhook_event_claims.sql'
     ];
 
     // Check which migrations have already been run
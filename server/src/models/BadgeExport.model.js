@@ -0,0 +1,244 @@
+// BadgeExport Model - Queued student ID badge sheet exports
+import { pool } from '../config/db.js';
+
+// Columns returned for status/list views (never the rendered file)
+const SUMMARY_COLUMNS = `
+  id, requested_by_admin_id, format, selection, status, attempts, error_message,
+  started_at, completed_at, student_count, page_count, result_size_bytes,
+  qr_key_ids, created_at, updated_at
+`;
+
+class BadgeExport {
+  static MAX_ATTEMPTS = 3;
+  static STALE_PROCESSING_MINUTES = 15; // A worker that died mid-export releases the job after this
+  static RESULT_TTL_HOURS = 24;
+
+  /**
+   * Queue an export
+   * @param {Object} data - { requested_by_admin_id, format, selection, student_count }
+   * @returns {Promise<Object>}
+   */
+  static async create(data) {
+    const { requested_by_admin_id, format, selection, student_count = null } = data;
+
+    const result = await pool(
+      `INSERT INTO badge_exports (requested_by_admin_id, format, selection, student_count)
+       VALUES ($1, $2, $3, $4)
+       RETURNING ${SUMMARY_COLUMNS}`,
+      [requested_by_admin_id, format, JSON.stringify(selection), student_count]
+    );
+
+    return result[0];
+  }
+
+  /**
+   * Find export by ID (without the rendered file)
+   * @param {string} exportId - Export UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(exportId) {
+    const result = await pool(
+      `SELECT ${SUMMARY_COLUMNS} FROM badge_exports WHERE id = $1 LIMIT 1`,
+      [exportId]
+    );
+
+    return result[0] || null;
+  }
+
+  /**
+   * Recent exports, newest first
+   * @param {number} limit - Max rows
+   * @param {number} offset - Rows to skip
+   * @returns {Promise<Array>}
+   */
+  static async findRecent(limit = 20, offset = 0) {
+    const result = await pool(
+      `SELECT ${SUMMARY_COLUMNS}
+       FROM badge_exports
+       ORDER BY created_at DESC
+       LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+
+    return result || [];
+  }
+
+  /**
+   * Claim the oldest queued export for processing
+   * Single statement with SKIP LOCKED, so two workers never take the same job.
+   * PROCESSING jobs older than STALE_PROCESSING_MINUTES are picked up again.
+   * @returns {Promise<Object|null>}
+   */
+  static async claimNext() {
+    const result = await pool(
+      `UPDATE badge_exports
+       SET status = 'PROCESSING',
+           attempts = attempts + 1,
+           started_at = NOW(),
+           updated_at = NOW()
+       WHERE id = (
+         SELECT id FROM badge_exports
+         WHERE attempts < $1
+           AND (
+             status = 'PENDING'
+             OR (status = 'PROCESSING' AND started_at < NOW() - ($2 || ' minutes')::interval)
+           )
+         ORDER BY created_at ASC
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING ${SUMMARY_COLUMNS}`,
+      [this.MAX_ATTEMPTS, String(this.STALE_PROCESSING_MINUTES)]
+    );
+
+    return result[0] || null;
+  }
+
+  /**
+   * Store the rendered file and mark the export completed
+   * @param {string} exportId - Export UUID
+   * @param {Object} output - { student_count, page_count, qr_key_ids, pdf?: Buffer, svg_pages?: string[] }
+   * @returns {Promise<Object|null>}
+   */
+  static async complete(exportId, output) {
+    const { student_count, page_count, qr_key_ids = [], pdf = null, svg_pages = null } = output;
+    const sizeBytes = pdf
+      ? pdf.length
+      : svg_pages.reduce((total, page) => total + Buffer.byteLength(page), 0);
+
+    const result = await pool(
+      `UPDATE badge_exports
+       SET status = 'COMPLETED',
+           student_count = $2,
+           page_count = $3,
+           result_pdf = decode($4, 'base64'),
+           result_svg_pages = $5,
+           result_size_bytes = $6,
+           qr_key_ids = $7,
+           error_message = NULL,
+           completed_at = NOW(),
+           updated_at = NOW()
+       WHERE id = $1 AND status = 'PROCESSING'
+       RETURNING ${SUMMARY_COLUMNS}`,
+      [exportId, student_count, page_count, pdf ? pdf.toString('base64') : null, svg_pages, sizeBytes, qr_key_ids]
+    );
+
+    return result[0] || null;
+  }
+
+  /**
+   * Record a failed attempt (re-queued until MAX_ATTEMPTS)
+   * @param {string} exportId - Export UUID
+   * @param {string} errorMessage - Failure reason
+   * @param {boolean} retryable - false = fail immediately (e.g. nothing to render)
+   * @returns {Promise<Object|null>}
+   */
+  static async fail(exportId, errorMessage, retryable = true) {
+    const result = await pool(
+      `UPDATE badge_exports
+       SET status = CASE WHEN $3 AND attempts < $4 THEN 'PENDING' ELSE 'FAILED' END,
+           error_message = $2,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING ${SUMMARY_COLUMNS}`,
+      [exportId, errorMessage, retryable, this.MAX_ATTEMPTS]
+    );
+
+    return result[0] || null;
+  }
+
+  /**
+   * Fail exports whose worker died during their last allowed attempt
+   * (claimNext no longer picks them up, so they would stay PROCESSING)
+   * @returns {Promise<number>} Exports failed
+   */
+  static async failStaleProcessing() {
+    const result = await pool(
+      `UPDATE badge_exports
+       SET status = 'FAILED',
+           error_message = 'Export stopped responding on its last attempt',
+           updated_at = NOW()
+       WHERE status = 'PROCESSING'
+         AND attempts >= $1
+         AND started_at < NOW() - ($2 || ' minutes')::interval
+       RETURNING id`,
+      [this.MAX_ATTEMPTS, String(this.STALE_PROCESSING_MINUTES)]
+    );
+
+    return result.length;
+  }
+
+  /**
+   * Completed exports (downloadable or expired) that printed tokens signed with a key
+   * @param {string} kid - STUDENT_QR key ID
+   * @returns {Promise<number>}
+   */
+  static async countPrintedWithKey(kid) {
+    const result = await pool(
+      `SELECT COUNT(*) as count
+       FROM badge_exports
+       WHERE qr_key_ids @> ARRAY[$1]::text[]
+         AND status IN ('COMPLETED', 'EXPIRED')`,
+      [kid]
+    );
+
+    return parseInt(result[0]?.count || 0);
+  }
+
+  /**
+   * Get the rendered PDF
+   * @param {string} exportId - Export UUID
+   * @returns {Promise<Buffer|null>}
+   */
+  static async getPdf(exportId) {
+    const result = await pool(
+      `SELECT encode(result_pdf, 'base64') as pdf
+       FROM badge_exports
+       WHERE id = $1 AND status = 'COMPLETED'
+       LIMIT 1`,
+      [exportId]
+    );
+
+    return result[0]?.pdf ? Buffer.from(result[0].pdf, 'base64') : null;
+  }
+
+  /**
+   * Get one rendered SVG page
+   * @param {string} exportId - Export UUID
+   * @param {number} page - 1-based page number
+   * @returns {Promise<string|null>}
+   */
+  static async getSvgPage(exportId, page) {
+    const result = await pool(
+      `SELECT result_svg_pages[$2] as svg
+       FROM badge_exports
+       WHERE id = $1 AND status = 'COMPLETED'
+       LIMIT 1`,
+      [exportId, page]
+    );
+
+    return result[0]?.svg || null;
+  }
+
+  /**
+   * Drop rendered files older than RESULT_TTL_HOURS
+   * @returns {Promise<number>} Exports expired
+   */
+  static async expireOldResults() {
+    const result = await pool(
+      `UPDATE badge_exports
+       SET status = 'EXPIRED',
+           result_pdf = NULL,
+           result_svg_pages = NULL,
+           updated_at = NOW()
+       WHERE status = 'COMPLETED'
+         AND completed_at < NOW() - ($1 || ' hours')::interval
+       RETURNING id`,
+      [String(this.RESULT_TTL_HOURS)]
+    );
+
+    return result.length;
+  }
+}
+
+export default BadgeExport;
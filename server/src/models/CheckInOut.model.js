@@ -4,30 +4,43 @@ class CheckInOutModel {
     this.id = data.id;
     this.student_id = data.student_id;
     this.volunteer_id = data.volunteer_id;
+    this.event_id = data.event_id;
     this.scan_type = data.scan_type;
     this.scan_number = data.scan_number;
     this.scanned_at = data.scanned_at;
     this.duration_minutes = data.duration_minutes;
+    this.is_offline_sync = data.is_offline_sync;
+    this.synced_at = data.synced_at;
+    this.is_auto_closed = data.is_auto_closed;
+    this.is_manual = data.is_manual;
+    this.manual_reason = data.manual_reason;
     // Join fields
     this.student_name = data.student_name;
     this.registration_no = data.registration_no;
     this.volunteer_name = data.volunteer_name;
   }
 
+  // scanned_at defaults to NOW(); offline-synced scans pass the client timestamp
   static async create(data, sql) {
     const query = `
       INSERT INTO check_in_outs (
-        student_id, volunteer_id, scan_type, scan_number, scanned_at, duration_minutes
+        student_id, volunteer_id, event_id, scan_type, scan_number, scanned_at, duration_minutes,
+        is_offline_sync, synced_at, is_manual, manual_reason
       )
-      VALUES ($1, $2, $3, $4, NOW(), $5)
+      VALUES ($1, $2, $3, $4, $5, COALESCE($6, NOW()), $7, $8, CASE WHEN $8 THEN NOW() ELSE NULL END, $9, $10)
       RETURNING *
     `;
     const results = await sql(query, [
       data.student_id,
       data.volunteer_id,
+      data.event_id || null,
       data.scan_type,
       data.scan_number,
-      data.duration_minutes || null
+      data.scanned_at || null,
+      data.duration_minutes || null,
+      data.is_offline_sync || false,
+      data.is_manual || false,
+      data.manual_reason || null
     ]);
     return new CheckInOutModel(results[0]);
   }
@@ -85,6 +98,26 @@ class CheckInOutModel {
     return results.length > 0 ? new CheckInOutModel(results[0]) : null;
   }
 
+  // Latest gate scan for a student at an event (NULL event = legacy mode)
+  // seconds_since_scan is computed in the database to avoid clock/timezone drift
+  static async findLatestScan(studentId, eventId, sql) {
+    const query = `
+      SELECT *, EXTRACT(EPOCH FROM (NOW()::timestamp - scanned_at)) AS seconds_since_scan
+      FROM check_in_outs
+      WHERE student_id = $1
+        AND event_id IS NOT DISTINCT FROM $2
+        AND COALESCE(is_auto_closed, FALSE) = FALSE
+      ORDER BY scanned_at DESC
+      LIMIT 1
+    `;
+    const results = await sql(query, [studentId, eventId]);
+    if (results.length === 0) return null;
+
+    const record = new CheckInOutModel(results[0]);
+    record.seconds_since_scan = parseFloat(results[0].seconds_since_scan);
+    return record;
+  }
+
   // Alias for compatibility
   static async findLastCheckIn(studentId, sql) {
     return await CheckInOutModel.getLastCheckIn(studentId, sql);
@@ -151,6 +184,38 @@ class CheckInOutModel {
     return results.map(row => new CheckInOutModel(row));
   }
 
+  // Manual (registration number) check-ins/outs for an event, newest first
+  static async getManualScansByEvent(eventId, limit = 50, offset = 0, sql) {
+    const query = `
+      SELECT 
+        c.*,
+        s.full_name as student_name,
+        s.registration_no,
+        v.full_name as volunteer_name
+      FROM check_in_outs c
+      LEFT JOIN students s ON c.student_id = s.id
+      LEFT JOIN volunteers v ON c.volunteer_id = v.id
+      WHERE c.event_id = $1
+        AND c.is_manual = TRUE
+      ORDER BY c.scanned_at DESC
+      LIMIT $2 OFFSET $3
+    `;
+    const results = await sql(query, [eventId, limit, offset]);
+    return results.map(row => new CheckInOutModel(row));
+  }
+
+  // Count manual check-ins/outs for an event
+  static async countManualScansByEvent(eventId, sql) {
+    const query = `
+      SELECT COUNT(*) as count
+      FROM check_in_outs
+      WHERE event_id = $1
+        AND is_manual = TRUE
+    `;
+    const results = await sql(query, [eventId]);
+    return parseInt(results[0].count);
+  }
+
   // Get check-in/out statistics
   static async getStats(sql) {
     const query = `
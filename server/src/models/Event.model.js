@@ -27,6 +27,9 @@ class Event {
       waitlist_enabled = false,
       refund_policy = null,
       refund_enabled = false,
+      refund_rules = null,
+      scan_cooldown_seconds = 10,
+      min_sessions_for_completion = null,
       banner_image_url = null,
       event_images = [],
       requires_approval = true
@@ -51,7 +54,8 @@ class Event {
         event_category, tags, venue,
         start_date, end_date, registration_start_date, registration_end_date,
         max_capacity, waitlist_enabled,
-        refund_policy, refund_enabled,
+        refund_policy, refund_enabled, refund_rules,
+        scan_cooldown_seconds, min_sessions_for_completion,
         banner_image_url, event_images,
         created_by_manager_id,
         requires_approval,
@@ -62,7 +66,8 @@ class Event {
         ${event_category}, ${tags}, ${venue},
         ${start_date}, ${end_date}, ${registration_start_date}, ${registration_end_date},
         ${max_capacity}, ${waitlist_enabled},
-        ${refund_policy}, ${refund_enabled},
+        ${refund_policy}, ${refund_enabled}, ${refund_rules ? JSON.stringify(refund_rules) : null},
+        ${scan_cooldown_seconds}, ${min_sessions_for_completion},
         ${banner_image_url}, ${event_images},
         ${managerId},
         ${requires_approval},
@@ -120,15 +125,19 @@ class Event {
       'event_name', 'description', 'event_type', 'price', 'currency',
       'event_category', 'tags', 'venue',
       'start_date', 'end_date', 'registration_start_date', 'registration_end_date',
-      'max_capacity', 'waitlist_enabled', 'is_visible',
-      'refund_policy', 'refund_enabled',
-      'banner_image_url', 'event_images'
+      'max_capacity', 'waitlist_enabled', 'waitlist_offer_minutes', 'is_visible',
+      'refund_policy', 'refund_enabled', 'refund_rules', 'scan_cooldown_seconds',
+      'min_sessions_for_completion', 'banner_image_url', 'event_images'
     ];
 
+    const jsonFields = ['refund_rules'];
+
     const updateFields = {};
     for (const field of allowedFields) {
       if (updates[field] !== undefined) {
-        updateFields[field] = updates[field];
+        updateFields[field] = jsonFields.includes(field) && updates[field] !== null
+          ? JSON.stringify(updates[field])
+          : updates[field];
       }
     }
 
@@ -298,6 +307,27 @@ class Event {
     return result[0];
   }
 
+  /**
+   * Update gate scan cooldown (allowed while the event is running)
+   * @param {string} eventId - Event UUID
+   * @param {number} seconds - Cooldown in seconds (0 disables it)
+   * @returns {Promise<Object>}
+   */
+  static async updateScanCooldown(eventId, seconds) {
+    const result = await pool`
+      UPDATE events
+      SET scan_cooldown_seconds = ${seconds}, updated_at = NOW()
+      WHERE id = ${eventId}
+      RETURNING *
+    `;
+
+    if (result.length === 0) {
+      throw new Error('Event not found');
+    }
+
+    return result[0];
+  }
+
   /**
    * Change event status
    * @param {string} eventId - Event UUID
@@ -328,6 +358,46 @@ class Event {
     return result[0];
   }
 
+  /**
+   * Change event status only if it is still fromStatus
+   * Used by the lifecycle scheduler so it never overrides a manual change
+   * @param {string} eventId - Event UUID
+   * @param {string} fromStatus - Expected current status
+   * @param {string} toStatus - New status
+   * @returns {Promise<Object|null>} Updated event, null if the status had changed
+   */
+  static async transitionStatus(eventId, fromStatus, toStatus) {
+    const result = await pool`
+      UPDATE events
+      SET status = ${toStatus}, updated_at = NOW()
+      WHERE id = ${eventId} AND status = ${fromStatus}
+      RETURNING *
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Events with a lifecycle transition due within the next hours
+   * (started, ended, or past the archive retention)
+   * @param {number} withinHours - Look-ahead (0 = due now)
+   * @param {number} archiveAfterDays - Days after end_date before archiving
+   * @param {number} limit - Max events
+   * @returns {Promise<Array>}
+   */
+  static async findDueForLifecycle(withinHours, archiveAfterDays, limit = 200) {
+    return await pool`
+      SELECT id, event_name, event_code, status, start_date, end_date
+      FROM events
+      WHERE (status = 'APPROVED' AND start_date <= NOW() + make_interval(hours => ${withinHours}))
+         OR (status = 'ACTIVE' AND end_date <= NOW() + make_interval(hours => ${withinHours}))
+         OR (status IN ('COMPLETED', 'CANCELLED')
+             AND end_date + make_interval(days => ${archiveAfterDays}) <= NOW() + make_interval(hours => ${withinHours}))
+      ORDER BY start_date ASC
+      LIMIT ${limit}
+    `;
+  }
+
   /**
    * Get all events with filters
    * @param {Object} filters - Filtering options
@@ -481,7 +551,7 @@ class Event {
          e.registration_start_date, e.registration_end_date,
          e.max_capacity, e.current_registrations,
          e.status, e.banner_image_url,
-         (e.max_capacity IS NOT NULL AND e.current_registrations >= e.max_capacity) as is_full,
+         (e.max_capacity IS NOT NULL AND e.current_registrations + e.seats_held >= e.max_capacity) as is_full,
          COUNT(*) OVER() as total_count
        FROM events e
        WHERE ${whereClause}
@@ -583,9 +653,10 @@ class Event {
         e.registration_end_date,
         e.max_capacity,
         e.current_registrations,
+        e.waitlist_enabled,
         e.status,
         NOW() BETWEEN e.registration_start_date AND e.registration_end_date as is_open,
-        (e.max_capacity IS NULL OR e.current_registrations < e.max_capacity) as has_capacity
+        (e.max_capacity IS NULL OR e.current_registrations + e.seats_held < e.max_capacity) as has_capacity
       FROM events e
       WHERE e.id = ${eventId}
       LIMIT 1
@@ -603,6 +674,9 @@ class Event {
     }
 
     if (!event.has_capacity) {
+      if (event.waitlist_enabled) {
+        return { open: true, waitlist_only: true, reason: 'Event is full - new registrations join the waitlist' };
+      }
       return { open: false, reason: 'Event is full' };
     }
 
@@ -2,196 +2,142 @@
 import { pool } from '../config/db.js';
 
 class EventRegistration {
+  static MAX_REFUND_ATTEMPTS = 5; // Razorpay refund requests before a refund is marked FAILED
+
   /**
-   * Create registration for free event
-   * @param {string} eventId - Event UUID
-   * @param {string} studentId - Student UUID
-   * @returns {Promise<Object>}
+   * Whether a registration is a closed checkout the student may pay for again
+   * (failed or expired, not cancelled by the student)
+   * @param {Object} registration - Registration row
+   * @returns {boolean}
    */
-  static async createFreeRegistration(eventId, studentId) {
-    await pool('BEGIN');
-    try {
-      // Check event capacity before registration
-      const event = await pool(
-        `SELECT max_capacity, current_registrations, waitlist_enabled
-         FROM events
-         WHERE id = $1 AND status IN ('APPROVED', 'ACTIVE')
-         LIMIT 1`,
-        [eventId]
-      );
-
-      if (event.length === 0) {
-        throw new Error('Event not found or not accepting registrations');
-      }
-
-      const { max_capacity, current_registrations, waitlist_enabled } = event[0];
-
-      // Check if event is full
-      if (max_capacity !== null && current_registrations >= max_capacity) {
-        if (!waitlist_enabled) {
-          throw new Error('Event is full and waitlist is not enabled');
-        }
-        // Register to waitlist
-        const result = await pool(
-          `INSERT INTO event_registrations (
-             event_id, student_id, registration_type, payment_status, registration_status
-           )
-           VALUES (
-             $1, $2, 'WAITLIST', 'NOT_REQUIRED', 'WAITLISTED'
-           )
-           RETURNING *`,
-          [eventId, studentId]
-        );
-        await pool('COMMIT');
-        return result[0];
-      }
-
-      const result = await pool(
-        `INSERT INTO event_registrations (
-           event_id, student_id, registration_type, payment_status
-         )
-         VALUES (
-           $1, $2, 'FREE', 'NOT_REQUIRED'
-         )
-         RETURNING *`,
-        [eventId, studentId]
-      );
-
-      // Increment current_registrations
-      await pool(
-        `UPDATE events
-         SET current_registrations = current_registrations + 1,
-             total_registrations = total_registrations + 1,
-             updated_at = NOW()
-         WHERE id = $1`,
-        [eventId]
-      );
-
-      await pool('COMMIT');
-      return result[0];
-    } catch (error) {
-      await pool('ROLLBACK');
-      throw error;
-    }
+  static isClosedCheckout(registration) {
+    return registration.payment_status === 'FAILED' &&
+      ['CANCELLED', 'EXPIRED'].includes(registration.registration_status) &&
+      !registration.cancelled_at &&
+      !registration.refund_status;
   }
 
   /**
-   * Create registration for paid event (payment pending)
-   * @param {string} eventId - Event UUID
-   * @param {string} studentId - Student UUID
-   * @param {Object} paymentData - { amount, currency, razorpay_order_id }
-   * @returns {Promise<Object>}
+   * SQL condition matching isClosedCheckout
+   * @param {string} table - Table name or alias of event_registrations
+   * @returns {string}
    */
-  static async createPaidRegistration(eventId, studentId, paymentData) {
-    const { amount, currency, razorpay_order_id } = paymentData;
-
-    // Check event capacity before registration
-    const event = await pool`
-      SELECT max_capacity, current_registrations, waitlist_enabled
-      FROM events
-      WHERE id = ${eventId} AND status IN ('APPROVED', 'ACTIVE')
-      LIMIT 1
+  static closedCheckoutCondition(table = 'event_registrations') {
+    return `
+      ${table}.payment_status = 'FAILED'
+      AND ${table}.registration_status IN ('CANCELLED', 'EXPIRED')
+      AND ${table}.cancelled_at IS NULL
+      AND ${table}.refund_status IS NULL
     `;
+  }
 
-    if (event.length === 0) {
-      throw new Error('Event not found or not accepting registrations');
-    }
-
-    const { max_capacity, current_registrations, waitlist_enabled } = event[0];
-
-    // Check if event is full
-    if (max_capacity !== null && current_registrations >= max_capacity) {
-      if (!waitlist_enabled) {
-        throw new Error('Event is full and waitlist is not enabled');
-      }
-      // For paid events, we still create a pending payment registration even for waitlist
-      // Payment will be processed only if spot becomes available
-    }
+  /**
+   * Whether a registration was cancelled (or refunded) and nothing is owed on
+   * it any more, so the student may register again on the same row
+   * @param {Object} registration - Registration row
+   * @returns {boolean}
+   */
+  static isSettledCancellation(registration) {
+    return registration.registration_status === 'CANCELLED' &&
+      (!!registration.cancelled_at || registration.payment_status === 'REFUNDED') &&
+      (!registration.refund_status || registration.refund_status === 'PROCESSED');
+  }
 
-    const result = await pool`
-      INSERT INTO event_registrations (
-        event_id, student_id, registration_type, payment_status,
-        razorpay_order_id, payment_amount, payment_currency
-      )
-      VALUES (
-        ${eventId}, ${studentId}, 'PAID', 'PENDING',
-        ${razorpay_order_id}, ${amount}, ${currency}
-      )
-      RETURNING *
+  /**
+   * SQL condition matching isSettledCancellation
+   * @param {string} table - Table name or alias of event_registrations
+   * @returns {string}
+   */
+  static settledCancellationCondition(table = 'event_registrations') {
+    return `
+      ${table}.registration_status = 'CANCELLED'
+      AND (${table}.cancelled_at IS NOT NULL OR ${table}.payment_status = 'REFUNDED')
+      AND (${table}.refund_status IS NULL OR ${table}.refund_status = 'PROCESSED')
     `;
-
-    return result[0];
   }
 
   /**
-   * Complete payment for registration
-   * @param {string} registrationId - Registration UUID
-   * @param {Object} paymentData - { razorpay_payment_id, razorpay_signature }
-   * @returns {Promise<Object>}
+   * SET assignments that clear a settled cancellation for a new registration
+   * (payment, refund, waitlist and session state of the earlier one)
+   * @returns {string}
    */
-  static async completePayment(registrationId, paymentData) {
-    const { razorpay_payment_id, razorpay_signature } = paymentData;
-
-    await pool('BEGIN');
-    try {
-      const result = await pool(
-        `UPDATE event_registrations 
-         SET 
-           payment_status = 'COMPLETED',
-           razorpay_payment_id = $1,
-           razorpay_signature = $2,
-           payment_completed_at = NOW(),
-           registration_status = 'CONFIRMED',
-           updated_at = NOW()
-         WHERE id = $3
-           AND payment_status = 'PENDING'
-         RETURNING *`,
-        [razorpay_payment_id, razorpay_signature, registrationId]
-      );
-
-      if (result.length === 0) {
-        throw new Error('Registration not found or payment already completed');
-      }
+  static reopenAssignments() {
+    return `
+      cancelled_at = NULL,
+      razorpay_payment_id = NULL,
+      razorpay_signature = NULL,
+      payment_completed_at = NULL,
+      refund_initiated = FALSE,
+      refund_amount = NULL,
+      refund_reason = NULL,
+      refund_status = NULL,
+      refund_requested_at = NULL,
+      refund_attempts = 0,
+      refund_error = NULL,
+      razorpay_refund_id = NULL,
+      refunded_at = NULL,
+      waitlist_offer_expires_at = NULL,
+      promoted_at = NULL,
+      session_scope = 'EVENT',
+      registered_at = NOW(),
+      updated_at = NOW()
+    `;
+  }
 
-      // Increment current_registrations and revenue after successful payment
-      await pool(
-        `UPDATE events e
-         SET current_registrations = current_registrations + 1,
-             total_registrations = total_registrations + 1,
-             total_paid_registrations = total_paid_registrations + 1,
-             total_revenue = total_revenue + er.payment_amount,
-             updated_at = NOW()
-         FROM event_registrations er
-         WHERE e.id = er.event_id
-           AND er.id = $1`,
-        [registrationId]
-      );
-
-      await pool('COMMIT');
-      return result[0];
-    } catch (error) {
-      await pool('ROLLBACK');
-      throw error;
-    }
+  /**
+   * Paid registrations whose checkout has been PENDING for a while
+   * Open waitlist offers are left to the waitlist job
+   * @param {number} staleAfterMinutes - Minutes since the order was created
+   * @param {number} limit - Max rows
+   * @returns {Promise<Array>}
+   */
+  static async findStalePendingPayments(staleAfterMinutes, limit = 100) {
+    return await pool`
+      SELECT id, event_id, student_id, registration_status, payment_status,
+             razorpay_order_id, payment_amount, updated_at
+      FROM event_registrations
+      WHERE payment_status = 'PENDING'
+        AND registration_type = 'PAID'
+        AND registration_status <> 'WAITLISTED'
+        AND razorpay_order_id IS NOT NULL
+        AND updated_at < NOW() - make_interval(mins => ${staleAfterMinutes})
+      ORDER BY updated_at ASC
+      LIMIT ${limit}
+    `;
   }
 
   /**
-   * Mark payment as failed
+   * Record a payment that arrived without a seat for it (registration
+   * cancelled or expired, or the hold ran out and the event filled up)
+   * The registration is closed and the full amount is owed back (refund_status PENDING)
    * @param {string} registrationId - Registration UUID
-   * @returns {Promise<Object>}
+   * @param {Object} paymentData - { razorpay_payment_id, amount }
+   * @returns {Promise<Object|null>} null if already recorded or the payment completed
    */
-  static async failPayment(registrationId) {
+  static async recordLatePayment(registrationId, paymentData) {
+    const { razorpay_payment_id, amount } = paymentData;
+
     const result = await pool`
-      UPDATE event_registrations 
-      SET 
-        payment_status = 'FAILED',
-        registration_status = 'CANCELLED',
-        updated_at = NOW()
+      UPDATE event_registrations
+      SET payment_status = 'COMPLETED',
+          razorpay_payment_id = ${razorpay_payment_id},
+          payment_completed_at = NOW(),
+          refund_initiated = TRUE,
+          refund_amount = ${amount},
+          refund_reason = 'Payment received after the registration was closed',
+          refund_status = 'PENDING',
+          refund_requested_at = NOW(),
+          registration_status = CASE WHEN registration_status = 'CONFIRMED' THEN 'EXPIRED' ELSE registration_status END,
+          updated_at = NOW()
       WHERE id = ${registrationId}
+        AND payment_status IN ('PENDING', 'FAILED')
+        AND registration_status <> 'WAITLISTED'
+        AND seat_hold_expires_at IS NULL
+        AND refund_status IS NULL
       RETURNING *
     `;
 
-    return result[0];
+    return result[0] || null;
   }
 
   /**
@@ -391,16 +337,31 @@ class EventRegistration {
   }
 
   /**
-   * Record feedback submission
+   * Toggle inside/outside state for this event only (gate scan)
+   * Increments the per-event scan number and stamps check-in/out times
    * @param {string} registrationId - Registration UUID
-   * @returns {Promise<Object>}
+   * @param {string|null} scannedAt - Scan time (null = NOW(), set for offline-synced scans)
+   * @returns {Promise<Object>} Updated registration
    */
-  static async recordFeedback(registrationId) {
+  static async processCheckInOut(registrationId, scannedAt = null) {
     const result = await pool`
-      UPDATE event_registrations 
-      SET 
-        has_submitted_feedback = TRUE,
-        feedback_submitted_at = NOW(),
+      UPDATE event_registrations
+      SET
+        is_inside_event = NOT COALESCE(is_inside_event, FALSE),
+        scan_count = COALESCE(scan_count, 0) + 1,
+        has_checked_in = TRUE,
+        check_in_count = CASE
+          WHEN COALESCE(is_inside_event, FALSE) THEN check_in_count
+          ELSE check_in_count + 1
+        END,
+        last_check_in_at = CASE
+          WHEN COALESCE(is_inside_event, FALSE) THEN last_check_in_at
+          ELSE COALESCE(${scannedAt}::timestamp, NOW())
+        END,
+        last_check_out_at = CASE
+          WHEN COALESCE(is_inside_event, FALSE) THEN COALESCE(${scannedAt}::timestamp, NOW())
+          ELSE last_check_out_at
+        END,
         updated_at = NOW()
       WHERE id = ${registrationId}
       RETURNING *
@@ -410,16 +371,115 @@ class EventRegistration {
   }
 
   /**
-   * Update time spent at event
+   * Check out every student still inside an event (session closer)
+   * Checkout time is the event's end_date, or now if it hasn't ended yet.
+   * Writes auto-closed CHECKOUT rows and adds the capped duration to the
+   * registration and the student's lifetime total in a single statement.
+   * @param {string} eventId - Event UUID
+   * @param {number} capMinutes - Maximum duration credited per open session
+   * @returns {Promise<Array>} Closed sessions { registration_id, student_id, check_in_out_id, duration_minutes, ... }
+   */
+  static async closeOpenSessions(eventId, capMinutes) {
+    return await pool`
+      WITH ev AS (
+        SELECT id, LEAST(NOW()::timestamp, end_date) AS checkout_at
+        FROM events
+        WHERE id = ${eventId}
+      ),
+      closed AS (
+        UPDATE event_registrations er
+        SET
+          is_inside_event = FALSE,
+          scan_count = COALESCE(er.scan_count, 0) + 1,
+          last_check_out_at = ev.checkout_at,
+          total_time_spent_minutes = er.total_time_spent_minutes + LEAST(
+            GREATEST(COALESCE(FLOOR(EXTRACT(EPOCH FROM (ev.checkout_at - er.last_check_in_at)) / 60), 0), 0),
+            ${capMinutes}
+          )::int,
+          updated_at = NOW()
+        FROM ev
+        WHERE er.event_id = ev.id
+          AND er.is_inside_event = TRUE
+        RETURNING
+          er.id AS registration_id,
+          gen_random_uuid() AS check_in_out_id,
+          er.student_id,
+          er.event_id,
+          er.scan_count,
+          er.last_check_in_at,
+          ev.checkout_at,
+          LEAST(
+            GREATEST(COALESCE(FLOOR(EXTRACT(EPOCH FROM (ev.checkout_at - er.last_check_in_at)) / 60), 0), 0),
+            ${capMinutes}
+          )::int AS duration_minutes
+      ),
+      inserted AS (
+        INSERT INTO check_in_outs (
+          id, student_id, volunteer_id, event_id, scan_type, scan_number,
+          scanned_at, duration_minutes, is_auto_closed
+        )
+        SELECT check_in_out_id, student_id, NULL, event_id, 'CHECKOUT', scan_count,
+               checkout_at, duration_minutes, TRUE
+        FROM closed
+        RETURNING id
+      ),
+      students_updated AS (
+        UPDATE students s
+        SET
+          total_active_duration_minutes = s.total_active_duration_minutes + closed.duration_minutes,
+          updated_at = NOW()
+        FROM closed
+        WHERE s.id = closed.student_id
+        RETURNING s.id
+      )
+      -- The checkout row ID is generated per closed registration, so rows can't fan out
+      SELECT closed.* FROM closed
+    `;
+  }
+
+  /**
+   * Get ended events that still have students marked inside
+   * @returns {Promise<Array>} [{ id, event_name, end_date, open_sessions }]
+   */
+  static async getEndedEventsWithOpenSessions() {
+    return await pool`
+      SELECT e.id, e.event_name, e.end_date, COUNT(er.id) AS open_sessions
+      FROM events e
+      JOIN event_registrations er ON er.event_id = e.id AND er.is_inside_event = TRUE
+      WHERE e.end_date <= NOW()
+      GROUP BY e.id, e.event_name, e.end_date
+      ORDER BY e.end_date ASC
+    `;
+  }
+
+  /**
+   * Check whether student is currently inside an event
+   * @param {string} eventId - Event UUID
+   * @param {string} studentId - Student UUID
+   * @returns {Promise<boolean>}
+   */
+  static async isInsideEvent(eventId, studentId) {
+    const result = await pool`
+      SELECT is_inside_event FROM event_registrations
+      WHERE event_id = ${eventId}
+        AND student_id = ${studentId}
+      LIMIT 1
+    `;
+
+    return result[0]?.is_inside_event === true;
+  }
+
+  /**
+   * Record feedback submission
    * @param {string} registrationId - Registration UUID
-   * @param {number} minutes - Additional minutes spent
    * @returns {Promise<Object>}
    */
-  static async updateTimeSpent(registrationId, minutes) {
+  static async recordFeedback(registrationId) {
     const result = await pool`
       UPDATE event_registrations 
       SET 
-        total_time_spent_minutes = total_time_spent_minutes + ${minutes},
+        has_submitted_feedback = TRUE,
+        feedback_submitted_at = NOW(),
         updated_at = NOW()
       WHERE id = ${registrationId}
       RETURNING *
@@ -429,32 +489,29 @@ class EventRegistration {
   }
 
   /**
-   * Cancel registration
+   * Update time spent at event
    * @param {string} registrationId - Registration UUID
+   * @param {number} minutes - Additional minutes spent
    * @returns {Promise<Object>}
    */
-  static async cancel(registrationId) {
+  static async updateTimeSpent(registrationId, minutes) {
     const result = await pool`
       UPDATE event_registrations 
       SET 
-        registration_status = 'CANCELLED',
+        total_time_spent_minutes = total_time_spent_minutes + ${minutes},
         updated_at = NOW()
       WHERE id = ${registrationId}
-        AND registration_status = 'CONFIRMED'
       RETURNING *
     `;
 
-    if (result.length === 0) {
-      throw new Error('Registration not found or already cancelled');
-    }
-
     return result[0];
   }
 
   /**
-   * Process refund
+   * Process refund - Razorpay has returned the money
+   * Safe to call twice (refund job and webhook): only the first call updates
    * @param {string} registrationId - Registration UUID
-   * @param {number} refundAmount - Amount to refund
+   * @param {number} refundAmount - Amount refunded
    * @param {string} reason - Refund reason
    * @returns {Promise<Object>}
    */
@@ -465,7 +522,9 @@ class EventRegistration {
         payment_status = 'REFUNDED',
         refund_initiated = TRUE,
         refund_amount = ${refundAmount},
-        refund_reason = ${reason},
+        refund_reason = COALESCE(${reason}, refund_reason),
+        refund_status = 'PROCESSED',
+        refund_error = NULL,
         refunded_at = NOW(),
         registration_status = 'CANCELLED',
         updated_at = NOW()
@@ -481,6 +540,120 @@ class EventRegistration {
     return result[0];
   }
 
+  /**
+   * Take a PENDING refund for sending (no other worker will send it too)
+   * @param {string} registrationId - Registration UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async claimRefund(registrationId) {
+    const result = await pool`
+      UPDATE event_registrations
+      SET refund_status = 'PROCESSING',
+          refund_attempts = refund_attempts + 1,
+          updated_at = NOW()
+      WHERE id = ${registrationId}
+        AND refund_status = 'PENDING'
+      RETURNING *
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Store the Razorpay refund ID once the refund was created
+   * @param {string} registrationId - Registration UUID
+   * @param {string} refundId - Razorpay refund ID
+   * @returns {Promise<Object|null>}
+   */
+  static async recordRefundSent(registrationId, refundId) {
+    const result = await pool`
+      UPDATE event_registrations
+      SET razorpay_refund_id = ${refundId},
+          refund_error = NULL,
+          updated_at = NOW()
+      WHERE id = ${registrationId}
+        AND refund_status = 'PROCESSING'
+      RETURNING *
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Record a failed refund attempt (back to PENDING until MAX_REFUND_ATTEMPTS)
+   * @param {string} registrationId - Registration UUID
+   * @param {string} errorMessage - Failure reason
+   * @param {boolean} retryable - false = give up now
+   * @returns {Promise<Object|null>}
+   */
+  static async recordRefundFailure(registrationId, errorMessage, retryable = true) {
+    const result = await pool`
+      UPDATE event_registrations
+      SET refund_status = CASE
+            WHEN ${retryable} AND refund_attempts < ${this.MAX_REFUND_ATTEMPTS} THEN 'PENDING'
+            ELSE 'FAILED'
+          END,
+          razorpay_refund_id = CASE WHEN ${retryable} THEN NULL ELSE razorpay_refund_id END,
+          refund_error = ${errorMessage},
+          updated_at = NOW()
+      WHERE id = ${registrationId}
+        AND refund_status IN ('PENDING', 'PROCESSING')
+      RETURNING *
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Refunds still owed or in flight
+   * @param {number} limit - Max rows
+   * @returns {Promise<Array>}
+   */
+  static async findOpenRefunds(limit = 100) {
+    return await pool`
+      SELECT id, event_id, student_id, razorpay_payment_id, razorpay_refund_id,
+             refund_amount, refund_reason, refund_status, refund_attempts, updated_at
+      FROM event_registrations
+      WHERE refund_status IN ('PENDING', 'PROCESSING')
+      ORDER BY refund_requested_at ASC
+      LIMIT ${limit}
+    `;
+  }
+
+  /**
+   * Find registration by Razorpay refund ID
+   * @param {string} refundId - Razorpay refund ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findByRefundId(refundId) {
+    const result = await pool`
+      SELECT * FROM event_registrations 
+      WHERE razorpay_refund_id = ${refundId}
+      LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Starting values for live occupancy counters
+   * Derived from presence on registrations (no check_in_outs scan)
+   * @param {string} eventId - Event UUID
+   * @returns {Promise<Object>} { currently_inside, total_entries, total_exits }
+   */
+  static async getOccupancySeed(eventId) {
+    const result = await pool`
+      SELECT 
+        COUNT(*) FILTER (WHERE is_inside_event = TRUE) as currently_inside,
+        COALESCE(SUM(check_in_count), 0) as total_entries,
+        COALESCE(SUM(GREATEST(COALESCE(scan_count, 0) - COALESCE(check_in_count, 0), 0)), 0) as total_exits
+      FROM event_registrations
+      WHERE event_id = ${eventId}
+    `;
+
+    return result[0];
+  }
+
   /**
    * Get registration statistics for event
    * @param {string} eventId - Event UUID
@@ -495,6 +668,7 @@ class EventRegistration {
         COUNT(*) FILTER (WHERE payment_status = 'COMPLETED') as completed_payments,
         COUNT(*) FILTER (WHERE payment_status = 'PENDING') as pending_payments,
         COUNT(*) FILTER (WHERE has_checked_in = TRUE) as total_check_ins,
+        COUNT(*) FILTER (WHERE is_inside_event = TRUE) as currently_inside,
         COALESCE(SUM(payment_amount) FILTER (WHERE payment_status = 'COMPLETED'), 0) as total_revenue,
         COALESCE(AVG(total_time_spent_minutes) FILTER (WHERE has_checked_in = TRUE), 0) as avg_time_spent
       FROM event_registrations
@@ -504,17 +678,138 @@ class EventRegistration {
     return result[0] || null;
   }
 
+  // ============================================================
+  // WAITLIST
+  // ============================================================
+
   /**
-   * Delete registration (hard delete - for cleanup only)
-   * @param {string} registrationId - Registration UUID
-   * @returns {Promise<boolean>}
+   * Add a student to an event's waitlist
+   * @param {string} eventId - Event UUID
+   * @param {string} studentId - Student UUID
+   * @returns {Promise<Object>}
    */
-  static async delete(registrationId) {
-    await pool`
-      DELETE FROM event_registrations 
-      WHERE id = ${registrationId}
+  static async joinWaitlist(eventId, studentId) {
+    // A closed checkout or a settled cancellation re-joins at the back of the queue
+    const result = await pool(
+      `INSERT INTO event_registrations (
+         event_id, student_id, registration_type, payment_status, registration_status
+       )
+       VALUES (
+         $1, $2, 'WAITLIST', 'NOT_REQUIRED', 'WAITLISTED'
+       )
+       ON CONFLICT (event_id, student_id) DO UPDATE
+       SET registration_type = 'WAITLIST',
+           payment_status = 'NOT_REQUIRED',
+           registration_status = 'WAITLISTED',
+           ${this.reopenAssignments()}
+       WHERE (${this.closedCheckoutCondition()})
+          OR (${this.settledCancellationCondition()})
+       RETURNING *`,
+      [eventId, studentId]
+    );
+
+    if (result.length === 0) {
+      throw new Error('Student is already registered for this event');
+    }
+
+    return result[0];
+  }
+
+  /**
+   * Position of a waitlisted registration (1 = next in line)
+   * Students holding an offer are no longer in the queue
+   * @param {string} registrationId - Waitlisted registration UUID
+   * @returns {Promise<number>}
+   */
+  static async getWaitlistPosition(registrationId) {
+    const result = await pool`
+      SELECT COUNT(ahead.id)::int + 1 as position
+      FROM event_registrations me
+      LEFT JOIN event_registrations ahead
+        ON ahead.event_id = me.event_id
+        AND ahead.registration_status = 'WAITLISTED'
+        AND ahead.waitlist_offer_expires_at IS NULL
+        AND (ahead.registered_at, ahead.id) < (me.registered_at, me.id)
+      WHERE me.id = ${registrationId}
+    `;
+
+    return result[0].position;
+  }
+
+  /**
+   * Waitlist counts for an event
+   * @param {string} eventId - Event UUID
+   * @returns {Promise<Object>} { waiting, offered }
+   */
+  static async getWaitlistCounts(eventId) {
+    const result = await pool`
+      SELECT 
+        COUNT(*) FILTER (WHERE waitlist_offer_expires_at IS NULL)::int as waiting,
+        COUNT(*) FILTER (WHERE waitlist_offer_expires_at IS NOT NULL)::int as offered
+      FROM event_registrations
+      WHERE event_id = ${eventId}
+        AND registration_status = 'WAITLISTED'
+    `;
+
+    return result[0];
+  }
+
+  /**
+   * Events with students waiting and a free seat
+   * @returns {Promise<Array>} [{ id, event_name }]
+   */
+  static async getEventsWithPromotableWaitlist() {
+    return await pool`
+      SELECT e.id, e.event_name
+      FROM events e
+      WHERE e.status IN ('APPROVED', 'ACTIVE')
+        AND e.waitlist_enabled = TRUE
+        AND (e.max_capacity IS NULL OR e.current_registrations + e.seats_held < e.max_capacity)
+        AND EXISTS (
+          SELECT 1 FROM event_registrations er
+          WHERE er.event_id = e.id
+            AND er.registration_status = 'WAITLISTED'
+            AND er.waitlist_offer_expires_at IS NULL
+        )
     `;
-    return true;
+  }
+
+  /**
+   * Current offline roster version
+   * Read BEFORE the roster rows: rows changed by transactions still running
+   * at this point are re-sent by the next delta instead of being missed
+   * @returns {Promise<string>} Transaction ID (decimal string)
+   */
+  static async getRosterVersion() {
+    const result = await pool`
+      SELECT pg_snapshot_xmin(pg_current_snapshot())::text as version
+    `;
+
+    return result[0].version;
+  }
+
+  /**
+   * Registrations for the offline gate roster
+   * @param {string} eventId - Event UUID
+   * @param {string|null} sinceVersion - Only rows changed at or after this version (null = all)
+   * @returns {Promise<Array>}
+   */
+  static async getRosterEntries(eventId, sinceVersion = null) {
+    return await pool(
+      `SELECT 
+        er.registration_type,
+        er.payment_status,
+        er.registration_status,
+        s.registration_no,
+        s.full_name,
+        s.photo_hash
+      FROM event_registrations er
+      JOIN students s ON er.student_id = s.id
+      WHERE er.event_id = $1
+        AND ($2::xid8 IS NULL OR er.roster_txid >= $2::xid8)
+      ORDER BY s.registration_no ASC`,
+      [eventId, sinceVersion]
+    );
   }
 }
 
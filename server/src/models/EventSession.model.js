@@ -0,0 +1,404 @@
+// EventSession Model - Scheduled sessions inside an event, bookings and attendance
+import { pool } from '../config/db.js';
+
+class EventSession {
+  static SCOPES = ['EVENT', 'SESSIONS'];
+
+  /**
+   * Create a session
+   * @param {Object} data - { event_id, session_name, description, venue, start_time, end_time, capacity }
+   * @returns {Promise<Object>}
+   */
+  static async create(data) {
+    const {
+      event_id,
+      session_name,
+      description = null,
+      venue = null,
+      start_time,
+      end_time,
+      capacity = null
+    } = data;
+
+    const result = await pool`
+      INSERT INTO event_sessions (event_id, session_name, description, venue, start_time, end_time, capacity)
+      VALUES (${event_id}, ${session_name}, ${description}, ${venue}, ${start_time}, ${end_time}, ${capacity})
+      RETURNING *
+    `;
+
+    return result[0];
+  }
+
+  /**
+   * Find session by ID
+   * @param {string} sessionId - Session UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(sessionId) {
+    const result = await pool`
+      SELECT * FROM event_sessions
+      WHERE id = ${sessionId}
+      LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Get sessions for an event with booking, attendance and volunteer counts
+   * @param {string} eventId - Event UUID
+   * @returns {Promise<Array>}
+   */
+  static async getEventSessions(eventId) {
+    const result = await pool`
+      SELECT
+        s.*,
+        CASE WHEN s.capacity IS NULL THEN NULL ELSE GREATEST(s.capacity - s.booked_count, 0) END as available_seats,
+        (SELECT COUNT(*) FROM session_attendance a WHERE a.session_id = s.id) as attended_count,
+        (SELECT COUNT(*) FROM event_volunteers ev WHERE ev.session_id = s.id AND ev.is_active = TRUE) as volunteer_count
+      FROM event_sessions s
+      WHERE s.event_id = ${eventId}
+      ORDER BY s.start_time ASC, s.session_name ASC
+    `;
+
+    return result || [];
+  }
+
+  /**
+   * Get an event's sessions as a student sees them (own booking and attendance)
+   * @param {string} eventId - Event UUID
+   * @param {string} studentId - Student UUID
+   * @returns {Promise<Array>}
+   */
+  static async getStudentSessions(eventId, studentId) {
+    const result = await pool`
+      SELECT
+        s.id, s.session_name, s.description, s.venue, s.start_time, s.end_time, s.capacity,
+        CASE WHEN s.capacity IS NULL THEN NULL ELSE GREATEST(s.capacity - s.booked_count, 0) END as available_seats,
+        (b.id IS NOT NULL) as is_booked,
+        a.checked_in_at as attended_at
+      FROM event_sessions s
+      LEFT JOIN session_bookings b ON b.session_id = s.id AND b.student_id = ${studentId}
+      LEFT JOIN session_attendance a ON a.session_id = s.id AND a.student_id = ${studentId}
+      WHERE s.event_id = ${eventId}
+        AND s.is_active = TRUE
+      ORDER BY s.start_time ASC, s.session_name ASC
+    `;
+
+    return result || [];
+  }
+
+  /**
+   * Update session details
+   * @param {string} sessionId - Session UUID
+   * @param {Object} updates - { session_name, description, venue, start_time, end_time, capacity, is_active }
+   * @returns {Promise<Object>}
+   */
+  static async update(sessionId, updates) {
+    const allowedFields = ['session_name', 'description', 'venue', 'start_time', 'end_time', 'capacity', 'is_active'];
+
+    const fields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    Object.keys(updates).forEach(key => {
+      if (allowedFields.includes(key) && updates[key] !== undefined) {
+        fields.push(`${key} = $${paramIndex}`);
+        values.push(updates[key]);
+        paramIndex++;
+      }
+    });
+
+    if (fields.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    fields.push('updated_at = NOW()');
+    values.push(sessionId);
+
+    const result = await pool(
+      `UPDATE event_sessions
+       SET ${fields.join(', ')}
+       WHERE id = $${paramIndex}
+       RETURNING *`,
+      values
+    );
+
+    if (result.length === 0) {
+      throw new Error('Session not found');
+    }
+
+    return result[0];
+  }
+
+  /**
+   * Delete session (bookings and attendance go with it)
+   * @param {string} sessionId - Session UUID
+   * @returns {Promise<boolean>}
+   */
+  static async delete(sessionId) {
+    const result = await pool`
+      DELETE FROM event_sessions
+      WHERE id = ${sessionId}
+      RETURNING id
+    `;
+
+    return result.length > 0;
+  }
+
+  /**
+   * Count attendance recorded for a session
+   * @param {string} sessionId - Session UUID
+   * @returns {Promise<number>}
+   */
+  static async countAttendance(sessionId) {
+    const result = await pool`
+      SELECT COUNT(*) as count FROM session_attendance
+      WHERE session_id = ${sessionId}
+    `;
+
+    return parseInt(result[0].count);
+  }
+
+  /**
+   * Get a student's bookings for an event
+   * @param {string} eventId - Event UUID
+   * @param {string} studentId - Student UUID
+   * @returns {Promise<Array>}
+   */
+  static async findBookings(eventId, studentId) {
+    return await pool`
+      SELECT b.*, s.session_name, s.start_time, s.end_time
+      FROM session_bookings b
+      JOIN event_sessions s ON s.id = b.session_id
+      WHERE b.event_id = ${eventId} AND b.student_id = ${studentId}
+      ORDER BY s.start_time ASC
+    `;
+  }
+
+  /**
+   * Find a student's booking for a session
+   * @param {string} sessionId - Session UUID
+   * @param {string} studentId - Student UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async findBooking(sessionId, studentId) {
+    const result = await pool`
+      SELECT * FROM session_bookings
+      WHERE session_id = ${sessionId} AND student_id = ${studentId}
+      LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Book a seat in a session if there is room
+   * The capacity check and increment are one conditional UPDATE, so
+   * concurrent bookings cannot overshoot capacity.
+   * @param {string} sessionId - Session UUID
+   * @param {Object} registration - Registration row (event_id, student_id, id)
+   * @returns {Promise<Object|null>} Booking, or null if full/closed/already started
+   */
+  static async book(sessionId, registration) {
+    const result = await pool`
+      WITH seat AS (
+        UPDATE event_sessions
+        SET booked_count = booked_count + 1, updated_at = NOW()
+        WHERE id = ${sessionId}
+          AND event_id = ${registration.event_id}
+          AND is_active = TRUE
+          AND start_time > NOW()
+          AND (capacity IS NULL OR booked_count < capacity)
+        RETURNING id, event_id
+      ),
+      booking AS (
+        INSERT INTO session_bookings (session_id, event_id, student_id, registration_id)
+        SELECT seat.id, seat.event_id, ${registration.student_id}, ${registration.id}
+        FROM seat
+        ON CONFLICT (session_id, student_id) DO NOTHING
+        RETURNING *
+      )
+      SELECT seat.id as seat_session_id, booking.*
+      FROM seat
+      LEFT JOIN booking ON TRUE
+    `;
+
+    if (result.length === 0) {
+      return null;
+    }
+
+    // Seat was taken but the student already had a booking (double submit race) - give it back
+    if (!result[0].id) {
+      await this.releaseSeats(sessionId, 1);
+      return this.findBooking(sessionId, registration.student_id);
+    }
+
+    const { seat_session_id, ...booking } = result[0];
+    return booking;
+  }
+
+  /**
+   * Cancel a booking and free its seat
+   * @param {string} sessionId - Session UUID
+   * @param {string} studentId - Student UUID
+   * @returns {Promise<boolean>} False if there was no booking
+   */
+  static async unbook(sessionId, studentId) {
+    const result = await pool`
+      WITH booking AS (
+        DELETE FROM session_bookings
+        WHERE session_id = ${sessionId} AND student_id = ${studentId}
+        RETURNING session_id
+      ),
+      seat AS (
+        UPDATE event_sessions
+        SET booked_count = GREATEST(booked_count - 1, 0), updated_at = NOW()
+        WHERE id = ${sessionId}
+          AND EXISTS (SELECT 1 FROM booking)
+        RETURNING id
+      )
+      SELECT COUNT(*) as removed FROM booking
+    `;
+
+    return parseInt(result[0].removed) > 0;
+  }
+
+  /**
+   * Cancel every booking of a registration (registration cancelled)
+   * @param {string} registrationId - Registration UUID
+   * @returns {Promise<number>} Bookings cancelled
+   */
+  static async releaseRegistrationBookings(registrationId) {
+    const result = await pool`
+      WITH booking AS (
+        DELETE FROM session_bookings
+        WHERE registration_id = ${registrationId}
+        RETURNING session_id
+      ),
+      seat AS (
+        UPDATE event_sessions s
+        SET booked_count = GREATEST(s.booked_count - freed.count, 0), updated_at = NOW()
+        FROM (SELECT session_id, COUNT(*)::int as count FROM booking GROUP BY session_id) freed
+        WHERE s.id = freed.session_id
+        RETURNING s.id
+      )
+      SELECT COUNT(*) as released FROM booking
+    `;
+
+    return parseInt(result[0].released);
+  }
+
+  /**
+   * Give back session seats taken by a failed booking
+   * @param {string} sessionId - Session UUID
+   * @param {number} count - Seats to free
+   * @returns {Promise<void>}
+   */
+  static async releaseSeats(sessionId, count) {
+    await pool`
+      UPDATE event_sessions
+      SET booked_count = GREATEST(booked_count - ${count}, 0), updated_at = NOW()
+      WHERE id = ${sessionId}
+    `;
+  }
+
+  /**
+   * Set whether a registration covers the whole event or only its booked sessions
+   * @param {string} registrationId - Registration UUID
+   * @param {string} scope - EVENT | SESSIONS
+   * @returns {Promise<Object>}
+   */
+  static async setScope(registrationId, scope) {
+    const result = await pool`
+      UPDATE event_registrations
+      SET session_scope = ${scope}, updated_at = NOW()
+      WHERE id = ${registrationId}
+      RETURNING *
+    `;
+
+    return result[0];
+  }
+
+  /**
+   * Record a student's attendance at a session (once per session)
+   * @param {Object} session - Session row
+   * @param {string} studentId - Student UUID
+   * @param {string|null} volunteerId - Volunteer scanning
+   * @returns {Promise<Object|null>} Attendance row, null if already recorded
+   */
+  static async recordAttendance(session, studentId, volunteerId) {
+    const result = await pool`
+      INSERT INTO session_attendance (session_id, event_id, student_id, volunteer_id)
+      VALUES (${session.id}, ${session.event_id}, ${studentId}, ${volunteerId})
+      ON CONFLICT (session_id, student_id) DO NOTHING
+      RETURNING *
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Find a student's attendance at a session
+   * @param {string} sessionId - Session UUID
+   * @param {string} studentId - Student UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async findAttendance(sessionId, studentId) {
+    const result = await pool`
+      SELECT * FROM session_attendance
+      WHERE session_id = ${sessionId} AND student_id = ${studentId}
+      LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Sessions attended by each admitted registrant of an event
+   * sessions_expected is every active session (EVENT scope) or the booked
+   * active sessions (SESSIONS scope)
+   * @param {string} eventId - Event UUID
+   * @returns {Promise<Array>}
+   */
+  static async getAttendanceReport(eventId) {
+    const result = await pool`
+      SELECT
+        er.id as registration_id,
+        er.session_scope,
+        s.id as student_id,
+        s.full_name,
+        s.registration_no,
+        s.email,
+        CASE
+          WHEN er.session_scope = 'SESSIONS' THEN (
+            SELECT COUNT(*) FROM session_bookings b
+            JOIN event_sessions es ON es.id = b.session_id AND es.is_active = TRUE
+            WHERE b.registration_id = er.id
+          )
+          ELSE (
+            SELECT COUNT(*) FROM event_sessions es
+            WHERE es.event_id = er.event_id AND es.is_active = TRUE
+          )
+        END::int as sessions_expected,
+        (
+          SELECT COUNT(*) FROM session_attendance a
+          WHERE a.event_id = er.event_id AND a.student_id = er.student_id
+        )::int as sessions_attended,
+        (
+          SELECT MAX(a.checked_in_at) FROM session_attendance a
+          WHERE a.event_id = er.event_id AND a.student_id = er.student_id
+        ) as last_attended_at
+      FROM event_registrations er
+      JOIN students s ON s.id = er.student_id
+      WHERE er.event_id = ${eventId}
+        AND er.registration_status = 'CONFIRMED'
+        AND (er.registration_type <> 'PAID' OR er.payment_status = 'COMPLETED')
+      ORDER BY sessions_attended DESC, s.full_name ASC
+    `;
+
+    return result || [];
+  }
+}
+
+export default EventSession;
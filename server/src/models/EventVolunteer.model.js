@@ -2,34 +2,56 @@
 import { pool } from '../config/db.js';
 
 class EventVolunteer {
+  // Scan directions a gate can enforce
+  static GATE_MODES = ['TOGGLE', 'ENTRY_ONLY', 'EXIT_ONLY'];
+
+  // Actions a manager can grant on an assignment
+  static PERMISSIONS = ['SCAN', 'VIEW_STUDENTS', 'VERIFY_PAYMENTS', 'MANUAL_CHECKIN'];
+
+  /**
+   * Check whether an assignment grants a permission
+   * @param {Object|null} assignment - event_volunteers row
+   * @param {string} permission - One of PERMISSIONS
+   * @returns {boolean}
+   */
+  static hasPermission(assignment, permission) {
+    return Array.isArray(assignment?.permissions) && assignment.permissions.includes(permission);
+  }
+
   /**
    * Assign volunteer to event
    * @param {string} eventId - Event UUID
    * @param {string} volunteerId - Volunteer UUID
    * @param {string} managerId - Event manager UUID (who assigned)
-   * @param {Object} details - { assigned_location, permissions }
+   * @param {Object} details - { assigned_location, permissions, gate_mode, zone_id, session_id }
    * @returns {Promise<Object>}
    */
   static async assignVolunteer(eventId, volunteerId, managerId, details = {}) {
     const {
       assigned_location = null,
-      permissions = ['SCAN', 'VIEW_STUDENTS']
+      permissions = ['SCAN', 'VIEW_STUDENTS'],
+      gate_mode = 'TOGGLE',
+      zone_id = null,
+      session_id = null
     } = details;
 
     const result = await pool`
       INSERT INTO event_volunteers (
         event_id, volunteer_id, assigned_by_manager_id,
-        assigned_location, permissions
+        assigned_location, permissions, gate_mode, zone_id, session_id
       )
       VALUES (
         ${eventId}, ${volunteerId}, ${managerId},
-        ${assigned_location}, ${permissions}
+        ${assigned_location}, ${permissions}, ${gate_mode}, ${zone_id}, ${session_id}
       )
       ON CONFLICT (event_id, volunteer_id) 
       DO UPDATE SET
         is_active = TRUE,
         assigned_location = EXCLUDED.assigned_location,
         permissions = EXCLUDED.permissions,
+        gate_mode = EXCLUDED.gate_mode,
+        zone_id = EXCLUDED.zone_id,
+        session_id = EXCLUDED.session_id,
         updated_at = NOW()
       RETURNING *
     `;
@@ -205,6 +227,101 @@ class EventVolunteer {
     return result[0];
   }
 
+  /**
+   * Update volunteer gate mode for event
+   * @param {string} eventId - Event UUID
+   * @param {string} volunteerId - Volunteer UUID
+   * @param {string} gateMode - TOGGLE | ENTRY_ONLY | EXIT_ONLY
+   * @returns {Promise<Object>}
+   */
+  static async updateGateMode(eventId, volunteerId, gateMode) {
+    const result = await pool`
+      UPDATE event_volunteers 
+      SET 
+        gate_mode = ${gateMode},
+        updated_at = NOW()
+      WHERE event_id = ${eventId} 
+        AND volunteer_id = ${volunteerId}
+      RETURNING *
+    `;
+
+    if (result.length === 0) {
+      throw new Error('Volunteer assignment not found');
+    }
+
+    return result[0];
+  }
+
+  /**
+   * Post volunteer at a zone for event (NULL = event gate)
+   * @param {string} eventId - Event UUID
+   * @param {string} volunteerId - Volunteer UUID
+   * @param {string|null} zoneId - Zone UUID
+   * @returns {Promise<Object>}
+   */
+  static async updateZone(eventId, volunteerId, zoneId) {
+    const result = await pool`
+      UPDATE event_volunteers 
+      SET 
+        zone_id = ${zoneId},
+        updated_at = NOW()
+      WHERE event_id = ${eventId} 
+        AND volunteer_id = ${volunteerId}
+      RETURNING *
+    `;
+
+    if (result.length === 0) {
+      throw new Error('Volunteer assignment not found');
+    }
+
+    return result[0];
+  }
+
+  /**
+   * Post a volunteer at an event session (NULL = event gate or zone)
+   * @param {string} eventId - Event UUID
+   * @param {string} volunteerId - Volunteer UUID
+   * @param {string|null} sessionId - Session UUID
+   * @returns {Promise<Object>}
+   */
+  static async updateSession(eventId, volunteerId, sessionId) {
+    const result = await pool`
+      UPDATE event_volunteers
+      SET
+        session_id = ${sessionId},
+        updated_at = NOW()
+      WHERE event_id = ${eventId}
+        AND volunteer_id = ${volunteerId}
+      RETURNING *
+    `;
+
+    if (result.length === 0) {
+      throw new Error('Volunteer assignment not found');
+    }
+
+    return result[0];
+  }
+
+  /**
+   * Increment suppressed (cooldown) scan count for volunteer in event
+   * @param {string} eventId - Event UUID
+   * @param {string} volunteerId - Volunteer UUID
+   * @returns {Promise<Object>}
+   */
+  static async incrementSuppressedCount(eventId, volunteerId) {
+    const result = await pool`
+      UPDATE event_volunteers 
+      SET 
+        suppressed_scan_count = COALESCE(suppressed_scan_count, 0) + 1,
+        updated_at = NOW()
+      WHERE event_id = ${eventId} 
+        AND volunteer_id = ${volunteerId}
+      RETURNING *
+    `;
+
+    return result[0];
+  }
+
   /**
    * Increment scan count for volunteer in event
    * @param {string} eventId - Event UUID
@@ -235,7 +352,8 @@ class EventVolunteer {
       SELECT 
         COUNT(*) as total_volunteers,
         COUNT(*) FILTER (WHERE is_active = TRUE) as active_volunteers,
-        COALESCE(SUM(total_scans_for_event), 0) as total_scans
+        COALESCE(SUM(total_scans_for_event), 0) as total_scans,
+        COALESCE(SUM(suppressed_scan_count), 0) as total_suppressed_scans
       FROM event_volunteers
       WHERE event_id = ${eventId}
     `;
@@ -255,6 +373,7 @@ class EventVolunteer {
         v.full_name as volunteer_name,
         ev.assigned_location,
         ev.total_scans_for_event,
+        ev.suppressed_scan_count,
         ev.assigned_at,
         COUNT(cio.id) as actual_scans_recorded
       FROM event_volunteers ev
@@ -264,7 +383,7 @@ class EventVolunteer {
       WHERE ev.event_id = ${eventId}
         AND ev.is_active = TRUE
       GROUP BY ev.volunteer_id, v.full_name, ev.assigned_location, 
-               ev.total_scans_for_event, ev.assigned_at
+               ev.total_scans_for_event, ev.suppressed_scan_count, ev.assigned_at
       ORDER BY actual_scans_recorded DESC
     `;
   }
@@ -367,9 +486,14 @@ class EventVolunteer {
         e.event_type,
         e.price,
         e.currency,
-        e.status as event_status
+        e.scan_cooldown_seconds,
+        e.status as event_status,
+        z.zone_name,
+        es.session_name
       FROM event_volunteers ev
       LEFT JOIN events e ON ev.event_id = e.id
+      LEFT JOIN event_zones z ON ev.zone_id = z.id
+      LEFT JOIN event_sessions es ON ev.session_id = es.id
       WHERE ev.volunteer_id = ${volunteerId}
         AND ev.is_active = TRUE
         AND e.status = 'ACTIVE'
@@ -379,6 +503,36 @@ class EventVolunteer {
 
     return result[0] || null;
   }
+
+  /**
+   * Get all of a volunteer's assignments to currently ACTIVE events
+   * Used to resolve which event a scan is for when several run concurrently
+   * @param {string} volunteerId - Volunteer UUID
+   * @returns {Promise<Array>}
+   */
+  static async findActiveAssignments(volunteerId) {
+    return await pool`
+      SELECT 
+        ev.*,
+        e.event_name,
+        e.event_code,
+        e.event_type,
+        e.price,
+        e.currency,
+        e.scan_cooldown_seconds,
+        e.status as event_status,
+        z.zone_name,
+        es.session_name
+      FROM event_volunteers ev
+      LEFT JOIN events e ON ev.event_id = e.id
+      LEFT JOIN event_zones z ON ev.zone_id = z.id
+      LEFT JOIN event_sessions es ON ev.session_id = es.id
+      WHERE ev.volunteer_id = ${volunteerId}
+        AND ev.is_active = TRUE
+        AND e.status = 'ACTIVE'
+      ORDER BY e.start_date DESC
+    `;
+  }
 }
 
 export default EventVolunteer;
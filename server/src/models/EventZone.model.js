@@ -0,0 +1,304 @@
+// EventZone Model - Capacity-limited areas inside an event venue
+import { pool } from '../config/db.js';
+
+class EventZone {
+  /**
+   * Create a zone
+   * @param {Object} data - { event_id, zone_name, description, capacity }
+   * @returns {Promise<Object>}
+   */
+  static async create(data) {
+    const { event_id, zone_name, description = null, capacity } = data;
+
+    const result = await pool`
+      INSERT INTO event_zones (event_id, zone_name, description, capacity)
+      VALUES (${event_id}, ${zone_name}, ${description}, ${capacity})
+      RETURNING *
+    `;
+
+    return result[0];
+  }
+
+  /**
+   * Find zone by ID
+   * @param {string} zoneId - Zone UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(zoneId) {
+    const result = await pool`
+      SELECT * FROM event_zones
+      WHERE id = ${zoneId}
+      LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Get zones for an event with the volunteers posted at each
+   * @param {string} eventId - Event UUID
+   * @returns {Promise<Array>}
+   */
+  static async getEventZones(eventId) {
+    const result = await pool`
+      SELECT
+        z.*,
+        GREATEST(z.capacity - z.current_occupancy, 0) as available_capacity,
+        COUNT(ev.id) FILTER (WHERE ev.is_active = TRUE) as volunteer_count
+      FROM event_zones z
+      LEFT JOIN event_volunteers ev ON ev.zone_id = z.id
+      WHERE z.event_id = ${eventId}
+      GROUP BY z.id
+      ORDER BY z.zone_name ASC
+    `;
+
+    return result || [];
+  }
+
+  /**
+   * Update zone details
+   * @param {string} zoneId - Zone UUID
+   * @param {Object} updates - { zone_name, description, capacity, is_active }
+   * @returns {Promise<Object>}
+   */
+  static async update(zoneId, updates) {
+    const allowedFields = ['zone_name', 'description', 'capacity', 'is_active'];
+
+    const fields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    Object.keys(updates).forEach(key => {
+      if (allowedFields.includes(key) && updates[key] !== undefined) {
+        fields.push(`${key} = $${paramIndex}`);
+        values.push(updates[key]);
+        paramIndex++;
+      }
+    });
+
+    if (fields.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    fields.push('updated_at = NOW()');
+    values.push(zoneId);
+
+    const result = await pool(
+      `UPDATE event_zones
+       SET ${fields.join(', ')}
+       WHERE id = $${paramIndex}
+       RETURNING *`,
+      values
+    );
+
+    if (result.length === 0) {
+      throw new Error('Zone not found');
+    }
+
+    return result[0];
+  }
+
+  /**
+   * Delete zone
+   * @param {string} zoneId - Zone UUID
+   * @returns {Promise<boolean>}
+   */
+  static async delete(zoneId) {
+    const result = await pool`
+      DELETE FROM event_zones
+      WHERE id = ${zoneId}
+      RETURNING id
+    `;
+
+    return result.length > 0;
+  }
+
+  /**
+   * Get a student's presence in a zone
+   * seconds_since_scan is computed in the database (cooldown check)
+   * @param {string} zoneId - Zone UUID
+   * @param {string} studentId - Student UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async findPresence(zoneId, studentId) {
+    const result = await pool`
+      SELECT
+        *,
+        EXTRACT(EPOCH FROM (NOW()::timestamp - GREATEST(last_entered_at, COALESCE(last_exited_at, last_entered_at)))) as seconds_since_scan
+      FROM zone_presence
+      WHERE zone_id = ${zoneId} AND student_id = ${studentId}
+      LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Move a student into a zone if there is room
+   * The capacity check and increment are one conditional UPDATE, so
+   * concurrent scans at a full zone cannot overshoot capacity.
+   * @param {string} zoneId - Zone UUID
+   * @param {string} studentId - Student UUID
+   * @param {string|null} volunteerId - Volunteer scanning
+   * @returns {Promise<Object|null>} Presence row with current_occupancy/capacity, or null if full/inactive
+   */
+  static async enter(zoneId, studentId, volunteerId) {
+    const result = await pool`
+      WITH zone AS (
+        UPDATE event_zones
+        SET current_occupancy = current_occupancy + 1, updated_at = NOW()
+        WHERE id = ${zoneId}
+          AND is_active = TRUE
+          AND current_occupancy < capacity
+        RETURNING id, event_id, current_occupancy, capacity
+      ),
+      presence AS (
+        INSERT INTO zone_presence (zone_id, event_id, student_id, is_inside, last_entered_at, visit_count)
+        SELECT zone.id, zone.event_id, ${studentId}, TRUE, NOW(), 1
+        FROM zone
+        ON CONFLICT (zone_id, student_id) DO UPDATE SET
+          is_inside = TRUE,
+          last_entered_at = NOW(),
+          visit_count = zone_presence.visit_count + 1,
+          updated_at = NOW()
+        WHERE zone_presence.is_inside = FALSE
+        RETURNING *
+      ),
+      logged AS (
+        INSERT INTO zone_scans (zone_id, event_id, student_id, volunteer_id, scan_type, scanned_at)
+        SELECT zone_id, event_id, student_id, ${volunteerId}, 'CHECKIN', last_entered_at
+        FROM presence
+        RETURNING id
+      )
+      SELECT
+        zone.current_occupancy,
+        zone.capacity,
+        presence.*
+      FROM zone
+      LEFT JOIN presence ON TRUE
+    `;
+
+    if (result.length === 0) {
+      return null;
+    }
+
+    // Zone slot was taken but the student was already inside (double scan race) - give it back
+    if (!result[0].id) {
+      await this.releaseSlot(zoneId);
+      return { ...result[0], already_inside: true };
+    }
+
+    return result[0];
+  }
+
+  /**
+   * Move a student out of a zone
+   * @param {string} zoneId - Zone UUID
+   * @param {string} studentId - Student UUID
+   * @param {string|null} volunteerId - Volunteer scanning (NULL when closed by the system)
+   * @returns {Promise<Object|null>} Presence row with duration_minutes/current_occupancy, or null if not inside
+   */
+  static async exit(zoneId, studentId, volunteerId) {
+    const result = await pool`
+      WITH presence AS (
+        UPDATE zone_presence
+        SET
+          is_inside = FALSE,
+          last_exited_at = NOW(),
+          total_time_minutes = total_time_minutes + GREATEST(FLOOR(EXTRACT(EPOCH FROM (NOW()::timestamp - last_entered_at)) / 60), 0)::int,
+          updated_at = NOW()
+        WHERE zone_id = ${zoneId}
+          AND student_id = ${studentId}
+          AND is_inside = TRUE
+        RETURNING *,
+          GREATEST(FLOOR(EXTRACT(EPOCH FROM (NOW()::timestamp - last_entered_at)) / 60), 0)::int as duration_minutes
+      ),
+      zone AS (
+        UPDATE event_zones
+        SET current_occupancy = GREATEST(current_occupancy - 1, 0), updated_at = NOW()
+        WHERE id = ${zoneId}
+          AND EXISTS (SELECT 1 FROM presence)
+        RETURNING current_occupancy, capacity
+      ),
+      logged AS (
+        INSERT INTO zone_scans (zone_id, event_id, student_id, volunteer_id, scan_type, scanned_at, duration_minutes)
+        SELECT zone_id, event_id, student_id, ${volunteerId}, 'CHECKOUT', last_exited_at, duration_minutes
+        FROM presence
+        RETURNING id
+      )
+      SELECT presence.*, zone.current_occupancy, zone.capacity
+      FROM presence
+      LEFT JOIN zone ON TRUE
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Give back a zone slot taken by a failed entry
+   * @param {string} zoneId - Zone UUID
+   * @returns {Promise<void>}
+   */
+  static async releaseSlot(zoneId) {
+    await pool`
+      UPDATE event_zones
+      SET current_occupancy = GREATEST(current_occupancy - 1, 0), updated_at = NOW()
+      WHERE id = ${zoneId}
+    `;
+  }
+
+  /**
+   * Find zones a student is currently inside for an event
+   * @param {string} eventId - Event UUID
+   * @param {string} studentId - Student UUID
+   * @returns {Promise<Array>}
+   */
+  static async findOpenPresence(eventId, studentId) {
+    return await pool`
+      SELECT * FROM zone_presence
+      WHERE event_id = ${eventId}
+        AND student_id = ${studentId}
+        AND is_inside = TRUE
+    `;
+  }
+
+  /**
+   * Empty every zone of an event (event sessions were auto-closed)
+   * @param {string} eventId - Event UUID
+   * @returns {Promise<number>} Zone presences closed
+   */
+  static async closeEventZones(eventId) {
+    const result = await pool`
+      WITH presence AS (
+        UPDATE zone_presence
+        SET
+          is_inside = FALSE,
+          last_exited_at = NOW(),
+          total_time_minutes = total_time_minutes + GREATEST(FLOOR(EXTRACT(EPOCH FROM (NOW()::timestamp - last_entered_at)) / 60), 0)::int,
+          updated_at = NOW()
+        WHERE event_id = ${eventId}
+          AND is_inside = TRUE
+        RETURNING *,
+          GREATEST(FLOOR(EXTRACT(EPOCH FROM (NOW()::timestamp - last_entered_at)) / 60), 0)::int as duration_minutes
+      ),
+      logged AS (
+        INSERT INTO zone_scans (zone_id, event_id, student_id, volunteer_id, scan_type, scanned_at, duration_minutes)
+        SELECT zone_id, event_id, student_id, NULL, 'CHECKOUT', last_exited_at, duration_minutes
+        FROM presence
+        RETURNING id
+      ),
+      zones AS (
+        UPDATE event_zones
+        SET current_occupancy = 0, updated_at = NOW()
+        WHERE event_id = ${eventId}
+          AND current_occupancy > 0
+        RETURNING id
+      )
+      SELECT COUNT(*) as closed_count FROM presence
+    `;
+
+    return parseInt(result[0].closed_count);
+  }
+}
+
+export default EventZone;
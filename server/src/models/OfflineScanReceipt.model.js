@@ -0,0 +1,87 @@
+// OfflineScanReceipt Model - Idempotency receipts for scans synced from offline devices
+import { pool } from '../config/db.js';
+
+class OfflineScanReceipt {
+  /**
+   * Find receipts a volunteer already holds for the given idempotency keys
+   * @param {string} volunteerId - Volunteer UUID
+   * @param {Array<string>} keys - Idempotency keys from the sync batch
+   * @returns {Promise<Array>}
+   */
+  static async findByKeys(volunteerId, keys) {
+    if (!keys || keys.length === 0) {
+      return [];
+    }
+
+    return await pool`
+      SELECT *
+      FROM offline_scan_receipts
+      WHERE volunteer_id = ${volunteerId}
+        AND idempotency_key = ANY(${keys})
+    `;
+  }
+
+  /**
+   * Claim an idempotency key before its scan is replayed
+   * Returns null when another request holds the key (finished, or still
+   * replaying). A PENDING claim older than staleMinutes belongs to a request
+   * that died mid-replay and is taken over.
+   * @param {Object} data - { volunteer_id, idempotency_key, client_scanned_at }
+   * @param {number} staleMinutes - Age after which a PENDING claim is abandoned
+   * @returns {Promise<Object|null>}
+   */
+  static async reserve(data, staleMinutes) {
+    const { volunteer_id, idempotency_key, client_scanned_at } = data;
+
+    const rows = await pool`
+      INSERT INTO offline_scan_receipts (
+        volunteer_id, idempotency_key, status, client_scanned_at
+      )
+      VALUES (
+        ${volunteer_id}, ${idempotency_key}, 'PENDING', ${client_scanned_at}
+      )
+      ON CONFLICT (volunteer_id, idempotency_key) DO UPDATE
+      SET created_at = NOW()
+      WHERE offline_scan_receipts.status = 'PENDING'
+        AND offline_scan_receipts.created_at < NOW() - ${staleMinutes} * INTERVAL '1 minute'
+      RETURNING *
+    `;
+
+    return rows[0] || null;
+  }
+
+  /**
+   * Store the outcome of a scan on its claimed receipt
+   * @param {string} id - Receipt UUID
+   * @param {Object} data - { status, check_in_out_id, result }
+   * @returns {Promise<Object|null>}
+   */
+  static async complete(id, data) {
+    const { status, check_in_out_id = null, result = {} } = data;
+
+    const rows = await pool`
+      UPDATE offline_scan_receipts
+      SET status = ${status},
+          check_in_out_id = ${check_in_out_id},
+          result = ${JSON.stringify(result)}
+      WHERE id = ${id} AND status = 'PENDING'
+      RETURNING *
+    `;
+
+    return rows[0] || null;
+  }
+
+  /**
+   * Give up a claim whose replay failed, so the client can retry the scan
+   * @param {string} id - Receipt UUID
+   * @returns {Promise<void>}
+   */
+  static async release(id) {
+    await pool`
+      DELETE FROM offline_scan_receipts
+      WHERE id = ${id} AND status = 'PENDING'
+    `;
+  }
+}
+
+export default OfflineScanReceipt;
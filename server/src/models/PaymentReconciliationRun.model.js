@@ -0,0 +1,51 @@
+// PaymentReconciliationRun Model - Reports of the stale PENDING payment reconciler
+import { pool } from '../config/db.js';
+
+class PaymentReconciliationRun {
+  /**
+   * Store a run report
+   * @param {Object} report - From PaymentReconciliationService.reconcile
+   * @returns {Promise<Object>}
+   */
+  static async create(report) {
+    const {
+      trigger, triggered_by_admin_id = null, stale_after_minutes, started_at,
+      checked, completed, failed, expired, skipped, errors, actions
+    } = report;
+
+    const result = await pool(
+      `INSERT INTO payment_reconciliation_runs (
+         trigger, triggered_by_admin_id, stale_after_minutes, started_at,
+         checked, completed, failed, expired, skipped, errors, actions
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING *`,
+      [
+        trigger, triggered_by_admin_id, stale_after_minutes, started_at,
+        checked, completed, failed, expired, skipped, errors, JSON.stringify(actions)
+      ]
+    );
+
+    return result[0];
+  }
+
+  /**
+   * Recent reports, newest first
+   * @param {number} limit - Max rows
+   * @param {number} offset - Rows to skip
+   * @returns {Promise<Array>}
+   */
+  static async findRecent(limit = 20, offset = 0) {
+    const result = await pool(
+      `SELECT *
+       FROM payment_reconciliation_runs
+       ORDER BY started_at DESC
+       LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+
+    return result || [];
+  }
+}
+
+export default PaymentReconciliationRun;
@@ -0,0 +1,74 @@
+// PaymentWebhookEvent Model - Razorpay webhook deliveries (deduplication)
+import { pool } from '../config/db.js';
+
+class PaymentWebhookEvent {
+  static STALE_CLAIM_MINUTES = 5; // A RECEIVED event older than this was abandoned mid-processing
+
+  /**
+   * Record a delivery and take it for processing
+   * Redeliveries of an event that FAILED are taken again, as are RECEIVED ones
+   * whose claim is stale; PROCESSED and in-flight events are not
+   * @param {Object} data - { event_id, event_type, payload }
+   * @returns {Promise<Object|null>} null if the event was processed or is being processed
+   */
+  static async claim(data) {
+    const { event_id, event_type, payload } = data;
+
+    const result = await pool(
+      `INSERT INTO payment_webhook_events (event_id, event_type, payload, claimed_at)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (event_id) DO UPDATE
+       SET status = 'RECEIVED',
+           attempts = payment_webhook_events.attempts + 1,
+           error_message = NULL,
+           claimed_at = NOW()
+       WHERE payment_webhook_events.status = 'FAILED'
+          OR (payment_webhook_events.status = 'RECEIVED'
+              AND payment_webhook_events.claimed_at < NOW() - ($4 || ' minutes')::interval)
+       RETURNING *`,
+      [event_id, event_type, JSON.stringify(payload), String(this.STALE_CLAIM_MINUTES)]
+    );
+
+    return result[0] || null;
+  }
+
+  /**
+   * Mark an event processed
+   * @param {string} eventId - Razorpay event ID
+   * @param {string} outcome - What the event did
+   * @returns {Promise<Object|null>}
+   */
+  static async markProcessed(eventId, outcome) {
+    const result = await pool`
+      UPDATE payment_webhook_events
+      SET status = 'PROCESSED',
+          outcome = ${outcome},
+          processed_at = NOW()
+      WHERE event_id = ${eventId}
+      RETURNING *
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Mark an event failed (processed again when Razorpay redelivers it)
+   * @param {string} eventId - Razorpay event ID
+   * @param {string} errorMessage - Failure reason
+   * @returns {Promise<Object|null>}
+   */
+  static async markFailed(eventId, errorMessage) {
+    const result = await pool`
+      UPDATE payment_webhook_events
+      SET status = 'FAILED',
+          error_message = ${errorMessage}
+      WHERE event_id = ${eventId}
+        AND status = 'RECEIVED'
+      RETURNING *
+    `;
+
+    return result[0] || null;
+  }
+}
+
+export default PaymentWebhookEvent;
@@ -0,0 +1,74 @@
+// SecurityEvent Model - Suspicious scan activity surfaced to event managers
+import { pool } from '../config/db.js';
+
+class SecurityEvent {
+  /**
+   * Record a security event
+   * @param {Object} data - { event_id, event_type, severity, student_id, volunteer_id, details }
+   * @returns {Promise<Object>}
+   */
+  static async create(data) {
+    const {
+      event_id = null,
+      event_type,
+      severity = 'MEDIUM',
+      student_id = null,
+      volunteer_id = null,
+      details = {}
+    } = data;
+
+    const result = await pool`
+      INSERT INTO security_events (
+        event_id, event_type, severity,
+        student_id, volunteer_id, details
+      )
+      VALUES (
+        ${event_id}, ${event_type}, ${severity},
+        ${student_id}, ${volunteer_id}, ${JSON.stringify(details)}
+      )
+      RETURNING *
+    `;
+
+    return result[0];
+  }
+
+  /**
+   * Get security events for an event
+   * @param {string} eventId - Event UUID
+   * @param {Object} filters - { event_type, limit, offset }
+   * @returns {Promise<Array>}
+   */
+  static async getEventSecurityEvents(eventId, filters = {}) {
+    const { event_type, limit = 50, offset = 0 } = filters;
+
+    const conditions = ['se.event_id = $1'];
+    const params = [eventId];
+
+    if (event_type) {
+      conditions.push(`se.event_type = $${params.length + 1}`);
+      params.push(event_type);
+    }
+
+    params.push(limit, offset);
+
+    const result = await pool(
+      `SELECT 
+         se.*,
+         s.full_name as student_name,
+         s.registration_no as student_registration_no,
+         v.full_name as volunteer_name,
+         v.email as volunteer_email
+       FROM security_events se
+       LEFT JOIN students s ON se.student_id = s.id
+       LEFT JOIN volunteers v ON se.volunteer_id = v.id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY se.created_at DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    return result || [];
+  }
+}
+
+export default SecurityEvent;
@@ -0,0 +1,92 @@
+// SigningKey Model - Key ring entries for session and QR token signing
+import { pool } from '../config/db.js';
+
+// Columns safe to return from the API (never the key material)
+const PUBLIC_COLUMNS = `
+  id, purpose, kid, status, activated_at, retired_at, created_by_admin_id, created_at,
+  (kid = 'legacy') as is_legacy
+`;
+
+class SigningKey {
+  /**
+   * Keys that can still verify tokens (with key material)
+   * @returns {Promise<Array>}
+   */
+  static async getUsableKeys() {
+    const result = await pool`
+      SELECT purpose, kid, secret_ciphertext, activated_at
+      FROM signing_keys
+      WHERE status = 'ACTIVE'
+      ORDER BY purpose ASC, activated_at DESC
+    `;
+
+    return result || [];
+  }
+
+  /**
+   * Add a key to the ring
+   * @param {Object} data - { purpose, kid, secret_ciphertext, activated_at, created_by_admin_id }
+   * @returns {Promise<Object>}
+   */
+  static async create(data) {
+    const { purpose, kid, secret_ciphertext, activated_at, created_by_admin_id = null } = data;
+
+    const result = await pool(
+      `INSERT INTO signing_keys (purpose, kid, secret_ciphertext, activated_at, created_by_admin_id)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${PUBLIC_COLUMNS}`,
+      [purpose, kid, secret_ciphertext, activated_at, created_by_admin_id]
+    );
+
+    return result[0];
+  }
+
+  /**
+   * Find a key by purpose and kid
+   * @param {string} purpose - SESSION | STUDENT_QR | STALL_QR | OFFLINE_QR
+   * @param {string} kid - Key ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findByKid(purpose, kid) {
+    const result = await pool(
+      `SELECT ${PUBLIC_COLUMNS} FROM signing_keys WHERE purpose = $1 AND kid = $2 LIMIT 1`,
+      [purpose, kid]
+    );
+
+    return result[0] || null;
+  }
+
+  /**
+   * All keys, newest first per purpose
+   * @returns {Promise<Array>}
+   */
+  static async findAll() {
+    const result = await pool(
+      `SELECT ${PUBLIC_COLUMNS}
+       FROM signing_keys
+       ORDER BY purpose ASC, activated_at DESC`
+    );
+
+    return result || [];
+  }
+
+  /**
+   * Retire a key - tokens signed with it stop verifying
+   * @param {string} purpose - Key purpose
+   * @param {string} kid - Key ID
+   * @returns {Promise<Object|null>}
+   */
+  static async retire(purpose, kid) {
+    const result = await pool(
+      `UPDATE signing_keys
+       SET status = 'RETIRED', retired_at = NOW()
+       WHERE purpose = $1 AND kid = $2 AND status = 'ACTIVE'
+       RETURNING ${PUBLIC_COLUMNS}`,
+      [purpose, kid]
+    );
+
+    return result[0] || null;
+  }
+}
+
+export default SigningKey;
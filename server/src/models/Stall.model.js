@@ -7,6 +7,7 @@ class StallModel {
     this.stall_number = data.stall_number;
     this.stall_name = data.stall_name;
     this.school_id = data.school_id;
+    this.event_id = data.event_id;
     this.description = data.description;
     this.role = data.role;
     this.qr_code_token = data.qr_code_token;
@@ -16,6 +17,7 @@ class StallModel {
     this.rank_3_votes = data.rank_3_votes;
     this.weighted_score = data.weighted_score;
     this.location = data.location;
+    this.rotating_qr_enabled = data.rotating_qr_enabled;
     this.is_active = data.is_active;
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
@@ -57,6 +59,71 @@ class StallModel {
     return results.length > 0 ? new StallModel(results[0]) : null;
   }
 
+  // Stall for a verified stall QR. Signed (JWT) tokens identify the stall themselves,
+  // so printed codes keep working after the stored token is re-signed with a new key
+  static async findByVerifiedToken(token, decoded, sql) {
+    const stall = await StallModel.findByQRToken(token, sql);
+    if (stall || token.startsWith('STALL_')) return stall;
+
+    if (decoded.stall_id) return StallModel.findById(decoded.stall_id, sql);
+    return decoded.stall_number ? StallModel.findByStallNumber(decoded.stall_number, sql) : null;
+  }
+
+  // Stored stall tokens that are signed JWTs (plain STALL_ tokens carry no signature)
+  static async findSignedQRTokens(sql) {
+    const query = `
+      SELECT id, stall_number, qr_code_token
+      FROM stalls
+      WHERE qr_code_token IS NOT NULL AND qr_code_token NOT LIKE 'STALL\\_%'
+      ORDER BY stall_number ASC
+    `;
+    return await sql(query);
+  }
+
+  // Swap a stored QR token, only if it hasn't changed since it was read
+  static async replaceQRToken(id, oldToken, newToken, sql) {
+    const query = `
+      UPDATE stalls
+      SET qr_code_token = $3, updated_at = NOW()
+      WHERE id = $1 AND qr_code_token = $2
+      RETURNING id
+    `;
+    const results = await sql(query, [id, oldToken, newToken]);
+    return results.length > 0;
+  }
+
+  static async findByStallNumber(stallNumber, sql) {
+    const query = `
+      SELECT s.*, sc.school_name
+      FROM stalls s
+      LEFT JOIN schools sc ON s.school_id = sc.id
+      WHERE s.stall_number = $1 LIMIT 1
+    `;
+    const results = await sql(query, [String(stallNumber)]);
+    return results.length > 0 ? new StallModel(results[0]) : null;
+  }
+
+  // Display key hash is kept off the model so it never reaches API responses
+  static async getDisplayKeyHash(id, sql) {
+    const query = `SELECT display_key_hash FROM stalls WHERE id = $1 LIMIT 1`;
+    const results = await sql(query, [id]);
+    return results[0]?.display_key_hash || null;
+  }
+
+  // Switch rotating QR mode (displayKeyHash: new key hash, or null to clear)
+  static async updateQRMode(id, enabled, displayKeyHash, sql) {
+    const query = `
+      UPDATE stalls
+      SET rotating_qr_enabled = $2,
+          display_key_hash = $3,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const results = await sql(query, [id, enabled, displayKeyHash]);
+    return results.length > 0 ? new StallModel(results[0]) : null;
+  }
+
   static async findBySchool(schoolId, sql) {
     const query = `
       SELECT s.*, sc.school_name
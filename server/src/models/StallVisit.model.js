@@ -0,0 +1,166 @@
+// StallVisit Model - Stall visits recorded from student stall QR scans
+class StallVisitModel {
+  // A re-scan sooner than this is a double tap, not the end of the visit
+  static MIN_RESCAN_SECONDS = 60;
+  // Visits left open longer than this are closed as abandoned on the next scan
+  static MAX_DWELL_MINUTES = 180;
+
+  constructor(data) {
+    this.id = data.id;
+    this.stall_id = data.stall_id;
+    this.student_id = data.student_id;
+    this.event_id = data.event_id;
+    this.scanned_in_at = data.scanned_in_at;
+    this.scanned_out_at = data.scanned_out_at;
+    this.dwell_minutes = data.dwell_minutes;
+    this.is_abandoned = data.is_abandoned;
+    this.created_at = data.created_at;
+  }
+
+  // Latest open visit, with how long it has been open (computed in the database)
+  static async findOpenVisit(stallId, studentId, sql) {
+    const query = `
+      SELECT *, EXTRACT(EPOCH FROM (NOW()::timestamp - scanned_in_at)) AS seconds_open
+      FROM stall_visits
+      WHERE stall_id = $1 AND student_id = $2 AND scanned_out_at IS NULL
+      LIMIT 1
+    `;
+    const results = await sql(query, [stallId, studentId]);
+    if (results.length === 0) return null;
+
+    const visit = new StallVisitModel(results[0]);
+    visit.seconds_open = parseFloat(results[0].seconds_open);
+    return visit;
+  }
+
+  // Open a visit (returns null if another scan opened one concurrently)
+  static async open(stallId, studentId, eventId, sql) {
+    const query = `
+      INSERT INTO stall_visits (stall_id, student_id, event_id, scanned_in_at)
+      VALUES ($1, $2, $3, NOW())
+      ON CONFLICT (stall_id, student_id) WHERE scanned_out_at IS NULL DO NOTHING
+      RETURNING *
+    `;
+    const results = await sql(query, [stallId, studentId, eventId || null]);
+    return results.length > 0 ? new StallVisitModel(results[0]) : null;
+  }
+
+  // Close an open visit with its dwell time
+  static async close(visitId, sql) {
+    const query = `
+      UPDATE stall_visits
+      SET scanned_out_at = NOW(),
+          dwell_minutes = GREATEST(FLOOR(EXTRACT(EPOCH FROM (NOW()::timestamp - scanned_in_at)) / 60), 0)::int
+      WHERE id = $1 AND scanned_out_at IS NULL
+      RETURNING *
+    `;
+    const results = await sql(query, [visitId]);
+    return results.length > 0 ? new StallVisitModel(results[0]) : null;
+  }
+
+  // Close a visit nobody re-scanned in time (no dwell time)
+  static async abandon(visitId, sql) {
+    const query = `
+      UPDATE stall_visits
+      SET scanned_out_at = NOW(), is_abandoned = TRUE
+      WHERE id = $1 AND scanned_out_at IS NULL
+      RETURNING *
+    `;
+    const results = await sql(query, [visitId]);
+    return results.length > 0 ? new StallVisitModel(results[0]) : null;
+  }
+
+  /**
+   * Record a stall QR scan
+   * - No open visit (or a stale one): opens a new visit (ARRIVED)
+   * - Open visit: closes it with dwell time (LEFT)
+   * - Re-scan within MIN_RESCAN_SECONDS: nothing changes (REPEAT)
+   * @returns {Promise<Object>} { action, visit }
+   */
+  static async recordScan(stallId, studentId, eventId, sql) {
+    const openVisit = await StallVisitModel.findOpenVisit(stallId, studentId, sql);
+
+    if (openVisit) {
+      if (openVisit.seconds_open < StallVisitModel.MIN_RESCAN_SECONDS) {
+        return { action: 'REPEAT', visit: openVisit };
+      }
+
+      if (openVisit.seconds_open <= StallVisitModel.MAX_DWELL_MINUTES * 60) {
+        const closed = await StallVisitModel.close(openVisit.id, sql);
+        if (closed) {
+          return { action: 'LEFT', visit: closed };
+        }
+      } else {
+        await StallVisitModel.abandon(openVisit.id, sql);
+      }
+    }
+
+    const opened = await StallVisitModel.open(stallId, studentId, eventId, sql);
+    if (opened) {
+      return { action: 'ARRIVED', visit: opened };
+    }
+
+    // A concurrent scan opened the visit first
+    return { action: 'REPEAT', visit: await StallVisitModel.findOpenVisit(stallId, studentId, sql) };
+  }
+
+  // Has the student ever scanned this stall
+  static async hasVisited(stallId, studentId, sql) {
+    const query = `
+      SELECT 1 FROM stall_visits
+      WHERE stall_id = $1 AND student_id = $2
+      LIMIT 1
+    `;
+    const results = await sql(query, [stallId, studentId]);
+    return results.length > 0;
+  }
+
+  // Stalls a student visited, one row per stall, with their feedback if any
+  static async findByStudent(studentId, sql) {
+    const query = `
+      SELECT
+        sv.stall_id,
+        st.stall_number,
+        st.stall_name,
+        sc.school_name,
+        COUNT(sv.id) AS visit_count,
+        MIN(sv.scanned_in_at) AS first_visited_at,
+        MAX(sv.scanned_in_at) AS last_visited_at,
+        COALESCE(SUM(sv.dwell_minutes), 0) AS total_dwell_minutes,
+        BOOL_OR(sv.scanned_out_at IS NULL) AS is_visiting,
+        f.rating,
+        f.comment,
+        f.submitted_at AS feedback_submitted_at
+      FROM stall_visits sv
+      LEFT JOIN stalls st ON sv.stall_id = st.id
+      LEFT JOIN schools sc ON st.school_id = sc.id
+      LEFT JOIN feedbacks f ON f.stall_id = sv.stall_id AND f.student_id = sv.student_id
+      WHERE sv.student_id = $1
+      GROUP BY sv.stall_id, st.stall_number, st.stall_name, sc.school_name, f.rating, f.comment, f.submitted_at
+      ORDER BY MAX(sv.scanned_in_at) DESC
+    `;
+    return await sql(query, [studentId]);
+  }
+
+  // Visitor counts for a stall
+  static async getStallStats(stallId, sql) {
+    const query = `
+      SELECT
+        COUNT(*) AS total_visits,
+        COUNT(DISTINCT student_id) AS unique_visitors,
+        COUNT(*) FILTER (
+          WHERE scanned_out_at IS NULL
+            AND scanned_in_at > NOW()::timestamp - ($2 || ' minutes')::interval
+        ) AS current_visitors,
+        COUNT(*) FILTER (WHERE DATE(scanned_in_at) = CURRENT_DATE) AS today_visits,
+        ROUND(AVG(dwell_minutes) FILTER (WHERE dwell_minutes IS NOT NULL), 1) AS avg_dwell_minutes,
+        MAX(scanned_in_at) AS last_visit_at
+      FROM stall_visits
+      WHERE stall_id = $1
+    `;
+    const results = await sql(query, [stallId, String(StallVisitModel.MAX_DWELL_MINUTES)]);
+    return results[0];
+  }
+}
+
+export default StallVisitModel;
@@ -227,7 +227,8 @@ class StudentModel {
   }
 
   // Process check-in/check-out (odd/even logic)
-  static async processCheckInOut(id, sql) {
+  // scannedAt overrides NOW() for scans replayed from offline devices
+  static async processCheckInOut(id, sql, scannedAt = null) {
     const query = `
       UPDATE students
       SET total_scan_count = total_scan_count + 1,
@@ -236,18 +237,18 @@ class StudentModel {
             ELSE false
           END,
           last_checkin_at = CASE 
-            WHEN (total_scan_count + 1) % 2 = 1 THEN NOW()
+            WHEN (total_scan_count + 1) % 2 = 1 THEN COALESCE($2, NOW())
             ELSE last_checkin_at
           END,
           last_checkout_at = CASE 
-            WHEN (total_scan_count + 1) % 2 = 0 THEN NOW()
+            WHEN (total_scan_count + 1) % 2 = 0 THEN COALESCE($2, NOW())
             ELSE last_checkout_at
           END,
           updated_at = NOW()
       WHERE id = $1
       RETURNING *
     `;
-    const results = await sql(query, [id]);
+    const results = await sql(query, [id, scannedAt]);
     return results.length > 0 ? new StudentModel(results[0]) : null;
   }
 
@@ -333,6 +334,86 @@ class StudentModel {
     return results.map(row => new StudentModel(row));
   }
 
+  // Students for badge printing: by school and/or batch, or an explicit registration number list
+  static async findForBadges(selection, sql, countOnly = false) {
+    const { school_id, batch, registration_nos } = selection;
+    const conditions = [];
+    const params = [];
+
+    if (school_id) {
+      params.push(school_id);
+      conditions.push(`s.school_id = $${params.length}`);
+    }
+    if (batch) {
+      params.push(batch);
+      conditions.push(`s.batch = $${params.length}`);
+    }
+    if (registration_nos && registration_nos.length > 0) {
+      params.push(registration_nos);
+      conditions.push(`s.registration_no = ANY($${params.length})`);
+    }
+
+    if (conditions.length === 0) {
+      throw new Error('Badge selection needs a school, batch or registration numbers');
+    }
+
+    if (countOnly) {
+      const results = await sql(
+        `SELECT COUNT(*) as count FROM students s WHERE ${conditions.join(' AND ')}`,
+        params
+      );
+      return parseInt(results[0]?.count || 0);
+    }
+
+    // Plain rows: the stored qr_code_token is what gets printed
+    const query = `
+      SELECT s.id, s.registration_no, s.full_name, s.batch, s.school_id, sc.school_name, s.qr_code_token
+      FROM students s
+      LEFT JOIN schools sc ON s.school_id = sc.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY sc.school_name ASC, s.batch ASC, s.registration_no ASC
+    `;
+    return await sql(query, params);
+  }
+
+  // Students with a stored QR token, a page at a time (keyset on id) for re-signing
+  static async findQRTokensPage(afterId, limit, sql) {
+    const query = `
+      SELECT id, registration_no, qr_code_token
+      FROM students
+      WHERE qr_code_token IS NOT NULL
+        AND ($1::uuid IS NULL OR id > $1::uuid)
+      ORDER BY id ASC
+      LIMIT $2
+    `;
+    return await sql(query, [afterId, limit]);
+  }
+
+  // Swap a stored QR token, only if it hasn't changed since it was read
+  static async replaceQRToken(id, oldToken, newToken, sql) {
+    const query = `
+      UPDATE students
+      SET qr_code_token = $3, updated_at = NOW()
+      WHERE id = $1 AND qr_code_token = $2
+      RETURNING id
+    `;
+    const results = await sql(query, [id, oldToken, newToken]);
+    return results.length > 0;
+  }
+
+  // Store a QR token for a student who has none; returns whichever token is stored
+  static async ensureQRToken(id, token, sql) {
+    const query = `
+      UPDATE students
+      SET qr_code_token = COALESCE(qr_code_token, $2),
+          updated_at = CASE WHEN qr_code_token IS NULL THEN NOW() ELSE updated_at END
+      WHERE id = $1
+      RETURNING qr_code_token
+    `;
+    const results = await sql(query, [id, token]);
+    return results[0]?.qr_code_token || null;
+  }
+
   // Count total students
   static async count(sql) {
     const query = `SELECT COUNT(*) as count FROM students`;
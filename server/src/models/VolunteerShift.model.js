@@ -0,0 +1,280 @@
+// VolunteerShift Model - Time-boxed gate duty for a volunteer at an event
+import { pool } from '../config/db.js';
+
+class VolunteerShift {
+  /**
+   * Create a shift
+   * @param {Object} data - { event_id, volunteer_id, start_time, end_time, location, notes, created_by_manager_id }
+   * @returns {Promise<Object>}
+   */
+  static async create(data) {
+    const {
+      event_id,
+      volunteer_id,
+      start_time,
+      end_time,
+      location = null,
+      notes = null,
+      created_by_manager_id = null
+    } = data;
+
+    const result = await pool`
+      INSERT INTO volunteer_shifts (
+        event_id, volunteer_id, start_time, end_time,
+        location, notes, created_by_manager_id
+      )
+      VALUES (
+        ${event_id}, ${volunteer_id}, ${start_time}, ${end_time},
+        ${location}, ${notes}, ${created_by_manager_id}
+      )
+      RETURNING *
+    `;
+
+    return result[0];
+  }
+
+  /**
+   * Find shift by ID
+   * @param {string} shiftId - Shift UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(shiftId) {
+    const result = await pool`
+      SELECT
+        vs.*,
+        v.full_name as volunteer_name,
+        v.email as volunteer_email
+      FROM volunteer_shifts vs
+      LEFT JOIN volunteers v ON vs.volunteer_id = v.id
+      WHERE vs.id = ${shiftId}
+      LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Get shifts for an event
+   * @param {string} eventId - Event UUID
+   * @param {Object} filters - { volunteer_id }
+   * @returns {Promise<Array>}
+   */
+  static async getEventShifts(eventId, filters = {}) {
+    const { volunteer_id } = filters;
+
+    const conditions = ['vs.event_id = $1'];
+    const params = [eventId];
+
+    if (volunteer_id) {
+      conditions.push(`vs.volunteer_id = $${params.length + 1}`);
+      params.push(volunteer_id);
+    }
+
+    const result = await pool(
+      `SELECT
+         vs.*,
+         v.full_name as volunteer_name,
+         v.email as volunteer_email
+       FROM volunteer_shifts vs
+       LEFT JOIN volunteers v ON vs.volunteer_id = v.id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY vs.start_time ASC, v.full_name ASC`,
+      params
+    );
+
+    return result || [];
+  }
+
+  /**
+   * Update shift times, location or notes
+   * @param {string} shiftId - Shift UUID
+   * @param {Object} updates - { start_time, end_time, location, notes }
+   * @returns {Promise<Object>}
+   */
+  static async update(shiftId, updates) {
+    const allowedFields = ['start_time', 'end_time', 'location', 'notes'];
+
+    const fields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    Object.keys(updates).forEach(key => {
+      if (allowedFields.includes(key) && updates[key] !== undefined) {
+        fields.push(`${key} = $${paramIndex}`);
+        values.push(updates[key]);
+        paramIndex++;
+      }
+    });
+
+    if (fields.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    fields.push('updated_at = NOW()');
+    values.push(shiftId);
+
+    const result = await pool(
+      `UPDATE volunteer_shifts
+       SET ${fields.join(', ')}
+       WHERE id = $${paramIndex}
+       RETURNING *`,
+      values
+    );
+
+    if (result.length === 0) {
+      throw new Error('Shift not found');
+    }
+
+    return result[0];
+  }
+
+  /**
+   * Delete shift
+   * @param {string} shiftId - Shift UUID
+   * @returns {Promise<boolean>}
+   */
+  static async delete(shiftId) {
+    const result = await pool`
+      DELETE FROM volunteer_shifts
+      WHERE id = ${shiftId}
+      RETURNING id
+    `;
+
+    return result.length > 0;
+  }
+
+  /**
+   * Delete all shifts for an event (roster replacement)
+   * @param {string} eventId - Event UUID
+   * @returns {Promise<number>} Number of shifts deleted
+   */
+  static async deleteEventShifts(eventId) {
+    const result = await pool`
+      DELETE FROM volunteer_shifts
+      WHERE event_id = ${eventId}
+      RETURNING id
+    `;
+
+    return result.length;
+  }
+
+  /**
+   * Find the volunteer's shifts at an event that overlap a time range
+   * @param {string} eventId - Event UUID
+   * @param {string} volunteerId - Volunteer UUID
+   * @param {string} startTime - Range start
+   * @param {string} endTime - Range end
+   * @param {string|null} excludeShiftId - Shift being edited
+   * @returns {Promise<Array>}
+   */
+  static async findOverlapping(eventId, volunteerId, startTime, endTime, excludeShiftId = null) {
+    const result = await pool(
+      `SELECT * FROM volunteer_shifts
+       WHERE event_id = $1
+         AND volunteer_id = $2
+         AND start_time < $4
+         AND end_time > $3
+         AND ($5::uuid IS NULL OR id <> $5::uuid)
+       ORDER BY start_time ASC`,
+      [eventId, volunteerId, startTime, endTime, excludeShiftId]
+    );
+
+    return result || [];
+  }
+
+  /**
+   * Find the volunteer's shift covering a moment, plus their next shift
+   * total_shifts = 0 means the volunteer is not on a shift roster for the event
+   * @param {string} eventId - Event UUID
+   * @param {string} volunteerId - Volunteer UUID
+   * @param {Date|string|null} at - Moment to check (null = now)
+   * @returns {Promise<Object>} { total_shifts, current_shift, next_shift }
+   */
+  static async findShiftAt(eventId, volunteerId, at = null) {
+    const result = await pool(
+      `WITH moment AS (
+         SELECT COALESCE($3::timestamp, NOW()::timestamp) AS at
+       )
+       SELECT
+         (SELECT COUNT(*) FROM volunteer_shifts
+          WHERE event_id = $1 AND volunteer_id = $2) AS total_shifts,
+         (SELECT row_to_json(current_shift) FROM (
+            SELECT vs.* FROM volunteer_shifts vs, moment
+            WHERE vs.event_id = $1 AND vs.volunteer_id = $2
+              AND vs.start_time <= moment.at AND vs.end_time > moment.at
+            ORDER BY vs.start_time ASC
+            LIMIT 1
+          ) current_shift) AS current_shift,
+         (SELECT row_to_json(next_shift) FROM (
+            SELECT vs.* FROM volunteer_shifts vs, moment
+            WHERE vs.event_id = $1 AND vs.volunteer_id = $2
+              AND vs.start_time > moment.at
+            ORDER BY vs.start_time ASC
+            LIMIT 1
+          ) next_shift) AS next_shift`,
+      [eventId, volunteerId, at]
+    );
+
+    const row = result[0];
+    return {
+      total_shifts: parseInt(row.total_shifts),
+      current_shift: row.current_shift,
+      next_shift: row.next_shift
+    };
+  }
+
+  /**
+   * Per-shift scan report derived from the volunteer's gate (check_in_outs),
+   * zone (zone_scans) and session door (session_attendance) scans
+   * A completed shift with no scans by the volunteer is a no-show
+   * @param {string} eventId - Event UUID
+   * @returns {Promise<Array>}
+   */
+  static async getShiftReport(eventId) {
+    const result = await pool`
+      WITH scans AS (
+        SELECT volunteer_id, scanned_at, 'GATE' as source, scan_type, is_manual
+        FROM check_in_outs
+        WHERE event_id = ${eventId} AND volunteer_id IS NOT NULL
+        UNION ALL
+        SELECT volunteer_id, scanned_at, 'ZONE', scan_type, FALSE
+        FROM zone_scans
+        WHERE event_id = ${eventId} AND volunteer_id IS NOT NULL
+        UNION ALL
+        SELECT volunteer_id, checked_in_at, 'SESSION', 'CHECKIN', FALSE
+        FROM session_attendance
+        WHERE event_id = ${eventId} AND volunteer_id IS NOT NULL
+      )
+      SELECT
+        vs.*,
+        v.full_name as volunteer_name,
+        v.email as volunteer_email,
+        COUNT(c.scanned_at) as scan_count,
+        COUNT(c.scanned_at) FILTER (WHERE c.source = 'GATE' AND c.scan_type = 'CHECKIN') as checkin_count,
+        COUNT(c.scanned_at) FILTER (WHERE c.source = 'GATE' AND c.scan_type = 'CHECKOUT') as checkout_count,
+        COUNT(c.scanned_at) FILTER (WHERE c.source = 'ZONE') as zone_scan_count,
+        COUNT(c.scanned_at) FILTER (WHERE c.source = 'SESSION') as session_scan_count,
+        COUNT(c.scanned_at) FILTER (WHERE c.is_manual = TRUE) as manual_count,
+        MIN(c.scanned_at) as first_scan_at,
+        MAX(c.scanned_at) as last_scan_at,
+        CASE
+          WHEN NOW()::timestamp < vs.start_time THEN 'UPCOMING'
+          WHEN NOW()::timestamp < vs.end_time THEN 'IN_PROGRESS'
+          ELSE 'COMPLETED'
+        END as shift_status,
+        (vs.end_time <= NOW()::timestamp AND COUNT(c.scanned_at) = 0) as is_no_show
+      FROM volunteer_shifts vs
+      LEFT JOIN volunteers v ON vs.volunteer_id = v.id
+      LEFT JOIN scans c ON c.volunteer_id = vs.volunteer_id
+        AND c.scanned_at >= vs.start_time
+        AND c.scanned_at < vs.end_time
+      WHERE vs.event_id = ${eventId}
+      GROUP BY vs.id, v.full_name, v.email
+      ORDER BY vs.start_time ASC, v.full_name ASC
+    `;
+
+    return result || [];
+  }
+}
+
+export default VolunteerShift;
@@ -11,6 +11,16 @@ import EventManagerModel from './EventManager.model.js';
 import EventModel from './Event.model.js';
 import EventRegistrationModel from './EventRegistration.model.js';
 import EventVolunteerModel from './EventVolunteer.model.js';
+import OfflineScanReceiptModel from './OfflineScanReceipt.model.js';
+import SecurityEventModel from './SecurityEvent.model.js';
+import VolunteerShiftModel from './VolunteerShift.model.js';
+import EventZoneModel from './EventZone.model.js';
+import EventSessionModel from './EventSession.model.js';
+import StallVisitModel from './StallVisit.model.js';
+import BadgeExportModel from './BadgeExport.model.js';
+import SigningKeyModel from './SigningKey.model.js';
+import PaymentWebhookEventModel from './PaymentWebhookEvent.model.js';
+import PaymentReconciliationRunModel from './PaymentReconciliationRun.model.js';
 
 // Named exports (preferred for production - tree-shaking support)
 export {
@@ -25,5 +35,15 @@ export {
   EventManagerModel,
   EventModel,
   EventRegistrationModel,
-  EventVolunteerModel
+  EventVolunteerModel,
+  OfflineScanReceiptModel,
+  SecurityEventModel,
+  VolunteerShiftModel,
+  EventZoneModel,
+  EventSessionModel,
+  StallVisitModel,
+  BadgeExportModel,
+  SigningKeyModel,
+  PaymentWebhookEventModel,
+  PaymentReconciliationRunModel
 };
@@ -107,4 +107,103 @@ router.patch('/events/:id/approve', adminController.approveEvent);
  */
 router.patch('/events/:id/reject', adminController.rejectEvent);
 
+// ============================================================
+// STUDENT BADGE EXPORT ROUTES
+// ============================================================
+
+/**
+ * @route   POST /api/admin/badge-exports
+ * @desc    Queue printable A4 badge sheets (PDF or SVG) for a school, batch or list of students
+ * @access  Private (ADMIN)
+ * @note    Body: { format, school_id?, batch?, registration_nos? } - rendered by a background job
+ */
+router.post('/badge-exports', adminController.createBadgeExport);
+
+/**
+ * @route   GET /api/admin/badge-exports
+ * @desc    List recent badge exports
+ * @access  Private (ADMIN)
+ */
+router.get('/badge-exports', adminController.getBadgeExports);
+
+/**
+ * @route   GET /api/admin/badge-exports/:id
+ * @desc    Get badge export status
+ * @access  Private (ADMIN)
+ */
+router.get('/badge-exports/:id', adminController.getBadgeExport);
+
+/**
+ * @route   GET /api/admin/badge-exports/:id/download
+ * @desc    Download a finished badge export (SVG: ?page=N)
+ * @access  Private (ADMIN)
+ */
+router.get('/badge-exports/:id/download', adminController.downloadBadgeExport);
+
+// ============================================================
+// TOKEN SIGNING KEY ROUTES
+// ============================================================
+
+/**
+ * @route   GET /api/admin/signing-keys
+ * @desc    List signing keys per purpose (SESSION, STUDENT_QR, STALL_QR)
+ * @access  Private (ADMIN)
+ */
+router.get('/signing-keys', adminController.getSigningKeys);
+
+/**
+ * @route   POST /api/admin/signing-keys/rotate
+ * @desc    Create a new signing key for a purpose
+ * @access  Private (ADMIN)
+ * @note    Body: { purpose } - STALL_QR / STUDENT_QR rotation re-signs stored QR tokens in the background
+ */
+router.post('/signing-keys/rotate', adminController.rotateSigningKey);
+
+/**
+ * @route   POST /api/admin/signing-keys/:purpose/:kid/retire
+ * @desc    Retire a signing key (tokens signed with it stop verifying)
+ * @access  Private (ADMIN)
+ * @note    409 KEY_IN_USE while stored stall/student QR tokens are still signed with it,
+ *          409 KEY_PRINTED for a student QR key on badge exports unless the body is { force: true }
+ */
+router.post('/signing-keys/:purpose/:kid/retire', adminController.retireSigningKey);
+
+// ============================================================
+// PAYMENT RECONCILIATION ROUTES
+// ============================================================
+
+/**
+ * @route   GET /api/admin/payment-reconciliation/runs
+ * @desc    Reports of the stale PENDING payment reconciler (actions per registration)
+ * @access  Private (ADMIN)
+ */
+router.get('/payment-reconciliation/runs', adminController.getPaymentReconciliationRuns);
+
+/**
+ * @route   POST /api/admin/payment-reconciliation/run
+ * @desc    Complete, fail or expire stale PENDING payments now
+ * @access  Private (ADMIN)
+ * @note    Also runs every 10 minutes as a background job
+ */
+router.post('/payment-reconciliation/run', adminController.runPaymentReconciliation);
+
+// ============================================================
+// EVENT LIFECYCLE ROUTES
+// ============================================================
+
+/**
+ * @route   GET /api/admin/event-lifecycle/preview
+ * @desc    Dry run: status transitions due within the next ?hours= (default 24, overdue ones flagged)
+ * @access  Private (ADMIN)
+ */
+router.get('/event-lifecycle/preview', adminController.previewEventLifecycle);
+
+/**
+ * @route   POST /api/admin/event-lifecycle/run
+ * @desc    Activate, complete and archive events that are due now
+ * @access  Private (ADMIN)
+ * @note    Also runs every 5 minutes as a background job
+ */
+router.post('/event-lifecycle/run', adminController.runEventLifecycle);
+
 export default router;
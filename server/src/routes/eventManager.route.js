@@ -1,12 +1,45 @@
 // Event Manager Routes - Protected routes for event managers
 import express from 'express';
+import multer from 'multer';
 import EventManagerController from '../controllers/eventManager.controller.js';
 import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
 import { authLimiter, apiLimiter, eventCreationLimiter } from '../middleware/rateLimiter.js';
 import { sanitizeBody, sanitizeQuery } from '../middleware/sanitizer.js';
+import { errorResponse } from '../helpers/response.js';
 
 const router = express.Router();
 
+// Shift roster uploads are small spreadsheets kept in memory
+const rosterUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB
+  fileFilter: (req, file, cb) => {
+    if (/\.(xlsx|csv)$/i.test(file.originalname)) {
+      return cb(null, true);
+    }
+    const error = new Error('Roster must be an .xlsx or .csv file');
+    error.status = 400;
+    cb(error);
+  }
+});
+
+// Rejected uploads (wrong type, too large) are answered here as 400s
+const uploadRoster = (req, res, next) => {
+  rosterUpload.single('file')(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE' ? 'Roster file must be 2MB or smaller' : error.message;
+      return errorResponse(res, message, 400, { code: error.code });
+    }
+    if (error.status === 400) {
+      return errorResponse(res, error.message, 400);
+    }
+    next(error);
+  });
+};
+
 // ============================================================
 // PUBLIC ROUTES (Authentication)
 // ============================================================
@@ -83,6 +116,14 @@ router.get('/events/:eventId', EventManagerController.getEventDetails);
  */
 router.put('/events/:eventId', EventManagerController.updateEvent);
 
+/**
+ * @route   PATCH /api/event-manager/events/:eventId/scan-settings
+ * @desc    Update gate scan cooldown (repeat scans inside it are ignored)
+ * @access  Private (EVENT_MANAGER - owner only)
+ * @note    Allowed while the event is ACTIVE
+ */
+router.patch('/events/:eventId/scan-settings', EventManagerController.updateScanSettings);
+
 /**
  * @route   DELETE /api/event-manager/events/:eventId
  * @desc    Delete event (soft delete - cancel)
@@ -108,6 +149,144 @@ router.post('/events/:eventId/volunteers', EventManagerController.assignVoluntee
  */
 router.get('/events/:eventId/volunteers', EventManagerController.getEventVolunteers);
 
+/**
+ * @route   PATCH /api/event-manager/events/:eventId/volunteers/:volunteerId
+ * @desc    Update volunteer's gate location, gate mode (TOGGLE, ENTRY_ONLY, EXIT_ONLY), zone or session
+ * @access  Private (EVENT_MANAGER - owner only)
+ */
+router.patch('/events/:eventId/volunteers/:volunteerId', EventManagerController.updateVolunteerAssignment);
+
+/**
+ * @route   PUT /api/event-manager/events/:eventId/volunteers/:volunteerId/permissions
+ * @desc    Replace volunteer's permissions (SCAN, VIEW_STUDENTS, VERIFY_PAYMENTS, MANUAL_CHECKIN)
+ * @access  Private (EVENT_MANAGER - owner only)
+ */
+router.put('/events/:eventId/volunteers/:volunteerId/permissions', EventManagerController.updateVolunteerPermissions);
+
+// ============================================================
+// ZONES (halls/labs with their own capacity)
+// ============================================================
+
+/**
+ * @route   POST /api/event-manager/events/:eventId/zones
+ * @desc    Create a zone (zone_name, capacity, description)
+ * @access  Private (EVENT_MANAGER - owner only)
+ * @note    Post volunteers at a zone with zone_id on their assignment
+ */
+router.post('/events/:eventId/zones', EventManagerController.createZone);
+
+/**
+ * @route   GET /api/event-manager/events/:eventId/zones
+ * @desc    List zones with current occupancy
+ * @access  Private (EVENT_MANAGER - owner only)
+ */
+router.get('/events/:eventId/zones', EventManagerController.getEventZones);
+
+/**
+ * @route   PATCH /api/event-manager/events/:eventId/zones/:zoneId
+ * @desc    Update zone name, description, capacity or is_active
+ * @access  Private (EVENT_MANAGER - owner only)
+ */
+router.patch('/events/:eventId/zones/:zoneId', EventManagerController.updateZone);
+
+/**
+ * @route   DELETE /api/event-manager/events/:eventId/zones/:zoneId
+ * @desc    Delete an empty zone
+ * @access  Private (EVENT_MANAGER - owner only)
+ */
+router.delete('/events/:eventId/zones/:zoneId', EventManagerController.deleteZone);
+
+// ============================================================
+// SESSIONS (workshop series inside an event)
+// ============================================================
+
+/**
+ * @route   POST /api/event-manager/events/:eventId/sessions
+ * @desc    Create a session (session_name, start_time, end_time, venue, description, capacity)
+ * @access  Private (EVENT_MANAGER - owner only)
+ * @note    capacity is optional (null = unlimited); capacity-limited sessions need a booking
+ * @note    Post volunteers at a session with session_id on their assignment to record attendance
+ */
+router.post('/events/:eventId/sessions', EventManagerController.createSession);
+
+/**
+ * @route   GET /api/event-manager/events/:eventId/sessions
+ * @desc    List sessions with bookings, attendance and posted volunteers
+ * @access  Private (EVENT_MANAGER - owner only)
+ */
+router.get('/events/:eventId/sessions', EventManagerController.getEventSessions);
+
+/**
+ * @route   GET /api/event-manager/events/:eventId/sessions/attendance
+ * @desc    Sessions attended per student, completed when min_sessions_for_completion is met
+ * @access  Private (EVENT_MANAGER - owner only)
+ * @note    ?min_sessions= overrides the event's minimum for this report
+ */
+router.get('/events/:eventId/sessions/attendance', EventManagerController.getSessionAttendanceReport);
+
+/**
+ * @route   PATCH /api/event-manager/events/:eventId/sessions/:sessionId
+ * @desc    Update session name, description, venue, times, capacity or is_active
+ * @access  Private (EVENT_MANAGER - owner only)
+ */
+router.patch('/events/:eventId/sessions/:sessionId', EventManagerController.updateSession);
+
+/**
+ * @route   DELETE /api/event-manager/events/:eventId/sessions/:sessionId
+ * @desc    Delete a session with no attendance recorded
+ * @access  Private (EVENT_MANAGER - owner only)
+ */
+router.delete('/events/:eventId/sessions/:sessionId', EventManagerController.deleteSession);
+
+// ============================================================
+// VOLUNTEER SHIFTS
+// ============================================================
+
+/**
+ * @route   POST /api/event-manager/events/:eventId/shifts
+ * @desc    Create a shift (volunteer_id, start_time, end_time, location, notes)
+ * @access  Private (EVENT_MANAGER - owner only)
+ * @note    Volunteers with shifts can only scan during them
+ */
+router.post('/events/:eventId/shifts', EventManagerController.createShift);
+
+/**
+ * @route   POST /api/event-manager/events/:eventId/shifts/bulk
+ * @desc    Upload a shift roster (.xlsx/.csv as "file", or JSON shifts array)
+ * @access  Private (EVENT_MANAGER - owner only)
+ * @note    Columns: volunteer_email (or volunteer_id), start_time, end_time, location, notes
+ *          replace_existing=true replaces the event's current roster
+ */
+router.post('/events/:eventId/shifts/bulk', uploadRoster, EventManagerController.uploadShiftRoster);
+
+/**
+ * @route   GET /api/event-manager/events/:eventId/shifts
+ * @desc    List shifts for event (optional ?volunteer_id=)
+ * @access  Private (EVENT_MANAGER - owner only)
+ */
+router.get('/events/:eventId/shifts', EventManagerController.getEventShifts);
+
+/**
+ * @route   GET /api/event-manager/events/:eventId/shifts/report
+ * @desc    Per-shift scan counts and no-shows (derived from gate, zone and session scans)
+ * @access  Private (EVENT_MANAGER - owner only)
+ */
+router.get('/events/:eventId/shifts/report', EventManagerController.getShiftReport);
+
+/**
+ * @route   PATCH /api/event-manager/events/:eventId/shifts/:shiftId
+ * @desc    Update shift times, location or notes
+ * @access  Private (EVENT_MANAGER - owner only)
+ */
+router.patch('/events/:eventId/shifts/:shiftId', EventManagerController.updateShift);
+
+/**
+ * @route   DELETE /api/event-manager/events/:eventId/shifts/:shiftId
+ * @desc    Delete a shift
+ * @access  Private (EVENT_MANAGER - owner only)
+ */
+router.delete('/events/:eventId/shifts/:shiftId', EventManagerController.deleteShift);
+
 /**
  * @route   DELETE /api/event-manager/events/:eventId/volunteers/:volunteerId
  * @desc    Remove volunteer from event
@@ -115,6 +294,13 @@ router.get('/events/:eventId/volunteers', EventManagerController.getEventVolunte
  */
 router.delete('/events/:eventId/volunteers/:volunteerId', EventManagerController.removeVolunteer);
 
+/**
+ * @route   POST /api/event-manager/events/:eventId/close-sessions
+ * @desc    Check out all students still inside (auto-closed, capped duration)
+ * @access  Private (EVENT_MANAGER - owner only)
+ */
+router.post('/events/:eventId/close-sessions', EventManagerController.closeOpenSessions);
+
 // ============================================================
 // REGISTRATION MANAGEMENT ROUTES
 // ============================================================
@@ -137,6 +323,35 @@ router.get('/events/:eventId/registrations', EventManagerController.getEventRegi
  */
 router.get('/events/:eventId/analytics', EventManagerController.getEventAnalytics);
 
+/**
+ * @route   GET /api/event-manager/events/:eventId/occupancy
+ * @desc    Live occupancy snapshot (inside now, entries/exits per minute, per-gate counts)
+ * @access  Private (EVENT_MANAGER - owner only)
+ */
+router.get('/events/:eventId/occupancy', EventManagerController.getOccupancy);
+
+/**
+ * @route   GET /api/event-manager/events/:eventId/occupancy/stream
+ * @desc    Server-Sent Events stream of occupancy, pushed as scans happen
+ * @access  Private (EVENT_MANAGER - owner only)
+ * @note    Events: "snapshot" on connect, then "occupancy" (at most once per second)
+ */
+router.get('/events/:eventId/occupancy/stream', EventManagerController.streamOccupancy);
+
+/**
+ * @route   GET /api/event-manager/events/:eventId/security-events
+ * @desc    Get suspicious scan activity (e.g. reused rotating QR codes)
+ * @access  Private (EVENT_MANAGER - owner only)
+ */
+router.get('/events/:eventId/security-events', EventManagerController.getEventSecurityEvents);
+
+/**
+ * @route   GET /api/event-manager/events/:eventId/manual-scans
+ * @desc    List manual check-ins/outs (registration number fallback) with reasons
+ * @access  Private (EVENT_MANAGER - owner only)
+ */
+router.get('/events/:eventId/manual-scans', EventManagerController.getManualScans);
+
 // ============================================================
 // STALL ASSIGNMENT ROUTES
 // ============================================================
@@ -162,4 +377,12 @@ router.get('/events/:eventId/stalls', EventManagerController.getEventStalls);
  */
 router.delete('/events/:eventId/stalls/:stallId', EventManagerController.removeStall);
 
+/**
+ * @route   PATCH /api/event-manager/events/:eventId/stalls/:stallId/qr-mode
+ * @desc    Turn rotating stall QR mode on/off (returns a new display key when enabled)
+ * @access  Private (EVENT_MANAGER - owner only)
+ * @note    Body: { rotating_qr_enabled: boolean, regenerate_display_key?: boolean }
+ */
+router.patch('/events/:eventId/stalls/:stallId/qr-mode', EventManagerController.updateStallQRMode);
+
 export default router;
@@ -13,6 +13,7 @@ router.get('/', stallController.getAllStalls);
 router.get('/:id', stallController.getStallById);
 router.get('/number/:stallNumber', stallController.getStallByNumber);
 router.get('/:id/qr-code', stallController.getStallQRCode);
+router.get('/:id/display', stallController.getStallDisplay); // Rotating QR for stall screens (display key required)
 router.get('/school/:schoolName', stallController.getStallsBySchool);
 router.get('/:id/stats', stallController.getStallStats);
 
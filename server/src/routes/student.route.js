@@ -14,6 +14,14 @@ router.post('/login', studentController.login);
 router.post('/verify-reset-credentials', studentController.verifyResetCredentials);
 router.post('/reset-password', studentController.resetPassword);
 
+/**
+ * @route   POST /api/student/payment/webhook
+ * @desc    Razorpay payment webhook (payment.captured, payment.failed, order.paid, refund.processed)
+ * @access  Public (Razorpay callback, verified by X-Razorpay-Signature)
+ * @note    Deduplicated by X-Razorpay-Event-Id; safe in any order with /payment/verify
+ */
+router.post('/payment/webhook', studentController.handlePaymentWebhook);
+
 // 🔒 Apply authentication + STUDENT authorization to all routes below
 router.use(authenticateToken);
 router.use(authorizeRoles('STUDENT'));
@@ -75,17 +83,42 @@ router.post('/events/:eventId/payment/initiate', studentController.initiatePaidE
 router.post('/events/:eventId/payment/verify', studentController.verifyPayment);
 
 /**
- * @route   GET /api/student/my-events
- * @desc    Get student's registered events
+ * @route   POST /api/student/events/:eventId/cancel
+ * @desc    Cancel registration (or leave the waitlist) before the event starts
  * @access  Private (STUDENT)
+ * @note    Paid registrations are refunded per the event's refund rules
  */
-router.get('/my-events', studentController.getMyRegisteredEvents);
+router.post('/events/:eventId/cancel', studentController.cancelRegistration);
+
+/**
+ * @route   GET /api/student/events/:eventId/waitlist
+ * @desc    Get waitlist position (or the open payment offer after promotion)
+ * @access  Private (STUDENT)
+ * @note    Full events with a waitlist: register/payment-initiate return 202 with the position
+ */
+router.get('/events/:eventId/waitlist', studentController.getWaitlistStatus);
+
+/**
+ * @route   GET /api/student/events/:eventId/sessions
+ * @desc    Get the event's sessions with seats left and the student's bookings/attendance
+ * @access  Private (STUDENT)
+ */
+router.get('/events/:eventId/sessions', studentController.getEventSessions);
 
 /**
- * @route   POST /api/student/events/:eventId/payment/webhook
- * @desc    Razorpay payment webhook
- * @access  Public (Razorpay callback)
+ * @route   PUT /api/student/events/:eventId/sessions
+ * @desc    Choose the whole event (session_scope EVENT) or specific sessions (SESSIONS) and book them
+ * @access  Private (STUDENT)
+ * @note    Replaces the student's bookings with session_ids; capacity-limited sessions need a booking either way
+ * @note    Needs a confirmed (and paid) registration; bookings are locked once a session starts
  */
-// Note: Webhook route should be handled separately with signature verification
+router.put('/events/:eventId/sessions', studentController.updateSessionBookings);
+
+/**
+ * @route   GET /api/student/my-events
+ * @desc    Get student's registered events
+ * @access  Private (STUDENT)
+ */
+router.get('/my-events', studentController.getMyRegisteredEvents);
 
 export default router;
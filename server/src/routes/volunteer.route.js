@@ -2,6 +2,7 @@ import express from 'express';
 const router = express.Router();
 import volunteerController from '../controllers/volunteer.controller.js';
 import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
+import { requireVolunteerPermission } from '../middleware/volunteerPermission.js';
 
 /**
  * Volunteer Routes
@@ -13,6 +14,14 @@ import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
 router.post('/login', volunteerController.login);
 router.post('/register', volunteerController.register);
 
+/**
+ * @route   GET /api/volunteer/qr-public-keys
+ * @desc    Ed25519 public keys + token layout for verifying signed student QRs offline
+ * @access  Public
+ * @note    Refresh when a token carries an unknown key_id (keys rotate via the admin key ring)
+ */
+router.get('/qr-public-keys', volunteerController.getQRPublicKeys);
+
 // 🔒 Apply authentication + VOLUNTEER authorization to all routes below
 router.use(authenticateToken);
 router.use(authorizeRoles('VOLUNTEER'));
@@ -22,7 +31,54 @@ router.post('/logout', volunteerController.logout);
 router.get('/profile', volunteerController.getProfile);
 
 // ✨ Smart QR scanning - Auto-detects entry/exit
-router.post('/scan/student', volunteerController.scanStudentQR);
+// Volunteers with no active assignment keep scanning in legacy single-event mode
+router.post('/scan/student', requireVolunteerPermission('SCAN', { allowLegacy: true }), volunteerController.scanStudentQR);
+
+/**
+ * @route   POST /api/volunteer/scan/sync
+ * @desc    Replay scans captured offline (client timestamps + idempotency keys)
+ * @access  Private (VOLUNTEER)
+ * @note    Re-sending the same batch is safe - synced keys return DUPLICATE
+ * @note    SCAN permission is checked per scan (a batch may span events)
+ */
+router.post('/scan/sync', volunteerController.syncOfflineScans);
+
+/**
+ * @route   GET /api/volunteer/events/:eventId/roster-bundle
+ * @desc    Signed snapshot of registrations admissible at the gate (offline fallback)
+ * @access  Private (VOLUNTEER with SCAN permission on the event)
+ * @note    Verify the signature with GET /api/volunteer/qr-public-keys; keep the version for deltas
+ */
+router.get('/events/:eventId/roster-bundle', requireVolunteerPermission('SCAN'), volunteerController.getRosterBundle);
+
+/**
+ * @route   GET /api/volunteer/events/:eventId/roster-bundle/delta
+ * @desc    Roster upserts/removals since ?since=<version>
+ * @access  Private (VOLUNTEER with SCAN permission on the event)
+ */
+router.get('/events/:eventId/roster-bundle/delta', requireVolunteerPermission('SCAN'), volunteerController.getRosterDelta);
+
+/**
+ * @route   POST /api/volunteer/scan/manual
+ * @desc    Check a student in/out by registration number when the QR can't be read
+ * @access  Private (VOLUNTEER with MANUAL_CHECKIN permission on the event)
+ * @note    A reason is mandatory; manual entries are flagged and audit-logged
+ */
+router.post('/scan/manual', requireVolunteerPermission('MANUAL_CHECKIN'), volunteerController.manualCheckInOut);
+
+/**
+ * @route   GET /api/volunteer/students/:registrationNo
+ * @desc    Look up a student's registration and presence for the current event
+ * @access  Private (VOLUNTEER with VIEW_STUDENTS permission on the event)
+ */
+router.get('/students/:registrationNo', requireVolunteerPermission('VIEW_STUDENTS'), volunteerController.lookupStudent);
+
+/**
+ * @route   GET /api/volunteer/students/:registrationNo/payment
+ * @desc    Check a student's payment status for the current event (payment desk)
+ * @access  Private (VOLUNTEER with VERIFY_PAYMENTS permission on the event)
+ */
+router.get('/students/:registrationNo/payment', requireVolunteerPermission('VERIFY_PAYMENTS'), volunteerController.verifyStudentPayment);
 // router.post('/scan/stall', volunteerController.scanStallQR);
 
 // Totel Number of Scan by Volunteer History route
@@ -40,6 +96,14 @@ router.get('/history', volunteerController.getHistory);
  */
 router.get('/assigned-events', volunteerController.getAssignedEvents);
 
+/**
+ * @route   POST /api/volunteer/current-event
+ * @desc    Select which active event scans are for (stored on the session)
+ * @access  Private (VOLUNTEER)
+ * @note    Required when assigned to several active events and scans omit event_id
+ */
+router.post('/current-event', volunteerController.setCurrentEvent);
+
 /**
  * @note    UNIVERSAL SCANNER: /scan/student handles ALL scenarios
  *          - Original check-in/check-out (legacy single event)
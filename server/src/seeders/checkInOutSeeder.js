@@ -60,7 +60,7 @@ export async function seedCheckInOuts() {
         const insertQuery = `
           INSERT INTO check_in_outs (student_id, volunteer_id, scan_type, scan_number, duration_minutes, scanned_at)
           VALUES ($1, $2, $3, $4, $5, NOW() - INTERVAL '${Math.floor(Math.random() * 10)} hours')
-          ON CONFLICT (student_id, scan_number) DO NOTHING
+          ON CONFLICT DO NOTHING
           RETURNING *
         `;
         
@@ -13,6 +13,7 @@
 
 import bcryptjs from 'bcryptjs';
 import { query } from '../config/db.js';
+import SeatReservationService from '../services/seatReservation.js';
 
 // Simple logger replacement
 const logger = {
@@ -461,6 +462,9 @@ async function seedRegistrations(eventIds) {
     }
   }
   
+  // Raw inserts above bypass seat reservation - recount the capacity counters
+  await SeatReservationService.recountSeats();
+
   logger.info(`✅ Created ${registrationIds.length} student registrations`);
   return registrationIds;
 }
@@ -0,0 +1,1179 @@
+// Check-In Service - Shared ENTRY/EXIT logic for live scans and offline sync
+import Student from '../models/Student.model.js';
+import CheckInOut from '../models/CheckInOut.model.js';
+import EventVolunteerModel from '../models/EventVolunteer.model.js';
+import EventRegistrationModel from '../models/EventRegistration.model.js';
+import OfflineScanReceiptModel from '../models/OfflineScanReceipt.model.js';
+import SecurityEventModel from '../models/SecurityEvent.model.js';
+import VolunteerShiftModel from '../models/VolunteerShift.model.js';
+import EventZoneModel from '../models/EventZone.model.js';
+import EventSessionModel from '../models/EventSession.model.js';
+import QRCodeService from './qrCode.js';
+import OccupancyService from './occupancy.js';
+import { query } from '../config/db.js';
+import { logAuditEvent, AuditEventType } from '../utils/auditLogger.js';
+
+class CheckInService {
+  // ============================================================
+  // 📴 OFFLINE SYNC CONFIGURATION
+  // ============================================================
+  static MAX_SYNC_BATCH_SIZE = 200;            // Scans accepted per sync request
+  static MAX_CLOCK_SKEW_SECONDS = 120;         // Tolerated device clock drift into the future
+  static MAX_OFFLINE_AGE_HOURS = 24;           // Older offline scans are rejected
+  static SYNC_CLAIM_STALE_MINUTES = 5;         // PENDING receipts older than this were abandoned mid-replay
+
+  // ============================================================
+  // 🔁 ANTI-PASSBACK CONFIGURATION
+  // ============================================================
+  static DEFAULT_SCAN_COOLDOWN_SECONDS = 10;   // Legacy mode / events without a setting
+
+  // ============================================================
+  // ✍️ MANUAL CHECK-IN CONFIGURATION
+  // ============================================================
+  static MANUAL_REASON_MIN_LENGTH = 5;         // Forces a real explanation, not "ok"
+  static MANUAL_REASON_MAX_LENGTH = 500;
+
+  // ============================================================
+  // 🔚 SESSION CLOSER CONFIGURATION
+  // ============================================================
+  static AUTO_CLOSE_MAX_MINUTES = parseInt(process.env.AUTO_CHECKOUT_MAX_MINUTES) || 480; // Cap per open session (8h)
+
+  // ============================================================
+  // 🗓️ EVENT SESSION ATTENDANCE CONFIGURATION
+  // ============================================================
+  static EVENT_SESSION_CHECKIN_OPENS_MINUTES = 15; // Attendance scans accepted this early
+
+  /**
+   * Verify a student QR token (signed compact, then rotating, static fallback)
+   * @param {string} token - Token read from the student's QR code
+   * @param {Date|number} [referenceTime] - Time the QR was scanned (defaults to now)
+   * @returns {Object} { valid, registration_no } or { valid: false }
+   */
+  static verifyStudentToken(token, referenceTime = Date.now()) {
+    if (QRCodeService.isSignedCompactToken(token)) {
+      return QRCodeService.verifySignedStudentToken(token, referenceTime);
+    }
+
+    let decoded = QRCodeService.verifyRotatingStudentToken(token, referenceTime);
+
+    // If not a valid rotating token, try static token verification
+    if (!decoded.valid && decoded.isStatic) {
+      console.log('🔄 [SCAN] Not a rotating token, trying static verification...');
+      decoded = QRCodeService.verifyStudentQRToken(token);
+    }
+
+    return decoded || { valid: false };
+  }
+
+  /**
+   * Resolve which event a scan is for
+   *
+   * Priority: explicit event_id on the request, then the volunteer's session
+   * selection (POST /api/volunteer/current-event). Without either, a volunteer
+   * with exactly one ACTIVE assignment scans for that event, one with none runs
+   * in legacy single-event mode, and one with several gets an ambiguity error.
+   *
+   * @param {string} volunteerId - Volunteer UUID
+   * @param {string|null} requestedEventId - Event chosen by request or session
+   * @param {Array|null} [activeAssignments] - Preloaded active assignments (batch sync)
+   * @returns {Promise<Object>} { resolved: true, assignment } or { resolved: false, status, message, details }
+   */
+  static async resolveEventContext(volunteerId, requestedEventId = null, activeAssignments = null) {
+    const assignments = activeAssignments || await EventVolunteerModel.findActiveAssignments(volunteerId);
+
+    if (requestedEventId) {
+      const assignment = assignments.find((item) => item.event_id === requestedEventId);
+      if (!assignment) {
+        console.log(`❌ [SCAN] Volunteer not assigned to active event: ${requestedEventId}`);
+        return {
+          resolved: false,
+          status: 403,
+          message: 'You are not assigned to this event or it is not active. Pick an event from your assigned events.',
+          details: { code: 'EVENT_NOT_ASSIGNED', event_id: requestedEventId }
+        };
+      }
+      return { resolved: true, assignment };
+    }
+
+    if (assignments.length <= 1) {
+      return { resolved: true, assignment: assignments[0] || null };
+    }
+
+    console.log(`⚠️ [SCAN] Ambiguous event context: ${assignments.length} active assignments`);
+    return {
+      resolved: false,
+      status: 409,
+      message: 'You are assigned to several active events. Select the event you are scanning for.',
+      details: {
+        code: 'EVENT_CONTEXT_AMBIGUOUS',
+        active_events: assignments.map((item) => ({
+          event_id: item.event_id,
+          event_name: item.event_name,
+          event_code: item.event_code,
+          assigned_location: item.assigned_location
+        }))
+      }
+    };
+  }
+
+  /**
+   * Check the volunteer is on shift for the assignment's event
+   *
+   * Volunteers without any shifts for the event (and legacy mode) may scan
+   * for the whole event. Otherwise the scan time must fall inside one of
+   * their shifts, and the shift's location replaces the assigned location.
+   *
+   * @param {Object|null} assignment - Assignment from resolveEventContext
+   * @param {string} volunteerId - Volunteer UUID
+   * @param {Date|null} [scannedAt] - Scan time (null = now)
+   * @returns {Promise<Object>} { allowed, assignment, shift } or { allowed: false, status, message, details }
+   */
+  static async checkShift(assignment, volunteerId, scannedAt = null) {
+    if (!assignment) {
+      return { allowed: true, assignment, shift: null };
+    }
+
+    const { total_shifts, current_shift, next_shift } = await VolunteerShiftModel.findShiftAt(
+      assignment.event_id,
+      volunteerId,
+      scannedAt ? scannedAt.toISOString() : null
+    );
+
+    if (total_shifts === 0) {
+      return { allowed: true, assignment, shift: null };
+    }
+
+    if (!current_shift) {
+      console.log(`❌ [SCAN] Volunteer ${volunteerId} scanned outside their shifts for ${assignment.event_name}`);
+      return {
+        allowed: false,
+        status: 403,
+        message: next_shift
+          ? `You are not on shift for "${assignment.event_name}". Your next shift starts at ${next_shift.start_time}.`
+          : `You are not on shift for "${assignment.event_name}" and have no upcoming shifts.`,
+        details: {
+          code: 'OUTSIDE_SHIFT',
+          event_id: assignment.event_id,
+          next_shift: next_shift ? {
+            id: next_shift.id,
+            start_time: next_shift.start_time,
+            end_time: next_shift.end_time,
+            location: next_shift.location
+          } : null
+        }
+      };
+    }
+
+    return {
+      allowed: true,
+      assignment: {
+        ...assignment,
+        assigned_location: current_shift.location || assignment.assigned_location,
+        shift_id: current_shift.id
+      },
+      shift: current_shift
+    };
+  }
+
+  /**
+   * Check the student may enter the event the scan was resolved to
+   * Volunteers without an active assignment run in legacy single-event mode
+   * @param {Object|null} volunteerAssignment - Assignment from resolveEventContext
+   * @param {Object} student - Student being scanned
+   * @returns {Promise<Object>} { allowed, eventContext, registration } or { allowed: false, status, message }
+   */
+  static async authorizeForEvent(volunteerAssignment, student) {
+    if (!volunteerAssignment) {
+      console.log('ℹ️ [SCAN] No active event assignment - using legacy single-event mode');
+      return { allowed: true, eventContext: null, registration: null };
+    }
+
+    console.log(`🎯 [SCAN] Volunteer assigned to event: ${volunteerAssignment.event_name} (${volunteerAssignment.event_type})`);
+
+    // Verify student is registered for THIS specific event
+    const registration = await EventRegistrationModel.findByEventAndStudent(
+      volunteerAssignment.event_id,
+      student.id
+    );
+
+    if (!registration) {
+      console.log(`❌ [SCAN] Student not registered for event: ${volunteerAssignment.event_name}`);
+      return {
+        allowed: false,
+        status: 403,
+        message: `Student is not registered for "${volunteerAssignment.event_name}". Please register first.`
+      };
+    }
+
+    // Waitlisted, cancelled or expired registrations don't get in
+    if (registration.registration_status !== 'CONFIRMED') {
+      console.log(`❌ [SCAN] Registration is ${registration.registration_status}`);
+      return {
+        allowed: false,
+        status: 403,
+        message: registration.registration_status === 'WAITLISTED'
+          ? `Student is on the waitlist for "${volunteerAssignment.event_name}" and does not have a seat yet.`
+          : `Student's registration for "${volunteerAssignment.event_name}" is ${registration.registration_status.toLowerCase()}.`
+      };
+    }
+
+    // For paid events, verify payment is completed
+    if (registration.registration_type === 'PAID') {
+      if (!this.isRegistrationAdmissible(registration)) {
+        console.log(`❌ [SCAN] Payment not completed for paid event`);
+        return {
+          allowed: false,
+          status: 402, // Payment Required
+          message: `Payment pending for "${volunteerAssignment.event_name}". Amount: ${volunteerAssignment.currency} ${volunteerAssignment.price}`
+        };
+      }
+      console.log(`✅ [SCAN] Payment verified: ${registration.payment_status}`);
+    }
+
+    console.log(`✅ [SCAN] Student authorized for event: ${volunteerAssignment.event_name}`);
+    return { allowed: true, eventContext: volunteerAssignment, registration };
+  }
+
+  /**
+   * Whether a registration lets its student through the gate
+   * Shared by live scans and the offline roster bundle
+   * @param {Object} registration - { registration_status, registration_type, payment_status }
+   * @returns {boolean}
+   */
+  static isRegistrationAdmissible(registration) {
+    return registration.registration_status === 'CONFIRMED' &&
+      (registration.registration_type !== 'PAID' || registration.payment_status === 'COMPLETED');
+  }
+
+  /**
+   * Whether a registration may attend an event session
+   * Capacity-limited sessions always need a booking; sessions-only
+   * registrations need one for every session
+   * @param {Object} session - Session row
+   * @param {Object} registration - Registration row (session_scope)
+   * @param {Object|null} booking - The student's booking for the session
+   * @returns {boolean}
+   */
+  static canAttendEventSession(session, registration, booking) {
+    if (booking) {
+      return true;
+    }
+    return registration.session_scope !== 'SESSIONS' && session.capacity === null;
+  }
+
+  /**
+   * Check the next action for this student matches the gate's direction
+   * Gates without an event assignment (legacy mode) always toggle
+   * @param {Object} student - Student being scanned
+   * @param {Object} authorization - Result of authorizeForEvent
+   * @returns {Object} { allowed, action, gate_mode } or { allowed: false, message, details }
+   */
+  static checkGateDirection(student, authorization) {
+    const presence = this.getPresence(student, authorization.registration);
+    const action = presence.is_inside_event ? 'EXIT' : 'ENTRY';
+    const gateMode = authorization.eventContext?.gate_mode || 'TOGGLE';
+
+    const mismatch =
+      (gateMode === 'ENTRY_ONLY' && action === 'EXIT') ||
+      (gateMode === 'EXIT_ONLY' && action === 'ENTRY');
+
+    if (!mismatch) {
+      return { allowed: true, action, gate_mode: gateMode };
+    }
+
+    console.log(`🚫 [SCAN] Gate direction mismatch: ${action} attempted at ${gateMode} gate`);
+
+    return {
+      allowed: false,
+      message: action === 'EXIT'
+        ? `${student.full_name} is already checked in. This is an entry-only gate - send them to an exit gate.`
+        : `${student.full_name} is not checked in. This is an exit-only gate - send them to an entry gate.`,
+      details: {
+        code: 'GATE_DIRECTION_MISMATCH',
+        gate_mode: gateMode,
+        attempted_action: action,
+        is_inside_event: presence.is_inside_event,
+        assigned_location: authorization.eventContext?.assigned_location || null
+      }
+    };
+  }
+
+  /**
+   * Scan a student into or out of the zone the volunteer is posted at
+   *
+   * Entry requires the student to be inside the event and a free slot in the
+   * zone; the slot is taken with a conditional update so a full zone is never
+   * overfilled. The event's cooldown applies to repeat zone scans too.
+   *
+   * @param {Object} params
+   * @param {Object} params.student - Student being scanned
+   * @param {string} params.volunteerId - Volunteer performing the scan
+   * @param {Object} params.eventContext - Assignment with zone_id
+   * @param {Object} params.registration - Student's registration for the event
+   * @returns {Promise<Object>} { ok: true, action, zone, presence, durationMinutes, suppressed? } or { ok: false, status, message, details }
+   */
+  static async scanZone({ student, volunteerId, eventContext, registration }) {
+    const zone = await EventZoneModel.findById(eventContext.zone_id);
+    if (!zone || !zone.is_active) {
+      return {
+        ok: false,
+        status: 409,
+        message: 'This zone is closed. Ask the event manager to reopen it or reassign you.',
+        details: { code: 'ZONE_INACTIVE', zone_id: eventContext.zone_id }
+      };
+    }
+
+    const presence = await EventZoneModel.findPresence(zone.id, student.id);
+
+    // 🔁 Repeat zone scan inside the cooldown returns the current state
+    const cooldownSeconds = this.getCooldownSeconds(eventContext);
+    if (presence && cooldownSeconds > 0 && parseFloat(presence.seconds_since_scan) < cooldownSeconds) {
+      console.log(`🔁 [ZONE] Repeat scan within ${cooldownSeconds}s cooldown for ${student.full_name} - suppressed`);
+      await this.recordSuppressedScan(volunteerId, eventContext);
+      return {
+        ok: true,
+        suppressed: true,
+        action: presence.is_inside ? 'ENTRY' : 'EXIT',
+        zone,
+        presence,
+        durationMinutes: 0,
+        cooldown_seconds: cooldownSeconds,
+        seconds_since_last_scan: Math.max(0, Math.floor(parseFloat(presence.seconds_since_scan)))
+      };
+    }
+
+    if (presence?.is_inside) {
+      const exited = await EventZoneModel.exit(zone.id, student.id, volunteerId);
+      if (!exited) {
+        return {
+          ok: false,
+          status: 409,
+          message: `${student.full_name} has already left ${zone.zone_name}`,
+          details: { code: 'ZONE_STATE_CHANGED', zone_id: zone.id }
+        };
+      }
+
+      await this.incrementVolunteerScans(volunteerId);
+      console.log(`✅ [ZONE] EXIT ${zone.zone_name} for ${student.full_name} (${exited.current_occupancy}/${zone.capacity})`);
+
+      return {
+        ok: true,
+        action: 'EXIT',
+        zone: { ...zone, current_occupancy: exited.current_occupancy },
+        presence: exited,
+        durationMinutes: exited.duration_minutes || 0
+      };
+    }
+
+    if (!registration?.is_inside_event) {
+      return {
+        ok: false,
+        status: 409,
+        message: `${student.full_name} must check in at the event gate before entering ${zone.zone_name}`,
+        details: { code: 'NOT_INSIDE_EVENT', zone_id: zone.id, zone_name: zone.zone_name }
+      };
+    }
+
+    const entered = await EventZoneModel.enter(zone.id, student.id, volunteerId);
+    if (!entered) {
+      const current = await EventZoneModel.findById(zone.id);
+      if (!current?.is_active) {
+        return {
+          ok: false,
+          status: 409,
+          message: 'This zone is closed. Ask the event manager to reopen it or reassign you.',
+          details: { code: 'ZONE_INACTIVE', zone_id: zone.id }
+        };
+      }
+
+      console.log(`🚫 [ZONE] ${zone.zone_name} full (${current.current_occupancy}/${current.capacity})`);
+      return {
+        ok: false,
+        status: 409,
+        message: `${zone.zone_name} is full (${current.current_occupancy}/${current.capacity})`,
+        details: {
+          code: 'ZONE_FULL',
+          zone_id: zone.id,
+          zone_name: zone.zone_name,
+          current_occupancy: current.current_occupancy,
+          capacity: current.capacity
+        }
+      };
+    }
+
+    if (!entered.already_inside) {
+      await this.incrementVolunteerScans(volunteerId);
+    }
+    console.log(`✅ [ZONE] ENTRY ${zone.zone_name} for ${student.full_name} (${entered.current_occupancy}/${zone.capacity})`);
+
+    return {
+      ok: true,
+      action: 'ENTRY',
+      zone: { ...zone, current_occupancy: entered.current_occupancy },
+      presence: entered,
+      durationMinutes: 0
+    };
+  }
+
+  /**
+   * Record a student's attendance at the event session the volunteer is posted at
+   *
+   * Scans are accepted from EVENT_SESSION_CHECKIN_OPENS_MINUTES before the
+   * session starts until it ends. The student needs a booking, unless they
+   * registered for the whole event and the session has no capacity.
+   * Attendance is recorded once; a repeat scan returns the first one.
+   *
+   * @param {Object} params
+   * @param {Object} params.student - Student being scanned
+   * @param {string} params.volunteerId - Volunteer performing the scan
+   * @param {Object} params.eventContext - Assignment with session_id
+   * @param {Object} params.registration - Student's registration for the event
+   * @returns {Promise<Object>} { ok: true, session, attendance, already_attended } or { ok: false, status, message, details }
+   */
+  static async scanEventSession({ student, volunteerId, eventContext, registration }) {
+    const session = await EventSessionModel.findById(eventContext.session_id);
+    if (!session || !session.is_active) {
+      return {
+        ok: false,
+        status: 409,
+        message: 'This session is closed. Ask the event manager to reopen it or reassign you.',
+        details: { code: 'SESSION_INACTIVE', session_id: eventContext.session_id }
+      };
+    }
+
+    const now = Date.now();
+    const opensAt = new Date(session.start_time).getTime() - this.EVENT_SESSION_CHECKIN_OPENS_MINUTES * 60000;
+    if (now < opensAt || now > new Date(session.end_time).getTime()) {
+      const notOpenYet = now < opensAt;
+      return {
+        ok: false,
+        status: 409,
+        message: notOpenYet
+          ? `Attendance for ${session.session_name} opens at ${new Date(opensAt).toISOString()}`
+          : `${session.session_name} has ended`,
+        details: {
+          code: notOpenYet ? 'SESSION_NOT_OPEN' : 'SESSION_ENDED',
+          session_id: session.id,
+          start_time: session.start_time,
+          end_time: session.end_time
+        }
+      };
+    }
+
+    const existing = await EventSessionModel.findAttendance(session.id, student.id);
+    if (existing) {
+      console.log(`🔁 [SESSION] ${student.full_name} already attended ${session.session_name} - repeat scan ignored`);
+      await this.recordSuppressedScan(volunteerId, eventContext);
+      return { ok: true, session, attendance: existing, already_attended: true };
+    }
+
+    const booking = await EventSessionModel.findBooking(session.id, student.id);
+    if (!this.canAttendEventSession(session, registration, booking)) {
+      return {
+        ok: false,
+        status: 403,
+        message: `${student.full_name} has not booked ${session.session_name}`,
+        details: {
+          code: 'SESSION_NOT_BOOKED',
+          session_id: session.id,
+          session_scope: registration.session_scope
+        }
+      };
+    }
+
+    const attendance = await EventSessionModel.recordAttendance(session, student.id, volunteerId);
+    if (!attendance) {
+      // Recorded by a concurrent scan
+      return {
+        ok: true,
+        session,
+        attendance: await EventSessionModel.findAttendance(session.id, student.id),
+        already_attended: true
+      };
+    }
+
+    await this.incrementVolunteerScans(volunteerId);
+    console.log(`✅ [SESSION] ${student.full_name} attended ${session.session_name}`);
+
+    return { ok: true, session, attendance, already_attended: false };
+  }
+
+  /**
+   * Increment a volunteer's lifetime scan count
+   * @param {string} volunteerId - Volunteer UUID
+   * @returns {Promise<void>}
+   */
+  static async incrementVolunteerScans(volunteerId) {
+    await query(
+      'UPDATE volunteers SET total_scans_performed = total_scans_performed + 1 WHERE id = $1',
+      [volunteerId]
+    );
+  }
+
+  /**
+   * Cooldown window for the event being scanned
+   * @param {Object|null} eventContext - Active event assignment
+   * @returns {number} Seconds
+   */
+  static getCooldownSeconds(eventContext) {
+    const seconds = eventContext?.scan_cooldown_seconds;
+    return Number.isInteger(seconds) ? seconds : this.DEFAULT_SCAN_COOLDOWN_SECONDS;
+  }
+
+  /**
+   * Detect a repeat scan of the same student inside the event's cooldown window
+   * (double tap, or two volunteers scanning the same person)
+   * @param {Object} student - Student being scanned
+   * @param {Object} authorization - Result of authorizeForEvent
+   * @returns {Promise<Object>} { suppressed: false } or { suppressed: true, previous, cooldown_seconds, seconds_since_last_scan }
+   */
+  static async checkCooldown(student, authorization) {
+    const cooldownSeconds = this.getCooldownSeconds(authorization.eventContext);
+    if (cooldownSeconds <= 0) {
+      return { suppressed: false };
+    }
+
+    const previous = await CheckInOut.findLatestScan(
+      student.id,
+      authorization.eventContext?.event_id || null,
+      query
+    );
+
+    if (!previous || previous.seconds_since_scan >= cooldownSeconds) {
+      return { suppressed: false };
+    }
+
+    console.log(`🔁 [SCAN] Repeat scan within ${cooldownSeconds}s cooldown for ${student.full_name} - suppressed`);
+
+    return {
+      suppressed: true,
+      previous,
+      cooldown_seconds: cooldownSeconds,
+      seconds_since_last_scan: Math.max(0, Math.floor(previous.seconds_since_scan))
+    };
+  }
+
+  /**
+   * Count a suppressed scan against the volunteer (per event and overall)
+   * @param {string} volunteerId - Volunteer UUID
+   * @param {Object|null} eventContext - Active event assignment
+   */
+  static async recordSuppressedScan(volunteerId, eventContext) {
+    if (eventContext) {
+      await EventVolunteerModel.incrementSuppressedCount(eventContext.event_id, volunteerId);
+    }
+
+    await query(
+      'UPDATE volunteers SET total_suppressed_scans = COALESCE(total_suppressed_scans, 0) + 1 WHERE id = $1',
+      [volunteerId]
+    );
+  }
+
+  /**
+   * Scope a rotating token is single-use in: the event gate, or a zone or
+   * session of it (a student walking on from the gate still shows the same token)
+   * @param {Object|null} eventContext - Volunteer's event assignment (null = legacy mode)
+   * @returns {string|null}
+   */
+  static getTokenClaimScope(eventContext) {
+    const eventId = eventContext?.event_id || null;
+    if (eventId && eventContext.session_id) {
+      return `${eventId}:session:${eventContext.session_id}`;
+    }
+    if (eventId && eventContext.zone_id) {
+      return `${eventId}:zone:${eventContext.zone_id}`;
+    }
+    return eventId;
+  }
+
+  /**
+   * Give back a rotating token claim when the scan it was claimed for failed
+   * @param {string} token - Token read from the QR code
+   * @param {Object} decoded - Result of verifyStudentToken
+   * @param {Object|null} eventContext - Volunteer's event assignment
+   * @returns {Promise<void>}
+   */
+  static async releaseToken(token, decoded, eventContext) {
+    if (decoded.isStatic === false) {
+      await QRCodeService.releaseRotatingToken(token, this.getTokenClaimScope(eventContext));
+    }
+  }
+
+  /**
+   * Consume a rotating token for the volunteer's event (one use per event gate, zone or session)
+   * Static ID-card tokens are not single-use and always pass.
+   * A reused token is recorded as a security event for the event manager.
+   * @param {string} token - Token read from the QR code
+   * @param {Object} decoded - Result of verifyStudentToken
+   * @param {Object} context - { student, volunteerId, eventContext, scannedAt }
+   * @returns {Promise<Object>} { claimed: true } or { claimed: false, message, details }
+   */
+  static async claimToken(token, decoded, { student, volunteerId, eventContext = null, scannedAt = null }) {
+    if (decoded.isStatic !== false) {
+      return { claimed: true };
+    }
+
+    // A token used live can still arrive later through offline sync (verified
+    // against its scanned_at), so the claim outlives the token by the offline window
+    const claimTtl = QRCodeService.ROTATION_INTERVAL_SECONDS * (QRCodeService.GRACE_PERIOD_WINDOWS + 1)
+      + this.MAX_OFFLINE_AGE_HOURS * 60 * 60
+      + this.MAX_CLOCK_SKEW_SECONDS;
+
+    const eventId = eventContext?.event_id || null;
+    const claim = await QRCodeService.consumeRotatingToken(token, this.getTokenClaimScope(eventContext), {
+      volunteer_id: volunteerId,
+      student_id: student.id,
+      assigned_location: eventContext?.assigned_location || null,
+      used_at: scannedAt || new Date().toISOString()
+    }, claimTtl);
+
+    if (claim.consumed) {
+      return { claimed: true };
+    }
+
+    const details = {
+      code: 'QR_ALREADY_USED',
+      time_window: decoded.time_window,
+      first_used_at: claim.first_use?.used_at || null,
+      first_used_by_volunteer_id: claim.first_use?.volunteer_id || null,
+      first_used_location: claim.first_use?.assigned_location || null
+    };
+
+    // Reporting must never block the scanner response
+    try {
+      await SecurityEventModel.create({
+        event_id: eventId,
+        event_type: 'QR_TOKEN_REUSED',
+        severity: 'HIGH',
+        student_id: student.id,
+        volunteer_id: volunteerId,
+        details: {
+          ...details,
+          attempted_location: eventContext?.assigned_location || null,
+          attempted_at: scannedAt || new Date().toISOString()
+        }
+      });
+
+      await logAuditEvent({
+        event_type: AuditEventType.QR_TOKEN_REUSED,
+        user_id: volunteerId,
+        user_role: 'VOLUNTEER',
+        resource_type: 'STUDENT',
+        resource_id: student.id,
+        metadata: { event_id: eventId, ...details }
+      });
+    } catch (error) {
+      console.error('❌ [SCAN] Failed to record QR reuse security event:', error);
+    }
+
+    return {
+      claimed: false,
+      message: `This QR code has already been used. Ask ${student.full_name} to show the live QR from their own device.`,
+      details
+    };
+  }
+
+  /**
+   * Record an ENTRY or EXIT for the student based on their current status
+   *
+   * With an event context, presence is toggled on the student's registration
+   * for that event only and scans are numbered per event. Without one
+   * (legacy single-event mode) the global students.is_inside_event flag is used.
+   *
+   * @param {Object} params
+   * @param {Object} params.student - Student being scanned (state before this scan)
+   * @param {string} params.volunteerId - Volunteer performing the scan
+   * @param {Object|null} params.eventContext - Active event assignment, if any
+   * @param {Object|null} params.registration - Student's registration for that event
+   * @param {string|null} params.scannedAt - Client scan time (null = server time)
+   * @param {boolean} params.isOfflineSync - Scan arrived through offline sync
+   * @param {string|null} params.manualReason - Set for manual check-ins by registration number
+   * @returns {Promise<Object>} { action, student, registration, presence, record, durationMinutes }
+   */
+  static async recordScan({ student, volunteerId, eventContext = null, registration = null, scannedAt = null, isOfflineSync = false, manualReason = null }) {
+    const before = this.getPresence(student, registration);
+
+    // 🎯 SMART LOGIC: Determine action based on current status (for this event)
+    const action = before.is_inside_event ? 'EXIT' : 'ENTRY';
+
+    console.log(`🎯 [SCAN] Current status: ${before.is_inside_event ? 'INSIDE' : 'OUTSIDE'}${registration ? ' (event)' : ' (legacy)'}`);
+    console.log(`🎯 [SCAN] Action to perform: ${action}`);
+
+    // Process check-in/out FIRST (toggles presence and updates timestamps)
+    let updatedStudent = student;
+    let updatedRegistration = null;
+
+    if (registration) {
+      updatedRegistration = await EventRegistrationModel.processCheckInOut(registration.id, scannedAt);
+    } else {
+      updatedStudent = await Student.processCheckInOut(student.id, query, scannedAt);
+    }
+
+    const presence = this.getPresence(updatedStudent, updatedRegistration);
+
+    // Calculate duration AFTER checkout using the previous check-in time
+    let durationMinutes = null;
+    if (action === 'EXIT' && before.last_check_in_at) {
+      const checkInTime = new Date(before.last_check_in_at);
+      const checkOutTime = new Date(presence.last_check_out_at);
+      durationMinutes = Math.max(0, Math.floor((checkOutTime - checkInTime) / (1000 * 60)));
+
+      console.log(`⏱️ [SCAN] Duration: ${durationMinutes} minutes (${Math.floor(durationMinutes / 60)}h ${durationMinutes % 60}m)`);
+      console.log(`⏱️ [SCAN] Check-in: ${checkInTime.toISOString()}, Check-out: ${checkOutTime.toISOString()}`);
+    }
+
+    const record = await CheckInOut.create({
+      student_id: student.id,
+      volunteer_id: volunteerId,
+      event_id: eventContext?.event_id || null,
+      scan_type: action === 'ENTRY' ? 'CHECKIN' : 'CHECKOUT',
+      scan_number: presence.scan_count,
+      scanned_at: scannedAt,
+      duration_minutes: durationMinutes,
+      is_offline_sync: isOfflineSync,
+      is_manual: manualReason !== null,
+      manual_reason: manualReason
+    }, query);
+
+    console.log(`✅ [DB] ${action === 'ENTRY' ? 'Check-in' : 'Check-out'} record saved:`, record.id);
+    if (eventContext) {
+      console.log(`✅ [DB] Event context recorded: ${eventContext.event_name}`);
+    }
+
+    if (durationMinutes) {
+      // Total active duration stays a cross-event lifetime stat on the student
+      await Student.updateActiveDuration(student.id, durationMinutes, query);
+      if (updatedRegistration) {
+        updatedRegistration = await EventRegistrationModel.updateTimeSpent(updatedRegistration.id, durationMinutes);
+      }
+    }
+
+    // Leaving the event also leaves any zone the student was still in
+    if (action === 'EXIT' && updatedRegistration) {
+      const openZones = await EventZoneModel.findOpenPresence(updatedRegistration.event_id, student.id);
+      for (const zonePresence of openZones) {
+        await EventZoneModel.exit(zonePresence.zone_id, student.id, null);
+      }
+    }
+
+    // Update volunteer's scan count
+    await this.incrementVolunteerScans(volunteerId);
+
+    // 📡 Live occupancy stream (event scans only)
+    if (eventContext) {
+      OccupancyService.recordScan({
+        eventId: eventContext.event_id,
+        action,
+        location: eventContext.assigned_location,
+        scannedAt: record.scanned_at
+      });
+    }
+
+    return {
+      action,
+      student: updatedStudent,
+      registration: updatedRegistration,
+      presence,
+      record,
+      durationMinutes: durationMinutes || 0
+    };
+  }
+
+  /**
+   * Normalize presence state from an event registration or, in legacy mode, the student
+   * @param {Object} student - Student row
+   * @param {Object|null} registration - Event registration row
+   * @returns {Object} { is_inside_event, scan_count, last_check_in_at, last_check_out_at }
+   */
+  static getPresence(student, registration = null) {
+    if (registration) {
+      return {
+        is_inside_event: registration.is_inside_event === true,
+        scan_count: registration.scan_count || 0,
+        last_check_in_at: registration.last_check_in_at,
+        last_check_out_at: registration.last_check_out_at
+      };
+    }
+
+    return {
+      is_inside_event: student.is_inside_event === true,
+      scan_count: student.total_scan_count || 0,
+      last_check_in_at: student.last_checkin_at,
+      last_check_out_at: student.last_checkout_at
+    };
+  }
+
+  /**
+   * Replay scans captured while the volunteer's device was offline
+   *
+   * Scans are replayed oldest-first through the same ENTRY/EXIT logic as live
+   * scans, using the client timestamp for check-in/out times and durations.
+   * Every scan gets one of:
+   * - ACCEPTED: recorded as ENTRY or EXIT
+   * - DUPLICATE: idempotency key already synced (original outcome is returned)
+   *   or still being synced by another request (retryable), or a repeat scan of the student inside the event's cooldown window
+   * - REJECTED: invalid QR, unknown student, not authorized (incl. missing SCAN
+   *   permission or scanned outside the volunteer's shifts) or bad timestamp
+   * - CONFLICT: the student already has a newer scan on the server
+   *
+   * @param {string} volunteerId - Volunteer UUID
+   * @param {Array<Object>} scans - [{ idempotency_key, qr_code_token, scanned_at, event_id? }]
+   * @param {string|null} [defaultEventId] - Event for scans without their own event_id
+   * @returns {Promise<Array<Object>>} One result per scan, in replay order
+   */
+  static async replayOfflineScans(volunteerId, scans, defaultEventId = null) {
+    const results = [];
+    const pending = [];
+    const seenKeys = new Set();
+    const now = Date.now();
+
+    // 1️⃣ Validate shape and timestamps before touching the database
+    for (const scan of scans) {
+      const key = typeof scan?.idempotency_key === 'string' ? scan.idempotency_key.trim() : '';
+      const scannedAt = scan?.scanned_at ? new Date(scan.scanned_at) : null;
+
+      if (!key || key.length > 100) {
+        results.push(this.buildResult(key || null, 'REJECTED', { reason: 'idempotency_key is required (max 100 characters)' }));
+        continue;
+      }
+
+      if (seenKeys.has(key)) {
+        results.push(this.buildResult(key, 'DUPLICATE', { reason: 'Idempotency key repeated within batch' }));
+        continue;
+      }
+      seenKeys.add(key);
+
+      if (!scan.qr_code_token || !scannedAt || Number.isNaN(scannedAt.getTime())) {
+        results.push(this.buildResult(key, 'REJECTED', { reason: 'qr_code_token and a valid scanned_at are required' }));
+        continue;
+      }
+
+      pending.push({ key, token: scan.qr_code_token, scannedAt, eventId: scan.event_id || defaultEventId });
+    }
+
+    // 2️⃣ Scans synced by an earlier request are answered from their receipts
+    const existingReceipts = await OfflineScanReceiptModel.findByKeys(
+      volunteerId,
+      pending.map((scan) => scan.key)
+    );
+    const receiptsByKey = new Map(existingReceipts.map((receipt) => [receipt.idempotency_key, receipt]));
+
+    // 3️⃣ Replay in client timestamp order
+    pending.sort((a, b) => a.scannedAt - b.scannedAt);
+    const activeAssignments = await EventVolunteerModel.findActiveAssignments(volunteerId);
+
+    for (const scan of pending) {
+      const receipt = receiptsByKey.get(scan.key);
+      if (receipt && receipt.status !== 'PENDING') {
+        results.push(this.buildResult(scan.key, 'DUPLICATE', {
+          original_status: receipt.status,
+          ...receipt.result
+        }));
+        continue;
+      }
+
+      // Claim the key first so a concurrent sync of the same scan can't replay it too
+      const claim = await OfflineScanReceiptModel.reserve({
+        volunteer_id: volunteerId,
+        idempotency_key: scan.key,
+        client_scanned_at: scan.scannedAt.toISOString()
+      }, this.SYNC_CLAIM_STALE_MINUTES);
+
+      if (!claim) {
+        console.log(`⚠️ [SYNC] Key ${scan.key} is claimed by another sync`);
+        results.push(this.buildResult(scan.key, 'DUPLICATE', {
+          original_status: 'PENDING',
+          reason: 'Scan is being synced by another request, retry later to get its result',
+          retryable: true
+        }));
+        continue;
+      }
+
+      try {
+        const outcome = await this.replayScan(volunteerId, scan, now, activeAssignments);
+
+        await OfflineScanReceiptModel.complete(claim.id, {
+          status: outcome.status,
+          check_in_out_id: outcome.check_in_out_id || null,
+          result: outcome.details
+        });
+
+        results.push(this.buildResult(scan.key, outcome.status, outcome.details));
+      } catch (error) {
+        // The claim is given back, so the client can retry this scan later
+        console.error(`❌ [SYNC] Failed to replay scan ${scan.key}:`, error);
+        await OfflineScanReceiptModel.release(claim.id).catch((releaseError) => {
+          console.error(`❌ [SYNC] Failed to release claim for ${scan.key}:`, releaseError.message);
+        });
+        results.push(this.buildResult(scan.key, 'REJECTED', {
+          reason: 'Internal error while processing scan, retry later',
+          retryable: true
+        }));
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Replay a single validated offline scan
+   * @param {string} volunteerId - Volunteer UUID
+   * @param {Object} scan - { key, token, scannedAt, eventId }
+   * @param {number} now - Server receipt time (ms)
+   * @param {Array} activeAssignments - Volunteer's active assignments, loaded once per batch
+   * @returns {Promise<Object>} { status, details, check_in_out_id }
+   */
+  static async replayScan(volunteerId, scan, now, activeAssignments) {
+    const { token, scannedAt, eventId } = scan;
+    const scannedAtIso = scannedAt.toISOString();
+
+    if (scannedAt.getTime() > now + this.MAX_CLOCK_SKEW_SECONDS * 1000) {
+      return { status: 'REJECTED', details: { reason: 'scanned_at is in the future', scanned_at: scannedAtIso } };
+    }
+
+    if (scannedAt.getTime() < now - this.MAX_OFFLINE_AGE_HOURS * 60 * 60 * 1000) {
+      return {
+        status: 'REJECTED',
+        details: { reason: `Offline scans older than ${this.MAX_OFFLINE_AGE_HOURS} hours are not accepted`, scanned_at: scannedAtIso }
+      };
+    }
+
+    // Rotating tokens are checked against the window they were scanned in
+    const decoded = this.verifyStudentToken(token, scannedAt);
+    if (!decoded.valid) {
+      return { status: 'REJECTED', details: { reason: 'Invalid QR code', scanned_at: scannedAtIso } };
+    }
+
+    const student = await Student.findByRegistrationNo(decoded.registration_no, query);
+    if (!student) {
+      return {
+        status: 'REJECTED',
+        details: { reason: `Student not found. Registration: ${decoded.registration_no}`, scanned_at: scannedAtIso }
+      };
+    }
+
+    const context = await this.resolveEventContext(volunteerId, eventId, activeAssignments);
+    if (!context.resolved) {
+      return {
+        status: 'REJECTED',
+        details: { reason: context.message, ...context.details, registration_no: student.registration_no, scanned_at: scannedAtIso }
+      };
+    }
+
+    if (context.assignment && !EventVolunteerModel.hasPermission(context.assignment, 'SCAN')) {
+      return {
+        status: 'REJECTED',
+        details: {
+          reason: `You do not have SCAN permission for "${context.assignment.event_name}"`,
+          code: 'PERMISSION_REQUIRED',
+          permission: 'SCAN',
+          event_id: context.assignment.event_id,
+          registration_no: student.registration_no,
+          scanned_at: scannedAtIso
+        }
+      };
+    }
+
+    const shift = await this.checkShift(context.assignment, volunteerId, scannedAt);
+    if (!shift.allowed) {
+      return {
+        status: 'REJECTED',
+        details: { reason: shift.message, ...shift.details, registration_no: student.registration_no, scanned_at: scannedAtIso }
+      };
+    }
+
+    const authorization = await this.authorizeForEvent(shift.assignment, student);
+    if (!authorization.allowed) {
+      return {
+        status: 'REJECTED',
+        details: { reason: authorization.message, registration_no: student.registration_no, scanned_at: scannedAtIso }
+      };
+    }
+
+    // Zone capacity can only be enforced live
+    if (authorization.eventContext?.zone_id) {
+      return {
+        status: 'REJECTED',
+        details: {
+          reason: 'Zone scans cannot be synced offline',
+          code: 'ZONE_SCAN_OFFLINE',
+          registration_no: student.registration_no,
+          scanned_at: scannedAtIso
+        }
+      };
+    }
+
+    // Session attendance is checked against live bookings and session times
+    if (authorization.eventContext?.session_id) {
+      return {
+        status: 'REJECTED',
+        details: {
+          reason: 'Session attendance scans cannot be synced offline',
+          code: 'SESSION_SCAN_OFFLINE',
+          registration_no: student.registration_no,
+          scanned_at: scannedAtIso
+        }
+      };
+    }
+
+    // A newer scan already moved this student; replaying would flip their state out of order
+    const before = this.getPresence(student, authorization.registration);
+    const lastScanAt = [before.last_check_in_at, before.last_check_out_at]
+      .filter(Boolean)
+      .map((time) => new Date(time).getTime())
+      .reduce((latest, time) => Math.max(latest, time), 0);
+
+    if (lastScanAt && scannedAt.getTime() < lastScanAt) {
+      return {
+        status: 'CONFLICT',
+        details: {
+          reason: 'Student has a newer scan on record',
+          registration_no: student.registration_no,
+          scanned_at: scannedAtIso,
+          last_scan_at: new Date(lastScanAt).toISOString(),
+          is_inside_event: before.is_inside_event
+        }
+      };
+    }
+
+    // Repeat scan inside the cooldown (relative to the client timestamps)
+    const cooldownSeconds = this.getCooldownSeconds(authorization.eventContext);
+    if (lastScanAt && cooldownSeconds > 0 && scannedAt.getTime() - lastScanAt < cooldownSeconds * 1000) {
+      await this.recordSuppressedScan(volunteerId, authorization.eventContext);
+      return {
+        status: 'DUPLICATE',
+        details: {
+          reason: `Repeat scan within ${cooldownSeconds}s cooldown - ignored`,
+          registration_no: student.registration_no,
+          scanned_at: scannedAtIso,
+          last_scan_at: new Date(lastScanAt).toISOString(),
+          is_inside_event: before.is_inside_event,
+          cooldown_seconds: cooldownSeconds
+        }
+      };
+    }
+
+    const gate = this.checkGateDirection(student, authorization);
+    if (!gate.allowed) {
+      return {
+        status: 'REJECTED',
+        details: { reason: gate.message, ...gate.details, registration_no: student.registration_no, scanned_at: scannedAtIso }
+      };
+    }
+
+    const claim = await this.claimToken(token, decoded, {
+      student,
+      volunteerId,
+      eventContext: authorization.eventContext,
+      scannedAt: scannedAtIso
+    });
+    if (!claim.claimed) {
+      return {
+        status: 'REJECTED',
+        details: { reason: claim.message, ...claim.details, registration_no: student.registration_no, scanned_at: scannedAtIso }
+      };
+    }
+
+    let recorded;
+    try {
+      recorded = await this.recordScan({
+        student,
+        volunteerId,
+        eventContext: authorization.eventContext,
+        registration: authorization.registration,
+        scannedAt: scannedAtIso,
+        isOfflineSync: true
+      });
+    } catch (error) {
+      await this.releaseToken(token, decoded, authorization.eventContext);
+      throw error;
+    }
+
+    const { action, student: updatedStudent, presence, record, durationMinutes } = recorded;
+
+    console.log(`✅ [SYNC] ${action} replayed for ${student.full_name} at ${scannedAtIso}`);
+
+    return {
+      status: 'ACCEPTED',
+      check_in_out_id: record?.id || null,
+      details: {
+        action,
+        registration_no: updatedStudent.registration_no,
+        full_name: updatedStudent.full_name,
+        is_inside_event: presence.is_inside_event,
+        scanned_at: scannedAtIso,
+        event_id: authorization.eventContext?.event_id || null,
+        ...(action === 'EXIT' && { duration_minutes: durationMinutes })
+      }
+    };
+  }
+
+  /**
+   * Check out every student still inside an event
+   * Used by the scheduled closer when an event ends and by managers on demand.
+   * Writes auto-closed CHECKOUT rows with a capped duration and an audit entry.
+   * @param {string} eventId - Event UUID
+   * @param {Object} options - { trigger: 'SCHEDULED' | 'MANUAL', closedBy, closedByRole, ip_address, user_agent }
+   * @returns {Promise<Object>} { event_id, closed_count, cap_minutes, sessions }
+   */
+  static async closeOpenSessions(eventId, options = {}) {
+    const {
+      trigger = 'SCHEDULED',
+      closedBy = null,
+      closedByRole = 'SYSTEM',
+      ip_address = null,
+      user_agent = null
+    } = options;
+
+    const sessions = await EventRegistrationModel.closeOpenSessions(eventId, this.AUTO_CLOSE_MAX_MINUTES);
+
+    console.log(`🔚 [AUTO-CHECKOUT] Closed ${sessions.length} open sessions for event ${eventId} (${trigger})`);
+
+    OccupancyService.recordAutoCheckout(eventId, sessions.length);
+    if (sessions.length > 0) {
+      await EventZoneModel.closeEventZones(eventId);
+    }
+
+    if (sessions.length > 0) {
+      await logAuditEvent({
+        event_type: AuditEventType.SESSIONS_AUTO_CLOSED,
+        user_id: closedBy,
+        user_role: closedByRole,
+        resource_type: 'EVENT',
+        resource_id: eventId,
+        metadata: {
+          trigger,
+          closed_count: sessions.length,
+          cap_minutes: this.AUTO_CLOSE_MAX_MINUTES,
+          capped_count: sessions.filter((session) => session.duration_minutes >= this.AUTO_CLOSE_MAX_MINUTES).length
+        },
+        ip_address,
+        user_agent
+      });
+    }
+
+    return {
+      event_id: eventId,
+      closed_count: sessions.length,
+      cap_minutes: this.AUTO_CLOSE_MAX_MINUTES,
+      sessions
+    };
+  }
+
+  /**
+   * Shape a per-scan sync result
+   * @param {string|null} idempotencyKey - Client idempotency key
+   * @param {string} status - ACCEPTED | DUPLICATE | REJECTED | CONFLICT
+   * @param {Object} details - Outcome details
+   * @returns {Object}
+   */
+  static buildResult(idempotencyKey, status, details = {}) {
+    return {
+      idempotency_key: idempotencyKey,
+      status,
+      ...details
+    };
+  }
+}
+
+export default CheckInService;
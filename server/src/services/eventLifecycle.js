@@ -0,0 +1,129 @@
+/**
+ * Event Lifecycle Service
+ * Moves approved events through their lifecycle by date
+ *
+ * - APPROVED  -> ACTIVE     at start_date (gate scans need an ACTIVE event)
+ * - ACTIVE    -> COMPLETED  at end_date
+ * - COMPLETED -> ARCHIVED   ARCHIVE_AFTER_DAYS after end_date (rejected,
+ *   i.e. CANCELLED, events too)
+ *
+ * An event that is behind (e.g. the server was down) takes every step it
+ * missed in one run. Each step only applies if the status is still the one
+ * the step starts from, so a manager's manual change always wins, and each
+ * is recorded as an EVENT_STATUS_CHANGED audit entry.
+ */
+import Event from '../models/Event.model.js';
+import { logAuditEvent, AuditEventType } from '../utils/auditLogger.js';
+
+class EventLifecycleService {
+  static ARCHIVE_AFTER_DAYS = parseInt(process.env.EVENT_ARCHIVE_AFTER_DAYS) || 30;
+  static MAX_PER_RUN = 200;
+  static MAX_PREVIEW_HOURS = 24 * 30;
+
+  /**
+   * Steps an event takes by the given time, in order
+   * @param {Object} event - Event row (status, start_date, end_date)
+   * @param {Date} until - Time to plan up to
+   * @returns {Array} [{ from_status, to_status, due_at }]
+   */
+  static planTransitions(event, until) {
+    const startsAt = new Date(event.start_date);
+    const endsAt = new Date(event.end_date);
+    const archiveAt = new Date(endsAt.getTime() + this.ARCHIVE_AFTER_DAYS * 24 * 3600000);
+
+    const steps = [];
+    let status = event.status;
+
+    const step = (toStatus, dueAt) => {
+      steps.push({ from_status: status, to_status: toStatus, due_at: dueAt });
+      status = toStatus;
+    };
+
+    if (status === 'APPROVED' && startsAt <= until) step('ACTIVE', startsAt);
+    if (status === 'ACTIVE' && endsAt <= until) step('COMPLETED', endsAt);
+    if ((status === 'COMPLETED' || status === 'CANCELLED') && archiveAt <= until) step('ARCHIVED', archiveAt);
+
+    return steps;
+  }
+
+  /**
+   * Transitions the scheduler will make within the next hours (nothing is changed)
+   * @param {number} hours - Look-ahead (0 = only what is due now)
+   * @returns {Promise<Object>} { as_of, until, archive_after_days, transitions }
+   */
+  static async preview(hours = 24) {
+    const now = new Date();
+    const until = new Date(now.getTime() + hours * 3600000);
+    const events = await Event.findDueForLifecycle(hours, this.ARCHIVE_AFTER_DAYS, this.MAX_PER_RUN);
+
+    const transitions = events
+      .flatMap((event) => this.planTransitions(event, until).map((step) => ({
+        event_id: event.id,
+        event_name: event.event_name,
+        event_code: event.event_code,
+        ...step,
+        overdue: step.due_at <= now
+      })))
+      .sort((a, b) => a.due_at - b.due_at);
+
+    return {
+      as_of: now,
+      until,
+      archive_after_days: this.ARCHIVE_AFTER_DAYS,
+      transitions
+    };
+  }
+
+  /**
+   * Apply every transition that is due
+   * @param {Object} options - { trigger: 'SCHEDULED'|'MANUAL', admin_id }
+   * @returns {Promise<Object>} { activated, completed, archived, skipped, errors, transitions }
+   */
+  static async run({ trigger = 'SCHEDULED', admin_id = null } = {}) {
+    const summary = { activated: 0, completed: 0, archived: 0, skipped: 0, errors: 0, transitions: [] };
+    const counters = { ACTIVE: 'activated', COMPLETED: 'completed', ARCHIVED: 'archived' };
+
+    const now = new Date();
+    const events = await Event.findDueForLifecycle(0, this.ARCHIVE_AFTER_DAYS, this.MAX_PER_RUN);
+
+    for (const event of events) {
+      try {
+        for (const step of this.planTransitions(event, now)) {
+          const updated = await Event.transitionStatus(event.id, step.from_status, step.to_status);
+          if (!updated) {
+            // Changed by someone else since it was read - picked up again next run
+            summary.skipped++;
+            break;
+          }
+
+          summary[counters[step.to_status]]++;
+          summary.transitions.push({ event_id: event.id, event_name: event.event_name, ...step });
+          console.log(`📅 [LIFECYCLE] ${event.event_name}: ${step.from_status} → ${step.to_status}`);
+
+          await logAuditEvent({
+            event_type: AuditEventType.EVENT_STATUS_CHANGED,
+            user_id: admin_id,
+            user_role: admin_id ? 'ADMIN' : 'SYSTEM',
+            resource_type: 'EVENT',
+            resource_id: event.id,
+            metadata: {
+              event_name: event.event_name,
+              previous_status: step.from_status,
+              status: step.to_status,
+              due_at: step.due_at,
+              trigger
+            }
+          });
+        }
+      } catch (error) {
+        // Keep going so one event doesn't block the others
+        summary.errors++;
+        console.error(`❌ [LIFECYCLE] Transition failed for event ${event.event_name}:`, error.message);
+      }
+    }
+
+    return summary;
+  }
+}
+
+export default EventLifecycleService;
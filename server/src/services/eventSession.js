@@ -0,0 +1,149 @@
+/**
+ * Event Session Service
+ * Session bookings and attendance reports for multi-session events
+ *
+ * - A registration covers every session (session_scope EVENT) or only the
+ *   sessions it booked (SESSIONS)
+ * - Sessions with a capacity need a booking either way, so everyone let in
+ *   holds one of its seats; unlimited sessions are open to EVENT registrants
+ * - Bookings only change before a session starts, and need a registration
+ *   that would be admitted at the gate (paid registrations book after paying)
+ * - A student completes the event by attending min_sessions_for_completion
+ *   sessions, capped at the sessions they signed up for (all by default)
+ */
+import EventSessionModel from '../models/EventSession.model.js';
+import CheckInService from './checkIn.js';
+
+class EventSessionService {
+  /**
+   * Replace a student's session bookings and scope
+   * New bookings are all-or-nothing: if one session is full, the ones booked
+   * in this request are given back and nothing else changes
+   * @param {Object} registration - The student's event registration
+   * @param {Object} selection - { session_scope, session_ids }
+   * @returns {Promise<Object>} { ok: true, registration, bookings } or { ok: false, status, message, details }
+   */
+  static async updateBookings(registration, { session_scope, session_ids }) {
+    const fail = (status, message, details) => ({ ok: false, status, message, details });
+
+    if (!CheckInService.isRegistrationAdmissible(registration)) {
+      return fail(409, 'Complete your registration for this event before choosing sessions', {
+        code: 'REGISTRATION_NOT_CONFIRMED'
+      });
+    }
+
+    const sessions = await EventSessionModel.getEventSessions(registration.event_id);
+    const sessionsById = new Map(sessions.map((session) => [session.id, session]));
+
+    const requested = [...new Set(session_ids)];
+    const unknown = requested.filter((id) => !sessionsById.get(id)?.is_active);
+    if (unknown.length > 0) {
+      return fail(400, 'session_ids must be open sessions of this event', {
+        code: 'SESSION_NOT_FOUND',
+        session_ids: unknown
+      });
+    }
+
+    if (session_scope === 'SESSIONS' && requested.length === 0) {
+      return fail(400, 'Choose at least one session, or register for the whole event', {
+        code: 'NO_SESSIONS_SELECTED'
+      });
+    }
+
+    const current = await EventSessionModel.findBookings(registration.event_id, registration.student_id);
+    const bookedIds = new Set(current.map((booking) => booking.session_id));
+
+    // Bookings for sessions that have started are kept as they are
+    const now = new Date();
+    const toBook = requested.filter((id) => !bookedIds.has(id)).map((id) => sessionsById.get(id));
+    const toCancel = current.filter((booking) => !requested.includes(booking.session_id) && new Date(booking.start_time) > now);
+
+    const started = toBook.filter((session) => new Date(session.start_time) <= now);
+    if (started.length > 0) {
+      return fail(409, `These sessions have already started: ${started.map((session) => session.session_name).join(', ')}`, {
+        code: 'SESSION_STARTED',
+        session_ids: started.map((session) => session.id)
+      });
+    }
+
+    const booked = [];
+    const full = [];
+    for (const session of toBook) {
+      const booking = await EventSessionModel.book(session.id, registration);
+      if (booking) booked.push(session);
+      else full.push(session);
+    }
+
+    if (full.length > 0) {
+      for (const session of booked) {
+        await EventSessionModel.unbook(session.id, registration.student_id);
+      }
+      return fail(409, `No seats left in: ${full.map((session) => session.session_name).join(', ')}`, {
+        code: 'SESSION_FULL',
+        session_ids: full.map((session) => session.id)
+      });
+    }
+
+    for (const booking of toCancel) {
+      await EventSessionModel.unbook(booking.session_id, registration.student_id);
+    }
+
+    const updated = registration.session_scope === session_scope
+      ? registration
+      : await EventSessionModel.setScope(registration.id, session_scope);
+
+    return {
+      ok: true,
+      registration: updated,
+      bookings: await EventSessionModel.findBookings(registration.event_id, registration.student_id),
+      booked: booked.length,
+      cancelled: toCancel.length
+    };
+  }
+
+  /**
+   * Sessions attended per student, with completion
+   * @param {Object} event - Event row
+   * @param {number|null} [minSessions] - Overrides the event's min_sessions_for_completion
+   * @returns {Promise<Object>} { min_sessions_for_completion, summary, sessions, students }
+   */
+  static async getAttendanceReport(event, minSessions = null) {
+    const minimum = minSessions ?? event.min_sessions_for_completion;
+    const sessions = await EventSessionModel.getEventSessions(event.id);
+    const rows = await EventSessionModel.getAttendanceReport(event.id);
+
+    const students = rows.map((row) => {
+      const required = minimum ? Math.min(minimum, row.sessions_expected) : row.sessions_expected;
+      return {
+        ...row,
+        sessions_required: required,
+        completed: required > 0 && row.sessions_attended >= required
+      };
+    });
+
+    return {
+      min_sessions_for_completion: minimum,
+      summary: {
+        total_sessions: sessions.filter((session) => session.is_active).length,
+        total_students: students.length,
+        completed: students.filter((student) => student.completed).length,
+        attended_any: students.filter((student) => student.sessions_attended > 0).length,
+        attended_none: students.filter((student) => student.sessions_attended === 0).length
+      },
+      sessions: sessions.map((session) => ({
+        id: session.id,
+        session_name: session.session_name,
+        venue: session.venue,
+        start_time: session.start_time,
+        end_time: session.end_time,
+        capacity: session.capacity,
+        booked_count: session.booked_count,
+        attended_count: parseInt(session.attended_count),
+        is_active: session.is_active
+      })),
+      students
+    };
+  }
+}
+
+export default EventSessionService;
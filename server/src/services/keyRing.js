@@ -0,0 +1,424 @@
+/**
+ * Key Ring Service
+ * Signing keys for session JWTs and QR tokens, one ring per purpose
+ *
+ * - Tokens carry the signing key's ID in the JWT "kid" header and verify
+ *   against any key of their purpose that is not retired
+ * - The "legacy" key of every purpose is JWT_SECRET; it signs without a kid
+ *   header, so tokens issued before the key ring keep working unchanged
+ * - OFFLINE_QR keys are Ed25519 key pairs derived from the stored secret, so
+ *   scanner devices can verify QR tokens with the public keys alone
+ * - Keys live in signing_keys (encrypted) and are cached in memory so token
+ *   signing stays synchronous. Every instance reloads the ring periodically;
+ *   a rotated key only starts signing after ACTIVATION_DELAY_SECONDS so all
+ *   instances already know it by then
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import SigningKeyModel from '../models/SigningKey.model.js';
+
+// purpose -> [{ kid, secret, activatedAt }] newest first
+const ring = new Map();
+
+// secret -> Ed25519 key pair derived from it
+const keyPairCache = new Map();
+
+// DER prefix of a PKCS#8 Ed25519 private key; the 32-byte seed follows
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+let refreshTimer = null;
+let refreshing = null;
+let lastRefreshAt = 0;
+
+class KeyRingService {
+  static PURPOSES = {
+    SESSION: 'SESSION',
+    STUDENT_QR: 'STUDENT_QR',
+    STALL_QR: 'STALL_QR',
+    OFFLINE_QR: 'OFFLINE_QR'   // Ed25519, verifiable offline by scanner devices
+  };
+
+  static LEGACY_KID = 'legacy';
+  static REFRESH_INTERVAL_MS = 60 * 1000;
+  static MIN_ON_DEMAND_REFRESH_MS = 10 * 1000; // Unknown kids trigger at most one reload per 10s
+  static ACTIVATION_DELAY_SECONDS = 150;      // > 2 refresh intervals
+
+  /**
+   * Legacy-only ring (before the first load, or when signing_keys is unavailable)
+   * @returns {Map}
+   */
+  static createLegacyRing() {
+    const legacyRing = new Map();
+    for (const purpose of Object.values(this.PURPOSES)) {
+      legacyRing.set(purpose, [{ kid: this.LEGACY_KID, secret: process.env.JWT_SECRET, activatedAt: 0 }]);
+    }
+    return legacyRing;
+  }
+
+  /**
+   * Keys of a purpose, newest first
+   * @param {string} purpose - KeyRingService.PURPOSES value
+   * @returns {Array<Object>}
+   */
+  static getKeys(purpose) {
+    if (ring.size === 0) {
+      for (const [ringPurpose, keys] of this.createLegacyRing()) {
+        ring.set(ringPurpose, keys);
+      }
+    }
+
+    const keys = ring.get(purpose);
+    if (!keys) {
+      throw new Error(`Unknown signing key purpose: ${purpose}`);
+    }
+    return keys;
+  }
+
+  /**
+   * Load usable keys from the database
+   * On failure the current ring is kept (legacy-only on a fresh process)
+   * @returns {Promise<void>}
+   */
+  static async load() {
+    if (refreshing) {
+      return refreshing;
+    }
+
+    refreshing = (async () => {
+      try {
+        const rows = await SigningKeyModel.getUsableKeys();
+        const loaded = new Map(Object.values(this.PURPOSES).map((purpose) => [purpose, []]));
+
+        for (const row of rows) {
+          if (!loaded.has(row.purpose)) continue;
+
+          const secret = row.kid === this.LEGACY_KID
+            ? process.env.JWT_SECRET
+            : this.decryptSecret(row.secret_ciphertext);
+
+          loaded.get(row.purpose).push({
+            kid: row.kid,
+            secret,
+            activatedAt: new Date(row.activated_at).getTime()
+          });
+        }
+
+        for (const [purpose, keys] of loaded) {
+          if (keys.length === 0) {
+            // Purpose added by a migration that hasn't run yet
+            keys.push({ kid: this.LEGACY_KID, secret: process.env.JWT_SECRET, activatedAt: 0 });
+          }
+          keys.sort((a, b) => b.activatedAt - a.activatedAt);
+          ring.set(purpose, keys);
+        }
+      } catch (error) {
+        console.error('⚠️  [KEY RING] Could not load signing keys, keeping current ring:', error.message);
+      } finally {
+        lastRefreshAt = Date.now();
+        refreshing = null;
+      }
+    })();
+
+    return refreshing;
+  }
+
+  /**
+   * Load the ring and keep it fresh (once per process, before serving requests)
+   * @returns {Promise<void>}
+   */
+  static async start() {
+    await this.load();
+
+    if (!refreshTimer) {
+      refreshTimer = setInterval(() => this.load(), this.REFRESH_INTERVAL_MS);
+      refreshTimer.unref();
+    }
+  }
+
+  /**
+   * Stop the periodic reload (graceful shutdown)
+   */
+  static stop() {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+
+  /**
+   * Reload in the background after seeing a kid this instance doesn't know yet
+   */
+  static requestRefresh() {
+    if (Date.now() - lastRefreshAt >= this.MIN_ON_DEMAND_REFRESH_MS) {
+      this.load();
+    }
+  }
+
+  /**
+   * Key that signs new tokens: the newest key whose activation time has passed
+   * @param {string} purpose - KeyRingService.PURPOSES value
+   * @returns {Object} { kid, secret }
+   */
+  static getSigningKey(purpose) {
+    const now = Date.now();
+    const key = this.getKeys(purpose).find((candidate) => candidate.activatedAt <= now);
+
+    if (!key) {
+      throw new Error(`No active signing key for ${purpose}`);
+    }
+    return { kid: key.kid, secret: key.secret };
+  }
+
+  /**
+   * Secret for a kid (tokens without a kid use the legacy key)
+   * @param {string} purpose - KeyRingService.PURPOSES value
+   * @param {string|null|undefined} kid - Key ID from the token header
+   * @returns {string|null} null when the key is unknown or retired
+   */
+  static getVerificationSecret(purpose, kid) {
+    const keyId = kid || this.LEGACY_KID;
+    const key = this.getKeys(purpose).find((candidate) => candidate.kid === keyId);
+
+    if (!key && kid) {
+      this.requestRefresh();
+    }
+    return key ? key.secret : null;
+  }
+
+  /**
+   * Key ID in a token's header
+   * @param {string} token - JWT
+   * @returns {string|null}
+   */
+  static getTokenKid(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    return decoded?.header?.kid || null;
+  }
+
+  /**
+   * Sign a JWT with the purpose's current key
+   * @param {string} purpose - KeyRingService.PURPOSES value
+   * @param {Object} payload - JWT payload
+   * @param {Object} options - jsonwebtoken sign options
+   * @param {Object} [key] - { kid, secret } from getSigningKey, when the caller also HMACs with it
+   * @returns {string}
+   */
+  static sign(purpose, payload, options = {}, key = this.getSigningKey(purpose)) {
+    const { kid, secret } = key;
+
+    return jwt.sign(payload, secret, {
+      algorithm: 'HS256',
+      ...options,
+      ...(kid !== this.LEGACY_KID && { keyid: kid })
+    });
+  }
+
+  /**
+   * Verify a JWT against the key named in its header
+   * Throws the same errors as jwt.verify (JsonWebTokenError, TokenExpiredError)
+   * @param {string} purpose - KeyRingService.PURPOSES value
+   * @param {string} token - JWT
+   * @param {Object} options - jsonwebtoken verify options
+   * @returns {Object} Decoded payload
+   */
+  static verify(purpose, token, options = {}) {
+    const secret = this.getVerificationSecret(purpose, this.getTokenKid(token));
+    if (!secret) {
+      throw new jwt.JsonWebTokenError('unknown or retired signing key');
+    }
+
+    return jwt.verify(token, secret, { algorithms: ['HS256'], ...options });
+  }
+
+  /**
+   * HMAC with a specific key's secret (rotating QR window signatures)
+   * @param {string} secret - Key secret
+   * @param {string} data - Data to sign
+   * @param {number} length - Hex characters to keep
+   * @returns {string}
+   */
+  static hmac(secret, data, length = 12) {
+    return crypto.createHmac('sha256', secret).update(data).digest('hex').substring(0, length);
+  }
+
+  // ============================================================
+  // ED25519 (OFFLINE-VERIFIABLE QR)
+  // ============================================================
+
+  /**
+   * Ed25519 key pair derived from a key secret (seed = HMAC of the secret)
+   * @param {string} secret - Key secret
+   * @returns {Object} { privateKey, publicKeyObject, publicKey (raw 32 bytes), keyId (4 bytes) }
+   */
+  static getEd25519KeyPair(secret) {
+    let keyPair = keyPairCache.get(secret);
+    if (keyPair) {
+      return keyPair;
+    }
+
+    const seed = crypto.createHmac('sha256', secret).update('ed25519-qr-seed').digest();
+    const privateKey = crypto.createPrivateKey({
+      key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+      format: 'der',
+      type: 'pkcs8'
+    });
+    const publicKeyObject = crypto.createPublicKey(privateKey);
+    const publicKey = Buffer.from(publicKeyObject.export({ format: 'jwk' }).x, 'base64url');
+
+    keyPair = {
+      privateKey,
+      publicKeyObject,
+      publicKey,
+      // Short ID carried in compact tokens instead of the kid
+      keyId: crypto.createHash('sha256').update(publicKey).digest().subarray(0, 4)
+    };
+    keyPairCache.set(secret, keyPair);
+    return keyPair;
+  }
+
+  /**
+   * Sign bytes with the current Ed25519 key of a purpose
+   * @param {string} purpose - KeyRingService.PURPOSES value
+   * @param {Buffer} data - Bytes to sign (must already contain the key ID)
+   * @returns {Buffer} 64-byte signature
+   */
+  static signEd25519(purpose, data) {
+    const { privateKey } = this.getEd25519KeyPair(this.getSigningKey(purpose).secret);
+    return crypto.sign(null, data, privateKey);
+  }
+
+  /**
+   * Short key ID of the current Ed25519 key of a purpose
+   * @param {string} purpose - KeyRingService.PURPOSES value
+   * @returns {Buffer} 4 bytes
+   */
+  static getEd25519SigningKeyId(purpose) {
+    return this.getEd25519KeyPair(this.getSigningKey(purpose).secret).keyId;
+  }
+
+  /**
+   * Verify an Ed25519 signature against the non-retired key with this short key ID
+   * @param {string} purpose - KeyRingService.PURPOSES value
+   * @param {Buffer} keyId - 4-byte key ID from the token
+   * @param {Buffer} data - Signed bytes
+   * @param {Buffer} signature - 64-byte signature
+   * @returns {boolean|null} null when no usable key has this ID
+   */
+  static verifyEd25519(purpose, keyId, data, signature) {
+    const key = this.getKeys(purpose)
+      .map((candidate) => this.getEd25519KeyPair(candidate.secret))
+      .find((keyPair) => keyPair.keyId.equals(keyId));
+
+    if (!key) {
+      this.requestRefresh();
+      return null;
+    }
+    return crypto.verify(null, data, key.publicKeyObject, signature);
+  }
+
+  /**
+   * Public keys of a purpose that still verify (for scanner devices)
+   * @param {string} purpose - KeyRingService.PURPOSES value
+   * @returns {Array<Object>} [{ kid, key_id, public_key, activated_at, signing }]
+   */
+  static getEd25519PublicKeys(purpose) {
+    const signingKid = this.getSigningKey(purpose).kid;
+
+    return this.getKeys(purpose).map((key) => {
+      const { publicKey, keyId } = this.getEd25519KeyPair(key.secret);
+      return {
+        kid: key.kid,
+        key_id: keyId.toString('hex'),
+        algorithm: 'Ed25519',
+        public_key: publicKey.toString('base64url'),
+        activated_at: new Date(key.activatedAt).toISOString(),
+        signing: key.kid === signingKid
+      };
+    });
+  }
+
+  // ============================================================
+  // ROTATION
+  // ============================================================
+
+  /**
+   * Add a new key for a purpose; it signs once ACTIVATION_DELAY_SECONDS have passed
+   * Older keys keep verifying until they are retired
+   * @param {string} purpose - KeyRingService.PURPOSES value
+   * @param {string|null} adminId - Admin performing the rotation
+   * @returns {Promise<Object>} New key (without key material)
+   */
+  static async rotate(purpose, adminId = null) {
+    if (!Object.values(this.PURPOSES).includes(purpose)) {
+      throw new Error(`Unknown signing key purpose: ${purpose}`);
+    }
+
+    const datePart = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const kid = `${purpose.toLowerCase().replace('_', '')}-${datePart}-${crypto.randomBytes(3).toString('hex')}`;
+    const secret = crypto.randomBytes(32).toString('base64url');
+
+    const key = await SigningKeyModel.create({
+      purpose,
+      kid,
+      secret_ciphertext: this.encryptSecret(secret),
+      activated_at: new Date(Date.now() + this.ACTIVATION_DELAY_SECONDS * 1000),
+      created_by_admin_id: adminId
+    });
+
+    await this.load();
+    return key;
+  }
+
+  /**
+   * Retire a key (the key currently signing cannot be retired)
+   * @param {string} purpose - KeyRingService.PURPOSES value
+   * @param {string} kid - Key ID
+   * @returns {Promise<Object|null>} Retired key, or null if not found/already retired
+   */
+  static async retire(purpose, kid) {
+    await this.load();
+
+    if (this.getSigningKey(purpose).kid === kid) {
+      throw new Error('Cannot retire the key currently signing tokens. Rotate first and wait for the new key to activate');
+    }
+
+    const retired = await SigningKeyModel.retire(purpose, kid);
+    await this.load();
+    return retired;
+  }
+
+  // ============================================================
+  // KEY MATERIAL ENCRYPTION (AES-256-GCM)
+  // ============================================================
+
+  /**
+   * Key-encryption key from SIGNING_KEY_MASTER_SECRET (falls back to JWT_SECRET)
+   * @returns {Buffer}
+   */
+  static getMasterKey() {
+    const master = process.env.SIGNING_KEY_MASTER_SECRET || process.env.JWT_SECRET;
+    return crypto.createHash('sha256').update(String(master)).digest();
+  }
+
+  /**
+   * @param {string} secret - Plain key material
+   * @returns {string} base64(iv | auth tag | ciphertext)
+   */
+  static encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getMasterKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+  }
+
+  /**
+   * @param {string} payload - base64(iv | auth tag | ciphertext)
+   * @returns {string} Plain key material
+   */
+  static decryptSecret(payload) {
+    const data = Buffer.from(payload, 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getMasterKey(), data.subarray(0, 12));
+    decipher.setAuthTag(data.subarray(12, 28));
+    return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]).toString('utf8');
+  }
+}
+
+export default KeyRingService;
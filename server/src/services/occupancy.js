@@ -0,0 +1,227 @@
+/**
+ * Occupancy Service
+ * Live per-event occupancy counters pushed to managers over Server-Sent Events
+ *
+ * Counters live in this process and are updated incrementally by every
+ * recorded scan (CheckInService.recordScan) and auto-checkout. They are seeded
+ * once per event from event_registrations when the first manager subscribes,
+ * so check_in_outs is never rescanned. Per-gate and per-minute counts start
+ * at seeding time (see counting_since). With several API instances each one
+ * only sees its own scans.
+ */
+import { EventEmitter } from 'events';
+import EventRegistrationModel from '../models/EventRegistration.model.js';
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open stream
+
+// event_id -> counters (see createCounters)
+const counters = new Map();
+
+// event_id -> pending broadcast timer (coalesces bursts of scans)
+const broadcastTimers = new Map();
+
+// event_id -> in-flight seeding promise
+const seeding = new Map();
+
+class OccupancyService {
+  static PER_MINUTE_WINDOW = 60;          // Minutes of entry/exit history kept
+  static BROADCAST_INTERVAL_MS = 1000;    // At most one push per event per second
+  static HEARTBEAT_INTERVAL_MS = 25000;   // Keeps proxies from closing idle streams
+  static UNASSIGNED_GATE = 'Unassigned';
+
+  /**
+   * Build empty counters for an event
+   * @param {string} eventId - Event UUID
+   * @returns {Object}
+   */
+  static createCounters(eventId) {
+    return {
+      event_id: eventId,
+      currently_inside: 0,
+      total_entries: 0,
+      total_exits: 0,
+      gates: new Map(),
+      minutes: new Map(),
+      counting_since: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Load an event's counters, seeding them from event_registrations the first time
+   * @param {string} eventId - Event UUID
+   * @returns {Promise<Object>}
+   */
+  static async ensureCounters(eventId) {
+    if (counters.has(eventId)) {
+      return counters.get(eventId);
+    }
+
+    if (!seeding.has(eventId)) {
+      const promise = EventRegistrationModel.getOccupancySeed(eventId)
+        .then((seed) => {
+          const eventCounters = this.createCounters(eventId);
+          eventCounters.currently_inside = parseInt(seed.currently_inside) || 0;
+          eventCounters.total_entries = parseInt(seed.total_entries) || 0;
+          eventCounters.total_exits = parseInt(seed.total_exits) || 0;
+          counters.set(eventId, eventCounters);
+          return eventCounters;
+        })
+        .finally(() => seeding.delete(eventId));
+
+      seeding.set(eventId, promise);
+    }
+
+    return await seeding.get(eventId);
+  }
+
+  /**
+   * Apply a recorded ENTRY/EXIT to the event's counters
+   * Events nobody is watching are skipped; they are seeded on first subscribe
+   * @param {Object} scan
+   * @param {string} scan.eventId - Event UUID
+   * @param {string} scan.action - ENTRY | EXIT
+   * @param {string|null} scan.location - Gate the scan happened at
+   * @param {Date|string|null} scan.scannedAt - Scan time (offline scans use the client time)
+   */
+  static recordScan({ eventId, action, location = null, scannedAt = null }) {
+    const eventCounters = counters.get(eventId);
+    if (!eventCounters) {
+      return;
+    }
+
+    const isEntry = action === 'ENTRY';
+    const gateName = location || this.UNASSIGNED_GATE;
+
+    if (isEntry) {
+      eventCounters.currently_inside += 1;
+      eventCounters.total_entries += 1;
+    } else {
+      eventCounters.currently_inside = Math.max(0, eventCounters.currently_inside - 1);
+      eventCounters.total_exits += 1;
+    }
+
+    const gate = eventCounters.gates.get(gateName) || { entries: 0, exits: 0 };
+    gate[isEntry ? 'entries' : 'exits'] += 1;
+    eventCounters.gates.set(gateName, gate);
+
+    const scanTime = scannedAt ? new Date(scannedAt) : new Date();
+    const minuteKey = this.getMinuteKey(scanTime);
+    if (minuteKey >= this.getMinuteKey(Date.now() - this.PER_MINUTE_WINDOW * 60 * 1000)) {
+      const minute = eventCounters.minutes.get(minuteKey) || { entries: 0, exits: 0 };
+      minute[isEntry ? 'entries' : 'exits'] += 1;
+      eventCounters.minutes.set(minuteKey, minute);
+    }
+
+    eventCounters.updated_at = new Date().toISOString();
+    this.scheduleBroadcast(eventId);
+  }
+
+  /**
+   * Apply sessions closed by auto-checkout (no gate involved)
+   * @param {string} eventId - Event UUID
+   * @param {number} closedCount - Sessions closed
+   */
+  static recordAutoCheckout(eventId, closedCount) {
+    const eventCounters = counters.get(eventId);
+    if (!eventCounters || closedCount === 0) {
+      return;
+    }
+
+    eventCounters.currently_inside = Math.max(0, eventCounters.currently_inside - closedCount);
+    eventCounters.total_exits += closedCount;
+    eventCounters.updated_at = new Date().toISOString();
+    this.scheduleBroadcast(eventId);
+  }
+
+  /**
+   * Current occupancy for an event
+   * @param {string} eventId - Event UUID
+   * @returns {Promise<Object>} { event_id, currently_inside, total_entries, total_exits, gates, per_minute, ... }
+   */
+  static async getSnapshot(eventId) {
+    const eventCounters = await this.ensureCounters(eventId);
+    this.pruneMinutes(eventCounters);
+
+    return {
+      event_id: eventId,
+      currently_inside: eventCounters.currently_inside,
+      total_entries: eventCounters.total_entries,
+      total_exits: eventCounters.total_exits,
+      gates: [...eventCounters.gates.entries()]
+        .map(([location, gate]) => ({
+          location,
+          entries: gate.entries,
+          exits: gate.exits,
+          net: gate.entries - gate.exits
+        }))
+        .sort((a, b) => a.location.localeCompare(b.location)),
+      per_minute: [...eventCounters.minutes.entries()]
+        .map(([minute, counts]) => ({ minute, entries: counts.entries, exits: counts.exits }))
+        .sort((a, b) => a.minute.localeCompare(b.minute)),
+      counting_since: eventCounters.counting_since,
+      updated_at: eventCounters.updated_at
+    };
+  }
+
+  /**
+   * Subscribe to occupancy updates for an event
+   * @param {string} eventId - Event UUID
+   * @param {Function} listener - Called with each new snapshot
+   * @returns {Function} Unsubscribe function
+   */
+  static subscribe(eventId, listener) {
+    emitter.on(eventId, listener);
+    return () => emitter.off(eventId, listener);
+  }
+
+  /**
+   * Push a snapshot to subscribers, at most once per BROADCAST_INTERVAL_MS
+   * @param {string} eventId - Event UUID
+   */
+  static scheduleBroadcast(eventId) {
+    if (broadcastTimers.has(eventId) || emitter.listenerCount(eventId) === 0) {
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      broadcastTimers.delete(eventId);
+      try {
+        const snapshot = await this.getSnapshot(eventId);
+        emitter.emit(eventId, snapshot);
+      } catch (error) {
+        console.error(`❌ [OCCUPANCY] Broadcast failed for event ${eventId}:`, error.message);
+      }
+    }, this.BROADCAST_INTERVAL_MS);
+    timer.unref();
+
+    broadcastTimers.set(eventId, timer);
+  }
+
+  /**
+   * Drop per-minute buckets older than the window
+   * @param {Object} eventCounters - Event counters
+   */
+  static pruneMinutes(eventCounters) {
+    const oldestKey = this.getMinuteKey(Date.now() - this.PER_MINUTE_WINDOW * 60 * 1000);
+    for (const minuteKey of eventCounters.minutes.keys()) {
+      if (minuteKey < oldestKey) {
+        eventCounters.minutes.delete(minuteKey);
+      }
+    }
+  }
+
+  /**
+   * ISO timestamp of the minute a time falls in ("2025-12-05T09:14:00.000Z")
+   * @param {Date|number} time
+   * @returns {string}
+   */
+  static getMinuteKey(time) {
+    const date = new Date(time);
+    date.setUTCSeconds(0, 0);
+    return date.toISOString();
+  }
+}
+
+export default OccupancyService;
@@ -168,6 +168,29 @@ class PaymentService {
     }
   }
 
+  /**
+   * Fetch the payment attempts made against an order
+   * @param {string} orderId - Razorpay order ID
+   * @returns {Promise<Array>} [{ id, status, amount, error_description }]
+   */
+  static async getOrderPayments(orderId) {
+    try {
+      const razorpay = this.getRazorpayInstance();
+      const payments = await razorpay.orders.fetchPayments(orderId);
+
+      return (payments.items || []).map((payment) => ({
+        id: payment.id,
+        status: payment.status,
+        amount: payment.amount / 100,
+        error_description: payment.error_description || null,
+        created_at: payment.created_at
+      }));
+    } catch (error) {
+      console.error('❌ [RAZORPAY] Fetch order payments failed:', error);
+      throw new Error(`Failed to fetch order payments: ${error.message}`);
+    }
+  }
+
   /**
    * Process refund
    * @param {Object} refundData - { payment_id, amount, notes }
@@ -206,6 +229,56 @@ class PaymentService {
     }
   }
 
+  /**
+   * Fetch refund status from Razorpay
+   * @param {string} paymentId - Razorpay payment ID
+   * @param {string} refundId - Razorpay refund ID
+   * @returns {Promise<Object>} Refund details (status: pending | processed | failed)
+   */
+  static async getRefundDetails(paymentId, refundId) {
+    try {
+      const razorpay = this.getRazorpayInstance();
+      const refund = await razorpay.payments.fetchRefund(paymentId, refundId);
+
+      return {
+        id: refund.id,
+        payment_id: refund.payment_id,
+        amount: refund.amount / 100,
+        currency: refund.currency,
+        status: refund.status,
+        created_at: refund.created_at
+      };
+    } catch (error) {
+      console.error('❌ [RAZORPAY] Fetch refund failed:', error);
+      throw new Error(`Failed to fetch refund details: ${error.message}`);
+    }
+  }
+
+  /**
+   * List the refunds created on a payment
+   * @param {string} paymentId - Razorpay payment ID
+   * @returns {Promise<Array>} Refund details (with the notes they were sent with)
+   */
+  static async getPaymentRefunds(paymentId) {
+    try {
+      const razorpay = this.getRazorpayInstance();
+      const refunds = await razorpay.payments.fetchMultipleRefund(paymentId, { count: 100 });
+
+      return refunds.items.map((refund) => ({
+        id: refund.id,
+        payment_id: refund.payment_id,
+        amount: refund.amount / 100,
+        currency: refund.currency,
+        status: refund.status,
+        created_at: refund.created_at,
+        notes: refund.notes
+      }));
+    } catch (error) {
+      console.error('❌ [RAZORPAY] Fetch payment refunds failed:', error);
+      throw new Error(`Failed to fetch payment refunds: ${error.message}`);
+    }
+  }
+
   /**
    * Verify webhook signature
    * @param {string} webhookBody - Raw webhook body
@@ -285,6 +358,7 @@ class PaymentService {
           return {
             type: 'order_paid',
             order_id: payload.order.entity.id,
+            payment_id: payload.payment?.entity?.id || null,
             amount_paid: payload.order.entity.amount_paid / 100,
             status: 'paid'
           };
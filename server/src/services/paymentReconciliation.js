@@ -0,0 +1,126 @@
+/**
+ * Payment Reconciliation Service
+ * Settles paid registrations left PENDING by an abandoned or unverified checkout
+ *
+ * For each checkout older than STALE_AFTER_MINUTES the order is looked up at
+ * Razorpay:
+ * - paid (captured payment)  -> completed, same path as verifyPayment/webhook
+ * - authorized payment       -> skipped, Razorpay captures or voids it
+ * - attempted (all failed)   -> payment failed
+ * - created (never paid)     -> checkout expired
+ *
+ * Failing or expiring a checkout releases its seat hold, if it still has
+ * one, and frees the student's registration for a new checkout; seats
+ * offered from the waitlist are released by the waitlist job when the offer
+ * ends. Every run returns a report of the actions taken, stored in
+ * payment_reconciliation_runs when it did anything.
+ */
+import EventRegistrationModel from '../models/EventRegistration.model.js';
+import PaymentReconciliationRunModel from '../models/PaymentReconciliationRun.model.js';
+import PaymentService from './payment.js';
+import PaymentWebhookService from './paymentWebhook.js';
+import SeatReservationService from './seatReservation.js';
+
+class PaymentReconciliationService {
+  static STALE_AFTER_MINUTES = parseInt(process.env.PENDING_PAYMENT_EXPIRY_MINUTES) || 30;
+  static MAX_PER_RUN = 100; // Razorpay API calls per run stay well under rate limits
+
+  /**
+   * Decide and apply the outcome of one stale checkout
+   * @param {Object} registration - Row from findStalePendingPayments
+   * @returns {Promise<Object>} { action, detail }
+   */
+  static async reconcileRegistration(registration) {
+    const orderId = registration.razorpay_order_id;
+    const order = await PaymentService.getOrderDetails(orderId);
+    const payments = await PaymentService.getOrderPayments(orderId);
+
+    const captured = payments.find((payment) => payment.status === 'captured');
+    if (captured) {
+      const { outcome } = await PaymentWebhookService.applyCapturedPayment(registration, {
+        razorpay_payment_id: captured.id,
+        amount: captured.amount
+      });
+      return {
+        action: outcome === 'COMPLETED' ? 'COMPLETED' : 'SKIPPED',
+        detail: `Payment ${captured.id} captured (${outcome})`
+      };
+    }
+
+    if (payments.some((payment) => payment.status === 'authorized')) {
+      return { action: 'SKIPPED', detail: 'Payment authorized, waiting for capture' };
+    }
+
+    if (order.status === 'attempted') {
+      const failed = await SeatReservationService.releaseCheckout(registration.id, { orderId, status: 'CANCELLED' });
+      const lastError = payments.find((payment) => payment.error_description)?.error_description;
+      return failed
+        ? { action: 'FAILED', detail: lastError || `${payments.length} failed payment attempt(s)` }
+        : { action: 'SKIPPED', detail: 'Registration changed during reconciliation' };
+    }
+
+    if (order.status === 'created') {
+      const expired = await SeatReservationService.releaseCheckout(registration.id, { orderId, status: 'EXPIRED' });
+      return expired
+        ? { action: 'EXPIRED', detail: 'No payment attempted' }
+        : { action: 'SKIPPED', detail: 'Registration changed during reconciliation' };
+    }
+
+    return { action: 'SKIPPED', detail: `Order status ${order.status}` };
+  }
+
+  /**
+   * Reconcile every stale checkout and store the report
+   * @param {Object} options - { trigger: 'SCHEDULED'|'MANUAL', admin_id }
+   * @returns {Promise<Object>} Report
+   */
+  static async reconcile({ trigger = 'SCHEDULED', admin_id = null } = {}) {
+    const report = {
+      trigger,
+      triggered_by_admin_id: admin_id,
+      stale_after_minutes: this.STALE_AFTER_MINUTES,
+      started_at: new Date(),
+      checked: 0,
+      completed: 0,
+      failed: 0,
+      expired: 0,
+      skipped: 0,
+      errors: 0,
+      actions: []
+    };
+
+    const registrations = await EventRegistrationModel.findStalePendingPayments(this.STALE_AFTER_MINUTES, this.MAX_PER_RUN);
+
+    for (const registration of registrations) {
+      report.checked++;
+
+      let result;
+      try {
+        result = await this.reconcileRegistration(registration);
+      } catch (error) {
+        // Keep going so one order doesn't block the others; retried next run
+        console.error(`❌ [RECONCILE] Registration ${registration.id} failed:`, error.message);
+        result = { action: 'ERROR', detail: error.message };
+      }
+
+      const counter = { COMPLETED: 'completed', FAILED: 'failed', EXPIRED: 'expired', SKIPPED: 'skipped', ERROR: 'errors' }[result.action];
+      report[counter]++;
+      report.actions.push({
+        registration_id: registration.id,
+        event_id: registration.event_id,
+        order_id: registration.razorpay_order_id,
+        ...result
+      });
+    }
+
+    if (report.checked === 0) {
+      return report;
+    }
+
+    console.log(`🧾 [RECONCILE] ${report.checked} stale checkout(s): ${report.completed} completed, ${report.failed} failed, ${report.expired} expired, ${report.skipped} skipped, ${report.errors} errors`);
+
+    return await PaymentReconciliationRunModel.create(report);
+  }
+}
+
+export default PaymentReconciliationService;
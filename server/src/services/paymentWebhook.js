@@ -0,0 +1,175 @@
+/**
+ * Payment Webhook Service
+ * Applies Razorpay webhook events to registrations
+ *
+ * Razorpay delivers events at least once and in no guaranteed order, and
+ * the student's browser may verify the same payment first (verifyPayment).
+ * Every step is therefore a conditional update that does nothing the second
+ * time, and each returns an outcome string that is stored with the event
+ * (payment_webhook_events) for support lookups.
+ */
+import EventRegistrationModel from '../models/EventRegistration.model.js';
+import PaymentWebhookEventModel from '../models/PaymentWebhookEvent.model.js';
+import PaymentService from './payment.js';
+import RefundService from './refund.js';
+import SeatReservationService from './seatReservation.js';
+
+class PaymentWebhookService {
+  /**
+   * Apply a captured payment to its registration
+   * Shared with client-side verification so both paths agree
+   * @param {Object} registration - Registration row
+   * @param {Object} payment - { razorpay_payment_id, razorpay_signature, amount }
+   * @returns {Promise<Object>} { outcome, registration }
+   */
+  static async applyCapturedPayment(registration, payment) {
+    const { razorpay_payment_id, razorpay_signature = null, amount = null } = payment;
+
+    if (registration.payment_status === 'COMPLETED' || registration.payment_status === 'REFUNDED') {
+      const outcome = registration.razorpay_payment_id === razorpay_payment_id ? 'ALREADY_COMPLETED' : 'DUPLICATE_PAYMENT';
+      if (outcome === 'DUPLICATE_PAYMENT') {
+        console.warn(`⚠️ [PAYMENT] Second payment ${razorpay_payment_id} for registration ${registration.id} - refund it from the Razorpay dashboard`);
+      }
+      return { outcome, registration };
+    }
+
+    const completed = await SeatReservationService.confirmPayment(registration.id, {
+      razorpay_payment_id,
+      razorpay_signature
+    });
+    if (completed) {
+      console.log(`✅ [PAYMENT] Registration ${registration.id} confirmed (payment ${razorpay_payment_id})`);
+      return { outcome: 'COMPLETED', registration: completed };
+    }
+
+    // No seat for it (cancelled, expired, or the hold ran out on a full event): give it back
+    const late = await EventRegistrationModel.recordLatePayment(registration.id, {
+      razorpay_payment_id,
+      amount: amount ?? registration.payment_amount
+    });
+    if (late) {
+      console.log(`↩️ [PAYMENT] No seat for payment ${razorpay_payment_id} on registration ${registration.id} - refunding`);
+      const refunded = await RefundService.issueRefund(late.id).catch((error) => {
+        console.error('❌ [REFUND] Immediate refund failed, left for the refund job:', error.message);
+        return null;
+      });
+      return { outcome: 'REFUND_OWED', registration: refunded || late };
+    }
+
+    // Lost a race with the other path - report what it did
+    const current = await EventRegistrationModel.findById(registration.id);
+    if (current?.payment_status === 'COMPLETED' && current.razorpay_payment_id === razorpay_payment_id) {
+      return { outcome: current.refund_status ? 'REFUND_OWED' : 'ALREADY_COMPLETED', registration: current };
+    }
+    return { outcome: 'IGNORED', registration: current };
+  }
+
+  /**
+   * payment.captured / order.paid
+   * @param {Object} event - Parsed webhook event (PaymentService.handleWebhook)
+   * @returns {Promise<string>} Outcome
+   */
+  static async handlePaymentSuccess(event) {
+    if (!event.payment_id) {
+      return 'NO_PAYMENT';
+    }
+
+    const registration = await EventRegistrationModel.findByOrderId(event.order_id);
+    if (!registration) {
+      return 'UNMATCHED';
+    }
+
+    const { outcome } = await this.applyCapturedPayment(registration, {
+      razorpay_payment_id: event.payment_id,
+      amount: event.amount ?? event.amount_paid
+    });
+    return outcome;
+  }
+
+  /**
+   * payment.failed
+   * @param {Object} event - Parsed webhook event
+   * @returns {Promise<string>} Outcome
+   */
+  static async handlePaymentFailed(event) {
+    const registration = await EventRegistrationModel.findByOrderId(event.order_id);
+    if (!registration) {
+      return 'UNMATCHED';
+    }
+
+    const failed = await SeatReservationService.releaseCheckout(registration.id, { orderId: event.order_id, status: 'CANCELLED' });
+    if (!failed) {
+      return 'IGNORED';
+    }
+
+    console.log(`❌ [PAYMENT] Payment failed for registration ${registration.id}: ${event.error_description || event.error_code}`);
+    return 'FAILED';
+  }
+
+  /**
+   * refund.processed
+   * @param {Object} event - Parsed webhook event
+   * @returns {Promise<string>} Outcome
+   */
+  static async handleRefundProcessed(event) {
+    const registration = await EventRegistrationModel.findByRefundId(event.refund_id);
+    if (!registration) {
+      // The refund job matches it once the refund ID is stored
+      return 'UNMATCHED';
+    }
+    if (registration.refund_status === 'PROCESSED') {
+      return 'ALREADY_PROCESSED';
+    }
+
+    await RefundService.completeRefund(registration);
+    return 'PROCESSED';
+  }
+
+  /**
+   * Apply one verified webhook delivery
+   * @param {string} eventId - x-razorpay-event-id
+   * @param {Object} body - Webhook body
+   * @returns {Promise<Object>} { duplicate, outcome }
+   */
+  static async process(eventId, body) {
+    const claimed = await PaymentWebhookEventModel.claim({
+      event_id: eventId,
+      event_type: body.event,
+      payload: body
+    });
+    if (!claimed) {
+      console.log(`📩 [RAZORPAY WEBHOOK] Duplicate ${body.event} (${eventId}) ignored`);
+      return { duplicate: true, outcome: null };
+    }
+
+    try {
+      const event = await PaymentService.handleWebhook(body);
+
+      let outcome;
+      switch (event.type) {
+        case 'payment_success':
+        case 'order_paid':
+          outcome = await this.handlePaymentSuccess(event);
+          break;
+        case 'payment_failed':
+          outcome = await this.handlePaymentFailed(event);
+          break;
+        case 'refund_processed':
+          outcome = await this.handleRefundProcessed(event);
+          break;
+        default:
+          outcome = 'UNHANDLED';
+      }
+
+      await PaymentWebhookEventModel.markProcessed(eventId, outcome);
+      console.log(`📩 [RAZORPAY WEBHOOK] ${body.event} (${eventId}): ${outcome}`);
+
+      return { duplicate: false, outcome };
+    } catch (error) {
+      await PaymentWebhookEventModel.markFailed(eventId, error.message);
+      throw error;
+    }
+  }
+}
+
+export default PaymentWebhookService;
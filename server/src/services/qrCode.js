@@ -3,6 +3,12 @@ import QRCode from 'qrcode';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import redisClient from '../config/redis.js';
+import KeyRingService from './keyRing.js';
+
+// In-process record of consumed rotating tokens, used only while Redis is down
+// Map<key, { value, expiresAt }> in insertion order (oldest first)
+const usedTokenFallback = new Map();
+let lastFallbackSweepAt = 0;
 
 class QRCodeService {
   // ============================================================
@@ -10,15 +16,18 @@ class QRCodeService {
   // ============================================================
   static ROTATION_INTERVAL_SECONDS = 60;  // Token rotates every 30 seconds
   static GRACE_PERIOD_WINDOWS = 2;        // Accept tokens from 2 previous windows (60 seconds grace)
+  static USED_TOKEN_FALLBACK_MAX = 50000;        // Claims kept in memory while Redis is down
+  static USED_TOKEN_FALLBACK_SWEEP_MS = 60 * 1000;
 
   /**
    * Get current time window for rotating QR codes
    * Time window changes every 30 seconds (floor division)
    * Example: timestamp 1732368450 → window 57745614
+   * @param {Date|number} [referenceTime] - Time to compute the window for (defaults to now)
    * @returns {number} Current time window
    */
-  static getCurrentTimeWindow() {
-    return Math.floor(Date.now() / 1000 / this.ROTATION_INTERVAL_SECONDS);
+  static getCurrentTimeWindow(referenceTime = Date.now()) {
+    return Math.floor(new Date(referenceTime).getTime() / 1000 / this.ROTATION_INTERVAL_SECONDS);
   }
 
   /**
@@ -39,14 +48,11 @@ class QRCodeService {
     }
 
     const currentWindow = this.getCurrentTimeWindow();
+    const signingKey = KeyRingService.getSigningKey(KeyRingService.PURPOSES.STUDENT_QR);
     
     // HMAC signature: proves token wasn't tampered with
-    // Uses registration_no + time_window + secret key
-    const hmac = crypto
-      .createHmac('sha256', process.env.JWT_SECRET)
-      .update(`${student.registration_no}:${currentWindow}`)
-      .digest('hex')
-      .substring(0, 12); // 12 chars sufficient for security
+    // Uses registration_no + time_window + the same key that signs the JWT
+    const hmac = KeyRingService.hmac(signingKey.secret, `${student.registration_no}:${currentWindow}`); // 12 chars sufficient for security
 
     // Minimal payload for smallest QR code
     const payload = {
@@ -57,10 +63,9 @@ class QRCodeService {
     };
 
     // JWT expires in 90 seconds (covers current + 2 grace period windows)
-    return jwt.sign(payload, process.env.JWT_SECRET, {
-      algorithm: 'HS256',
+    return KeyRingService.sign(KeyRingService.PURPOSES.STUDENT_QR, payload, {
       expiresIn: '90s'
-    });
+    }, signingKey);
   }
 
   /**
@@ -70,13 +75,28 @@ class QRCodeService {
    * UNIVERSAL QR CODE: Token identifies student only, not event
    * Event authorization checked separately in database during scanning
    * 
+   * Offline-synced scans pass the client scan time as referenceTime so the
+   * token is checked against the window it was actually scanned in
+   *
    * @param {string} token - JWT token from QR code
+   * @param {Date|number} [referenceTime] - Time the token was scanned (defaults to now)
    * @returns {Object} { valid, registration_no, time_window, isStatic } or { valid: false }
    */
-  static verifyRotatingStudentToken(token) {
+  static verifyRotatingStudentToken(token, referenceTime = Date.now()) {
     try {
-      // 1. Decode JWT
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // 1. Decode JWT (with the key named in its kid header)
+      const secret = KeyRingService.getVerificationSecret(
+        KeyRingService.PURPOSES.STUDENT_QR,
+        KeyRingService.getTokenKid(token)
+      );
+      if (!secret) {
+        console.log('❌ [ROTATING QR] Unknown or retired signing key');
+        return { valid: false };
+      }
+
+      const decoded = jwt.verify(token, secret, {
+        clockTimestamp: Math.floor(new Date(referenceTime).getTime() / 1000)
+      });
 
       // 2. Check if it's a rotating token
       if (decoded.t !== 'RS') {
@@ -87,11 +107,7 @@ class QRCodeService {
       const { r: registration_no, w: tokenWindow, h: receivedHmac } = decoded;
 
       // 3. Calculate expected HMAC for the token's time window
-      const expectedHmac = crypto
-        .createHmac('sha256', process.env.JWT_SECRET)
-        .update(`${registration_no}:${tokenWindow}`)
-        .digest('hex')
-        .substring(0, 12);
+      const expectedHmac = KeyRingService.hmac(secret, `${registration_no}:${tokenWindow}`);
 
       // 4. Validate HMAC
       if (receivedHmac !== expectedHmac) {
@@ -100,7 +116,7 @@ class QRCodeService {
       }
 
       // 5. Check if time window is within grace period
-      const currentWindow = this.getCurrentTimeWindow();
+      const currentWindow = this.getCurrentTimeWindow(referenceTime);
       const windowDifference = currentWindow - tokenWindow;
 
       if (windowDifference > this.GRACE_PERIOD_WINDOWS || windowDifference < 0) {
@@ -126,6 +142,102 @@ class QRCodeService {
     }
   }
 
+  /**
+   * Mark a rotating token as used for an event (one scan per token per event)
+   * Redis SET NX is the primary store; an in-process map takes over when Redis is down
+   *
+   * @param {string} token - Rotating JWT token from QR code
+   * @param {string|null} eventId - Event the token is being used for (null = legacy mode)
+   * @param {Object} usage - Details stored with the claim (volunteer_id, used_at, ...)
+   * @param {number} [ttl] - Seconds to keep the claim (defaults to the token's live validity)
+   * @returns {Promise<Object>} { consumed: true } or { consumed: false, first_use }
+   */
+  static async consumeRotatingToken(token, eventId, usage = {}, ttl = this.ROTATION_INTERVAL_SECONDS * (this.GRACE_PERIOD_WINDOWS + 1)) {
+    const key = this.getUsedTokenKey(token, eventId);
+    const value = JSON.stringify({ ...usage, used_at: usage.used_at || new Date().toISOString() });
+
+    let claimed = await redisClient.setIfNotExists(key, value, ttl);
+
+    if (claimed === null) {
+      // Redis unavailable - fall back to this process's memory
+      claimed = this.claimInFallback(key, value, ttl);
+    }
+
+    if (claimed) {
+      return { consumed: true };
+    }
+
+    const existing = usedTokenFallback.get(key)?.value || await redisClient.get(key);
+    let firstUse = null;
+    try {
+      firstUse = existing ? JSON.parse(existing) : null;
+    } catch {
+      firstUse = null;
+    }
+
+    console.log(`🚨 [ROTATING QR] Token reuse detected (event: ${eventId || 'legacy'})`);
+    return { consumed: false, first_use: firstUse };
+  }
+
+  /**
+   * Claim a key in the in-memory fallback
+   * Expired claims are swept at most once per USED_TOKEN_FALLBACK_SWEEP_MS, and
+   * the oldest claims are dropped past USED_TOKEN_FALLBACK_MAX, so memory stays
+   * bounded however long Redis is down
+   * @param {string} key - Used-token key
+   * @param {string} value - Stored usage details
+   * @param {number} ttl - Seconds to keep the claim
+   * @returns {boolean} false if the key is already claimed
+   */
+  static claimInFallback(key, value, ttl) {
+    const now = Date.now();
+
+    if (now - lastFallbackSweepAt >= this.USED_TOKEN_FALLBACK_SWEEP_MS) {
+      lastFallbackSweepAt = now;
+      for (const [storedKey, entry] of usedTokenFallback) {
+        if (entry.expiresAt <= now) usedTokenFallback.delete(storedKey);
+      }
+    }
+
+    const existing = usedTokenFallback.get(key);
+    if (existing && existing.expiresAt > now) {
+      return false;
+    }
+
+    usedTokenFallback.delete(key);
+    if (usedTokenFallback.size >= this.USED_TOKEN_FALLBACK_MAX) {
+      console.warn(`⚠️ [ROTATING QR] Used-token fallback full (${usedTokenFallback.size}), dropping oldest claim`);
+      while (usedTokenFallback.size >= this.USED_TOKEN_FALLBACK_MAX) {
+        usedTokenFallback.delete(usedTokenFallback.keys().next().value);
+      }
+    }
+
+    usedTokenFallback.set(key, { value, expiresAt: now + ttl * 1000 });
+    return true;
+  }
+
+  /**
+   * Release a token claim (scan failed after the token was consumed)
+   * @param {string} token - Rotating JWT token from QR code
+   * @param {string|null} eventId - Event the token was claimed for
+   */
+  static async releaseRotatingToken(token, eventId) {
+    const key = this.getUsedTokenKey(token, eventId);
+    usedTokenFallback.delete(key);
+    await redisClient.del(key);
+  }
+
+  /**
+   * Cache key for a consumed rotating token
+   * @param {string} token - Rotating JWT token
+   * @param {string|null} eventId - Event UUID (null = legacy mode)
+   * @returns {string}
+   */
+  static getUsedTokenKey(token, eventId) {
+    const tokenHash = crypto.createHash('sha256').update(token).digest('hex').substring(0, 32);
+    return `qr:used:${eventId || 'legacy'}:${tokenHash}`;
+  }
+
   /**
    * Generate rotating QR code image (with Redis caching)
    * Caches QR image with key based on time window for automatic expiration
@@ -134,12 +246,14 @@ class QRCodeService {
    * UNIVERSAL QR CODE: Same QR works for all events student is registered for
    * 
    * @param {Object} student - Student object with registration_no
-   * @param {Object} options - QR code generation options
+   * @param {Object} options - QR code generation options; format: 'JWT' (default) or 'SIGNED' (Ed25519 compact)
    * @returns {Promise<string>} Base64 QR code image (data URL)
    */
   static async generateRotatingQRCodeImage(student, options = {}) {
+    const { format = 'JWT', ...imageOptions } = options;
+    const signed = format === 'SIGNED';
     const currentWindow = this.getCurrentTimeWindow();
-    const cacheKey = `qr:rotating:${student.registration_no}:${currentWindow}`;
+    const cacheKey = `qr:rotating:${signed ? 'signed:' : ''}${student.registration_no}:${currentWindow}`;
 
     // 1. Check Redis cache (key includes time window for auto-expiration)
     try {
@@ -153,7 +267,9 @@ class QRCodeService {
     }
 
     // 2. Generate fresh rotating token (universal for all events)
-    const token = this.generateRotatingStudentToken(student);
+    const token = signed
+      ? this.generateSignedStudentToken(student)
+      : this.generateRotatingStudentToken(student);
 
     // 3. Generate QR code image
     const qrOptions = {
@@ -165,8 +281,8 @@ class QRCodeService {
         dark: '#000000',
         light: '#FFFFFF'
       },
-      width: options.width || 300,
-      ...options
+      width: imageOptions.width || 300,
+      ...imageOptions
     };
 
     const qrCodeDataURL = await QRCode.toDataURL(token, qrOptions);
@@ -198,6 +314,332 @@ class QRCodeService {
     return nextRotationTime - now;
   }
 
+  // ============================================================
+  // 🔄 ROTATING STALL QR (shown on a stall display screen)
+  // ============================================================
+
+  /**
+   * Generate rotating stall QR token (same windows as student tokens)
+   * Token format: JWT with { s: stall_number, w: time_window, h: hmac, t: 'RT' }
+   * A photo of the display stops working once the window passes the grace period
+   *
+   * @param {Object} stall - Stall object with stall_number
+   * @returns {string} JWT token that expires in 90 seconds
+   */
+  static generateRotatingStallToken(stall) {
+    if (!stall || !stall.stall_number) {
+      throw new Error('Invalid stall data for rotating QR generation');
+    }
+
+    const currentWindow = this.getCurrentTimeWindow();
+    const signingKey = KeyRingService.getSigningKey(KeyRingService.PURPOSES.STALL_QR);
+
+    const payload = {
+      s: stall.stall_number,
+      w: currentWindow,
+      h: this.getRotatingStallHmac(signingKey.secret, stall.stall_number, currentWindow),
+      t: 'RT'                       // Type: Rotating sTall
+    };
+
+    return KeyRingService.sign(KeyRingService.PURPOSES.STALL_QR, payload, {
+      expiresIn: '90s'
+    }, signingKey);
+  }
+
+  /**
+   * Verify rotating stall QR token
+   * @param {string} token - JWT token from the stall display
+   * @param {Date|number} [referenceTime] - Time the token was scanned (defaults to now)
+   * @returns {Object} { valid, stall_number, time_window } or { valid: false, expired?, isStatic? }
+   */
+  static verifyRotatingStallToken(token, referenceTime = Date.now()) {
+    // Printed stall tokens are plain strings, not JWTs
+    if (!token || token.startsWith('STALL_')) {
+      return { valid: false, isStatic: true };
+    }
+
+    try {
+      const secret = KeyRingService.getVerificationSecret(
+        KeyRingService.PURPOSES.STALL_QR,
+        KeyRingService.getTokenKid(token)
+      );
+      if (!secret) {
+        return { valid: false };
+      }
+
+      const decoded = jwt.verify(token, secret, {
+        algorithms: ['HS256'],
+        clockTimestamp: Math.floor(new Date(referenceTime).getTime() / 1000)
+      });
+
+      if (decoded.t !== 'RT') {
+        return { valid: false, isStatic: true };
+      }
+
+      const { s: stall_number, w: tokenWindow, h: receivedHmac } = decoded;
+
+      if (receivedHmac !== this.getRotatingStallHmac(secret, stall_number, tokenWindow)) {
+        console.log('❌ [ROTATING STALL QR] HMAC mismatch - token tampered');
+        return { valid: false };
+      }
+
+      const windowDifference = this.getCurrentTimeWindow(referenceTime) - tokenWindow;
+      if (windowDifference > this.GRACE_PERIOD_WINDOWS || windowDifference < 0) {
+        console.log(`❌ [ROTATING STALL QR] Token expired (window difference: ${windowDifference})`);
+        return { valid: false, expired: true };
+      }
+
+      return {
+        valid: true,
+        stall_number,
+        time_window: tokenWindow
+      };
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        return { valid: false, expired: true };
+      }
+      // Old JWT stall tokens fail here too; let the static verifier decide
+      return { valid: false, isStatic: true };
+    }
+  }
+
+  /**
+   * HMAC binding a stall number to a time window
+   * Prefixed so a stall number can never produce a valid student HMAC
+   * @param {string} secret - Secret of the key that signs/signed the token
+   * @param {string} stallNumber - Stall number
+   * @param {number} timeWindow - Time window
+   * @returns {string} 12-char hex HMAC
+   */
+  static getRotatingStallHmac(secret, stallNumber, timeWindow) {
+    return KeyRingService.hmac(secret, `stall:${stallNumber}:${timeWindow}`);
+  }
+
+  /**
+   * Generate the rotating stall QR image for the current window (Redis cached per window)
+   * @param {Object} stall - Stall object with stall_number
+   * @param {Object} options - QR code generation options
+   * @returns {Promise<string>} Base64 QR code image (data URL)
+   */
+  static async generateRotatingStallQRCodeImage(stall, options = {}) {
+    const currentWindow = this.getCurrentTimeWindow();
+    const cacheKey = `qr:rotating:stall:${stall.stall_number}:${currentWindow}`;
+
+    try {
+      const cachedQR = await redisClient.get(cacheKey);
+      if (cachedQR) {
+        return cachedQR;
+      }
+    } catch (error) {
+      console.log('⚠️ [CACHE] Redis read failed:', error.message);
+    }
+
+    const token = this.generateRotatingStallToken(stall);
+    const qrCodeDataURL = await QRCode.toDataURL(token, {
+      errorCorrectionLevel: 'M',
+      type: 'image/png',
+      quality: 0.92,
+      margin: 1,
+      color: {
+        dark: '#000000',
+        light: '#FFFFFF'
+      },
+      width: options.width || 400,
+      ...options
+    });
+
+    try {
+      await redisClient.setex(cacheKey, this.ROTATION_INTERVAL_SECONDS, qrCodeDataURL);
+    } catch (error) {
+      console.log('⚠️ [CACHE] Redis write failed:', error.message);
+    }
+
+    return qrCodeDataURL;
+  }
+
+  /**
+   * Issue a new stall display key
+   * The plain key goes to the manager once; only its hash is stored
+   * @returns {Object} { key, hash }
+   */
+  static generateStallDisplayKey() {
+    const key = crypto.randomBytes(24).toString('base64url');
+    return { key, hash: this.hashStallDisplayKey(key) };
+  }
+
+  /**
+   * Hash a stall display key for storage/comparison
+   * @param {string} key - Plain display key
+   * @returns {string} SHA-256 hex digest
+   */
+  static hashStallDisplayKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+  }
+
+  /**
+   * Check a display key against the stored hash (constant time)
+   * @param {string} key - Display key sent by the stall screen
+   * @param {string|null} storedHash - stalls.display_key_hash
+   * @returns {boolean}
+   */
+  static verifyStallDisplayKey(key, storedHash) {
+    if (!key || !storedHash) {
+      return false;
+    }
+
+    const received = Buffer.from(this.hashStallDisplayKey(key), 'hex');
+    const expected = Buffer.from(storedHash, 'hex');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  // ============================================================
+  // ✍️ SIGNED COMPACT QR (Ed25519, verifiable offline)
+  // ============================================================
+  // Layout (base64url after the prefix):
+  //   type(1) | key id(4) | time window(4, big-endian) | id length(1) | id | signature(64)
+  // The signature covers every byte before it. Scanner devices verify it with
+  // the public keys from GET /api/volunteer/qr-public-keys; the time window
+  // follows the same rotation and grace period as rotating JWT tokens.
+  static SIGNED_TOKEN_PREFIX = 'Q1.';
+  static SIGNED_TOKEN_TYPES = { STUDENT: 1 };
+  static SIGNED_HEADER_BYTES = 10;
+  static SIGNATURE_BYTES = 64;
+
+  /**
+   * Whether a scanned string is a signed compact token
+   * @param {string} token - Scanned QR content
+   * @returns {boolean}
+   */
+  static isSignedCompactToken(token) {
+    return typeof token === 'string' && token.startsWith(this.SIGNED_TOKEN_PREFIX);
+  }
+
+  /**
+   * Generate signed compact student token (rotates with the time window)
+   * ~120 characters: fits a version 7 QR code at error correction M
+   * @param {Object} student - Student object with registration_no
+   * @returns {string}
+   */
+  static generateSignedStudentToken(student) {
+    if (!student || !student.registration_no) {
+      throw new Error('Invalid student data for signed QR generation');
+    }
+
+    const registrationNo = Buffer.from(String(student.registration_no), 'utf8');
+    if (registrationNo.length > 255) {
+      throw new Error('Registration number too long for signed QR');
+    }
+
+    const purpose = KeyRingService.PURPOSES.OFFLINE_QR;
+    const header = Buffer.alloc(this.SIGNED_HEADER_BYTES);
+    header.writeUInt8(this.SIGNED_TOKEN_TYPES.STUDENT, 0);
+    KeyRingService.getEd25519SigningKeyId(purpose).copy(header, 1);
+    header.writeUInt32BE(this.getCurrentTimeWindow(), 5);
+    header.writeUInt8(registrationNo.length, 9);
+
+    const data = Buffer.concat([header, registrationNo]);
+    const signature = KeyRingService.signEd25519(purpose, data);
+
+    return this.SIGNED_TOKEN_PREFIX + Buffer.concat([data, signature]).toString('base64url');
+  }
+
+  /**
+   * Split a signed compact token into its fields (no signature check)
+   * @param {string} token - Signed compact token
+   * @returns {Object|null} { type, key_id, time_window, subject, data, signature }
+   */
+  static decodeSignedToken(token) {
+    if (!this.isSignedCompactToken(token)) {
+      return null;
+    }
+
+    const bytes = Buffer.from(token.slice(this.SIGNED_TOKEN_PREFIX.length), 'base64url');
+    if (bytes.length < this.SIGNED_HEADER_BYTES + this.SIGNATURE_BYTES) {
+      return null;
+    }
+
+    const subjectLength = bytes.readUInt8(9);
+    const dataLength = this.SIGNED_HEADER_BYTES + subjectLength;
+    if (bytes.length !== dataLength + this.SIGNATURE_BYTES) {
+      return null;
+    }
+
+    return {
+      type: bytes.readUInt8(0),
+      key_id: bytes.subarray(1, 5),
+      time_window: bytes.readUInt32BE(5),
+      subject: bytes.subarray(this.SIGNED_HEADER_BYTES, dataLength).toString('utf8'),
+      data: bytes.subarray(0, dataLength),
+      signature: bytes.subarray(dataLength)
+    };
+  }
+
+  /**
+   * Verify signed compact student token
+   * Same result shape as verifyRotatingStudentToken, so scans and the
+   * one-use-per-token check treat both formats alike
+   * @param {string} token - Signed compact token
+   * @param {Date|number} [referenceTime] - Time the token was scanned (defaults to now)
+   * @returns {Object} { valid, registration_no, time_window, isStatic } or { valid: false }
+   */
+  static verifySignedStudentToken(token, referenceTime = Date.now()) {
+    try {
+      const decoded = this.decodeSignedToken(token);
+      if (!decoded || decoded.type !== this.SIGNED_TOKEN_TYPES.STUDENT) {
+        console.log('❌ [SIGNED QR] Malformed token');
+        return { valid: false };
+      }
+
+      const verified = KeyRingService.verifyEd25519(
+        KeyRingService.PURPOSES.OFFLINE_QR,
+        decoded.key_id,
+        decoded.data,
+        decoded.signature
+      );
+      if (verified === null) {
+        console.log('❌ [SIGNED QR] Unknown or retired signing key');
+        return { valid: false };
+      }
+      if (!verified) {
+        console.log('❌ [SIGNED QR] Signature mismatch - token tampered');
+        return { valid: false };
+      }
+
+      const windowDifference = this.getCurrentTimeWindow(referenceTime) - decoded.time_window;
+      if (windowDifference > this.GRACE_PERIOD_WINDOWS || windowDifference < 0) {
+        console.log(`❌ [SIGNED QR] Token expired (window difference: ${windowDifference})`);
+        return { valid: false, expired: true };
+      }
+
+      return {
+        valid: true,
+        registration_no: decoded.subject,
+        time_window: decoded.time_window,
+        isStatic: false
+      };
+    } catch (error) {
+      console.log('❌ [SIGNED QR] Invalid token:', error.message);
+      return { valid: false };
+    }
+  }
+
+  /**
+   * Public keys and token layout for scanner devices
+   * @returns {Object}
+   */
+  static getSignedTokenVerificationInfo() {
+    return {
+      algorithm: 'Ed25519',
+      token_prefix: this.SIGNED_TOKEN_PREFIX,
+      encoding: 'base64url',
+      layout: 'type(1) | key_id(4) | time_window(4, uint32 BE) | id_length(1) | id(utf8) | signature(64)',
+      token_types: this.SIGNED_TOKEN_TYPES,
+      rotation_interval_seconds: this.ROTATION_INTERVAL_SECONDS,
+      grace_period_windows: this.GRACE_PERIOD_WINDOWS,
+      keys: KeyRingService.getEd25519PublicKeys(KeyRingService.PURPOSES.OFFLINE_QR)
+    };
+  }
+
   // ============================================================
   // 📌 STATIC QR CODE METHODS (original methods preserved)
   // ============================================================
@@ -223,10 +665,8 @@ class QRCodeService {
       r: student.registration_no  // PRIMARY KEY (unique, indexed) - no UUID needed!
     };
 
-    // JWT with no expiration (static QR)
-    const token = jwt.sign(payload, process.env.JWT_SECRET, {
-      algorithm: 'HS256'
-    });
+    // JWT with no expiration (static QR), signed with the current student QR key
+    const token = KeyRingService.sign(KeyRingService.PURPOSES.STUDENT_QR, payload);
 
     return token;
   }
@@ -252,6 +692,27 @@ class QRCodeService {
     return token;
   }
 
+  /**
+   * Generate Signed QR Token for Stall (JWT, current stall QR key)
+   * Used when re-signing stored JWT stall tokens after a key rotation; the
+   * payload matches the nonce format accepted by verifyStallQRToken
+   * @param {Object} stall - Stall object with stall_number
+   * @returns {string}
+   */
+  static generateSignedStallQRToken(stall) {
+    if (!stall || !stall.stall_number) {
+      throw new Error('Invalid stall data for QR generation');
+    }
+
+    const payload = {
+      n: crypto.randomBytes(2).toString('hex'),
+      t: 'T',                     // type: sTall
+      s: stall.stall_number
+    };
+
+    return KeyRingService.sign(KeyRingService.PURPOSES.STALL_QR, payload);
+  }
+
   /**
    * Generate QR Code Image from Token
    * Returns: Base64 Data URL for display/printing
@@ -348,7 +809,16 @@ class QRCodeService {
     }
 
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+      // Key named in the kid header; tokens without one use the legacy key (JWT_SECRET)
+      const secret = KeyRingService.getVerificationSecret(
+        KeyRingService.PURPOSES.STUDENT_QR,
+        KeyRingService.getTokenKid(token)
+      );
+      if (!secret) {
+        return { valid: false, error: 'QR code signed with an unknown or retired key' };
+      }
+
+      const decoded = jwt.verify(token, secret, {
         algorithms: ['HS256']
       });
 
@@ -383,10 +853,10 @@ class QRCodeService {
 
       // Checksum verification for old formats
       const checksumInput = hasNonce
-        ? `${nonce}${studentId}${registrationNo}${process.env.JWT_SECRET}`
+        ? `${nonce}${studentId}${registrationNo}${secret}`
         : (isNewFormat 
-          ? `${studentId}${registrationNo}${process.env.JWT_SECRET}`
-          : `${studentId}${decoded.email}${process.env.JWT_SECRET}`);
+          ? `${studentId}${registrationNo}${secret}`
+          : `${studentId}${decoded.email}${secret}`);
         
       const expectedChecksum = crypto
         .createHash('sha256')
@@ -440,8 +910,16 @@ class QRCodeService {
         return { valid: false, error: 'Invalid stall QR format' };
       }
 
-      // OLD JWT FORMAT: Backward compatibility
-      const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+      // OLD JWT FORMAT: Backward compatibility (verified with the key named in its kid header)
+      const secret = KeyRingService.getVerificationSecret(
+        KeyRingService.PURPOSES.STALL_QR,
+        KeyRingService.getTokenKid(token)
+      );
+      if (!secret) {
+        return { valid: false, error: 'QR code signed with an unknown or retired key' };
+      }
+
+      const decoded = jwt.verify(token, secret, {
         algorithms: ['HS256']
       });
 
@@ -468,10 +946,10 @@ class QRCodeService {
       const checksumLength = hasNonce ? 6 : (isNewFormat ? 8 : 16);
 
       const checksumInput = hasNonce
-        ? `${nonce}${stallId}${stallNumber}${process.env.JWT_SECRET}`
+        ? `${nonce}${stallId}${stallNumber}${secret}`
         : (isNewFormat 
-          ? `${stallId}${stallNumber}${process.env.JWT_SECRET}`
-          : `${stallId}${stallNumber}${process.env.JWT_SECRET}`);
+          ? `${stallId}${stallNumber}${secret}`
+          : `${stallId}${stallNumber}${secret}`);
         
       const expectedChecksum = crypto
         .createHash('sha256')
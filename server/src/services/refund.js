@@ -0,0 +1,242 @@
+/**
+ * Refund Service
+ * Refund policy for student cancellations and refund tracking
+ *
+ * - Each event's refund_rules are tiers of { hours_before_start, refund_percent }:
+ *   the highest tier the cancellation still meets applies, none means no refund.
+ *   refund_enabled = false never refunds; no rules refunds in full until the start
+ * - A cancellation records the amount owed (refund_status PENDING). issueRefund
+ *   sends it to Razorpay right away; the refund job (jobs/refund.job.js) retries
+ *   failed sends and follows refunds until Razorpay reports them processed
+ */
+import EventRegistrationModel from '../models/EventRegistration.model.js';
+import PaymentService from './payment.js';
+import { logAuditEvent, AuditEventType } from '../utils/auditLogger.js';
+
+class RefundService {
+  static MAX_RULES = 10;
+  static MAX_HOURS_BEFORE_START = 24 * 365;
+  static DEFAULT_RULES = [{ hours_before_start: 0, refund_percent: 100 }];
+  static UNKNOWN_SEND_STATE_MINUTES = 15; // PROCESSING without a refund ID this long = crashed mid-request
+
+  /**
+   * Validate and normalize refund rules (highest tier first)
+   * @param {Array|null} rules - Rules from the event manager
+   * @returns {Array|null}
+   * @throws {Error} With a message suitable for a validation response
+   */
+  static normalizeRules(rules) {
+    if (rules === null) {
+      return null;
+    }
+
+    if (!Array.isArray(rules) || rules.length === 0 || rules.length > this.MAX_RULES) {
+      throw new Error(`refund_rules must be a list of 1 to ${this.MAX_RULES} tiers`);
+    }
+
+    const normalized = rules.map((rule) => {
+      const hours = Number(rule?.hours_before_start);
+      const percent = Number(rule?.refund_percent);
+
+      if (!Number.isInteger(hours) || hours < 0 || hours > this.MAX_HOURS_BEFORE_START) {
+        throw new Error(`hours_before_start must be a whole number between 0 and ${this.MAX_HOURS_BEFORE_START}`);
+      }
+      if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+        throw new Error('refund_percent must be between 0 and 100');
+      }
+
+      return { hours_before_start: hours, refund_percent: percent };
+    });
+
+    normalized.sort((a, b) => b.hours_before_start - a.hours_before_start);
+
+    if (new Set(normalized.map((rule) => rule.hours_before_start)).size !== normalized.length) {
+      throw new Error('Each refund tier needs a different hours_before_start');
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Refund owed for cancelling a registration now
+   * @param {Object} event - Event row
+   * @param {Object} registration - Registration row
+   * @param {Date} [now] - Cancellation time
+   * @returns {Object} { amount, refund_percent, rule, reason }
+   */
+  static calculateRefund(event, registration, now = new Date()) {
+    const none = (reason) => ({ amount: 0, refund_percent: 0, rule: null, reason });
+
+    if (registration.registration_type !== 'PAID' || registration.payment_status !== 'COMPLETED') {
+      return none('No completed payment to refund');
+    }
+    if (!event.refund_enabled) {
+      return none('Refunds are not offered for this event');
+    }
+
+    const hoursBeforeStart = (new Date(event.start_date).getTime() - now.getTime()) / 3600000;
+    const rules = event.refund_rules || this.DEFAULT_RULES;
+    const rule = rules.find((tier) => hoursBeforeStart >= tier.hours_before_start);
+
+    if (!rule || rule.refund_percent === 0) {
+      return none('Cancelled too close to the event start for a refund');
+    }
+
+    const paid = Number(registration.payment_amount);
+    const amount = Math.round(paid * rule.refund_percent) / 100;
+
+    return {
+      amount,
+      refund_percent: rule.refund_percent,
+      rule,
+      reason: `Cancelled ${Math.floor(hoursBeforeStart)}h before start: ${rule.refund_percent}% refund`
+    };
+  }
+
+  /**
+   * Send an owed refund to Razorpay
+   * Errors are recorded on the registration for the refund job to retry. A
+   * failed send (timeout, 5xx) may still have created the refund, so a retry
+   * first looks for it on the payment instead of sending a second one.
+   * @param {string} registrationId - Registration UUID
+   * @returns {Promise<Object|null>} Updated registration, null if nothing to send
+   */
+  static async issueRefund(registrationId) {
+    const registration = await EventRegistrationModel.claimRefund(registrationId);
+    if (!registration) {
+      return null;
+    }
+
+    try {
+      const earlier = registration.refund_attempts > 1 ? await this.findSentRefund(registration) : null;
+      if (earlier) {
+        console.log(`🔁 [REFUND] Refund ${earlier.id} from an earlier attempt found for registration ${registration.id}`);
+      }
+
+      const refund = earlier || await PaymentService.processRefund({
+        payment_id: registration.razorpay_payment_id,
+        amount: Number(registration.refund_amount),
+        notes: {
+          registration_id: registration.id,
+          event_id: registration.event_id,
+          reason: registration.refund_reason || 'Registration cancelled'
+        }
+      });
+
+      const sent = await EventRegistrationModel.recordRefundSent(registration.id, refund.id);
+      return refund.status === 'processed' ? await this.completeRefund(sent || registration) : sent;
+    } catch (error) {
+      console.error(`❌ [REFUND] Sending refund for registration ${registration.id} failed:`, error.message);
+      return await EventRegistrationModel.recordRefundFailure(registration.id, error.message);
+    }
+  }
+
+  /**
+   * Refund an earlier send created for a registration (failed ones excluded)
+   * @param {Object} registration - Registration with razorpay_payment_id
+   * @returns {Promise<Object|null>}
+   */
+  static async findSentRefund(registration) {
+    const refunds = await PaymentService.getPaymentRefunds(registration.razorpay_payment_id);
+    return refunds.find((refund) => refund.notes?.registration_id === registration.id && refund.status !== 'failed') || null;
+  }
+
+  /**
+   * Mark a refund processed (money returned)
+   * @param {Object} registration - Registration with refund_amount
+   * @returns {Promise<Object>}
+   */
+  static async completeRefund(registration) {
+    const refunded = await EventRegistrationModel.processRefund(
+      registration.id,
+      registration.refund_amount,
+      registration.refund_reason
+    );
+
+    console.log(`💸 [REFUND] Refund processed for registration ${registration.id}: ${refunded.refund_amount}`);
+
+    await logAuditEvent({
+      event_type: AuditEventType.REFUND_PROCESSED,
+      user_id: null,
+      user_role: 'SYSTEM',
+      resource_type: 'EVENT_REGISTRATION',
+      resource_id: registration.id,
+      metadata: {
+        event_id: refunded.event_id,
+        student_id: refunded.student_id,
+        refund_amount: refunded.refund_amount,
+        razorpay_refund_id: refunded.razorpay_refund_id
+      }
+    });
+
+    return refunded;
+  }
+
+  /**
+   * Check a refund sent to Razorpay and record the outcome
+   * @param {Object} registration - Registration in PROCESSING
+   * @returns {Promise<string>} SENT | PROCESSED | FAILED | WAITING
+   */
+  static async trackRefund(registration) {
+    if (!registration.razorpay_refund_id) {
+      const minutesInFlight = (Date.now() - new Date(registration.updated_at).getTime()) / 60000;
+      if (minutesInFlight < this.UNKNOWN_SEND_STATE_MINUTES) {
+        return 'WAITING';
+      }
+
+      // The send may or may not have reached Razorpay - don't risk paying twice
+      await EventRegistrationModel.recordRefundFailure(
+        registration.id,
+        'Refund request outcome unknown - check the Razorpay dashboard before retrying',
+        false
+      );
+      return 'FAILED';
+    }
+
+    const refund = await PaymentService.getRefundDetails(registration.razorpay_payment_id, registration.razorpay_refund_id);
+
+    if (refund.status === 'processed') {
+      await this.completeRefund(registration);
+      return 'PROCESSED';
+    }
+    if (refund.status === 'failed') {
+      await EventRegistrationModel.recordRefundFailure(registration.id, 'Refund failed at Razorpay');
+      return 'FAILED';
+    }
+    return 'WAITING';
+  }
+
+  /**
+   * Send owed refunds and follow the ones in flight
+   * @returns {Promise<Object>} Counts per outcome
+   */
+  static async processOpenRefunds() {
+    const summary = { sent: 0, processed: 0, failed: 0, waiting: 0 };
+    const refunds = await EventRegistrationModel.findOpenRefunds();
+
+    for (const registration of refunds) {
+      try {
+        if (registration.refund_status === 'PENDING') {
+          const updated = await this.issueRefund(registration.id);
+          if (updated?.refund_status === 'PROCESSED') summary.processed++;
+          else if (updated?.razorpay_refund_id) summary.sent++;
+          else summary.failed++;
+          continue;
+        }
+
+        const outcome = await this.trackRefund(registration);
+        if (outcome === 'PROCESSED') summary.processed++;
+        else if (outcome === 'FAILED') summary.failed++;
+        else summary.waiting++;
+      } catch (error) {
+        // Keep going so one refund doesn't block the others
+        summary.failed++;
+        console.error(`❌ [REFUND] Tracking refund for registration ${registration.id} failed:`, error.message);
+      }
+    }
+
+    return summary;
+  }
+}
+
+export default RefundService;
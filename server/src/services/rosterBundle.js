@@ -0,0 +1,114 @@
+/**
+ * Roster Bundle Service
+ * Signed snapshots of an event's gate roster for volunteer devices
+ *
+ * A gate that loses its connection keeps admitting students from the last
+ * bundle: every entry in it passed CheckInService.isRegistrationAdmissible,
+ * the same rule scanStudentQR applies. The device then applies deltas since
+ * the bundle's version and replays its scans through /scan/sync once back
+ * online.
+ *
+ * The payload is sent as a JSON string and signed with the OFFLINE_QR
+ * Ed25519 key, so the device verifies it with the keys from
+ * GET /api/volunteer/qr-public-keys before trusting it. Hard-deleted
+ * registrations never show up in a delta; devices fetch a full bundle once
+ * the previous one expires.
+ */
+import EventRegistrationModel from '../models/EventRegistration.model.js';
+import CheckInService from './checkIn.js';
+import KeyRingService from './keyRing.js';
+
+class RosterBundleService {
+  static FORMAT_VERSION = 1;
+  static FIELDS = ['registration_no', 'full_name', 'payment_status', 'photo_hash'];
+
+  /**
+   * Compact roster row (values in FIELDS order)
+   * @param {Object} entry - Row from EventRegistrationModel.getRosterEntries
+   * @returns {Array}
+   */
+  static toRow(entry) {
+    return this.FIELDS.map((field) => entry[field] ?? null);
+  }
+
+  /**
+   * Sign a bundle payload
+   * @param {Object} payload - Bundle or delta contents
+   * @returns {Object} { payload (JSON string), signature, key_id, algorithm }
+   */
+  static sign(payload) {
+    const purpose = KeyRingService.PURPOSES.OFFLINE_QR;
+    const json = JSON.stringify(payload);
+
+    return {
+      payload: json,
+      signature: KeyRingService.signEd25519(purpose, Buffer.from(json, 'utf8')).toString('base64url'),
+      key_id: KeyRingService.getEd25519SigningKeyId(purpose).toString('hex'),
+      algorithm: 'Ed25519'
+    };
+  }
+
+  /**
+   * Bundle header shared by full snapshots and deltas
+   * @param {Object} eventContext - Volunteer assignment (event_id, event_name, gate_mode, ...)
+   * @param {string} version - Roster version of this bundle
+   * @returns {Object}
+   */
+  static buildHeader(eventContext, version) {
+    const generatedAt = new Date();
+
+    return {
+      format: this.FORMAT_VERSION,
+      event_id: eventContext.event_id,
+      event_name: eventContext.event_name,
+      gate_mode: eventContext.gate_mode || 'TOGGLE',
+      version,
+      generated_at: generatedAt.toISOString(),
+      // Matches how long offline scans may wait before syncing
+      expires_at: new Date(generatedAt.getTime() + CheckInService.MAX_OFFLINE_AGE_HOURS * 3600 * 1000).toISOString(),
+      fields: this.FIELDS
+    };
+  }
+
+  /**
+   * Full roster of admissible registrations
+   * @param {Object} eventContext - Volunteer assignment for the event
+   * @returns {Promise<Object>} Signed bundle
+   */
+  static async buildBundle(eventContext) {
+    const version = await EventRegistrationModel.getRosterVersion();
+    const entries = await EventRegistrationModel.getRosterEntries(eventContext.event_id);
+
+    const rows = entries
+      .filter((entry) => CheckInService.isRegistrationAdmissible(entry))
+      .map((entry) => this.toRow(entry));
+
+    return this.sign({ ...this.buildHeader(eventContext, version), count: rows.length, rows });
+  }
+
+  /**
+   * Changes since a previous bundle or delta
+   * Entries may repeat ones the device already has; applying them is idempotent
+   * @param {Object} eventContext - Volunteer assignment for the event
+   * @param {string} sinceVersion - Version from the device's last bundle/delta
+   * @returns {Promise<Object>} Signed delta { upserts, removals }
+   */
+  static async buildDelta(eventContext, sinceVersion) {
+    const version = await EventRegistrationModel.getRosterVersion();
+    const entries = await EventRegistrationModel.getRosterEntries(eventContext.event_id, sinceVersion);
+
+    const upserts = [];
+    const removals = [];
+    for (const entry of entries) {
+      if (CheckInService.isRegistrationAdmissible(entry)) {
+        upserts.push(this.toRow(entry));
+      } else {
+        removals.push(entry.registration_no);
+      }
+    }
+
+    return this.sign({ ...this.buildHeader(eventContext, version), since: sinceVersion, upserts, removals });
+  }
+}
+
+export default RosterBundleService;
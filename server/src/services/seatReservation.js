@@ -0,0 +1,520 @@
+/**
+ * Seat Reservation Service
+ * The only place that changes an event's capacity counters
+ *
+ * - events.current_registrations: seats taken (confirmed free registrations,
+ *   completed payments)
+ * - events.seats_held: seats held for open waitlist offers and for paid
+ *   checkouts (seat_hold_expires_at) until they are paid, fail or time out
+ *
+ * Every method is one SQL statement. A seat is taken by a conditional update
+ * on the events row (current_registrations + seats_held < max_capacity), and
+ * the registration only changes when that update succeeded, so concurrent
+ * requests can never fill more seats than exist. Statements that start from
+ * an existing registration lock it first (FOR UPDATE), so a registration is
+ * never counted or released twice when two paths race (webhook and browser
+ * verification, hold expiry and payment).
+ */
+import { pool } from '../config/db.js';
+import EventRegistrationModel from '../models/EventRegistration.model.js';
+
+// Free seat on the events row aliased e
+const HAS_FREE_SEAT = '(e.max_capacity IS NULL OR e.current_registrations + e.seats_held < e.max_capacity)';
+
+// Nobody waiting in line (a free seat belongs to them)
+const QUEUE_EMPTY = `NOT EXISTS (
+  SELECT 1 FROM event_registrations q
+  WHERE q.event_id = e.id
+    AND q.registration_status = 'WAITLISTED'
+    AND q.waitlist_offer_expires_at IS NULL
+)`;
+
+// Registration (aliased er) counted in seats_held
+const HOLDS_SEAT = `(er.seat_hold_expires_at IS NOT NULL
+  OR (er.registration_status = 'WAITLISTED' AND er.waitlist_offer_expires_at IS NOT NULL))`;
+
+// Registration (aliased er) counted in current_registrations
+const TAKES_SEAT = `(er.registration_status = 'CONFIRMED'
+  AND (er.registration_type <> 'PAID' OR er.payment_status = 'COMPLETED'))`;
+
+class SeatReservationService {
+  static HOLD_MINUTES = parseInt(process.env.SEAT_HOLD_MINUTES) || 15;
+
+  /**
+   * Register a student for a free event if a seat is free
+   * A settled cancellation is registered again on its own row
+   * @param {string} eventId - Event UUID
+   * @param {string} studentId - Student UUID
+   * @returns {Promise<Object|null>} Confirmed registration, null if the event is full (or the student holds a registration)
+   */
+  static async registerFree(eventId, studentId) {
+    const result = await pool(
+      `WITH previous AS (
+         SELECT er.id, (${EventRegistrationModel.settledCancellationCondition('er')}) as reopens
+         FROM event_registrations er
+         WHERE er.event_id = $1 AND er.student_id = $2
+         FOR UPDATE
+       ),
+       seat AS (
+         UPDATE events e
+         SET current_registrations = e.current_registrations + 1,
+             updated_at = NOW()
+         WHERE e.id = $1
+           AND e.status IN ('APPROVED', 'ACTIVE')
+           AND ${HAS_FREE_SEAT}
+           AND ${QUEUE_EMPTY}
+           AND NOT EXISTS (SELECT 1 FROM previous p WHERE NOT p.reopens)
+         RETURNING e.id
+       ),
+       reopened AS (
+         UPDATE event_registrations er
+         SET registration_type = 'FREE',
+             payment_status = 'NOT_REQUIRED',
+             registration_status = 'CONFIRMED',
+             razorpay_order_id = NULL,
+             payment_amount = 0,
+             seat_hold_expires_at = NULL,
+             ${EventRegistrationModel.reopenAssignments()}
+         FROM seat, previous p
+         WHERE er.id = p.id
+         RETURNING er.*
+       ),
+       inserted AS (
+         INSERT INTO event_registrations (event_id, student_id, registration_type, payment_status)
+         SELECT seat.id, $2, 'FREE', 'NOT_REQUIRED' FROM seat
+         WHERE NOT EXISTS (SELECT 1 FROM previous)
+         RETURNING *
+       )
+       SELECT * FROM reopened
+       UNION ALL
+       SELECT * FROM inserted`,
+      [eventId, studentId]
+    );
+
+    return result[0] || null;
+  }
+
+  /**
+   * Start a paid checkout with a seat held for HOLD_MINUTES
+   * A settled cancellation checks out again on its own row
+   * @param {string} eventId - Event UUID
+   * @param {string} studentId - Student UUID
+   * @param {Object} paymentData - { amount, currency, razorpay_order_id }
+   * @returns {Promise<Object|null>} PENDING registration, null if the event is full (or the student holds a registration)
+   */
+  static async holdForCheckout(eventId, studentId, paymentData) {
+    const { amount, currency, razorpay_order_id } = paymentData;
+
+    const result = await pool(
+      `WITH previous AS (
+         SELECT er.id, (${EventRegistrationModel.settledCancellationCondition('er')}) as reopens
+         FROM event_registrations er
+         WHERE er.event_id = $1 AND er.student_id = $2
+         FOR UPDATE
+       ),
+       seat AS (
+         UPDATE events e
+         SET seats_held = e.seats_held + 1,
+             updated_at = NOW()
+         WHERE e.id = $1
+           AND e.status IN ('APPROVED', 'ACTIVE')
+           AND ${HAS_FREE_SEAT}
+           AND ${QUEUE_EMPTY}
+           AND NOT EXISTS (SELECT 1 FROM previous p WHERE NOT p.reopens)
+         RETURNING e.id
+       ),
+       reopened AS (
+         UPDATE event_registrations er
+         SET registration_type = 'PAID',
+             payment_status = 'PENDING',
+             registration_status = 'CONFIRMED',
+             razorpay_order_id = $3,
+             payment_amount = $4,
+             payment_currency = $5,
+             seat_hold_expires_at = NOW() + make_interval(mins => $6),
+             ${EventRegistrationModel.reopenAssignments()}
+         FROM seat, previous p
+         WHERE er.id = p.id
+         RETURNING er.*
+       ),
+       inserted AS (
+         INSERT INTO event_registrations (
+           event_id, student_id, registration_type, payment_status,
+           razorpay_order_id, payment_amount, payment_currency, seat_hold_expires_at
+         )
+         SELECT seat.id, $2, 'PAID', 'PENDING', $3, $4, $5, NOW() + make_interval(mins => $6)
+         FROM seat
+         WHERE NOT EXISTS (SELECT 1 FROM previous)
+         RETURNING *
+       )
+       SELECT * FROM reopened
+       UNION ALL
+       SELECT * FROM inserted`,
+      [eventId, studentId, razorpay_order_id, amount, currency, this.HOLD_MINUTES]
+    );
+
+    return result[0] || null;
+  }
+
+  /**
+   * Attach a new order to an existing registration
+   * Retrying a checkout renews its hold; a waitlist offer already holds its
+   * seat; a failed or expired checkout needs a free seat again
+   * @param {string} registrationId - Registration UUID
+   * @param {Object} paymentData - { amount, currency, razorpay_order_id }
+   * @returns {Promise<Object|null>} PENDING registration, null if it can't be paid for (or no seat)
+   */
+  static async holdForRetry(registrationId, paymentData) {
+    const { amount, currency, razorpay_order_id } = paymentData;
+
+    const result = await pool(
+      `WITH target AS (
+         SELECT er.id, er.event_id, ${HOLDS_SEAT} as held
+         FROM event_registrations er
+         WHERE er.id = $1
+           AND (er.payment_status IN ('PENDING', 'NOT_REQUIRED') OR (${EventRegistrationModel.closedCheckoutCondition('er')}))
+         FOR UPDATE
+       ),
+       seat AS (
+         UPDATE events e
+         SET seats_held = e.seats_held + CASE WHEN t.held THEN 0 ELSE 1 END,
+             updated_at = NOW()
+         FROM target t
+         WHERE e.id = t.event_id
+           AND (t.held OR (e.status IN ('APPROVED', 'ACTIVE') AND ${HAS_FREE_SEAT} AND ${QUEUE_EMPTY}))
+         RETURNING e.id
+       )
+       UPDATE event_registrations er
+       SET registration_type = 'PAID',
+           payment_status = 'PENDING',
+           registration_status = CASE WHEN er.registration_status = 'WAITLISTED' THEN 'WAITLISTED' ELSE 'CONFIRMED' END,
+           razorpay_order_id = $2,
+           payment_amount = $3,
+           payment_currency = $4,
+           seat_hold_expires_at = CASE
+             WHEN er.registration_status = 'WAITLISTED' THEN NULL
+             ELSE NOW() + make_interval(mins => $5)
+           END,
+           updated_at = NOW()
+       FROM seat
+       WHERE er.id = $1
+       RETURNING er.*`,
+      [registrationId, razorpay_order_id, amount, currency, this.HOLD_MINUTES]
+    );
+
+    return result[0] || null;
+  }
+
+  /**
+   * Confirm a paid registration (payment captured)
+   * A held seat moves from held to taken; without a hold (it timed out, or
+   * the checkout had failed) the payment needs a free seat
+   * @param {string} registrationId - Registration UUID
+   * @param {Object} paymentData - { razorpay_payment_id, razorpay_signature }
+   * @returns {Promise<Object|null>} null if the payment can't complete (already completed, cancelled, no seat)
+   */
+  static async confirmPayment(registrationId, paymentData) {
+    const { razorpay_payment_id, razorpay_signature = null } = paymentData;
+
+    const result = await pool(
+      `WITH target AS (
+         SELECT er.id, er.event_id, ${HOLDS_SEAT} as held
+         FROM event_registrations er
+         WHERE er.id = $3
+           AND (er.payment_status = 'PENDING' OR (${EventRegistrationModel.closedCheckoutCondition('er')}))
+         FOR UPDATE
+       ),
+       seat AS (
+         UPDATE events e
+         SET current_registrations = e.current_registrations + 1,
+             seats_held = GREATEST(e.seats_held - CASE WHEN t.held THEN 1 ELSE 0 END, 0),
+             updated_at = NOW()
+         FROM target t
+         WHERE e.id = t.event_id
+           AND (t.held OR (e.status IN ('APPROVED', 'ACTIVE') AND ${HAS_FREE_SEAT} AND ${QUEUE_EMPTY}))
+         RETURNING e.id
+       )
+       UPDATE event_registrations er
+       SET payment_status = 'COMPLETED',
+           razorpay_payment_id = $1,
+           razorpay_signature = COALESCE($2, er.razorpay_signature),
+           payment_completed_at = NOW(),
+           registration_status = 'CONFIRMED',
+           seat_hold_expires_at = NULL,
+           updated_at = NOW()
+       FROM seat
+       WHERE er.id = $3
+       RETURNING er.*`,
+      [razorpay_payment_id, razorpay_signature, registrationId]
+    );
+
+    return result[0] || null;
+  }
+
+  /**
+   * End an unpaid checkout and release its hold
+   * Only a PENDING payment of the given order ends; an open waitlist offer
+   * stays payable until it expires
+   * @param {string} registrationId - Registration UUID
+   * @param {Object} options - { orderId, status: CANCELLED (payment failed) | EXPIRED (never paid) }
+   * @returns {Promise<Object|null>} null if nothing changed
+   */
+  static async releaseCheckout(registrationId, { orderId = null, status = 'CANCELLED' } = {}) {
+    const result = await pool(
+      `WITH target AS (
+         SELECT er.id, er.event_id, (er.seat_hold_expires_at IS NOT NULL) as held
+         FROM event_registrations er
+         WHERE er.id = $1
+           AND er.payment_status = 'PENDING'
+           AND er.registration_status <> 'WAITLISTED'
+           AND ($2::text IS NULL OR er.razorpay_order_id = $2)
+         FOR UPDATE
+       ),
+       closed AS (
+         UPDATE event_registrations er
+         SET payment_status = 'FAILED',
+             registration_status = $3,
+             seat_hold_expires_at = NULL,
+             updated_at = NOW()
+         FROM target t
+         WHERE er.id = t.id
+         RETURNING er.*, t.held
+       ),
+       released AS (
+         UPDATE events e
+         SET seats_held = GREATEST(e.seats_held - 1, 0),
+             updated_at = NOW()
+         FROM closed c
+         WHERE e.id = c.event_id
+           AND c.held
+         RETURNING e.id
+       )
+       SELECT * FROM closed`,
+      [registrationId, orderId, status]
+    );
+
+    return result[0] || null;
+  }
+
+  /**
+   * Cancel a registration (or leave the waitlist) and record the refund owed
+   * A confirmed seat, an open offer or a checkout hold is released
+   * @param {string} registrationId - Registration UUID
+   * @param {Object} refund - { amount, reason } (amount > 0 = refund PENDING)
+   * @returns {Promise<Object|null>} Cancelled registration with previous_status, held_seat, held_offer; null if it was not active
+   */
+  static async cancel(registrationId, refund = {}) {
+    const { amount = 0, reason = null } = refund;
+
+    const result = await pool(
+      `WITH target AS (
+         SELECT er.id, er.event_id,
+           er.registration_status as previous_status,
+           ${TAKES_SEAT} as held_seat,
+           ${HOLDS_SEAT} as held_offer
+         FROM event_registrations er
+         WHERE er.id = $1
+           AND er.registration_status IN ('CONFIRMED', 'WAITLISTED')
+         FOR UPDATE
+       ),
+       cancelled AS (
+         UPDATE event_registrations er
+         SET
+           registration_status = 'CANCELLED',
+           payment_status = CASE WHEN er.payment_status = 'PENDING' THEN 'FAILED' ELSE er.payment_status END,
+           seat_hold_expires_at = NULL,
+           cancelled_at = NOW(),
+           refund_initiated = ($2::numeric > 0),
+           refund_amount = CASE WHEN $2::numeric > 0 THEN $2::numeric ELSE NULL END,
+           refund_reason = $3,
+           refund_status = CASE WHEN $2::numeric > 0 THEN 'PENDING' ELSE NULL END,
+           refund_requested_at = CASE WHEN $2::numeric > 0 THEN NOW() ELSE NULL END,
+           updated_at = NOW()
+         FROM target t
+         WHERE er.id = t.id
+         RETURNING er.*, t.previous_status, t.held_seat, t.held_offer
+       ),
+       released AS (
+         UPDATE events e
+         SET current_registrations = GREATEST(e.current_registrations - CASE WHEN c.held_seat THEN 1 ELSE 0 END, 0),
+             seats_held = GREATEST(e.seats_held - CASE WHEN c.held_offer THEN 1 ELSE 0 END, 0),
+             updated_at = NOW()
+         FROM cancelled c
+         WHERE e.id = c.event_id
+           AND (c.held_seat OR c.held_offer)
+         RETURNING e.id
+       )
+       SELECT * FROM cancelled`,
+      [registrationId, amount, reason]
+    );
+
+    return result[0] || null;
+  }
+
+  /**
+   * Promote the first student in line if a seat is free
+   * FREE: confirmed registration; PAID: seat held as an offer for the
+   * event's waitlist_offer_minutes
+   * @param {string} eventId - Event UUID
+   * @returns {Promise<Object|null>} Promoted registration (with event_type), null if nothing to do
+   */
+  static async promoteNextFromWaitlist(eventId) {
+    const result = await pool(
+      `WITH candidate AS (
+         SELECT id FROM event_registrations
+         WHERE event_id = $1
+           AND registration_status = 'WAITLISTED'
+           AND waitlist_offer_expires_at IS NULL
+         ORDER BY registered_at ASC, id ASC
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       ),
+       seat AS (
+         UPDATE events e
+         SET current_registrations = e.current_registrations + CASE WHEN e.event_type = 'PAID' THEN 0 ELSE 1 END,
+             seats_held = e.seats_held + CASE WHEN e.event_type = 'PAID' THEN 1 ELSE 0 END,
+             updated_at = NOW()
+         WHERE e.id = $1
+           AND e.status IN ('APPROVED', 'ACTIVE')
+           AND EXISTS (SELECT 1 FROM candidate)
+           AND ${HAS_FREE_SEAT}
+         RETURNING e.event_type, e.waitlist_offer_minutes
+       )
+       UPDATE event_registrations er
+       SET registration_type = CASE WHEN seat.event_type = 'PAID' THEN er.registration_type ELSE 'FREE' END,
+           registration_status = CASE WHEN seat.event_type = 'PAID' THEN 'WAITLISTED' ELSE 'CONFIRMED' END,
+           waitlist_offer_expires_at = CASE
+             WHEN seat.event_type = 'PAID' THEN NOW() + (seat.waitlist_offer_minutes || ' minutes')::interval
+             ELSE NULL
+           END,
+           promoted_at = NOW(),
+           updated_at = NOW()
+       FROM candidate, seat
+       WHERE er.id = candidate.id
+       RETURNING er.*, seat.event_type`,
+      [eventId]
+    );
+
+    return result[0] || null;
+  }
+
+  /**
+   * Expire unpaid waitlist offers and release their held seats
+   * @returns {Promise<Array>} Expired registrations { id, event_id, student_id }
+   */
+  static async expireWaitlistOffers() {
+    return await pool`
+      WITH target AS (
+        SELECT id FROM event_registrations
+        WHERE registration_status = 'WAITLISTED'
+          AND waitlist_offer_expires_at <= NOW()
+        FOR UPDATE SKIP LOCKED
+      ),
+      expired AS (
+        UPDATE event_registrations er
+        SET registration_status = 'EXPIRED',
+            payment_status = CASE WHEN er.payment_status = 'PENDING' THEN 'FAILED' ELSE er.payment_status END,
+            updated_at = NOW()
+        FROM target t
+        WHERE er.id = t.id
+        RETURNING er.id, er.event_id, er.student_id
+      ),
+      released AS (
+        UPDATE events e
+        SET seats_held = GREATEST(e.seats_held - x.expired_count, 0),
+            updated_at = NOW()
+        FROM (SELECT event_id, COUNT(*)::int as expired_count FROM expired GROUP BY event_id) x
+        WHERE e.id = x.event_id
+        RETURNING e.id
+      )
+      SELECT expired.* FROM expired
+    `;
+  }
+
+  /**
+   * Release checkout holds that timed out
+   * The registration stays PENDING: a payment that still arrives gets a seat
+   * if one is free, and the payment reconciler settles the rest
+   * @returns {Promise<Array>} Released registrations { id, event_id, student_id }
+   */
+  static async releaseExpiredHolds() {
+    return await pool`
+      WITH target AS (
+        SELECT id FROM event_registrations
+        WHERE seat_hold_expires_at <= NOW()
+        FOR UPDATE SKIP LOCKED
+      ),
+      released AS (
+        UPDATE event_registrations er
+        SET seat_hold_expires_at = NULL
+        FROM target t
+        WHERE er.id = t.id
+        RETURNING er.id, er.event_id, er.student_id
+      ),
+      counted AS (
+        UPDATE events e
+        SET seats_held = GREATEST(e.seats_held - x.released_count, 0),
+            updated_at = NOW()
+        FROM (SELECT event_id, COUNT(*)::int as released_count FROM released GROUP BY event_id) x
+        WHERE e.id = x.event_id
+        RETURNING e.id
+      )
+      SELECT released.* FROM released
+    `;
+  }
+
+  /**
+   * Recount an event's counters from its registrations
+   * For data written outside this service (seeders, manual fixes)
+   * @param {string|null} eventId - Event UUID (null = all events)
+   * @returns {Promise<Array>} [{ id, current_registrations, seats_held }]
+   */
+  static async recountSeats(eventId = null) {
+    return await pool(
+      `UPDATE events e
+       SET current_registrations = (
+             SELECT COUNT(*) FROM event_registrations er
+             WHERE er.event_id = e.id AND ${TAKES_SEAT}
+           ),
+           seats_held = (
+             SELECT COUNT(*) FROM event_registrations er
+             WHERE er.event_id = e.id AND ${HOLDS_SEAT}
+           ),
+           updated_at = NOW()
+       WHERE $1::uuid IS NULL OR e.id = $1
+       RETURNING e.id, e.current_registrations, e.seats_held`,
+      [eventId]
+    );
+  }
+
+  /**
+   * Delete a registration and release whatever seat it had
+   * @param {string} registrationId - Registration UUID
+   * @returns {Promise<boolean>} false if not found
+   */
+  static async deleteRegistration(registrationId) {
+    const result = await pool(
+      `WITH deleted AS (
+         DELETE FROM event_registrations er
+         WHERE er.id = $1
+         RETURNING er.id, er.event_id, ${TAKES_SEAT} as held_seat, ${HOLDS_SEAT} as held_offer
+       ),
+       released AS (
+         UPDATE events e
+         SET current_registrations = GREATEST(e.current_registrations - CASE WHEN d.held_seat THEN 1 ELSE 0 END, 0),
+             seats_held = GREATEST(e.seats_held - CASE WHEN d.held_offer THEN 1 ELSE 0 END, 0),
+             updated_at = NOW()
+         FROM deleted d
+         WHERE e.id = d.event_id
+           AND (d.held_seat OR d.held_offer)
+         RETURNING e.id
+       )
+       SELECT id FROM deleted`,
+      [registrationId]
+    );
+
+    return result.length > 0;
+  }
+}
+
+export default SeatReservationService;
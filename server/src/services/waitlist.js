@@ -0,0 +1,170 @@
+/**
+ * Waitlist Service
+ * FIFO waitlist for full events with automatic promotion
+ *
+ * - Students join the waitlist when an event is full (or others are already
+ *   waiting, so nobody skips the queue)
+ * - When a seat frees up, the first student in line is confirmed straight
+ *   away on free events. On paid events they get the seat for the event's
+ *   waitlist_offer_minutes to pay; an unpaid offer expires and the seat goes
+ *   to the next student
+ * - Promotion runs right after a seat is released and on a schedule
+ *   (jobs/waitlist.job.js), which also catches seats freed any other way
+ * - Seats are taken and released through SeatReservationService
+ */
+import EventRegistrationModel from '../models/EventRegistration.model.js';
+import SeatReservationService from './seatReservation.js';
+import { logAuditEvent, AuditEventType } from '../utils/auditLogger.js';
+
+class WaitlistService {
+  static MAX_PROMOTIONS_PER_RUN = 100; // Per event, keeps one run short
+
+  /**
+   * Seats a new registration can take right now (null = unlimited)
+   * A quick pre-check; SeatReservationService has the final say
+   * @param {Object} event - Event row
+   * @returns {number|null}
+   */
+  static getAvailableSeats(event) {
+    if (!event.max_capacity) {
+      return null;
+    }
+    return Math.max(event.max_capacity - event.current_registrations - (event.seats_held || 0), 0);
+  }
+
+  /**
+   * Whether a new registration has to join the waitlist
+   * @param {Object} event - Event row
+   * @returns {Promise<boolean>}
+   */
+  static async mustJoinWaitlist(event) {
+    if (!event.max_capacity) {
+      return false;
+    }
+    if (this.getAvailableSeats(event) === 0) {
+      return true;
+    }
+
+    // Free seat but students already waiting: it belongs to them
+    const { waiting } = await EventRegistrationModel.getWaitlistCounts(event.id);
+    return waiting > 0;
+  }
+
+  /**
+   * Put a student on the waitlist
+   * @param {Object} event - Event row
+   * @param {string} studentId - Student UUID
+   * @returns {Promise<Object>} { registration, position }
+   */
+  static async join(event, studentId) {
+    const registration = await EventRegistrationModel.joinWaitlist(event.id, studentId);
+    const position = await EventRegistrationModel.getWaitlistPosition(registration.id);
+
+    console.log(`⏳ [WAITLIST] Student ${studentId} joined waitlist for ${event.event_name} at position ${position}`);
+
+    // A seat may have freed up in the meantime
+    await this.promote(event.id);
+
+    return { registration: await EventRegistrationModel.findById(registration.id), position };
+  }
+
+  /**
+   * Waitlist status of a registration
+   * @param {Object} registration - Registration row
+   * @returns {Promise<Object>}
+   */
+  static async getStatus(registration) {
+    const counts = await EventRegistrationModel.getWaitlistCounts(registration.event_id);
+    const offer = registration.registration_status === 'WAITLISTED' && registration.waitlist_offer_expires_at
+      ? { expires_at: registration.waitlist_offer_expires_at }
+      : null;
+
+    return {
+      registration_id: registration.id,
+      registration_status: registration.registration_status,
+      position: registration.registration_status === 'WAITLISTED' && !offer
+        ? await EventRegistrationModel.getWaitlistPosition(registration.id)
+        : null,
+      waiting_count: counts.waiting,
+      offer,
+      promoted_at: registration.promoted_at || null
+    };
+  }
+
+  /**
+   * Promote students in line while the event has free seats
+   * @param {string} eventId - Event UUID
+   * @returns {Promise<Array>} Promoted registrations
+   */
+  static async promote(eventId) {
+    const promoted = [];
+
+    while (promoted.length < this.MAX_PROMOTIONS_PER_RUN) {
+      const registration = await SeatReservationService.promoteNextFromWaitlist(eventId);
+      if (!registration) break;
+
+      promoted.push(registration);
+      console.log(registration.event_type === 'PAID'
+        ? `🎟️ [WAITLIST] Seat offered to student ${registration.student_id} until ${new Date(registration.waitlist_offer_expires_at).toISOString()}`
+        : `✅ [WAITLIST] Student ${registration.student_id} promoted to confirmed`);
+
+      await logAuditEvent({
+        event_type: AuditEventType.WAITLIST_PROMOTED,
+        user_id: null,
+        user_role: 'SYSTEM',
+        resource_type: 'EVENT_REGISTRATION',
+        resource_id: registration.id,
+        metadata: {
+          event_id: eventId,
+          student_id: registration.student_id,
+          outcome: registration.event_type === 'PAID' ? 'PAYMENT_OFFERED' : 'CONFIRMED',
+          offer_expires_at: registration.waitlist_offer_expires_at || null
+        }
+      });
+    }
+
+    return promoted;
+  }
+
+  /**
+   * Expire unpaid offers and checkout holds, then fill every free seat from the waitlists
+   * @returns {Promise<Object>} { expired, released, promoted }
+   */
+  static async processWaitlists() {
+    const released = await SeatReservationService.releaseExpiredHolds();
+    for (const registration of released) {
+      console.log(`⌛ [SEATS] Checkout hold expired for student ${registration.student_id} (event ${registration.event_id})`);
+    }
+
+    const expired = await SeatReservationService.expireWaitlistOffers();
+
+    for (const registration of expired) {
+      console.log(`⌛ [WAITLIST] Offer expired for student ${registration.student_id} (event ${registration.event_id})`);
+
+      await logAuditEvent({
+        event_type: AuditEventType.WAITLIST_OFFER_EXPIRED,
+        user_id: null,
+        user_role: 'SYSTEM',
+        resource_type: 'EVENT_REGISTRATION',
+        resource_id: registration.id,
+        metadata: { event_id: registration.event_id, student_id: registration.student_id }
+      });
+    }
+
+    let promoted = 0;
+    const events = await EventRegistrationModel.getEventsWithPromotableWaitlist();
+
+    for (const event of events) {
+      try {
+        promoted += (await this.promote(event.id)).length;
+      } catch (error) {
+        // Keep going so one failing event doesn't block the others
+        console.error(`❌ [WAITLIST] Promotion failed for event ${event.event_name}:`, error);
+      }
+    }
+
+    return { expired: expired.length, released: released.length, promoted };
+  }
+}
+
+export default WaitlistService;
@@ -0,0 +1,208 @@
+// Auto-Checkout Tests - Closing open sessions when an event ends, with capped durations
+import { jest } from '@jest/globals';
+import { createTestDatabase } from '../helpers/testDatabase.js';
+
+const database = createTestDatabase();
+jest.unstable_mockModule('../../config/db.js', () => database.module);
+
+const logAuditEvent = jest.fn();
+jest.unstable_mockModule('../../utils/auditLogger.js', () => ({
+  logAuditEvent,
+  AuditEventType: { SESSIONS_AUTO_CLOSED: 'SESSIONS_AUTO_CLOSED' }
+}));
+
+const { runAutoCheckout } = await import('../../jobs/autoCheckout.job.js');
+const { default: CheckInService } = await import('../../services/checkIn.js');
+const { default: EventRegistrationModel } = await import('../../models/EventRegistration.model.js');
+const { default: EventZoneModel } = await import('../../models/EventZone.model.js');
+
+const { pool } = database;
+const CAP = CheckInService.AUTO_CLOSE_MAX_MINUTES;
+let schoolId;
+let managerId;
+let studentCount = 0;
+
+const closedSession = (studentId, durationMinutes) => ({
+  registration_id: `registration-${studentId}`,
+  check_in_out_id: `checkout-${studentId}`,
+  student_id: studentId,
+  event_id: 'event-1',
+  duration_minutes: durationMinutes
+});
+
+const createStudent = async () => {
+  studentCount++;
+  const [student] = await pool(
+    `INSERT INTO students (registration_no, password_hash, full_name, school_id)
+     VALUES ($1, 'hash', $2, $3) RETURNING id`,
+    [`2025AUTO${String(studentCount).padStart(5, '0')}`, `Student ${studentCount}`, schoolId]
+  );
+  return student.id;
+};
+
+// Event that ended `endedMinutesAgo` minutes ago
+const createEvent = async (endedMinutesAgo = 60) => {
+  const [event] = await pool(
+    `INSERT INTO events (
+       event_name, event_code, event_type, price, status,
+       start_date, end_date, registration_start_date, registration_end_date, created_by_manager_id
+     )
+     VALUES ($1, $1, 'FREE', 0, 'ACTIVE',
+       NOW() - interval '2 days', NOW() - make_interval(mins => $2), NOW() - interval '3 days', NOW() - interval '2 days', $3)
+     RETURNING id, end_date`,
+    [`EVT-${Math.random().toString(36).slice(2, 10)}`, endedMinutesAgo, managerId]
+  );
+  return event;
+};
+
+// Registration still marked inside, checked in `minutesBeforeEnd` minutes before the event ended
+const checkedIn = async (event, studentId, minutesBeforeEnd) => {
+  const [registration] = await pool(
+    `INSERT INTO event_registrations (
+       event_id, student_id, registration_type, payment_status, registration_status,
+       is_inside_event, scan_count, last_check_in_at
+     )
+     VALUES ($1, $2, 'FREE', 'NOT_REQUIRED', 'CONFIRMED', TRUE, 1, $3::timestamp - make_interval(mins => $4))
+     RETURNING id`,
+    [event.id, studentId, event.end_date, minutesBeforeEnd]
+  );
+  return registration.id;
+};
+
+beforeAll(async () => {
+  await database.ready;
+  [{ id: schoolId }] = await pool(`INSERT INTO schools (school_name) VALUES ('School of Closing') RETURNING id`);
+  [{ id: managerId }] = await pool(
+    `INSERT INTO event_managers (email, password_hash, full_name) VALUES ('autocheckout@test.local', 'hash', 'Manager') RETURNING id`
+  );
+}, 120000);
+
+afterAll(async () => {
+  await database.close();
+});
+
+describe('EventRegistrationModel.closeOpenSessions', () => {
+  it('writes one auto-closed checkout at the event end per open session, crediting at most the cap', async () => {
+    const event = await createEvent();
+    const longStay = await createStudent();
+    const shortStay = await createStudent();
+    await checkedIn(event, longStay, CAP + 120);
+    await checkedIn(event, shortStay, 45);
+
+    const sessions = await EventRegistrationModel.closeOpenSessions(event.id, CAP);
+
+    expect(Object.fromEntries(sessions.map((session) => [session.student_id, session.duration_minutes])))
+      .toEqual({ [longStay]: CAP, [shortStay]: 45 });
+    const checkouts = await pool(
+      `SELECT id, student_id, scan_type, scanned_at, duration_minutes, is_auto_closed, volunteer_id
+       FROM check_in_outs WHERE event_id = $1`,
+      [event.id]
+    );
+    expect(checkouts).toHaveLength(2);
+    expect(checkouts.map((row) => row.id).sort()).toEqual(sessions.map((session) => session.check_in_out_id).sort());
+    for (const row of checkouts) {
+      expect(row).toMatchObject({ scan_type: 'CHECKOUT', is_auto_closed: true, volunteer_id: null, scanned_at: event.end_date });
+    }
+  });
+
+  it('adds the credited minutes to the registration and the student', async () => {
+    const event = await createEvent();
+    const studentId = await createStudent();
+    const registrationId = await checkedIn(event, studentId, CAP * 3);
+
+    await EventRegistrationModel.closeOpenSessions(event.id, CAP);
+
+    const [registration] = await pool(
+      'SELECT is_inside_event, scan_count, last_check_out_at, total_time_spent_minutes FROM event_registrations WHERE id = $1',
+      [registrationId]
+    );
+    const [student] = await pool('SELECT total_active_duration_minutes FROM students WHERE id = $1', [studentId]);
+    expect(registration).toEqual({ is_inside_event: false, scan_count: 2, last_check_out_at: event.end_date, total_time_spent_minutes: CAP });
+    expect(student.total_active_duration_minutes).toBe(CAP);
+  });
+
+  it('closes only the given event for a student inside two events', async () => {
+    const closing = await createEvent();
+    const other = await createEvent();
+    const studentId = await createStudent();
+    await checkedIn(closing, studentId, 30);
+    const otherRegistrationId = await checkedIn(other, studentId, 30);
+
+    const sessions = await EventRegistrationModel.closeOpenSessions(closing.id, CAP);
+
+    expect(sessions).toHaveLength(1);
+    const [otherRegistration] = await pool('SELECT is_inside_event FROM event_registrations WHERE id = $1', [otherRegistrationId]);
+    expect(otherRegistration.is_inside_event).toBe(true);
+    expect(await pool('SELECT id FROM check_in_outs WHERE event_id = $1', [other.id])).toEqual([]);
+  });
+
+  it('does nothing a second time', async () => {
+    const event = await createEvent();
+    await checkedIn(event, await createStudent(), 30);
+
+    await EventRegistrationModel.closeOpenSessions(event.id, CAP);
+
+    expect(await EventRegistrationModel.closeOpenSessions(event.id, CAP)).toEqual([]);
+  });
+});
+
+describe('CheckInService.closeOpenSessions', () => {
+  beforeEach(() => {
+    logAuditEvent.mockReset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(EventZoneModel, 'closeEventZones').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('credits at most the cap and audits how many sessions hit it', async () => {
+    const close = jest.spyOn(EventRegistrationModel, 'closeOpenSessions')
+      .mockResolvedValue([closedSession('student-1', CAP), closedSession('student-2', 45)]);
+
+    const result = await CheckInService.closeOpenSessions('event-1', { trigger: 'MANUAL', closedBy: 'manager-1', closedByRole: 'EVENT_MANAGER' });
+
+    expect(close).toHaveBeenCalledWith('event-1', CAP);
+    expect(result).toMatchObject({ event_id: 'event-1', closed_count: 2, cap_minutes: CAP });
+    expect(EventZoneModel.closeEventZones).toHaveBeenCalledWith('event-1');
+    expect(logAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+      user_id: 'manager-1',
+      user_role: 'EVENT_MANAGER',
+      metadata: { trigger: 'MANUAL', closed_count: 2, cap_minutes: CAP, capped_count: 1 }
+    }));
+  });
+
+  it('writes nothing else when nobody was inside', async () => {
+    jest.spyOn(EventRegistrationModel, 'closeOpenSessions').mockResolvedValue([]);
+
+    expect((await CheckInService.closeOpenSessions('event-1')).closed_count).toBe(0);
+    expect(EventZoneModel.closeEventZones).not.toHaveBeenCalled();
+    expect(logAuditEvent).not.toHaveBeenCalled();
+  });
+});
+
+describe('runAutoCheckout', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('closes every ended event, continuing past one that fails', async () => {
+    jest.spyOn(EventRegistrationModel, 'getEndedEventsWithOpenSessions').mockResolvedValue([
+      { id: 'event-1', event_name: 'Hackathon' },
+      { id: 'event-2', event_name: 'Expo' }
+    ]);
+    const close = jest.spyOn(CheckInService, 'closeOpenSessions')
+      .mockRejectedValueOnce(new Error('connection reset'))
+      .mockResolvedValueOnce({ closed_count: 3 });
+
+    await runAutoCheckout();
+
+    expect(close).toHaveBeenNthCalledWith(1, 'event-1', { trigger: 'SCHEDULED' });
+    expect(close).toHaveBeenNthCalledWith(2, 'event-2', { trigger: 'SCHEDULED' });
+  });
+});
@@ -0,0 +1,100 @@
+// Badge Export Job Tests - Claiming, failing and sweeping queued exports
+import { jest } from '@jest/globals';
+import { runBadgeExports, processBadgeExport } from '../../jobs/badgeExport.job.js';
+import BadgeExportModel from '../../models/BadgeExport.model.js';
+import StudentModel from '../../models/Student.model.js';
+import QRCodeService from '../../services/qrCode.js';
+import KeyRingService from '../../services/keyRing.js';
+
+const queued = (id, format = 'SVG') => ({ id, format, selection: { batch: '2024' } });
+
+describe('badge export job', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(BadgeExportModel, 'claimNext').mockResolvedValue(null);
+    jest.spyOn(BadgeExportModel, 'complete').mockResolvedValue({});
+    jest.spyOn(BadgeExportModel, 'fail').mockResolvedValue({});
+    jest.spyOn(BadgeExportModel, 'failStaleProcessing').mockResolvedValue(0);
+    jest.spyOn(BadgeExportModel, 'expireOldResults').mockResolvedValue(0);
+    jest.spyOn(StudentModel, 'ensureQRToken').mockImplementation(async (id, token) => token);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('fails an export with no matching students without retrying it', async () => {
+    jest.spyOn(StudentModel, 'findForBadges').mockResolvedValue([]);
+
+    await processBadgeExport(queued('export-1'));
+
+    expect(BadgeExportModel.fail).toHaveBeenCalledWith('export-1', 'No students match this selection', false);
+    expect(BadgeExportModel.complete).not.toHaveBeenCalled();
+  });
+
+  it('stores the rendered pages of a claimed export', async () => {
+    jest.spyOn(StudentModel, 'findForBadges').mockResolvedValue([
+      { full_name: 'Asha Rao', registration_no: '2024SGTU00001', school_name: 'Engineering', batch: '2024', qr_code_token: 'stored-token' }
+    ]);
+
+    await processBadgeExport(queued('export-1'));
+
+    expect(BadgeExportModel.complete).toHaveBeenCalledWith('export-1', expect.objectContaining({
+      student_count: 1,
+      page_count: 1,
+      svg_pages: [expect.stringContaining('Asha Rao')]
+    }));
+  });
+
+  it('prints the stored token instead of signing a new one', async () => {
+    const generate = jest.spyOn(QRCodeService, 'generateStudentQRToken');
+    jest.spyOn(StudentModel, 'findForBadges').mockResolvedValue([
+      { id: 'student-1', full_name: 'Asha Rao', registration_no: '2024SGTU00001', batch: '2024', qr_code_token: 'stored-token' }
+    ]);
+
+    await processBadgeExport(queued('export-1'));
+
+    expect(generate).not.toHaveBeenCalled();
+    expect(StudentModel.ensureQRToken).not.toHaveBeenCalled();
+    expect(BadgeExportModel.complete).toHaveBeenCalledWith('export-1', expect.objectContaining({
+      qr_key_ids: [KeyRingService.LEGACY_KID]
+    }));
+  });
+
+  it('stores a token for a student without one before printing it', async () => {
+    jest.spyOn(QRCodeService, 'generateStudentQRToken').mockReturnValue('new-token');
+    jest.spyOn(StudentModel, 'findForBadges').mockResolvedValue([
+      { id: 'student-1', full_name: 'Asha Rao', registration_no: '2024SGTU00001', batch: '2024', qr_code_token: null }
+    ]);
+
+    await processBadgeExport(queued('export-1'));
+
+    expect(StudentModel.ensureQRToken).toHaveBeenCalledWith('student-1', 'new-token', expect.any(Function));
+    expect(BadgeExportModel.complete).toHaveBeenCalledWith('export-1', expect.objectContaining({ student_count: 1 }));
+  });
+
+  it('records a retryable failure and moves on to the next export', async () => {
+    BadgeExportModel.claimNext
+      .mockResolvedValueOnce(queued('export-1'))
+      .mockResolvedValueOnce(queued('export-2'))
+      .mockResolvedValueOnce(null);
+    jest.spyOn(StudentModel, 'findForBadges')
+      .mockRejectedValueOnce(new Error('connection reset'))
+      .mockResolvedValueOnce([]);
+
+    await runBadgeExports();
+
+    expect(BadgeExportModel.fail).toHaveBeenCalledWith('export-1', 'connection reset');
+    expect(BadgeExportModel.fail).toHaveBeenCalledWith('export-2', 'No students match this selection', false);
+  });
+
+  it('sweeps exports abandoned on their last attempt every run', async () => {
+    BadgeExportModel.failStaleProcessing.mockResolvedValue(2);
+
+    await runBadgeExports();
+
+    expect(BadgeExportModel.failStaleProcessing).toHaveBeenCalledTimes(1);
+    expect(BadgeExportModel.expireOldResults).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,76 @@
+// Badge Renderer Tests - Text wrapping and sheet layout for badge exports
+import { wrapText, getPageCount, renderBadgeSheetsSVG, renderBadgeSheetsPDF, BADGES_PER_PAGE } from '../../utils/badgeRenderer.js';
+
+// 20mm at 10pt fits floor(20 * 72/25.4 / 5.5) = 10 characters per line
+const WIDTH_MM = 20;
+const FONT_PT = 10;
+const MAX_CHARS = 10;
+
+const badge = (index) => ({
+  full_name: `Student ${index}`,
+  registration_no: `2024SGTU${String(index).padStart(5, '0')}`,
+  school_name: 'School of Engineering',
+  batch: '2024',
+  qr_token: `token-${index}`
+});
+
+describe('wrapText', () => {
+  it('keeps short text on one line', () => {
+    expect(wrapText('Asha Rao', WIDTH_MM, FONT_PT, 2)).toEqual(['Asha Rao']);
+  });
+
+  it('breaks lines between words', () => {
+    expect(wrapText('Asha Kumari Rao', WIDTH_MM, FONT_PT, 3)).toEqual(['Asha', 'Kumari Rao']);
+  });
+
+  it('hard-splits words longer than a line', () => {
+    expect(wrapText('Ab Venkatanarasimharajuvaripeta', WIDTH_MM, FONT_PT, 5))
+      .toEqual(['Ab', 'Venkatanar', 'asimharaju', 'varipeta']);
+  });
+
+  it('truncates past maxLines with an ellipsis that still fits', () => {
+    const lines = wrapText('one two three four five six seven eight', WIDTH_MM, FONT_PT, 2);
+
+    expect(lines).toHaveLength(2);
+    expect(lines[1].endsWith('...')).toBe(true);
+    expect(lines[1].length).toBeLessThanOrEqual(MAX_CHARS);
+  });
+
+  it('returns no lines for empty text', () => {
+    expect(wrapText('', WIDTH_MM, FONT_PT, 2)).toEqual([]);
+    expect(wrapText(null, WIDTH_MM, FONT_PT, 2)).toEqual([]);
+    expect(wrapText('   ', WIDTH_MM, FONT_PT, 2)).toEqual([]);
+  });
+
+  it('never wraps to fewer than 4 characters per line', () => {
+    expect(wrapText('abcdefgh', 1, FONT_PT, 5)).toEqual(['abcd', 'efgh']);
+  });
+});
+
+describe('badge sheets', () => {
+  it('counts pages of BADGES_PER_PAGE badges (at least one)', () => {
+    expect(getPageCount(0)).toBe(1);
+    expect(getPageCount(BADGES_PER_PAGE)).toBe(1);
+    expect(getPageCount(BADGES_PER_PAGE + 1)).toBe(2);
+  });
+
+  it('renders one escaped SVG document per page', () => {
+    const badges = Array.from({ length: BADGES_PER_PAGE + 1 }, (_, index) => badge(index));
+    badges[0].full_name = 'Tom & <Jerry>';
+
+    const pages = renderBadgeSheetsSVG(badges);
+
+    expect(pages).toHaveLength(2);
+    expect(pages[0]).toContain('Tom &amp; &lt;Jerry&gt;');
+    expect(pages[0]).not.toContain('<Jerry>');
+  });
+
+  it('renders a PDF with a page per sheet', () => {
+    const pdf = renderBadgeSheetsPDF(Array.from({ length: BADGES_PER_PAGE + 1 }, (_, index) => badge(index)));
+    const text = pdf.toString('latin1');
+
+    expect(text.startsWith('%PDF-1.4')).toBe(true);
+    expect(text).toContain('/Count 2');
+    expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+  });
+});
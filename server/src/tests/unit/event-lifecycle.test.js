@@ -0,0 +1,105 @@
+// Event Lifecycle Tests - Date-driven status transitions and catching up missed steps
+import { jest } from '@jest/globals';
+
+const logAuditEvent = jest.fn();
+jest.unstable_mockModule('../../utils/auditLogger.js', () => ({
+  logAuditEvent,
+  AuditEventType: { EVENT_STATUS_CHANGED: 'EVENT_STATUS_CHANGED' }
+}));
+
+const { default: EventLifecycleService } = await import('../../services/eventLifecycle.js');
+const { default: Event } = await import('../../models/Event.model.js');
+
+const DAY = 24 * 3600000;
+const START = new Date('2025-12-10T09:00:00Z');
+const END = new Date('2025-12-10T17:00:00Z');
+const ARCHIVE = new Date(END.getTime() + EventLifecycleService.ARCHIVE_AFTER_DAYS * DAY);
+
+const event = (status) => ({ id: 'event-1', event_name: 'Hackathon', status, start_date: START.toISOString(), end_date: END.toISOString() });
+const at = (ms) => new Date(ms);
+
+describe('EventLifecycleService.planTransitions', () => {
+  it('plans nothing before the start', () => {
+    expect(EventLifecycleService.planTransitions(event('APPROVED'), at(START.getTime() - 1))).toEqual([]);
+  });
+
+  it('activates an approved event at its start', () => {
+    expect(EventLifecycleService.planTransitions(event('APPROVED'), START)).toEqual([
+      { from_status: 'APPROVED', to_status: 'ACTIVE', due_at: START }
+    ]);
+  });
+
+  it('completes an active event at its end', () => {
+    expect(EventLifecycleService.planTransitions(event('ACTIVE'), at(END.getTime() + 1))).toEqual([
+      { from_status: 'ACTIVE', to_status: 'COMPLETED', due_at: END }
+    ]);
+  });
+
+  it('chains every missed step for an event that is behind', () => {
+    expect(EventLifecycleService.planTransitions(event('APPROVED'), ARCHIVE)).toEqual([
+      { from_status: 'APPROVED', to_status: 'ACTIVE', due_at: START },
+      { from_status: 'ACTIVE', to_status: 'COMPLETED', due_at: END },
+      { from_status: 'COMPLETED', to_status: 'ARCHIVED', due_at: ARCHIVE }
+    ]);
+  });
+
+  it('stops at COMPLETED until ARCHIVE_AFTER_DAYS have passed', () => {
+    expect(EventLifecycleService.planTransitions(event('APPROVED'), at(ARCHIVE.getTime() - 1)).map((step) => step.to_status))
+      .toEqual(['ACTIVE', 'COMPLETED']);
+  });
+
+  it('archives a cancelled event after ARCHIVE_AFTER_DAYS', () => {
+    expect(EventLifecycleService.planTransitions(event('CANCELLED'), at(END.getTime() + DAY))).toEqual([]);
+    expect(EventLifecycleService.planTransitions(event('CANCELLED'), ARCHIVE)).toEqual([
+      { from_status: 'CANCELLED', to_status: 'ARCHIVED', due_at: ARCHIVE }
+    ]);
+  });
+
+  it.each(['PENDING', 'DRAFT', 'ARCHIVED'])('never moves an event in %s', (status) => {
+    expect(EventLifecycleService.planTransitions(event(status), at(ARCHIVE.getTime() + DAY))).toEqual([]);
+  });
+});
+
+describe('EventLifecycleService.run', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    logAuditEvent.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stops an event\'s chain when a step was changed by someone else', async () => {
+    jest.spyOn(Event, 'findDueForLifecycle').mockResolvedValue([
+      { ...event('APPROVED'), end_date: new Date(Date.now() - DAY).toISOString(), start_date: new Date(Date.now() - 2 * DAY).toISOString() }
+    ]);
+    const transition = jest.spyOn(Event, 'transitionStatus')
+      .mockResolvedValueOnce({ status: 'ACTIVE' })
+      .mockResolvedValueOnce(null);
+
+    const summary = await EventLifecycleService.run();
+
+    expect(transition).toHaveBeenCalledTimes(2);
+    expect(logAuditEvent).toHaveBeenCalledTimes(1);
+    expect(logAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+      user_role: 'SYSTEM',
+      metadata: expect.objectContaining({ previous_status: 'APPROVED', status: 'ACTIVE', trigger: 'SCHEDULED' })
+    }));
+    expect(summary).toMatchObject({ activated: 1, completed: 0, skipped: 1, errors: 0 });
+  });
+
+  it('keeps going past an event that fails', async () => {
+    const past = { start_date: new Date(Date.now() - 2 * DAY).toISOString(), end_date: new Date(Date.now() + DAY).toISOString() };
+    jest.spyOn(Event, 'findDueForLifecycle').mockResolvedValue([
+      { ...event('APPROVED'), ...past, id: 'event-1' },
+      { ...event('APPROVED'), ...past, id: 'event-2' }
+    ]);
+    jest.spyOn(Event, 'transitionStatus')
+      .mockRejectedValueOnce(new Error('connection reset'))
+      .mockResolvedValueOnce({ status: 'ACTIVE' });
+
+    expect(await EventLifecycleService.run()).toMatchObject({ activated: 1, errors: 1 });
+  });
+});
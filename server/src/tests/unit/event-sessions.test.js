@@ -0,0 +1,237 @@
+// Event Session Tests - Session bookings, attendance scans and completion against a migrated in-process PostgreSQL
+import { jest } from '@jest/globals';
+import { createTestDatabase } from '../helpers/testDatabase.js';
+
+const database = createTestDatabase();
+jest.unstable_mockModule('../../config/db.js', () => database.module);
+
+const { default: EventSessionService } = await import('../../services/eventSession.js');
+const { default: CheckInService } = await import('../../services/checkIn.js');
+const { default: EventSessionModel } = await import('../../models/EventSession.model.js');
+const { default: SeatReservationService } = await import('../../services/seatReservation.js');
+
+const { pool } = database;
+const MINUTE = 60 * 1000;
+let schoolId;
+let managerId;
+let volunteerId;
+let studentCount = 0;
+
+const createStudent = async () => {
+  studentCount++;
+  const [student] = await pool(
+    `INSERT INTO students (registration_no, password_hash, full_name, school_id)
+     VALUES ($1, 'hash', $2, $3) RETURNING *`,
+    [`2025SESS${String(studentCount).padStart(5, '0')}`, `Student ${studentCount}`, schoolId]
+  );
+  return student;
+};
+
+const createEvent = async (minSessions = null) => {
+  const [event] = await pool(
+    `INSERT INTO events (
+       event_name, event_code, event_type, price, status, min_sessions_for_completion,
+       start_date, end_date, registration_start_date, registration_end_date, created_by_manager_id
+     )
+     VALUES ($1, $1, 'FREE', 0, 'APPROVED', $2,
+       NOW() - interval '1 day', NOW() + interval '2 days', NOW() - interval '2 days', NOW() + interval '1 day', $3)
+     RETURNING *`,
+    [`EVT-${Math.random().toString(36).slice(2, 10)}`, minSessions, managerId]
+  );
+  return event;
+};
+
+// Sessions start `startsIn` minutes from now and run for an hour
+const createSession = (event, name, { startsIn = 60, capacity = null } = {}) => EventSessionModel.create({
+  event_id: event.id,
+  session_name: name,
+  start_time: new Date(Date.now() + startsIn * MINUTE),
+  end_time: new Date(Date.now() + (startsIn + 60) * MINUTE),
+  capacity
+});
+
+const register = async (event, student = null) => {
+  const attendee = student || await createStudent();
+  const registration = await SeatReservationService.registerFree(event.id, attendee.id);
+  return { student: attendee, registration };
+};
+
+const scan = (student, registration, session) => CheckInService.scanEventSession({
+  student,
+  volunteerId,
+  eventContext: { event_id: session.event_id, session_id: session.id },
+  registration
+});
+
+const volunteerCounts = async () => {
+  const [volunteer] = await pool(
+    'SELECT total_scans_performed, COALESCE(total_suppressed_scans, 0) as total_suppressed_scans FROM volunteers WHERE id = $1',
+    [volunteerId]
+  );
+  return volunteer;
+};
+
+beforeAll(async () => {
+  await database.ready;
+  [{ id: schoolId }] = await pool(`INSERT INTO schools (school_name) VALUES ('School of Sessions') RETURNING id`);
+  [{ id: managerId }] = await pool(
+    `INSERT INTO event_managers (email, password_hash, full_name) VALUES ('sessions@test.local', 'hash', 'Manager') RETURNING id`
+  );
+  [{ id: volunteerId }] = await pool(
+    `INSERT INTO volunteers (email, password_hash, full_name) VALUES ('door@test.local', 'hash', 'Door Volunteer') RETURNING id`
+  );
+}, 120000);
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await database.close();
+});
+
+describe('EventSessionService.updateBookings', () => {
+  it('books the chosen sessions and narrows the registration to them', async () => {
+    const event = await createEvent();
+    const morning = await createSession(event, 'Morning', { capacity: 2 });
+    await createSession(event, 'Afternoon');
+    const { registration } = await register(event);
+
+    const result = await EventSessionService.updateBookings(registration, { session_scope: 'SESSIONS', session_ids: [morning.id] });
+
+    expect(result).toMatchObject({ ok: true, booked: 1, cancelled: 0 });
+    expect(result.registration.session_scope).toBe('SESSIONS');
+    expect(result.bookings.map((booking) => booking.session_id)).toEqual([morning.id]);
+    expect((await EventSessionModel.findById(morning.id)).booked_count).toBe(1);
+  });
+
+  it('books nothing when one of the sessions is full', async () => {
+    const event = await createEvent();
+    const open = await createSession(event, 'Open', { capacity: 5 });
+    const full = await createSession(event, 'Full', { capacity: 1 });
+    await EventSessionService.updateBookings((await register(event)).registration, { session_scope: 'SESSIONS', session_ids: [full.id] });
+    const { registration } = await register(event);
+
+    const result = await EventSessionService.updateBookings(registration, { session_scope: 'SESSIONS', session_ids: [open.id, full.id] });
+
+    expect(result).toMatchObject({ ok: false, status: 409, details: { code: 'SESSION_FULL', session_ids: [full.id] } });
+    expect(await EventSessionModel.findBookings(event.id, registration.student_id)).toEqual([]);
+    expect((await EventSessionModel.findById(open.id)).booked_count).toBe(0);
+  });
+
+  it('never books more seats than a session has when students race', async () => {
+    const event = await createEvent();
+    const session = await createSession(event, 'Popular', { capacity: 2 });
+    const registrations = await Promise.all([1, 2, 3, 4].map(() => register(event)));
+
+    const results = await Promise.all(registrations.map(({ registration }) =>
+      EventSessionService.updateBookings(registration, { session_scope: 'SESSIONS', session_ids: [session.id] })
+    ));
+
+    expect(results.filter((result) => result.ok)).toHaveLength(2);
+    expect((await EventSessionModel.findById(session.id)).booked_count).toBe(2);
+  });
+
+  it('gives up bookings left out of a new selection', async () => {
+    const event = await createEvent();
+    const first = await createSession(event, 'First', { capacity: 3 });
+    const second = await createSession(event, 'Second', { capacity: 3 });
+    const { registration } = await register(event);
+    const booked = await EventSessionService.updateBookings(registration, { session_scope: 'SESSIONS', session_ids: [first.id] });
+
+    const result = await EventSessionService.updateBookings(booked.registration, { session_scope: 'SESSIONS', session_ids: [second.id] });
+
+    expect(result).toMatchObject({ ok: true, booked: 1, cancelled: 1 });
+    expect((await EventSessionModel.findById(first.id)).booked_count).toBe(0);
+  });
+
+  it('refuses sessions that have started and selections without sessions', async () => {
+    const event = await createEvent();
+    const started = await createSession(event, 'Running', { startsIn: -10 });
+    const { registration } = await register(event);
+
+    expect(await EventSessionService.updateBookings(registration, { session_scope: 'SESSIONS', session_ids: [started.id] }))
+      .toMatchObject({ ok: false, status: 409, details: { code: 'SESSION_STARTED' } });
+    expect(await EventSessionService.updateBookings(registration, { session_scope: 'SESSIONS', session_ids: [] }))
+      .toMatchObject({ ok: false, status: 400, details: { code: 'NO_SESSIONS_SELECTED' } });
+  });
+
+  it('needs a registration that would be admitted at the gate', async () => {
+    const registration = { event_id: 'event-1', registration_status: 'CONFIRMED', registration_type: 'PAID', payment_status: 'PENDING' };
+
+    expect(await EventSessionService.updateBookings(registration, { session_scope: 'EVENT', session_ids: [] }))
+      .toMatchObject({ ok: false, status: 409, details: { code: 'REGISTRATION_NOT_CONFIRMED' } });
+  });
+});
+
+describe('CheckInService.scanEventSession', () => {
+  it('records attendance once and answers a repeat scan with the first one', async () => {
+    const event = await createEvent();
+    const session = await createSession(event, 'Keynote', { startsIn: 5 });
+    const { student, registration } = await register(event);
+    const before = await volunteerCounts();
+
+    const first = await scan(student, registration, session);
+    const again = await scan(student, registration, session);
+
+    expect(first).toMatchObject({ ok: true, already_attended: false });
+    expect(again).toMatchObject({ ok: true, already_attended: true, attendance: { id: first.attendance.id } });
+    expect(await volunteerCounts()).toEqual({
+      total_scans_performed: before.total_scans_performed + 1,
+      total_suppressed_scans: before.total_suppressed_scans + 1
+    });
+  });
+
+  it('lets whole-event registrants into unlimited sessions only', async () => {
+    const event = await createEvent();
+    const open = await createSession(event, 'Open Hall', { startsIn: 5 });
+    const limited = await createSession(event, 'Lab', { startsIn: 5, capacity: 10 });
+    const { student, registration } = await register(event);
+
+    expect((await scan(student, registration, open)).ok).toBe(true);
+    expect(await scan(student, registration, limited)).toMatchObject({ ok: false, status: 403, details: { code: 'SESSION_NOT_BOOKED' } });
+  });
+
+  it('admits students with a booking to a session with a capacity', async () => {
+    const event = await createEvent();
+    const session = await createSession(event, 'Workshop', { startsIn: 5, capacity: 1 });
+    const { student, registration } = await register(event);
+    const { registration: scoped } = await EventSessionService.updateBookings(registration, { session_scope: 'SESSIONS', session_ids: [session.id] });
+
+    expect(await scan(student, scoped, session)).toMatchObject({ ok: true, already_attended: false });
+  });
+
+  it('only takes scans from shortly before the start until the end', async () => {
+    const event = await createEvent();
+    const later = await createSession(event, 'Evening', { startsIn: CheckInService.EVENT_SESSION_CHECKIN_OPENS_MINUTES + 30 });
+    const ended = await createSession(event, 'Breakfast', { startsIn: -90 });
+    const { student, registration } = await register(event);
+
+    expect((await scan(student, registration, later)).details.code).toBe('SESSION_NOT_OPEN');
+    expect((await scan(student, registration, ended)).details.code).toBe('SESSION_ENDED');
+  });
+});
+
+describe('EventSessionService.getAttendanceReport', () => {
+  it('counts sessions attended per student against the completion minimum', async () => {
+    const event = await createEvent(2);
+    const sessions = await Promise.all(['One', 'Two', 'Three'].map((name) => createSession(event, name, { startsIn: 5 })));
+    const keen = await register(event);
+    const casual = await register(event);
+    await register(event);
+    for (const session of sessions.slice(0, 2)) {
+      await scan(keen.student, keen.registration, session);
+    }
+    await scan(casual.student, casual.registration, sessions[0]);
+
+    const report = await EventSessionService.getAttendanceReport(event);
+
+    expect(report.summary).toEqual({ total_sessions: 3, total_students: 3, completed: 1, attended_any: 2, attended_none: 1 });
+    expect(report.students[0]).toMatchObject({ student_id: keen.student.id, sessions_attended: 2, sessions_required: 2, completed: true });
+    expect((await EventSessionService.getAttendanceReport(event, 1)).summary.completed).toBe(2);
+  });
+});
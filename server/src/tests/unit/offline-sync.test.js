@@ -0,0 +1,169 @@
+// Offline Sync Tests - Idempotency key claims in CheckInService.replayOfflineScans
+import { jest } from '@jest/globals';
+import { readdirSync, readFileSync } from 'fs';
+import CheckInService from '../../services/checkIn.js';
+import OfflineScanReceiptModel from '../../models/OfflineScanReceipt.model.js';
+import EventVolunteerModel from '../../models/EventVolunteer.model.js';
+import Student from '../../models/Student.model.js';
+
+const VOLUNTEER_ID = '00000000-0000-0000-0000-000000000001';
+
+const scan = (key, overrides = {}) => ({
+  idempotency_key: key,
+  qr_code_token: 'token',
+  scanned_at: new Date(Date.now() - 60000).toISOString(),
+  ...overrides
+});
+
+describe('CheckInService.replayOfflineScans', () => {
+  let replayScan;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(EventVolunteerModel, 'findActiveAssignments').mockResolvedValue([]);
+    jest.spyOn(OfflineScanReceiptModel, 'findByKeys').mockResolvedValue([]);
+    jest.spyOn(OfflineScanReceiptModel, 'reserve').mockImplementation(async (data) => ({ id: `receipt-${data.idempotency_key}`, status: 'PENDING' }));
+    jest.spyOn(OfflineScanReceiptModel, 'complete').mockResolvedValue({});
+    jest.spyOn(OfflineScanReceiptModel, 'release').mockResolvedValue();
+    replayScan = jest.spyOn(CheckInService, 'replayScan').mockResolvedValue({
+      status: 'ACCEPTED',
+      check_in_out_id: 'check-1',
+      details: { action: 'ENTRY' }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('replays a scan only after claiming its key, then stores the outcome', async () => {
+    const results = await CheckInService.replayOfflineScans(VOLUNTEER_ID, [scan('k1')]);
+
+    expect(results).toEqual([{ idempotency_key: 'k1', status: 'ACCEPTED', action: 'ENTRY' }]);
+    expect(OfflineScanReceiptModel.reserve).toHaveBeenCalledWith(
+      expect.objectContaining({ volunteer_id: VOLUNTEER_ID, idempotency_key: 'k1' }),
+      CheckInService.SYNC_CLAIM_STALE_MINUTES
+    );
+    expect(OfflineScanReceiptModel.reserve.mock.invocationCallOrder[0])
+      .toBeLessThan(replayScan.mock.invocationCallOrder[0]);
+    expect(OfflineScanReceiptModel.complete).toHaveBeenCalledWith('receipt-k1', {
+      status: 'ACCEPTED',
+      check_in_out_id: 'check-1',
+      result: { action: 'ENTRY' }
+    });
+  });
+
+  it('does not replay a scan whose key another sync holds', async () => {
+    OfflineScanReceiptModel.reserve.mockResolvedValue(null);
+
+    const [result] = await CheckInService.replayOfflineScans(VOLUNTEER_ID, [scan('k1')]);
+
+    expect(replayScan).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ idempotency_key: 'k1', status: 'DUPLICATE', original_status: 'PENDING', retryable: true });
+  });
+
+  it('answers an already synced key from its receipt', async () => {
+    OfflineScanReceiptModel.findByKeys.mockResolvedValue([
+      { idempotency_key: 'k1', status: 'ACCEPTED', result: { action: 'EXIT' } }
+    ]);
+
+    const [result] = await CheckInService.replayOfflineScans(VOLUNTEER_ID, [scan('k1')]);
+
+    expect(OfflineScanReceiptModel.reserve).not.toHaveBeenCalled();
+    expect(replayScan).not.toHaveBeenCalled();
+    expect(result).toEqual({ idempotency_key: 'k1', status: 'DUPLICATE', original_status: 'ACCEPTED', action: 'EXIT' });
+  });
+
+  it('tries to take over a key left PENDING by an earlier request', async () => {
+    OfflineScanReceiptModel.findByKeys.mockResolvedValue([
+      { idempotency_key: 'k1', status: 'PENDING', result: {} }
+    ]);
+
+    const [result] = await CheckInService.replayOfflineScans(VOLUNTEER_ID, [scan('k1')]);
+
+    expect(OfflineScanReceiptModel.reserve).toHaveBeenCalledTimes(1);
+    expect(result.status).toBe('ACCEPTED');
+  });
+
+  it('gives the claim back when the replay fails, so the scan can be retried', async () => {
+    replayScan.mockRejectedValue(new Error('connection reset'));
+
+    const [result] = await CheckInService.replayOfflineScans(VOLUNTEER_ID, [scan('k1')]);
+
+    expect(OfflineScanReceiptModel.release).toHaveBeenCalledWith('receipt-k1');
+    expect(OfflineScanReceiptModel.complete).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ status: 'REJECTED', retryable: true });
+  });
+
+  it('rejects malformed scans and keys repeated within the batch without claiming them', async () => {
+    const results = await CheckInService.replayOfflineScans(VOLUNTEER_ID, [
+      scan(''),
+      scan('k1', { scanned_at: 'not a date' }),
+      scan('k2'),
+      scan('k2')
+    ]);
+
+    expect(results.map((result) => result.status)).toEqual(['REJECTED', 'REJECTED', 'DUPLICATE', 'ACCEPTED']);
+    expect(OfflineScanReceiptModel.reserve).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('CheckInService.replayOfflineScans - cooldown duplicates', () => {
+  const student = { id: 'student-1', registration_no: 'REG001' };
+  const eventContext = { event_id: 'event-1', scan_cooldown_seconds: 30 };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(EventVolunteerModel, 'findActiveAssignments').mockResolvedValue([]);
+    jest.spyOn(OfflineScanReceiptModel, 'findByKeys').mockResolvedValue([]);
+    jest.spyOn(OfflineScanReceiptModel, 'reserve').mockImplementation(async (data) => ({ id: `receipt-${data.idempotency_key}`, status: 'PENDING' }));
+    jest.spyOn(OfflineScanReceiptModel, 'complete').mockResolvedValue({});
+    jest.spyOn(OfflineScanReceiptModel, 'release').mockResolvedValue();
+    jest.spyOn(CheckInService, 'verifyStudentToken').mockReturnValue({ valid: true, registration_no: 'REG001' });
+    jest.spyOn(Student, 'findByRegistrationNo').mockResolvedValue(student);
+    jest.spyOn(CheckInService, 'resolveEventContext').mockResolvedValue({ resolved: true, assignment: null });
+    jest.spyOn(CheckInService, 'checkShift').mockResolvedValue({ allowed: true, assignment: null });
+    jest.spyOn(CheckInService, 'authorizeForEvent').mockResolvedValue({ allowed: true, eventContext, registration: {} });
+    jest.spyOn(CheckInService, 'getCooldownSeconds').mockReturnValue(30);
+    jest.spyOn(CheckInService, 'recordSuppressedScan').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores a repeat scan inside the cooldown as a DUPLICATE receipt', async () => {
+    const scannedAt = new Date(Date.now() - 60000);
+    jest.spyOn(CheckInService, 'getPresence').mockReturnValue({
+      is_inside_event: true,
+      last_check_in_at: new Date(scannedAt.getTime() - 10000).toISOString(),
+      last_check_out_at: null
+    });
+
+    const [result] = await CheckInService.replayOfflineScans(VOLUNTEER_ID, [scan('k1', { scanned_at: scannedAt.toISOString() })]);
+
+    expect(result).toMatchObject({ idempotency_key: 'k1', status: 'DUPLICATE', cooldown_seconds: 30 });
+    expect(OfflineScanReceiptModel.complete).toHaveBeenCalledWith('receipt-k1', expect.objectContaining({
+      status: 'DUPLICATE',
+      check_in_out_id: null
+    }));
+    expect(OfflineScanReceiptModel.release).not.toHaveBeenCalled();
+    expect(CheckInService.recordSuppressedScan).toHaveBeenCalledTimes(1);
+  });
+
+  it('allows every receipt status in the latest receipt status constraint', () => {
+    const migrationsDir = new URL('../../migrations/', import.meta.url);
+    const latest = readdirSync(migrationsDir)
+      .filter((file) => file.endsWith('.sql'))
+      .sort()
+      .map((file) => readFileSync(new URL(file, migrationsDir), 'utf8'))
+      .filter((sql) => sql.includes('ADD CONSTRAINT offline_scan_receipts_status_check'))
+      .at(-1);
+
+    for (const status of ['PENDING', 'ACCEPTED', 'DUPLICATE', 'REJECTED', 'CONFLICT']) {
+      expect(latest).toContain(`'${status}'`);
+    }
+  });
+});
@@ -0,0 +1,144 @@
+// Payment Reconciliation Tests - Stale PENDING checkouts settled from the Razorpay order state
+import { jest } from '@jest/globals';
+
+const pool = jest.fn();
+jest.unstable_mockModule('../../config/db.js', () => ({
+  pool,
+  query: pool,
+  default: { pool, query: pool }
+}));
+
+const { default: PaymentReconciliationService } = await import('../../services/paymentReconciliation.js');
+const { default: PaymentService } = await import('../../services/payment.js');
+const { default: PaymentWebhookService } = await import('../../services/paymentWebhook.js');
+const { default: SeatReservationService } = await import('../../services/seatReservation.js');
+const { default: EventRegistrationModel } = await import('../../models/EventRegistration.model.js');
+const { default: PaymentReconciliationRunModel } = await import('../../models/PaymentReconciliationRun.model.js');
+
+const stale = (id = 'registration-1', overrides = {}) => ({
+  id,
+  event_id: 'event-1',
+  payment_status: 'PENDING',
+  payment_amount: '499.00',
+  razorpay_order_id: `order_${id}`,
+  ...overrides
+});
+
+// Razorpay order state: order.status plus its payments (unknown orders fail the lookup)
+const razorpay = (orders) => {
+  jest.spyOn(PaymentService, 'getOrderDetails').mockImplementation(async (orderId) => {
+    if (!orders[orderId]) throw new Error('Failed to fetch order details');
+    return { id: orderId, status: orders[orderId].status };
+  });
+  jest.spyOn(PaymentService, 'getOrderPayments').mockImplementation(async (orderId) => orders[orderId].payments || []);
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(SeatReservationService, 'releaseCheckout').mockImplementation(async (id) => ({ id }));
+  jest.spyOn(PaymentWebhookService, 'applyCapturedPayment').mockResolvedValue({ outcome: 'COMPLETED' });
+  jest.spyOn(PaymentReconciliationRunModel, 'create').mockImplementation(async (report) => ({ id: 'run-1', ...report }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PaymentReconciliationService.reconcileRegistration', () => {
+  it('completes a checkout whose payment was captured, through the webhook path', async () => {
+    const registration = stale();
+    razorpay({ 'order_registration-1': { status: 'paid', payments: [{ id: 'pay_1', status: 'captured', amount: 49900 }] } });
+
+    const result = await PaymentReconciliationService.reconcileRegistration(registration);
+
+    expect(result.action).toBe('COMPLETED');
+    expect(PaymentWebhookService.applyCapturedPayment).toHaveBeenCalledWith(registration, { razorpay_payment_id: 'pay_1', amount: 49900 });
+    expect(SeatReservationService.releaseCheckout).not.toHaveBeenCalled();
+  });
+
+  it('skips a captured payment the webhook path did not complete', async () => {
+    PaymentWebhookService.applyCapturedPayment.mockResolvedValue({ outcome: 'DUPLICATE' });
+    razorpay({ 'order_registration-1': { status: 'paid', payments: [{ id: 'pay_1', status: 'captured', amount: 49900 }] } });
+
+    expect(await PaymentReconciliationService.reconcileRegistration(stale())).toEqual({
+      action: 'SKIPPED',
+      detail: 'Payment pay_1 captured (DUPLICATE)'
+    });
+  });
+
+  it('leaves an authorized payment for Razorpay to capture or void', async () => {
+    razorpay({ 'order_registration-1': { status: 'attempted', payments: [{ id: 'pay_1', status: 'authorized' }] } });
+
+    expect((await PaymentReconciliationService.reconcileRegistration(stale())).action).toBe('SKIPPED');
+    expect(SeatReservationService.releaseCheckout).not.toHaveBeenCalled();
+  });
+
+  it('fails a checkout whose every attempt failed and releases its hold', async () => {
+    razorpay({
+      'order_registration-1': { status: 'attempted', payments: [{ id: 'pay_1', status: 'failed', error_description: 'Card declined' }] }
+    });
+
+    const result = await PaymentReconciliationService.reconcileRegistration(stale());
+
+    expect(result).toEqual({ action: 'FAILED', detail: 'Card declined' });
+    expect(SeatReservationService.releaseCheckout).toHaveBeenCalledWith('registration-1', { orderId: 'order_registration-1', status: 'CANCELLED' });
+  });
+
+  it('expires a checkout that was never paid', async () => {
+    razorpay({ 'order_registration-1': { status: 'created' } });
+
+    expect((await PaymentReconciliationService.reconcileRegistration(stale())).action).toBe('EXPIRED');
+    expect(SeatReservationService.releaseCheckout).toHaveBeenCalledWith('registration-1', { orderId: 'order_registration-1', status: 'EXPIRED' });
+  });
+
+  it('skips a registration that changed while it was being reconciled', async () => {
+    SeatReservationService.releaseCheckout.mockResolvedValue(null);
+    razorpay({ 'order_registration-1': { status: 'created' } });
+
+    expect(await PaymentReconciliationService.reconcileRegistration(stale())).toEqual({
+      action: 'SKIPPED',
+      detail: 'Registration changed during reconciliation'
+    });
+  });
+});
+
+describe('PaymentReconciliationService.reconcile', () => {
+  it('does not store a report when there was nothing to reconcile', async () => {
+    jest.spyOn(EventRegistrationModel, 'findStalePendingPayments').mockResolvedValue([]);
+
+    const report = await PaymentReconciliationService.reconcile();
+
+    expect(report).toMatchObject({ trigger: 'SCHEDULED', checked: 0 });
+    expect(PaymentReconciliationRunModel.create).not.toHaveBeenCalled();
+  });
+
+  it('reports every action, counts them and keeps going past an error', async () => {
+    jest.spyOn(EventRegistrationModel, 'findStalePendingPayments').mockResolvedValue([stale('a'), stale('b'), stale('c')]);
+    razorpay({
+      order_a: { status: 'paid', payments: [{ id: 'pay_a', status: 'captured', amount: 49900 }] },
+      order_c: { status: 'created' }
+    });
+
+    const report = await PaymentReconciliationService.reconcile({ trigger: 'MANUAL', admin_id: 'admin-1' });
+
+    expect(EventRegistrationModel.findStalePendingPayments).toHaveBeenCalledWith(
+      PaymentReconciliationService.STALE_AFTER_MINUTES,
+      PaymentReconciliationService.MAX_PER_RUN
+    );
+    expect(report).toMatchObject({
+      id: 'run-1',
+      trigger: 'MANUAL',
+      triggered_by_admin_id: 'admin-1',
+      checked: 3,
+      completed: 1,
+      expired: 1,
+      errors: 1
+    });
+    expect(report.actions.map(({ registration_id, action }) => [registration_id, action])).toEqual([
+      ['a', 'COMPLETED'],
+      ['b', 'ERROR'],
+      ['c', 'EXPIRED']
+    ]);
+  });
+});
@@ -0,0 +1,84 @@
+// Payment Webhook Claim Tests - Which deliveries take an event, against a migrated in-process PostgreSQL
+import { jest } from '@jest/globals';
+import { createTestDatabase } from '../helpers/testDatabase.js';
+
+const database = createTestDatabase();
+jest.unstable_mockModule('../../config/db.js', () => database.module);
+
+const { default: PaymentWebhookEventModel } = await import('../../models/PaymentWebhookEvent.model.js');
+
+const { pool } = database;
+let eventCount = 0;
+
+const delivery = () => {
+  eventCount++;
+  return { event_id: `evt_claim_${eventCount}`, event_type: 'payment.captured', payload: { entity: 'event' } };
+};
+
+// Back-date the last claim of an event by `minutes`
+const claimedAgo = (eventId, minutes) => pool(
+  `UPDATE payment_webhook_events SET claimed_at = NOW() - make_interval(mins => $2) WHERE event_id = $1`,
+  [eventId, minutes]
+);
+
+const stored = async (eventId) => {
+  const [event] = await pool('SELECT status, attempts, error_message FROM payment_webhook_events WHERE event_id = $1', [eventId]);
+  return event;
+};
+
+beforeAll(async () => {
+  await database.ready;
+}, 120000);
+
+afterAll(async () => {
+  await database.close();
+});
+
+describe('PaymentWebhookEventModel.claim', () => {
+  it('gives an event to exactly one of several overlapping deliveries', async () => {
+    const data = delivery();
+
+    const claims = await Promise.all([1, 2, 3].map(() => PaymentWebhookEventModel.claim(data)));
+
+    expect(claims.filter(Boolean)).toHaveLength(1);
+    expect(await stored(data.event_id)).toMatchObject({ status: 'RECEIVED', attempts: 1 });
+  });
+
+  it('does not take an event another delivery is still processing', async () => {
+    const data = delivery();
+    await PaymentWebhookEventModel.claim(data);
+    await claimedAgo(data.event_id, PaymentWebhookEventModel.STALE_CLAIM_MINUTES - 1);
+
+    expect(await PaymentWebhookEventModel.claim(data)).toBeNull();
+  });
+
+  it('takes over an event whose claim went stale', async () => {
+    const data = delivery();
+    await PaymentWebhookEventModel.claim(data);
+    await claimedAgo(data.event_id, PaymentWebhookEventModel.STALE_CLAIM_MINUTES + 1);
+
+    const [first, second] = await Promise.all([PaymentWebhookEventModel.claim(data), PaymentWebhookEventModel.claim(data)]);
+
+    expect([first, second].filter(Boolean)).toHaveLength(1);
+    expect(await stored(data.event_id)).toMatchObject({ status: 'RECEIVED', attempts: 2 });
+  });
+
+  it('takes a failed event again and clears its error', async () => {
+    const data = delivery();
+    await PaymentWebhookEventModel.claim(data);
+    await PaymentWebhookEventModel.markFailed(data.event_id, 'Registration lookup failed');
+
+    expect(await PaymentWebhookEventModel.claim(data)).not.toBeNull();
+    expect(await stored(data.event_id)).toEqual({ status: 'RECEIVED', attempts: 2, error_message: null });
+  });
+
+  it('never takes a processed event again, however old', async () => {
+    const data = delivery();
+    await PaymentWebhookEventModel.claim(data);
+    await PaymentWebhookEventModel.markProcessed(data.event_id, 'COMPLETED');
+    await claimedAgo(data.event_id, 24 * 60);
+
+    expect(await PaymentWebhookEventModel.claim(data)).toBeNull();
+    expect(await stored(data.event_id)).toMatchObject({ status: 'PROCESSED', attempts: 1 });
+  });
+});
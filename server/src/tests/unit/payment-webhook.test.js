@@ -0,0 +1,242 @@
+// Payment Webhook Tests - Captured payments applied once, whichever path or delivery arrives first
+import { jest } from '@jest/globals';
+
+const pool = jest.fn();
+jest.unstable_mockModule('../../config/db.js', () => ({
+  pool,
+  query: pool,
+  default: { pool, query: pool }
+}));
+
+const { default: PaymentWebhookService } = await import('../../services/paymentWebhook.js');
+const { default: PaymentService } = await import('../../services/payment.js');
+const { default: RefundService } = await import('../../services/refund.js');
+const { default: SeatReservationService } = await import('../../services/seatReservation.js');
+const { default: EventRegistrationModel } = await import('../../models/EventRegistration.model.js');
+const { default: PaymentWebhookEventModel } = await import('../../models/PaymentWebhookEvent.model.js');
+
+const pending = (overrides = {}) => ({
+  id: 'registration-1',
+  payment_status: 'PENDING',
+  payment_amount: '499.00',
+  razorpay_order_id: 'order_1',
+  razorpay_payment_id: null,
+  refund_status: null,
+  ...overrides
+});
+
+const capturedBody = {
+  event: 'payment.captured',
+  payload: { payment: { entity: { id: 'pay_1', order_id: 'order_1', amount: 49900 } } }
+};
+
+describe('PaymentWebhookService.applyCapturedPayment', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(SeatReservationService, 'confirmPayment').mockResolvedValue(null);
+    jest.spyOn(EventRegistrationModel, 'recordLatePayment').mockResolvedValue(null);
+    jest.spyOn(EventRegistrationModel, 'findById').mockResolvedValue(null);
+    jest.spyOn(RefundService, 'issueRefund').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('confirms the seat for a pending registration', async () => {
+    const confirmed = pending({ payment_status: 'COMPLETED', razorpay_payment_id: 'pay_1' });
+    SeatReservationService.confirmPayment.mockResolvedValue(confirmed);
+
+    const result = await PaymentWebhookService.applyCapturedPayment(pending(), { razorpay_payment_id: 'pay_1', razorpay_signature: 'sig' });
+
+    expect(result).toEqual({ outcome: 'COMPLETED', registration: confirmed });
+    expect(SeatReservationService.confirmPayment).toHaveBeenCalledWith('registration-1', {
+      razorpay_payment_id: 'pay_1',
+      razorpay_signature: 'sig'
+    });
+    expect(EventRegistrationModel.recordLatePayment).not.toHaveBeenCalled();
+  });
+
+  it('reports the same payment again as ALREADY_COMPLETED without touching the row', async () => {
+    const registration = pending({ payment_status: 'COMPLETED', razorpay_payment_id: 'pay_1' });
+
+    const result = await PaymentWebhookService.applyCapturedPayment(registration, { razorpay_payment_id: 'pay_1' });
+
+    expect(result.outcome).toBe('ALREADY_COMPLETED');
+    expect(SeatReservationService.confirmPayment).not.toHaveBeenCalled();
+  });
+
+  it('flags a second payment for a paid registration as DUPLICATE_PAYMENT', async () => {
+    const registration = pending({ payment_status: 'COMPLETED', razorpay_payment_id: 'pay_1' });
+
+    const result = await PaymentWebhookService.applyCapturedPayment(registration, { razorpay_payment_id: 'pay_2' });
+
+    expect(result.outcome).toBe('DUPLICATE_PAYMENT');
+    expect(SeatReservationService.confirmPayment).not.toHaveBeenCalled();
+  });
+
+  it('refunds a payment that arrives after the seat was given up', async () => {
+    const late = pending({ payment_status: 'COMPLETED', razorpay_payment_id: 'pay_1', refund_status: 'PENDING' });
+    const refunding = { ...late, refund_status: 'PROCESSING' };
+    EventRegistrationModel.recordLatePayment.mockResolvedValue(late);
+    RefundService.issueRefund.mockResolvedValue(refunding);
+
+    const result = await PaymentWebhookService.applyCapturedPayment(pending({ payment_status: 'CANCELLED' }), { razorpay_payment_id: 'pay_1' });
+
+    expect(result).toEqual({ outcome: 'REFUND_OWED', registration: refunding });
+    expect(EventRegistrationModel.recordLatePayment).toHaveBeenCalledWith('registration-1', { razorpay_payment_id: 'pay_1', amount: '499.00' });
+  });
+
+  it('leaves a late payment owed when the immediate refund fails', async () => {
+    const late = pending({ payment_status: 'COMPLETED', razorpay_payment_id: 'pay_1', refund_status: 'PENDING' });
+    EventRegistrationModel.recordLatePayment.mockResolvedValue(late);
+    RefundService.issueRefund.mockRejectedValue(new Error('Razorpay unavailable'));
+
+    const result = await PaymentWebhookService.applyCapturedPayment(pending(), { razorpay_payment_id: 'pay_1', amount: 499 });
+
+    expect(result).toEqual({ outcome: 'REFUND_OWED', registration: late });
+  });
+
+  it('reports what the other path did when it got there first', async () => {
+    const current = pending({ payment_status: 'COMPLETED', razorpay_payment_id: 'pay_1' });
+    EventRegistrationModel.findById.mockResolvedValue(current);
+
+    const result = await PaymentWebhookService.applyCapturedPayment(pending(), { razorpay_payment_id: 'pay_1' });
+
+    expect(result).toEqual({ outcome: 'ALREADY_COMPLETED', registration: current });
+  });
+
+  it('ignores a payment the registration no longer matches', async () => {
+    const current = pending({ payment_status: 'COMPLETED', razorpay_payment_id: 'pay_other' });
+    EventRegistrationModel.findById.mockResolvedValue(current);
+
+    const result = await PaymentWebhookService.applyCapturedPayment(pending(), { razorpay_payment_id: 'pay_1' });
+
+    expect(result.outcome).toBe('IGNORED');
+  });
+});
+
+describe('PaymentWebhookService.process', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(PaymentWebhookEventModel, 'claim').mockResolvedValue({ event_id: 'evt_1' });
+    jest.spyOn(PaymentWebhookEventModel, 'markProcessed').mockResolvedValue(null);
+    jest.spyOn(PaymentWebhookEventModel, 'markFailed').mockResolvedValue(null);
+    jest.spyOn(EventRegistrationModel, 'findByOrderId').mockResolvedValue(pending());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('skips a delivery whose event ID was already claimed', async () => {
+    PaymentWebhookEventModel.claim.mockResolvedValue(null);
+    const apply = jest.spyOn(PaymentWebhookService, 'applyCapturedPayment');
+
+    expect(await PaymentWebhookService.process('evt_1', capturedBody)).toEqual({ duplicate: true, outcome: null });
+    expect(apply).not.toHaveBeenCalled();
+    expect(PaymentWebhookEventModel.markProcessed).not.toHaveBeenCalled();
+  });
+
+  it('applies a captured payment and stores its outcome', async () => {
+    const apply = jest.spyOn(PaymentWebhookService, 'applyCapturedPayment').mockResolvedValue({ outcome: 'COMPLETED' });
+
+    expect(await PaymentWebhookService.process('evt_1', capturedBody)).toEqual({ duplicate: false, outcome: 'COMPLETED' });
+    expect(apply).toHaveBeenCalledWith(pending(), { razorpay_payment_id: 'pay_1', amount: 499 });
+    expect(PaymentWebhookEventModel.markProcessed).toHaveBeenCalledWith('evt_1', 'COMPLETED');
+  });
+
+  it('records UNMATCHED for an order it does not know', async () => {
+    EventRegistrationModel.findByOrderId.mockResolvedValue(null);
+
+    expect((await PaymentWebhookService.process('evt_1', capturedBody)).outcome).toBe('UNMATCHED');
+  });
+
+  it('marks the delivery failed and rethrows so Razorpay retries', async () => {
+    jest.spyOn(PaymentService, 'handleWebhook').mockRejectedValue(new Error('bad payload'));
+
+    await expect(PaymentWebhookService.process('evt_1', capturedBody)).rejects.toThrow('bad payload');
+    expect(PaymentWebhookEventModel.markFailed).toHaveBeenCalledWith('evt_1', 'bad payload');
+  });
+});
+
+describe('PaymentWebhookService.process - overlapping deliveries', () => {
+  // payment_webhook_events rows, following the claim rules of PaymentWebhookEventModel
+  let rows;
+  const STALE_MS = PaymentWebhookEventModel.STALE_CLAIM_MINUTES * 60000;
+
+  beforeEach(() => {
+    rows = new Map();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(PaymentWebhookEventModel, 'claim').mockImplementation(async ({ event_id }) => {
+      const row = rows.get(event_id);
+      const takeOver = row && (row.status === 'FAILED' || (row.status === 'RECEIVED' && Date.now() - row.claimed_at > STALE_MS));
+      if (row && !takeOver) return null;
+
+      const claimed = { event_id, status: 'RECEIVED', claimed_at: Date.now(), attempts: (row?.attempts || 0) + 1 };
+      rows.set(event_id, claimed);
+      return claimed;
+    });
+    jest.spyOn(PaymentWebhookEventModel, 'markProcessed').mockImplementation(async (eventId, outcome) => {
+      Object.assign(rows.get(eventId), { status: 'PROCESSED', outcome });
+    });
+    jest.spyOn(PaymentWebhookEventModel, 'markFailed').mockImplementation(async (eventId) => {
+      Object.assign(rows.get(eventId), { status: 'FAILED' });
+    });
+    jest.spyOn(EventRegistrationModel, 'findByOrderId').mockResolvedValue(pending());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('applies a payment once when Razorpay redelivers while the first delivery is still processing', async () => {
+    let finishFirst;
+    const apply = jest.spyOn(PaymentWebhookService, 'applyCapturedPayment')
+      .mockImplementation(() => new Promise((resolve) => { finishFirst = () => resolve({ outcome: 'COMPLETED' }); }));
+
+    const first = PaymentWebhookService.process('evt_1', capturedBody);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const second = await PaymentWebhookService.process('evt_1', capturedBody);
+    finishFirst();
+
+    expect(second).toEqual({ duplicate: true, outcome: null });
+    expect(await first).toEqual({ duplicate: false, outcome: 'COMPLETED' });
+    expect(apply).toHaveBeenCalledTimes(1);
+    expect(rows.get('evt_1')).toMatchObject({ status: 'PROCESSED', attempts: 1 });
+  });
+
+  it('takes over an event whose delivery failed or stopped responding', async () => {
+    const apply = jest.spyOn(PaymentWebhookService, 'applyCapturedPayment').mockResolvedValue({ outcome: 'COMPLETED' });
+    rows.set('evt_failed', { event_id: 'evt_failed', status: 'FAILED', claimed_at: Date.now(), attempts: 1 });
+    rows.set('evt_stale', { event_id: 'evt_stale', status: 'RECEIVED', claimed_at: Date.now() - STALE_MS - 1000, attempts: 1 });
+
+    expect((await PaymentWebhookService.process('evt_failed', capturedBody)).duplicate).toBe(false);
+    expect((await PaymentWebhookService.process('evt_stale', capturedBody)).duplicate).toBe(false);
+    expect(apply).toHaveBeenCalledTimes(2);
+    expect(rows.get('evt_stale').attempts).toBe(2);
+  });
+});
+
+describe('PaymentWebhookEventModel.claim', () => {
+  beforeEach(() => {
+    pool.mockReset();
+  });
+
+  it('returns null when the event is processed or in flight (no row taken)', async () => {
+    pool.mockResolvedValue([]);
+
+    expect(await PaymentWebhookEventModel.claim({ event_id: 'evt_1', event_type: 'payment.captured', payload: {} })).toBeNull();
+    expect(pool.mock.calls[0][1]).toEqual(['evt_1', 'payment.captured', '{}', String(PaymentWebhookEventModel.STALE_CLAIM_MINUTES)]);
+  });
+
+  it('returns the claimed row', async () => {
+    pool.mockResolvedValue([{ event_id: 'evt_1', status: 'RECEIVED', attempts: 2 }]);
+
+    expect(await PaymentWebhookEventModel.claim({ event_id: 'evt_1', event_type: 'payment.captured', payload: {} }))
+      .toEqual({ event_id: 'evt_1', status: 'RECEIVED', attempts: 2 });
+  });
+});
@@ -0,0 +1,143 @@
+// QR Token Re-sign Tests - Re-signing stored tokens and retiring keys still on paper
+import { jest } from '@jest/globals';
+
+const logAuditEvent = jest.fn();
+jest.unstable_mockModule('../../utils/auditLogger.js', () => ({
+  logAuditEvent,
+  AuditEventType: { SIGNING_KEY_RETIRED: 'SIGNING_KEY_RETIRED', SIGNING_KEY_ROTATED: 'SIGNING_KEY_ROTATED' }
+}));
+
+const { runQRTokenResign } = await import('../../jobs/qrTokenResign.job.js');
+const { default: adminController } = await import('../../controllers/admin.controller.js');
+const { default: KeyRingService } = await import('../../services/keyRing.js');
+const { default: QRCodeService } = await import('../../services/qrCode.js');
+const { default: StallModel } = await import('../../models/Stall.model.js');
+const { default: StudentModel } = await import('../../models/Student.model.js');
+const { default: BadgeExportModel } = await import('../../models/BadgeExport.model.js');
+const { default: SigningKeyModel } = await import('../../models/SigningKey.model.js');
+
+const signedWith = (kid) => `token-${kid}`;
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const useRing = (keys) => {
+  jest.spyOn(KeyRingService, 'getKeys').mockReturnValue(keys);
+  jest.spyOn(KeyRingService, 'getSigningKey').mockReturnValue({ kid: keys[0].kid, secret: 's' });
+  jest.spyOn(KeyRingService, 'getTokenKid').mockImplementation((token) => token.replace('token-', ''));
+};
+
+describe('runQRTokenResign', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(StallModel, 'findSignedQRTokens').mockResolvedValue([]);
+    jest.spyOn(StudentModel, 'findQRTokensPage').mockResolvedValue([]);
+    jest.spyOn(StudentModel, 'replaceQRToken').mockResolvedValue(true);
+    jest.spyOn(QRCodeService, 'generateStudentQRToken').mockReturnValue(signedWith('new'));
+    jest.spyOn(QRCodeService, 'clearQRCache').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reads nothing while the signing key is the only usable one', async () => {
+    useRing([{ kid: 'new', activatedAt: 0 }]);
+
+    const summary = await runQRTokenResign();
+
+    expect(summary.students).toMatchObject({ skipped: true, checked: 0 });
+    expect(summary.stalls.skipped).toBe(true);
+    expect(StudentModel.findQRTokensPage).not.toHaveBeenCalled();
+    expect(StallModel.findSignedQRTokens).not.toHaveBeenCalled();
+  });
+
+  it('does not count a key that has not started signing as an older key', async () => {
+    useRing([{ kid: 'next', activatedAt: Date.now() + 60000 }, { kid: 'new', activatedAt: 0 }]);
+    KeyRingService.getSigningKey.mockReturnValue({ kid: 'new', secret: 's' });
+
+    expect((await runQRTokenResign()).students.skipped).toBe(true);
+  });
+
+  it('re-signs stored student tokens of an older key, page by page', async () => {
+    useRing([{ kid: 'new', activatedAt: 2 }, { kid: 'old', activatedAt: 1 }]);
+    StudentModel.findQRTokensPage
+      .mockResolvedValueOnce([
+        { id: 'student-1', registration_no: 'REG001', qr_code_token: signedWith('old') },
+        { id: 'student-2', registration_no: 'REG002', qr_code_token: signedWith('new') }
+      ])
+      .mockResolvedValueOnce([]);
+
+    const { students } = await runQRTokenResign();
+
+    expect(students).toMatchObject({ checked: 2, resigned: 1, failed: 0, skipped: false });
+    expect(StudentModel.replaceQRToken).toHaveBeenCalledWith('student-1', signedWith('old'), signedWith('new'), expect.any(Function));
+    expect(StudentModel.findQRTokensPage).toHaveBeenLastCalledWith('student-2', expect.any(Number), expect.any(Function));
+  });
+});
+
+describe('adminController.retireSigningKey', () => {
+  const request = (body = {}) => ({
+    params: { purpose: 'student_qr', kid: 'old' },
+    body,
+    user: { id: 'admin-1' },
+    ip: '127.0.0.1',
+    get: () => 'jest'
+  });
+
+  beforeEach(() => {
+    logAuditEvent.mockReset();
+    useRing([{ kid: 'new', activatedAt: 2 }, { kid: 'old', activatedAt: 1 }]);
+    jest.spyOn(SigningKeyModel, 'findByKid').mockResolvedValue({ id: 'key-1', kid: 'old', status: 'ACTIVE' });
+    jest.spyOn(StudentModel, 'findQRTokensPage').mockResolvedValue([]);
+    jest.spyOn(BadgeExportModel, 'countPrintedWithKey').mockResolvedValue(0);
+    jest.spyOn(KeyRingService, 'retire').mockResolvedValue({ id: 'key-1', kid: 'old', status: 'RETIRED' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refuses while stored tokens are still signed with the key', async () => {
+    StudentModel.findQRTokensPage
+      .mockResolvedValueOnce([{ id: 'student-1', qr_code_token: signedWith('old') }])
+      .mockResolvedValueOnce([]);
+    const res = mockResponse();
+
+    await adminController.retireSigningKey(request({ force: true }), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0].errors).toEqual({ code: 'KEY_IN_USE', stored_tokens: 1 });
+    expect(KeyRingService.retire).not.toHaveBeenCalled();
+  });
+
+  it('refuses a key printed on badge exports without force', async () => {
+    BadgeExportModel.countPrintedWithKey.mockResolvedValue(2);
+    const res = mockResponse();
+
+    await adminController.retireSigningKey(request(), res, jest.fn());
+
+    expect(BadgeExportModel.countPrintedWithKey).toHaveBeenCalledWith('old');
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0].errors).toEqual({ code: 'KEY_PRINTED', printed_exports: 2 });
+    expect(KeyRingService.retire).not.toHaveBeenCalled();
+  });
+
+  it('retires a printed key when forced, and audits it', async () => {
+    BadgeExportModel.countPrintedWithKey.mockResolvedValue(2);
+    const res = mockResponse();
+
+    await adminController.retireSigningKey(request({ force: true }), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(KeyRingService.retire).toHaveBeenCalledWith('STUDENT_QR', 'old');
+    expect(logAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+      metadata: { purpose: 'STUDENT_QR', kid: 'old', force: true, printed_exports: 2 }
+    }));
+  });
+});
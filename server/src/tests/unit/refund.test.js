@@ -0,0 +1,180 @@
+// Refund Service Tests - Refund policy tiers and sending refunds to Razorpay
+import { jest } from '@jest/globals';
+import RefundService from '../../services/refund.js';
+import PaymentService from '../../services/payment.js';
+import EventRegistrationModel from '../../models/EventRegistration.model.js';
+
+const NOW = new Date('2025-12-01T10:00:00Z');
+const hoursFromNow = (hours) => new Date(NOW.getTime() + hours * 3600000).toISOString();
+
+const paidRegistration = (overrides = {}) => ({
+  id: 'registration-1',
+  event_id: 'event-1',
+  registration_type: 'PAID',
+  payment_status: 'COMPLETED',
+  payment_amount: '499.00',
+  razorpay_payment_id: 'pay_1',
+  ...overrides
+});
+
+describe('RefundService.normalizeRules', () => {
+  it('sorts tiers from the earliest cancellation down', () => {
+    expect(RefundService.normalizeRules([
+      { hours_before_start: 24, refund_percent: 50 },
+      { hours_before_start: '72', refund_percent: '100' }
+    ])).toEqual([
+      { hours_before_start: 72, refund_percent: 100 },
+      { hours_before_start: 24, refund_percent: 50 }
+    ]);
+  });
+
+  it('keeps null (full refund until the start)', () => {
+    expect(RefundService.normalizeRules(null)).toBeNull();
+  });
+
+  it.each([
+    ['an empty list', []],
+    ['a non-list', { hours_before_start: 24, refund_percent: 50 }],
+    ['too many tiers', Array.from({ length: RefundService.MAX_RULES + 1 }, (_, hours) => ({ hours_before_start: hours, refund_percent: 10 }))],
+    ['fractional hours', [{ hours_before_start: 1.5, refund_percent: 50 }]],
+    ['negative hours', [{ hours_before_start: -1, refund_percent: 50 }]],
+    ['hours beyond a year', [{ hours_before_start: RefundService.MAX_HOURS_BEFORE_START + 1, refund_percent: 50 }]],
+    ['a percent over 100', [{ hours_before_start: 24, refund_percent: 101 }]],
+    ['a missing percent', [{ hours_before_start: 24 }]],
+    ['repeated hours', [{ hours_before_start: 24, refund_percent: 50 }, { hours_before_start: 24, refund_percent: 20 }]]
+  ])('rejects %s', (_, rules) => {
+    expect(() => RefundService.normalizeRules(rules)).toThrow();
+  });
+});
+
+describe('RefundService.calculateRefund', () => {
+  const event = {
+    refund_enabled: true,
+    start_date: hoursFromNow(48),
+    refund_rules: [
+      { hours_before_start: 72, refund_percent: 100 },
+      { hours_before_start: 24, refund_percent: 50 }
+    ]
+  };
+
+  it('applies the highest tier the cancellation still meets', () => {
+    expect(RefundService.calculateRefund(event, paidRegistration(), NOW)).toMatchObject({
+      amount: 249.5,
+      refund_percent: 50,
+      rule: { hours_before_start: 24, refund_percent: 50 }
+    });
+  });
+
+  it('refunds nothing past the last tier', () => {
+    const lateEvent = { ...event, start_date: hoursFromNow(12) };
+
+    expect(RefundService.calculateRefund(lateEvent, paidRegistration(), NOW)).toMatchObject({ amount: 0, rule: null });
+  });
+
+  it('refunds in full until the start without rules', () => {
+    const noRules = { ...event, refund_rules: null, start_date: hoursFromNow(1) };
+
+    expect(RefundService.calculateRefund(noRules, paidRegistration(), NOW)).toMatchObject({ amount: 499, refund_percent: 100 });
+  });
+
+  it('refunds nothing when refunds are disabled', () => {
+    expect(RefundService.calculateRefund({ ...event, refund_enabled: false }, paidRegistration(), NOW).amount).toBe(0);
+  });
+
+  it('refunds nothing without a completed payment', () => {
+    expect(RefundService.calculateRefund(event, paidRegistration({ payment_status: 'PENDING' }), NOW).amount).toBe(0);
+    expect(RefundService.calculateRefund(event, paidRegistration({ registration_type: 'FREE' }), NOW).amount).toBe(0);
+  });
+
+  it('rounds to the paisa', () => {
+    const thirdOff = { ...event, refund_rules: [{ hours_before_start: 0, refund_percent: 33.33 }] };
+
+    expect(RefundService.calculateRefund(thirdOff, paidRegistration({ payment_amount: '100.00' }), NOW).amount).toBe(33.33);
+  });
+});
+
+describe('RefundService.issueRefund', () => {
+  const claimed = (attempts) => paidRegistration({
+    refund_status: 'PROCESSING',
+    refund_amount: '249.50',
+    refund_reason: 'Cancelled 48h before start: 50% refund',
+    refund_attempts: attempts
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(EventRegistrationModel, 'recordRefundSent').mockImplementation(async (id, refundId) => ({ id, razorpay_refund_id: refundId, refund_status: 'PROCESSING' }));
+    jest.spyOn(EventRegistrationModel, 'recordRefundFailure').mockResolvedValue({ refund_status: 'PENDING' });
+    jest.spyOn(PaymentService, 'processRefund').mockResolvedValue({ id: 'rfnd_new', status: 'pending' });
+    jest.spyOn(PaymentService, 'getPaymentRefunds').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('does nothing when the refund is not PENDING (claimed elsewhere)', async () => {
+    jest.spyOn(EventRegistrationModel, 'claimRefund').mockResolvedValue(null);
+
+    expect(await RefundService.issueRefund('registration-1')).toBeNull();
+    expect(PaymentService.processRefund).not.toHaveBeenCalled();
+  });
+
+  it('sends the first attempt without looking up earlier refunds', async () => {
+    jest.spyOn(EventRegistrationModel, 'claimRefund').mockResolvedValue(claimed(1));
+
+    await RefundService.issueRefund('registration-1');
+
+    expect(PaymentService.getPaymentRefunds).not.toHaveBeenCalled();
+    expect(PaymentService.processRefund).toHaveBeenCalledWith(expect.objectContaining({
+      payment_id: 'pay_1',
+      amount: 249.5,
+      notes: expect.objectContaining({ registration_id: 'registration-1' })
+    }));
+    expect(EventRegistrationModel.recordRefundSent).toHaveBeenCalledWith('registration-1', 'rfnd_new');
+  });
+
+  it('picks up a refund an earlier failed-looking attempt created instead of sending again', async () => {
+    jest.spyOn(EventRegistrationModel, 'claimRefund').mockResolvedValue(claimed(2));
+    PaymentService.getPaymentRefunds.mockResolvedValue([
+      { id: 'rfnd_other', status: 'pending', notes: { registration_id: 'registration-2' } },
+      { id: 'rfnd_earlier', status: 'pending', notes: { registration_id: 'registration-1' } }
+    ]);
+
+    await RefundService.issueRefund('registration-1');
+
+    expect(PaymentService.processRefund).not.toHaveBeenCalled();
+    expect(EventRegistrationModel.recordRefundSent).toHaveBeenCalledWith('registration-1', 'rfnd_earlier');
+  });
+
+  it('sends again when the earlier refund failed at Razorpay', async () => {
+    jest.spyOn(EventRegistrationModel, 'claimRefund').mockResolvedValue(claimed(2));
+    PaymentService.getPaymentRefunds.mockResolvedValue([
+      { id: 'rfnd_failed', status: 'failed', notes: { registration_id: 'registration-1' } }
+    ]);
+
+    await RefundService.issueRefund('registration-1');
+
+    expect(PaymentService.processRefund).toHaveBeenCalledTimes(1);
+    expect(EventRegistrationModel.recordRefundSent).toHaveBeenCalledWith('registration-1', 'rfnd_new');
+  });
+
+  it('completes a refund Razorpay processed right away', async () => {
+    jest.spyOn(EventRegistrationModel, 'claimRefund').mockResolvedValue(claimed(1));
+    PaymentService.processRefund.mockResolvedValue({ id: 'rfnd_new', status: 'processed' });
+    const complete = jest.spyOn(RefundService, 'completeRefund').mockResolvedValue({ refund_status: 'PROCESSED' });
+
+    expect(await RefundService.issueRefund('registration-1')).toEqual({ refund_status: 'PROCESSED' });
+    expect(complete).toHaveBeenCalledWith(expect.objectContaining({ razorpay_refund_id: 'rfnd_new' }));
+  });
+
+  it('records a failed send for the refund job to retry', async () => {
+    jest.spyOn(EventRegistrationModel, 'claimRefund').mockResolvedValue(claimed(1));
+    PaymentService.processRefund.mockRejectedValue(new Error('Refund processing failed: timeout'));
+
+    await RefundService.issueRefund('registration-1');
+
+    expect(EventRegistrationModel.recordRefundFailure).toHaveBeenCalledWith('registration-1', 'Refund processing failed: timeout');
+  });
+});
@@ -0,0 +1,112 @@
+// Rotating Token Tests - One scan per rotating token per event, with and without Redis
+import { jest } from '@jest/globals';
+import QRCodeService from '../../services/qrCode.js';
+import redisClient from '../../config/redis.js';
+
+const student = { id: 'student-1', registration_no: '2024SGTU10042' };
+const defaults = {
+  max: QRCodeService.USED_TOKEN_FALLBACK_MAX,
+  sweepMs: QRCodeService.USED_TOKEN_FALLBACK_SWEEP_MS
+};
+let clock = 1_700_000_000_000;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(Date, 'now').mockImplementation(() => clock);
+});
+
+afterEach(() => {
+  QRCodeService.USED_TOKEN_FALLBACK_MAX = defaults.max;
+  QRCodeService.USED_TOKEN_FALLBACK_SWEEP_MS = defaults.sweepMs;
+  // Move well past every claim so the next test starts from a swept fallback
+  clock += 24 * 60 * 60 * 1000;
+  jest.restoreAllMocks();
+});
+
+describe('QRCodeService.consumeRotatingToken with Redis', () => {
+  it('consumes a token the first time it is claimed', async () => {
+    const setIfNotExists = jest.spyOn(redisClient, 'setIfNotExists').mockResolvedValue(true);
+
+    const result = await QRCodeService.consumeRotatingToken('token-a', 'event-1', { volunteer_id: 'v-1' }, 180);
+
+    expect(result).toEqual({ consumed: true });
+    expect(setIfNotExists).toHaveBeenCalledWith(
+      QRCodeService.getUsedTokenKey('token-a', 'event-1'),
+      expect.stringContaining('"volunteer_id":"v-1"'),
+      180
+    );
+  });
+
+  it('reports the first use when the token was already claimed', async () => {
+    const firstUse = { volunteer_id: 'v-1', used_at: '2025-12-01T10:00:00.000Z' };
+    jest.spyOn(redisClient, 'setIfNotExists').mockResolvedValue(false);
+    jest.spyOn(redisClient, 'get').mockResolvedValue(JSON.stringify(firstUse));
+
+    expect(await QRCodeService.consumeRotatingToken('token-a', 'event-1')).toEqual({ consumed: false, first_use: firstUse });
+  });
+
+  it('keys claims by event so one token can be used once at each event', () => {
+    const token = QRCodeService.generateRotatingStudentToken(student);
+
+    expect(QRCodeService.getUsedTokenKey(token, 'event-1')).not.toBe(QRCodeService.getUsedTokenKey(token, 'event-2'));
+  });
+});
+
+describe('QRCodeService.consumeRotatingToken without Redis', () => {
+  beforeEach(() => {
+    jest.spyOn(redisClient, 'setIfNotExists').mockResolvedValue(null);
+    jest.spyOn(redisClient, 'get').mockResolvedValue(null);
+    jest.spyOn(redisClient, 'del').mockResolvedValue(false);
+  });
+
+  it('detects reuse from process memory', async () => {
+    expect(await QRCodeService.consumeRotatingToken('token-b', 'event-1', { volunteer_id: 'v-1' }, 60)).toEqual({ consumed: true });
+
+    const reused = await QRCodeService.consumeRotatingToken('token-b', 'event-1', { volunteer_id: 'v-2' }, 60);
+
+    expect(reused.consumed).toBe(false);
+    expect(reused.first_use.volunteer_id).toBe('v-1');
+  });
+
+  it('lets a released token be claimed again', async () => {
+    await QRCodeService.consumeRotatingToken('token-c', 'event-1', {}, 60);
+    await QRCodeService.releaseRotatingToken('token-c', 'event-1');
+
+    expect(await QRCodeService.consumeRotatingToken('token-c', 'event-1', {}, 60)).toEqual({ consumed: true });
+  });
+
+  it('lets a claim lapse once its TTL has passed', async () => {
+    await QRCodeService.consumeRotatingToken('token-d', 'event-1', {}, 60);
+    clock += 61 * 1000;
+
+    expect(await QRCodeService.consumeRotatingToken('token-d', 'event-1', {}, 60)).toEqual({ consumed: true });
+  });
+
+  it('drops the oldest claims once the fallback is full', async () => {
+    QRCodeService.USED_TOKEN_FALLBACK_MAX = 2;
+
+    await QRCodeService.consumeRotatingToken('token-1', 'event-1', {}, 600);
+    await QRCodeService.consumeRotatingToken('token-2', 'event-1', {}, 600);
+    await QRCodeService.consumeRotatingToken('token-3', 'event-1', {}, 600);
+
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Used-token fallback full'));
+    expect((await QRCodeService.consumeRotatingToken('token-3', 'event-1', {}, 600)).consumed).toBe(false);
+    expect((await QRCodeService.consumeRotatingToken('token-1', 'event-1', {}, 600)).consumed).toBe(true);
+  });
+
+  it('sweeps expired claims at most once per sweep interval', async () => {
+    QRCodeService.USED_TOKEN_FALLBACK_SWEEP_MS = 60 * 1000;
+    await QRCodeService.consumeRotatingToken('token-e', 'event-1', {}, 1);
+    clock += 2 * 1000;
+
+    const entries = jest.spyOn(Map.prototype, Symbol.iterator);
+    await QRCodeService.consumeRotatingToken('token-f', 'event-1', {}, 600);
+    await QRCodeService.consumeRotatingToken('token-g', 'event-1', {}, 600);
+    expect(entries).not.toHaveBeenCalled();
+
+    clock += 60 * 1000;
+    await QRCodeService.consumeRotatingToken('token-h', 'event-1', {}, 600);
+    expect(entries).toHaveBeenCalledTimes(1);
+  });
+});
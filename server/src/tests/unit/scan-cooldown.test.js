@@ -0,0 +1,137 @@
+// Scan Cooldown Tests - Anti-passback window and duplicate-scan suppression at gates
+import { jest } from '@jest/globals';
+
+const query = jest.fn();
+jest.unstable_mockModule('../../config/db.js', () => ({ query, pool: query, default: { query, pool: query } }));
+
+const { default: CheckInService } = await import('../../services/checkIn.js');
+const { default: CheckInOut } = await import('../../models/CheckInOut.model.js');
+const { default: EventVolunteerModel } = await import('../../models/EventVolunteer.model.js');
+const { default: Student } = await import('../../models/Student.model.js');
+const { default: Volunteer } = await import('../../models/Volunteer.model.js');
+const { default: volunteerController } = await import('../../controllers/volunteer.controller.js');
+
+const VOLUNTEER_ID = '00000000-0000-0000-0000-000000000001';
+const EVENT_ID = '00000000-0000-0000-0000-0000000000e1';
+const student = { id: 'student-1', full_name: 'Asha Verma', registration_no: '2024SGTU10042' };
+const eventContext = { event_id: EVENT_ID, scan_cooldown_seconds: 30 };
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+beforeEach(() => {
+  query.mockReset().mockResolvedValue([]);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('CheckInService.getCooldownSeconds', () => {
+  it('uses the event setting, including 0 to turn the cooldown off', () => {
+    expect(CheckInService.getCooldownSeconds(eventContext)).toBe(30);
+    expect(CheckInService.getCooldownSeconds({ scan_cooldown_seconds: 0 })).toBe(0);
+  });
+
+  it('falls back to the default in legacy mode', () => {
+    expect(CheckInService.getCooldownSeconds(null)).toBe(CheckInService.DEFAULT_SCAN_COOLDOWN_SECONDS);
+  });
+});
+
+describe('CheckInService.checkCooldown', () => {
+  it('suppresses a repeat scan inside the window', async () => {
+    const previous = { scan_type: 'CHECKIN', seconds_since_scan: 4.7 };
+    jest.spyOn(CheckInOut, 'findLatestScan').mockResolvedValue(previous);
+
+    const cooldown = await CheckInService.checkCooldown(student, { eventContext });
+
+    expect(CheckInOut.findLatestScan).toHaveBeenCalledWith(student.id, EVENT_ID, query);
+    expect(cooldown).toEqual({ suppressed: true, previous, cooldown_seconds: 30, seconds_since_last_scan: 4 });
+  });
+
+  it('lets a scan through once the window has passed', async () => {
+    jest.spyOn(CheckInOut, 'findLatestScan').mockResolvedValue({ scan_type: 'CHECKIN', seconds_since_scan: 30 });
+
+    expect(await CheckInService.checkCooldown(student, { eventContext })).toEqual({ suppressed: false });
+  });
+
+  it('does not look up earlier scans when the cooldown is off', async () => {
+    jest.spyOn(CheckInOut, 'findLatestScan');
+
+    const cooldown = await CheckInService.checkCooldown(student, { eventContext: { event_id: EVENT_ID, scan_cooldown_seconds: 0 } });
+
+    expect(cooldown).toEqual({ suppressed: false });
+    expect(CheckInOut.findLatestScan).not.toHaveBeenCalled();
+  });
+});
+
+describe('CheckInService.recordSuppressedScan', () => {
+  it('counts the scan against the volunteer for the event and overall', async () => {
+    jest.spyOn(EventVolunteerModel, 'incrementSuppressedCount').mockResolvedValue({});
+
+    await CheckInService.recordSuppressedScan(VOLUNTEER_ID, eventContext);
+
+    expect(EventVolunteerModel.incrementSuppressedCount).toHaveBeenCalledWith(EVENT_ID, VOLUNTEER_ID);
+    expect(query).toHaveBeenCalledWith(expect.stringContaining('total_suppressed_scans'), [VOLUNTEER_ID]);
+  });
+
+  it('only counts overall in legacy mode', async () => {
+    jest.spyOn(EventVolunteerModel, 'incrementSuppressedCount');
+
+    await CheckInService.recordSuppressedScan(VOLUNTEER_ID, null);
+
+    expect(EventVolunteerModel.incrementSuppressedCount).not.toHaveBeenCalled();
+    expect(query).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('volunteerController.scanStudentQR', () => {
+  const req = () => ({
+    body: { qr_code_token: 'token' },
+    user: { id: VOLUNTEER_ID, email: 'gate@test.local' },
+    volunteerAssignment: eventContext
+  });
+
+  beforeEach(() => {
+    jest.spyOn(CheckInService, 'verifyStudentToken').mockReturnValue({ valid: true, registration_no: student.registration_no });
+  });
+
+  it('answers 404 for an unknown student without further queries', async () => {
+    jest.spyOn(Student, 'findByRegistrationNo').mockResolvedValue(null);
+    const res = mockResponse();
+
+    await volunteerController.scanStudentQR(req(), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it('returns the previous result for a repeat scan without recording a new one', async () => {
+    const previous = { scan_type: 'CHECKIN', scanned_at: '2025-12-01T10:00:00.000Z', seconds_since_scan: 3 };
+    jest.spyOn(Student, 'findByRegistrationNo').mockResolvedValue(student);
+    jest.spyOn(Volunteer, 'findById').mockResolvedValue({ id: VOLUNTEER_ID, is_active: true });
+    jest.spyOn(CheckInService, 'checkShift').mockResolvedValue({ allowed: true, assignment: eventContext });
+    jest.spyOn(CheckInService, 'authorizeForEvent').mockResolvedValue({ allowed: true, eventContext, registration: {} });
+    jest.spyOn(CheckInService, 'getPresence').mockReturnValue({ is_inside_event: true, scan_count: 1, last_check_in_at: previous.scanned_at });
+    jest.spyOn(CheckInOut, 'findLatestScan').mockResolvedValue(previous);
+    jest.spyOn(CheckInService, 'recordSuppressedScan').mockResolvedValue();
+    jest.spyOn(CheckInService, 'claimToken');
+    const res = mockResponse();
+
+    await volunteerController.scanStudentQR(req(), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].data).toMatchObject({
+      action: 'ENTRY',
+      duplicate_suppressed: true,
+      cooldown: { cooldown_seconds: 30, seconds_since_last_scan: 3, previous_scan_at: previous.scanned_at }
+    });
+    expect(CheckInService.recordSuppressedScan).toHaveBeenCalledWith(VOLUNTEER_ID, eventContext);
+    expect(CheckInService.claimToken).not.toHaveBeenCalled();
+  });
+});
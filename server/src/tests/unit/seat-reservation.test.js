@@ -0,0 +1,222 @@
+// Seat Reservation Tests - Seat counters against a migrated in-process PostgreSQL
+import { jest } from '@jest/globals';
+import { createTestDatabase } from '../helpers/testDatabase.js';
+
+const database = createTestDatabase();
+jest.unstable_mockModule('../../config/db.js', () => database.module);
+
+const { default: SeatReservationService } = await import('../../services/seatReservation.js');
+const { default: EventRegistrationModel } = await import('../../models/EventRegistration.model.js');
+
+const { pool } = database;
+let schoolId;
+let managerId;
+let studentCount = 0;
+
+const createStudent = async () => {
+  studentCount++;
+  const [student] = await pool(
+    `INSERT INTO students (registration_no, password_hash, full_name, school_id)
+     VALUES ($1, 'hash', $2, $3) RETURNING id`,
+    [`2025TEST${String(studentCount).padStart(5, '0')}`, `Student ${studentCount}`, schoolId]
+  );
+  return student.id;
+};
+
+const createEvent = async ({ capacity = 2, eventType = 'FREE', waitlist = false } = {}) => {
+  const [event] = await pool(
+    `INSERT INTO events (
+       event_name, event_code, event_type, price, max_capacity, status, waitlist_enabled,
+       start_date, end_date, registration_start_date, registration_end_date, created_by_manager_id
+     )
+     VALUES ($1, $1, $2, $3, $4, 'APPROVED', $5,
+       NOW() + interval '7 days', NOW() + interval '8 days', NOW() - interval '1 day', NOW() + interval '6 days', $6)
+     RETURNING id`,
+    [`EVT-${Math.random().toString(36).slice(2, 10)}`, eventType, eventType === 'PAID' ? 499 : 0, capacity, waitlist, managerId]
+  );
+  return event.id;
+};
+
+const seats = async (eventId) => {
+  const [event] = await pool('SELECT current_registrations, seats_held FROM events WHERE id = $1', [eventId]);
+  return event;
+};
+
+const checkout = (orderId) => ({ amount: 499, currency: 'INR', razorpay_order_id: orderId });
+
+beforeAll(async () => {
+  await database.ready;
+  [{ id: schoolId }] = await pool(`INSERT INTO schools (school_name) VALUES ('School of Testing') RETURNING id`);
+  [{ id: managerId }] = await pool(
+    `INSERT INTO event_managers (email, password_hash, full_name) VALUES ('manager@test.local', 'hash', 'Manager') RETURNING id`
+  );
+}, 120000);
+
+afterAll(async () => {
+  await database.close();
+});
+
+describe('SeatReservationService.registerFree', () => {
+  it('never fills more seats than exist when requests race at capacity', async () => {
+    const eventId = await createEvent({ capacity: 2 });
+    const students = await Promise.all([1, 2, 3, 4, 5].map(createStudent));
+
+    const results = await Promise.all(students.map((studentId) => SeatReservationService.registerFree(eventId, studentId)));
+
+    expect(results.filter(Boolean)).toHaveLength(2);
+    expect(await seats(eventId)).toEqual({ current_registrations: 2, seats_held: 0 });
+  });
+
+  it('registers a student only once', async () => {
+    const eventId = await createEvent({ capacity: 5 });
+    const studentId = await createStudent();
+
+    const [first, second] = await Promise.all([
+      SeatReservationService.registerFree(eventId, studentId),
+      SeatReservationService.registerFree(eventId, studentId)
+    ]);
+
+    expect([first, second].filter(Boolean)).toHaveLength(1);
+    expect((await seats(eventId)).current_registrations).toBe(1);
+  });
+
+  it('leaves a free seat to the student first in line on the waitlist', async () => {
+    const eventId = await createEvent({ capacity: 1, waitlist: true });
+    await EventRegistrationModel.joinWaitlist(eventId, await createStudent());
+
+    expect(await SeatReservationService.registerFree(eventId, await createStudent())).toBeNull();
+    expect((await seats(eventId)).current_registrations).toBe(0);
+  });
+});
+
+describe('SeatReservationService checkout holds', () => {
+  it('holds a seat during checkout so nobody else can take it', async () => {
+    const eventId = await createEvent({ capacity: 1, eventType: 'PAID' });
+
+    const held = await SeatReservationService.holdForCheckout(eventId, await createStudent(), checkout('order_1'));
+    const other = await SeatReservationService.holdForCheckout(eventId, await createStudent(), checkout('order_2'));
+
+    expect(held.seat_hold_expires_at).not.toBeNull();
+    expect(other).toBeNull();
+    expect(await seats(eventId)).toEqual({ current_registrations: 0, seats_held: 1 });
+  });
+
+  it('turns the hold into a taken seat once, however often the payment is confirmed', async () => {
+    const eventId = await createEvent({ capacity: 1, eventType: 'PAID' });
+    const held = await SeatReservationService.holdForCheckout(eventId, await createStudent(), checkout('order_1'));
+
+    const [webhook, browser] = await Promise.all([
+      SeatReservationService.confirmPayment(held.id, { razorpay_payment_id: 'pay_1' }),
+      SeatReservationService.confirmPayment(held.id, { razorpay_payment_id: 'pay_1', razorpay_signature: 'sig' })
+    ]);
+
+    expect([webhook, browser].filter(Boolean)).toHaveLength(1);
+    expect(await seats(eventId)).toEqual({ current_registrations: 1, seats_held: 0 });
+  });
+
+  it('gives an expired hold back so the seat can be taken again', async () => {
+    const eventId = await createEvent({ capacity: 1, eventType: 'PAID' });
+    const held = await SeatReservationService.holdForCheckout(eventId, await createStudent(), checkout('order_1'));
+    await pool(`UPDATE event_registrations SET seat_hold_expires_at = NOW() - interval '1 minute' WHERE id = $1`, [held.id]);
+
+    const released = await SeatReservationService.releaseExpiredHolds();
+
+    expect(released.map((registration) => registration.id)).toContain(held.id);
+    expect(await seats(eventId)).toEqual({ current_registrations: 0, seats_held: 0 });
+    expect(await SeatReservationService.holdForCheckout(eventId, await createStudent(), checkout('order_2'))).not.toBeNull();
+  });
+
+  it('releases a checkout only for the order it was opened with', async () => {
+    const eventId = await createEvent({ capacity: 1, eventType: 'PAID' });
+    const held = await SeatReservationService.holdForCheckout(eventId, await createStudent(), checkout('order_1'));
+
+    expect(await SeatReservationService.releaseCheckout(held.id, { orderId: 'order_other' })).toBeNull();
+    expect((await seats(eventId)).seats_held).toBe(1);
+
+    expect(await SeatReservationService.releaseCheckout(held.id, { orderId: 'order_1' })).not.toBeNull();
+    expect((await seats(eventId)).seats_held).toBe(0);
+  });
+});
+
+describe('SeatReservationService.cancel', () => {
+  it('releases the seat once and records the refund owed', async () => {
+    const eventId = await createEvent({ capacity: 1 });
+    const registration = await SeatReservationService.registerFree(eventId, await createStudent());
+
+    const [first, second] = await Promise.all([
+      SeatReservationService.cancel(registration.id, { amount: 100, reason: 'Cancelled early' }),
+      SeatReservationService.cancel(registration.id)
+    ]);
+
+    expect([first, second].filter(Boolean)).toHaveLength(1);
+    expect(first).toMatchObject({ registration_status: 'CANCELLED', previous_status: 'CONFIRMED', held_seat: true, refund_status: 'PENDING' });
+    expect((await seats(eventId)).current_registrations).toBe(0);
+  });
+
+  it('lets the student take a seat again on the same row once the cancellation is settled', async () => {
+    const eventId = await createEvent({ capacity: 1 });
+    const studentId = await createStudent();
+    const registration = await SeatReservationService.registerFree(eventId, studentId);
+    await SeatReservationService.cancel(registration.id);
+
+    const again = await SeatReservationService.registerFree(eventId, studentId);
+
+    expect(again).toMatchObject({ id: registration.id, registration_status: 'CONFIRMED' });
+    expect((await seats(eventId)).current_registrations).toBe(1);
+  });
+
+  it('keeps a cancelled registration with a refund still owed from registering again', async () => {
+    const eventId = await createEvent({ capacity: 2, eventType: 'PAID' });
+    const studentId = await createStudent();
+    const held = await SeatReservationService.holdForCheckout(eventId, studentId, checkout('order_1'));
+    await SeatReservationService.confirmPayment(held.id, { razorpay_payment_id: 'pay_1' });
+    await SeatReservationService.cancel(held.id, { amount: 499, reason: 'Full refund' });
+
+    expect(await SeatReservationService.holdForCheckout(eventId, studentId, checkout('order_2'))).toBeNull();
+    expect(await seats(eventId)).toEqual({ current_registrations: 0, seats_held: 0 });
+  });
+});
+
+describe('SeatReservationService.recountSeats', () => {
+  it('agrees with the counters the other statements kept', async () => {
+    const eventId = await createEvent({ capacity: 3, eventType: 'PAID' });
+    const paid = await SeatReservationService.holdForCheckout(eventId, await createStudent(), checkout('order_1'));
+    await SeatReservationService.confirmPayment(paid.id, { razorpay_payment_id: 'pay_1' });
+    await SeatReservationService.holdForCheckout(eventId, await createStudent(), checkout('order_2'));
+    const before = await seats(eventId);
+
+    const [recounted] = await SeatReservationService.recountSeats(eventId);
+
+    expect(before).toEqual({ current_registrations: 1, seats_held: 1 });
+    expect(recounted).toMatchObject(before);
+  });
+});
+
+describe('EventRegistrationModel.isSettledCancellation', () => {
+  const cancelled = (overrides = {}) => ({
+    registration_status: 'CANCELLED',
+    payment_status: 'COMPLETED',
+    cancelled_at: '2025-12-01T10:00:00Z',
+    refund_status: null,
+    ...overrides
+  });
+
+  it('is settled once the student cancelled and no refund is owed', () => {
+    expect(EventRegistrationModel.isSettledCancellation(cancelled())).toBe(true);
+    expect(EventRegistrationModel.isSettledCancellation(cancelled({ refund_status: 'PROCESSED' }))).toBe(true);
+  });
+
+  it('is settled for a refunded payment without a cancellation time', () => {
+    expect(EventRegistrationModel.isSettledCancellation(cancelled({ cancelled_at: null, payment_status: 'REFUNDED' }))).toBe(true);
+  });
+
+  it('is not settled while the refund is still owed', () => {
+    expect(EventRegistrationModel.isSettledCancellation(cancelled({ refund_status: 'PENDING' }))).toBe(false);
+    expect(EventRegistrationModel.isSettledCancellation(cancelled({ refund_status: 'PROCESSING' }))).toBe(false);
+  });
+
+  it('does not cover a closed checkout or an active registration', () => {
+    expect(EventRegistrationModel.isSettledCancellation(cancelled({ cancelled_at: null, payment_status: 'FAILED' }))).toBe(false);
+    expect(EventRegistrationModel.isSettledCancellation(cancelled({ registration_status: 'CONFIRMED' }))).toBe(false);
+  });
+});
@@ -0,0 +1,91 @@
+// Signed QR Token Tests - Layout and verification of Ed25519 compact student tokens
+import { jest } from '@jest/globals';
+import QRCodeService from '../../services/qrCode.js';
+import KeyRingService from '../../services/keyRing.js';
+
+const student = { registration_no: '2024SGTU10042' };
+
+// Flip one byte of the token payload (offset into the decoded bytes)
+const tamper = (token, offset) => {
+  const bytes = Buffer.from(token.slice(QRCodeService.SIGNED_TOKEN_PREFIX.length), 'base64url');
+  bytes[offset] ^= 0x01;
+  return QRCodeService.SIGNED_TOKEN_PREFIX + bytes.toString('base64url');
+};
+
+describe('QRCodeService.decodeSignedToken', () => {
+  it('splits a token into header fields, subject and signature', () => {
+    const token = QRCodeService.generateSignedStudentToken(student);
+    const decoded = QRCodeService.decodeSignedToken(token);
+
+    expect(decoded.type).toBe(QRCodeService.SIGNED_TOKEN_TYPES.STUDENT);
+    expect(decoded.key_id).toHaveLength(4);
+    expect(decoded.time_window).toBe(QRCodeService.getCurrentTimeWindow());
+    expect(decoded.subject).toBe(student.registration_no);
+    expect(decoded.data).toHaveLength(QRCodeService.SIGNED_HEADER_BYTES + student.registration_no.length);
+    expect(decoded.signature).toHaveLength(QRCodeService.SIGNATURE_BYTES);
+  });
+
+  it('keeps multi-byte registration numbers intact', () => {
+    const token = QRCodeService.generateSignedStudentToken({ registration_no: 'ŚGTU-7' });
+
+    expect(QRCodeService.decodeSignedToken(token).subject).toBe('ŚGTU-7');
+  });
+
+  it('returns null for tokens that are not signed compact tokens', () => {
+    expect(QRCodeService.decodeSignedToken('eyJhbGciOiJIUzI1NiJ9.e30.sig')).toBeNull();
+    expect(QRCodeService.decodeSignedToken(null)).toBeNull();
+  });
+
+  it('returns null when the length does not match the header', () => {
+    const token = QRCodeService.generateSignedStudentToken(student);
+
+    expect(QRCodeService.decodeSignedToken(token.slice(0, -4))).toBeNull();
+    expect(QRCodeService.decodeSignedToken(`${token}AAAA`)).toBeNull();
+    expect(QRCodeService.decodeSignedToken(`${QRCodeService.SIGNED_TOKEN_PREFIX}AAAA`)).toBeNull();
+  });
+});
+
+describe('QRCodeService.verifySignedStudentToken', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts a fresh token as a single-use (non-static) token', () => {
+    const token = QRCodeService.generateSignedStudentToken(student);
+
+    expect(QRCodeService.verifySignedStudentToken(token)).toEqual({
+      valid: true,
+      registration_no: student.registration_no,
+      time_window: QRCodeService.getCurrentTimeWindow(),
+      isStatic: false
+    });
+  });
+
+  it('rejects a token whose subject was changed', () => {
+    const token = QRCodeService.generateSignedStudentToken(student);
+
+    expect(QRCodeService.verifySignedStudentToken(tamper(token, QRCodeService.SIGNED_HEADER_BYTES))).toEqual({ valid: false });
+  });
+
+  it('rejects a token signed with an unknown key and reloads the key ring', () => {
+    const refresh = jest.spyOn(KeyRingService, 'requestRefresh').mockImplementation(() => {});
+    const token = QRCodeService.generateSignedStudentToken(student);
+
+    expect(QRCodeService.verifySignedStudentToken(tamper(token, 1))).toEqual({ valid: false });
+    expect(refresh).toHaveBeenCalled();
+  });
+
+  it('expires a token after the grace windows, checked against the scan time', () => {
+    const token = QRCodeService.generateSignedStudentToken(student);
+    const windowMs = QRCodeService.ROTATION_INTERVAL_SECONDS * 1000;
+
+    expect(QRCodeService.verifySignedStudentToken(token, Date.now() + (QRCodeService.GRACE_PERIOD_WINDOWS + 1) * windowMs))
+      .toEqual({ valid: false, expired: true });
+    expect(QRCodeService.verifySignedStudentToken(token, Date.now() - windowMs))
+      .toEqual({ valid: false, expired: true });
+  });
+});
@@ -0,0 +1,150 @@
+// Student Registration Tests - Cancelling a registration and registering again afterwards
+import { jest } from '@jest/globals';
+
+const logAuditEvent = jest.fn();
+jest.unstable_mockModule('../../utils/auditLogger.js', () => ({
+  logAuditEvent,
+  AuditEventType: { REGISTRATION_CANCELLED: 'REGISTRATION_CANCELLED' }
+}));
+
+const { default: studentController } = await import('../../controllers/student.controller.js');
+const { default: EventModel } = await import('../../models/Event.model.js');
+const { default: EventRegistrationModel } = await import('../../models/EventRegistration.model.js');
+const { default: EventSessionModel } = await import('../../models/EventSession.model.js');
+const { default: SeatReservationService } = await import('../../services/seatReservation.js');
+const { default: RefundService } = await import('../../services/refund.js');
+const { default: PaymentService } = await import('../../services/payment.js');
+const { default: WaitlistService } = await import('../../services/waitlist.js');
+
+const inDays = (days) => new Date(Date.now() + days * 24 * 3600000).toISOString();
+
+const event = (overrides = {}) => ({
+  id: 'event-1',
+  event_name: 'Hackathon',
+  event_type: 'FREE',
+  status: 'APPROVED',
+  currency: 'INR',
+  price: 499,
+  start_date: inDays(7),
+  max_capacity: 100,
+  current_registrations: 10,
+  seats_held: 0,
+  waitlist_enabled: false,
+  ...overrides
+});
+
+const request = (body = {}) => ({
+  params: { eventId: 'event-1' },
+  user: { id: 'student-1' },
+  body,
+  ip: '127.0.0.1',
+  get: () => 'jest'
+});
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('studentController.cancelRegistration', () => {
+  beforeEach(() => {
+    logAuditEvent.mockReset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(EventModel, 'findById').mockResolvedValue(event());
+    jest.spyOn(EventRegistrationModel, 'findByEventAndStudent').mockResolvedValue({
+      id: 'registration-1',
+      registration_status: 'CONFIRMED',
+      registration_type: 'FREE',
+      payment_status: 'NOT_REQUIRED'
+    });
+    jest.spyOn(EventSessionModel, 'releaseRegistrationBookings').mockResolvedValue();
+    jest.spyOn(WaitlistService, 'promote').mockResolvedValue(null);
+    jest.spyOn(RefundService, 'issueRefund').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('cancels and hands the seat to the waitlist', async () => {
+    jest.spyOn(SeatReservationService, 'cancel').mockResolvedValue({ id: 'registration-1', previous_status: 'CONFIRMED', held_seat: true });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await studentController.cancelRegistration(request(), res, next);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(WaitlistService.promote).toHaveBeenCalledWith('event-1');
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('answers 409 when another request cancelled it first', async () => {
+    jest.spyOn(SeatReservationService, 'cancel').mockResolvedValue(null);
+    const res = mockResponse();
+
+    await studentController.cancelRegistration(request(), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0].message).toBe('This registration has already been cancelled');
+    expect(EventSessionModel.releaseRegistrationBookings).not.toHaveBeenCalled();
+  });
+
+  it('passes database failures to the error handler instead of answering 409', async () => {
+    const failure = new Error('Connection terminated unexpectedly');
+    jest.spyOn(SeatReservationService, 'cancel').mockRejectedValue(failure);
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await studentController.cancelRegistration(request(), res, next);
+
+    expect(next).toHaveBeenCalledWith(failure);
+    expect(res.status).not.toHaveBeenCalled();
+  });
+});
+
+describe('registering again after cancelling', () => {
+  const cancelled = (overrides = {}) => ({
+    id: 'registration-1',
+    registration_status: 'CANCELLED',
+    payment_status: 'COMPLETED',
+    cancelled_at: inDays(-1),
+    refund_status: null,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(EventModel, 'isRegistrationOpen').mockResolvedValue({ open: true });
+    jest.spyOn(PaymentService, 'createOrder').mockResolvedValue({ order_id: 'order_2' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('registers a free event again over a settled cancellation', async () => {
+    jest.spyOn(EventModel, 'findById').mockResolvedValue(event());
+    jest.spyOn(EventRegistrationModel, 'findByEventAndStudent').mockResolvedValue(cancelled({ payment_status: 'NOT_REQUIRED' }));
+    jest.spyOn(SeatReservationService, 'registerFree').mockResolvedValue({ id: 'registration-1', registration_status: 'CONFIRMED' });
+    const res = mockResponse();
+
+    await studentController.registerForFreeEvent(request(), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(SeatReservationService.registerFree).toHaveBeenCalledWith('event-1', 'student-1');
+  });
+
+  it('does not create an order while the refund of the cancelled registration is owed', async () => {
+    jest.spyOn(EventModel, 'findById').mockResolvedValue(event({ event_type: 'PAID' }));
+    jest.spyOn(EventRegistrationModel, 'findByEventAndStudent').mockResolvedValue(cancelled({ refund_status: 'PROCESSING' }));
+    const res = mockResponse();
+
+    await studentController.initiatePaidEventPayment(request(), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0].errors).toEqual({ refund_status: 'PROCESSING' });
+    expect(PaymentService.createOrder).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,153 @@
+// Volunteer Shift Report Tests - Scans per shift from gates, zones and session doors, against a migrated in-process PostgreSQL
+import { jest } from '@jest/globals';
+import { createTestDatabase } from '../helpers/testDatabase.js';
+
+const database = createTestDatabase();
+jest.unstable_mockModule('../../config/db.js', () => database.module);
+
+const { default: VolunteerShiftModel } = await import('../../models/VolunteerShift.model.js');
+
+const { pool } = database;
+const HOUR = 60 * 60 * 1000;
+let eventId;
+let zoneId;
+let sessionId;
+let studentIds;
+let volunteerCount = 0;
+let scanNumber = 0;
+
+// Time relative to now, in hours
+const at = (hours) => new Date(Date.now() + hours * HOUR);
+
+const createVolunteer = async () => {
+  volunteerCount++;
+  const [volunteer] = await pool(
+    `INSERT INTO volunteers (email, password_hash, full_name) VALUES ($1, 'hash', $2) RETURNING id`,
+    [`shift${volunteerCount}@test.local`, `Volunteer ${volunteerCount}`]
+  );
+  return volunteer.id;
+};
+
+const createShift = (volunteerId, startHours, endHours) => VolunteerShiftModel.create({
+  event_id: eventId,
+  volunteer_id: volunteerId,
+  start_time: at(startHours),
+  end_time: at(endHours)
+});
+
+// Gate scans share one student, so each takes the next scan number
+const gateScan = (volunteerId, hours, scanType = 'CHECKIN', isManual = false) => {
+  scanNumber++;
+  return pool(
+    `INSERT INTO check_in_outs (student_id, volunteer_id, event_id, scan_type, scan_number, scanned_at, is_manual, manual_reason)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [studentIds[0], volunteerId, eventId, scanType, scanNumber, at(hours), isManual, isManual ? 'QR code unreadable' : null]
+  );
+};
+
+const zoneScan = (volunteerId, hours) => pool(
+  `INSERT INTO zone_scans (zone_id, event_id, student_id, volunteer_id, scan_type, scanned_at)
+   VALUES ($1, $2, $3, $4, 'CHECKIN', $5)`,
+  [zoneId, eventId, studentIds[0], volunteerId, at(hours)]
+);
+
+const sessionScan = (volunteerId, hours, studentId) => pool(
+  `INSERT INTO session_attendance (session_id, event_id, student_id, volunteer_id, checked_in_at)
+   VALUES ($1, $2, $3, $4, $5)`,
+  [sessionId, eventId, studentId, volunteerId, at(hours)]
+);
+
+const reportFor = async (shiftId) => {
+  const report = await VolunteerShiftModel.getShiftReport(eventId);
+  const row = report.find((shift) => shift.id === shiftId);
+  const counts = ['scan_count', 'checkin_count', 'checkout_count', 'zone_scan_count', 'session_scan_count', 'manual_count'];
+  return { ...row, ...Object.fromEntries(counts.map((name) => [name, parseInt(row[name])])) };
+};
+
+beforeAll(async () => {
+  await database.ready;
+  const [{ id: schoolId }] = await pool(`INSERT INTO schools (school_name) VALUES ('School of Shifts') RETURNING id`);
+  const [{ id: managerId }] = await pool(
+    `INSERT INTO event_managers (email, password_hash, full_name) VALUES ('shifts@test.local', 'hash', 'Manager') RETURNING id`
+  );
+  [{ id: eventId }] = await pool(
+    `INSERT INTO events (
+       event_name, event_code, event_type, price, status,
+       start_date, end_date, registration_start_date, registration_end_date, created_by_manager_id
+     )
+     VALUES ('Shift Fair', 'SHIFT-FAIR', 'FREE', 0, 'ACTIVE',
+       NOW() - interval '1 day', NOW() + interval '1 day', NOW() - interval '3 days', NOW() - interval '2 days', $1)
+     RETURNING id`,
+    [managerId]
+  );
+  [{ id: zoneId }] = await pool(
+    `INSERT INTO event_zones (event_id, zone_name, capacity) VALUES ($1, 'Hall A', 100) RETURNING id`,
+    [eventId]
+  );
+  [{ id: sessionId }] = await pool(
+    `INSERT INTO event_sessions (event_id, session_name, start_time, end_time)
+     VALUES ($1, 'Opening', NOW() - interval '6 hours', NOW() + interval '6 hours') RETURNING id`,
+    [eventId]
+  );
+  studentIds = [];
+  for (const number of [1, 2]) {
+    const [{ id }] = await pool(
+      `INSERT INTO students (registration_no, password_hash, full_name, school_id) VALUES ($1, 'hash', $2, $3) RETURNING id`,
+      [`2025SHIFT0000${number}`, `Student ${number}`, schoolId]
+    );
+    studentIds.push(id);
+  }
+}, 120000);
+
+afterAll(async () => {
+  await database.close();
+});
+
+describe('VolunteerShiftModel.getShiftReport', () => {
+  it('counts gate, zone and session door scans made during the shift', async () => {
+    const volunteerId = await createVolunteer();
+    const shift = await createShift(volunteerId, -4, -1);
+    await gateScan(volunteerId, -3.5);
+    await gateScan(volunteerId, -3, 'CHECKOUT', true);
+    await zoneScan(volunteerId, -2.5);
+    await sessionScan(volunteerId, -2, studentIds[0]);
+    await sessionScan(volunteerId, -1.5, studentIds[1]);
+
+    expect(await reportFor(shift.id)).toMatchObject({
+      scan_count: 5,
+      checkin_count: 1,
+      checkout_count: 1,
+      zone_scan_count: 1,
+      session_scan_count: 2,
+      manual_count: 1,
+      shift_status: 'COMPLETED',
+      is_no_show: false
+    });
+  });
+
+  it('leaves out scans outside the shift and scans by other volunteers', async () => {
+    const volunteerId = await createVolunteer();
+    const colleague = await createVolunteer();
+    const shift = await createShift(volunteerId, -8, -6);
+    await gateScan(volunteerId, -5);
+    await zoneScan(colleague, -7);
+
+    expect(await reportFor(shift.id)).toMatchObject({ scan_count: 0, shift_status: 'COMPLETED', is_no_show: true });
+  });
+
+  it('does not count a volunteer who only scanned at a zone as a no-show', async () => {
+    const volunteerId = await createVolunteer();
+    const shift = await createShift(volunteerId, -10, -9);
+    await zoneScan(volunteerId, -9.5);
+
+    expect(await reportFor(shift.id)).toMatchObject({ scan_count: 1, zone_scan_count: 1, is_no_show: false });
+  });
+
+  it('reports shifts that have not ended by their status, never as no-shows', async () => {
+    const upcoming = await createShift(await createVolunteer(), 1, 3);
+    const running = await createShift(await createVolunteer(), -1, 1);
+
+    expect(await reportFor(upcoming.id)).toMatchObject({ shift_status: 'UPCOMING', is_no_show: false });
+    expect(await reportFor(running.id)).toMatchObject({ shift_status: 'IN_PROGRESS', is_no_show: false });
+  });
+});
@@ -0,0 +1,213 @@
+// Waitlist Tests - FIFO positions and promotion against a migrated in-process PostgreSQL
+import { jest } from '@jest/globals';
+import { createTestDatabase } from '../helpers/testDatabase.js';
+
+const database = createTestDatabase();
+const logAuditEvent = jest.fn();
+jest.unstable_mockModule('../../config/db.js', () => database.module);
+jest.unstable_mockModule('../../utils/auditLogger.js', () => ({
+  logAuditEvent,
+  AuditEventType: { WAITLIST_PROMOTED: 'WAITLIST_PROMOTED', WAITLIST_OFFER_EXPIRED: 'WAITLIST_OFFER_EXPIRED' }
+}));
+
+const { default: WaitlistService } = await import('../../services/waitlist.js');
+const { default: SeatReservationService } = await import('../../services/seatReservation.js');
+const { default: EventRegistrationModel } = await import('../../models/EventRegistration.model.js');
+
+const { pool } = database;
+let schoolId;
+let managerId;
+let studentCount = 0;
+
+const createStudent = async () => {
+  studentCount++;
+  const [student] = await pool(
+    `INSERT INTO students (registration_no, password_hash, full_name, school_id)
+     VALUES ($1, 'hash', $2, $3) RETURNING id`,
+    [`2025WAIT${String(studentCount).padStart(5, '0')}`, `Student ${studentCount}`, schoolId]
+  );
+  return student.id;
+};
+
+const createEvent = async ({ capacity = 1, eventType = 'FREE' } = {}) => {
+  const [event] = await pool(
+    `INSERT INTO events (
+       event_name, event_code, event_type, price, max_capacity, status, waitlist_enabled, waitlist_offer_minutes,
+       start_date, end_date, registration_start_date, registration_end_date, created_by_manager_id
+     )
+     VALUES ($1, $1, $2, $3, $4, 'APPROVED', TRUE, 30,
+       NOW() + interval '7 days', NOW() + interval '8 days', NOW() - interval '1 day', NOW() + interval '6 days', $5)
+     RETURNING *`,
+    [`EVT-${Math.random().toString(36).slice(2, 10)}`, eventType, eventType === 'PAID' ? 499 : 0, capacity, managerId]
+  );
+  return event;
+};
+
+// Joins the queue with an explicit place in line, so FIFO order doesn't hang on clock resolution
+const waitlist = async (eventId, minutesAgo) => {
+  const registration = await EventRegistrationModel.joinWaitlist(eventId, await createStudent());
+  await pool(`UPDATE event_registrations SET registered_at = NOW() - make_interval(mins => $2) WHERE id = $1`, [registration.id, minutesAgo]);
+  return registration;
+};
+
+const findRegistration = (id) => EventRegistrationModel.findById(id);
+
+const seats = async (eventId) => {
+  const [event] = await pool('SELECT current_registrations, seats_held FROM events WHERE id = $1', [eventId]);
+  return event;
+};
+
+beforeAll(async () => {
+  await database.ready;
+  [{ id: schoolId }] = await pool(`INSERT INTO schools (school_name) VALUES ('School of Waiting') RETURNING id`);
+  [{ id: managerId }] = await pool(
+    `INSERT INTO event_managers (email, password_hash, full_name) VALUES ('waitlist@test.local', 'hash', 'Manager') RETURNING id`
+  );
+}, 120000);
+
+beforeEach(() => {
+  logAuditEvent.mockReset();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await database.close();
+});
+
+describe('WaitlistService queue', () => {
+  it('sends new registrations to the waitlist once the event is full or others are waiting', async () => {
+    const event = await createEvent({ capacity: 1 });
+    expect(await WaitlistService.mustJoinWaitlist(event)).toBe(false);
+
+    await waitlist(event.id, 5);
+
+    expect(await WaitlistService.mustJoinWaitlist(event)).toBe(true);
+    expect(await WaitlistService.mustJoinWaitlist({ ...event, current_registrations: 1 })).toBe(true);
+  });
+
+  it('numbers students in the order they joined', async () => {
+    const event = await createEvent({ capacity: 1 });
+    await SeatReservationService.registerFree(event.id, await createStudent());
+    const second = await waitlist(event.id, 5);
+    const first = await waitlist(event.id, 10);
+
+    expect(await EventRegistrationModel.getWaitlistPosition(first.id)).toBe(1);
+    expect(await EventRegistrationModel.getWaitlistPosition(second.id)).toBe(2);
+    expect(await WaitlistService.getStatus(await findRegistration(second.id))).toMatchObject({
+      registration_status: 'WAITLISTED',
+      position: 2,
+      waiting_count: 2,
+      offer: null
+    });
+  });
+});
+
+describe('WaitlistService.promote', () => {
+  it('confirms the first student in line when a free event seat is cancelled', async () => {
+    const event = await createEvent({ capacity: 1 });
+    const seated = await SeatReservationService.registerFree(event.id, await createStudent());
+    const first = await waitlist(event.id, 10);
+    const second = await waitlist(event.id, 5);
+
+    await SeatReservationService.cancel(seated.id);
+    const promoted = await WaitlistService.promote(event.id);
+
+    expect(promoted.map((registration) => registration.id)).toEqual([first.id]);
+    expect((await findRegistration(first.id)).registration_status).toBe('CONFIRMED');
+    expect(await EventRegistrationModel.getWaitlistPosition(second.id)).toBe(1);
+    expect(await seats(event.id)).toEqual({ current_registrations: 1, seats_held: 0 });
+    expect(logAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+      event_type: 'WAITLIST_PROMOTED',
+      resource_id: first.id,
+      metadata: expect.objectContaining({ outcome: 'CONFIRMED' })
+    }));
+  });
+
+  it('does nothing while the event is still full', async () => {
+    const event = await createEvent({ capacity: 1 });
+    await SeatReservationService.registerFree(event.id, await createStudent());
+    await waitlist(event.id, 5);
+
+    expect(await WaitlistService.promote(event.id)).toEqual([]);
+    expect(logAuditEvent).not.toHaveBeenCalled();
+  });
+
+  it('holds the seat as a time-limited payment offer on paid events', async () => {
+    const event = await createEvent({ capacity: 1, eventType: 'PAID' });
+    const offered = await waitlist(event.id, 5);
+
+    const [promoted] = await WaitlistService.promote(event.id);
+    const status = await WaitlistService.getStatus(await findRegistration(offered.id));
+
+    expect(promoted).toMatchObject({ id: offered.id, registration_status: 'WAITLISTED', event_type: 'PAID' });
+    expect(status.offer.expires_at).not.toBeNull();
+    expect(status.position).toBeNull();
+    expect(await seats(event.id)).toEqual({ current_registrations: 0, seats_held: 1 });
+  });
+
+  it('lets the offered student pay for the held seat', async () => {
+    const event = await createEvent({ capacity: 1, eventType: 'PAID' });
+    const offered = await waitlist(event.id, 5);
+    await WaitlistService.promote(event.id);
+
+    const checkout = await SeatReservationService.holdForRetry(offered.id, { amount: 499, currency: 'INR', razorpay_order_id: 'order_w1' });
+    const confirmed = await SeatReservationService.confirmPayment(offered.id, { razorpay_payment_id: 'pay_w1' });
+
+    expect(checkout).not.toBeNull();
+    expect(confirmed).toMatchObject({ registration_status: 'CONFIRMED', payment_status: 'COMPLETED' });
+    expect(await seats(event.id)).toEqual({ current_registrations: 1, seats_held: 0 });
+  });
+});
+
+describe('WaitlistService.processWaitlists', () => {
+  it('expires an unpaid offer and offers the seat to the next student', async () => {
+    const event = await createEvent({ capacity: 1, eventType: 'PAID' });
+    const first = await waitlist(event.id, 10);
+    const second = await waitlist(event.id, 5);
+    await WaitlistService.promote(event.id);
+    await pool(`UPDATE event_registrations SET waitlist_offer_expires_at = NOW() - interval '1 minute' WHERE id = $1`, [first.id]);
+
+    const result = await WaitlistService.processWaitlists();
+
+    expect(result.expired).toBeGreaterThanOrEqual(1);
+    expect((await findRegistration(first.id)).registration_status).toBe('EXPIRED');
+    expect((await findRegistration(second.id)).waitlist_offer_expires_at).not.toBeNull();
+    expect(await seats(event.id)).toEqual({ current_registrations: 0, seats_held: 1 });
+    expect(logAuditEvent).toHaveBeenCalledWith(expect.objectContaining({ event_type: 'WAITLIST_OFFER_EXPIRED', resource_id: first.id }));
+  });
+
+  it('fills seats freed outside the normal paths', async () => {
+    const event = await createEvent({ capacity: 2 });
+    const waiting = await waitlist(event.id, 5);
+    await pool('UPDATE events SET current_registrations = 2 WHERE id = $1', [event.id]);
+    await WaitlistService.processWaitlists();
+    expect((await findRegistration(waiting.id)).registration_status).toBe('WAITLISTED');
+
+    await pool('UPDATE events SET current_registrations = 1 WHERE id = $1', [event.id]);
+    await WaitlistService.processWaitlists();
+
+    expect((await findRegistration(waiting.id)).registration_status).toBe('CONFIRMED');
+  });
+
+  it('keeps going when one event fails to promote', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const broken = await createEvent({ capacity: 1 });
+    const working = await createEvent({ capacity: 1 });
+    await waitlist(broken.id, 5);
+    const waiting = await waitlist(working.id, 5);
+    const promote = WaitlistService.promote.bind(WaitlistService);
+    jest.spyOn(WaitlistService, 'promote').mockImplementation(async (eventId) => {
+      if (eventId === broken.id) throw new Error('promotion failed');
+      return promote(eventId);
+    });
+
+    await WaitlistService.processWaitlists();
+
+    expect((await findRegistration(waiting.id)).registration_status).toBe('CONFIRMED');
+    expect(console.error).toHaveBeenCalled();
+  });
+});
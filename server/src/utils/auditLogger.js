@@ -16,9 +16,22 @@ export const AuditEventType = {
   EVENT_STATUS_CHANGED: 'EVENT_STATUS_CHANGED',
   VOLUNTEER_ASSIGNED: 'VOLUNTEER_ASSIGNED',
   VOLUNTEER_REMOVED: 'VOLUNTEER_REMOVED',
+  VOLUNTEER_ASSIGNMENT_UPDATED: 'VOLUNTEER_ASSIGNMENT_UPDATED',
+  VOLUNTEER_SHIFTS_UPLOADED: 'VOLUNTEER_SHIFTS_UPLOADED',
   REGISTRATION_CREATED: 'REGISTRATION_CREATED',
+  REGISTRATION_CANCELLED: 'REGISTRATION_CANCELLED',
+  REFUND_PROCESSED: 'REFUND_PROCESSED',
+  WAITLIST_PROMOTED: 'WAITLIST_PROMOTED',
+  WAITLIST_OFFER_EXPIRED: 'WAITLIST_OFFER_EXPIRED',
   PAYMENT_COMPLETED: 'PAYMENT_COMPLETED',
   PAYMENT_FAILED: 'PAYMENT_FAILED',
+  QR_TOKEN_REUSED: 'QR_TOKEN_REUSED',
+  MANUAL_SCAN_RECORDED: 'MANUAL_SCAN_RECORDED',
+  STALL_QR_MODE_UPDATED: 'STALL_QR_MODE_UPDATED',
+  BADGE_EXPORT_REQUESTED: 'BADGE_EXPORT_REQUESTED',
+  SIGNING_KEY_ROTATED: 'SIGNING_KEY_ROTATED',
+  SIGNING_KEY_RETIRED: 'SIGNING_KEY_RETIRED',
+  SESSIONS_AUTO_CLOSED: 'SESSIONS_AUTO_CLOSED',
   MANAGER_CREATED: 'MANAGER_CREATED',
   MANAGER_UPDATED: 'MANAGER_UPDATED',
   MANAGER_DELETED: 'MANAGER_DELETED',
@@ -0,0 +1,364 @@
+/**
+ * Badge Sheet Renderer
+ * Lays out student ID badges (name, registration number, school, static QR)
+ * on A4 sheets and writes them as PDF or SVG without extra dependencies.
+ *
+ * Both formats share one layout in millimetres: each badge becomes a list of
+ * drawing primitives that the PDF and SVG writers serialize. PDF text uses
+ * the built-in Helvetica fonts (WinAnsi), so characters outside Latin-1 are
+ * printed as "?".
+ */
+import QRCode from 'qrcode';
+import zlib from 'zlib';
+
+// A4 portrait, 2 x 4 badges of 90 x 65 mm
+export const BADGE_LAYOUT = {
+  PAGE_WIDTH_MM: 210,
+  PAGE_HEIGHT_MM: 297,
+  COLUMNS: 2,
+  ROWS: 4,
+  BADGE_WIDTH_MM: 90,
+  BADGE_HEIGHT_MM: 65,
+  MARGIN_LEFT_MM: 10,
+  MARGIN_TOP_MM: 12,
+  COLUMN_GAP_MM: 10,
+  ROW_GAP_MM: 5,
+  PADDING_MM: 5,
+  QR_SIZE_MM: 44,
+  QR_QUIET_ZONE_MODULES: 2
+};
+
+export const BADGES_PER_PAGE = BADGE_LAYOUT.COLUMNS * BADGE_LAYOUT.ROWS;
+
+const PT_PER_MM = 72 / 25.4;
+const MM_PER_PT = 25.4 / 72;
+const AVG_CHAR_WIDTH_EM = 0.55; // Helvetica average glyph width, used to wrap text
+
+/**
+ * Number of A4 pages needed for a number of badges
+ * @param {number} badgeCount
+ * @returns {number}
+ */
+export const getPageCount = (badgeCount) => Math.max(1, Math.ceil(badgeCount / BADGES_PER_PAGE));
+
+/**
+ * Wrap text to lines that fit a width, truncating with "..." past maxLines
+ * @param {string} text - Text to wrap
+ * @param {number} widthMm - Available width
+ * @param {number} fontSizePt - Font size
+ * @param {number} maxLines - Lines allowed
+ * @returns {string[]}
+ */
+export const wrapText = (text, widthMm, fontSizePt, maxLines) => {
+  const maxChars = Math.max(4, Math.floor((widthMm * PT_PER_MM) / (fontSizePt * AVG_CHAR_WIDTH_EM)));
+  const words = String(text || '').trim().split(/\s+/).filter(Boolean);
+  const lines = [];
+  let current = '';
+
+  for (let word of words) {
+    // Hard-split words that are longer than a whole line
+    while (word.length > maxChars) {
+      if (current) {
+        lines.push(current);
+        current = '';
+      }
+      lines.push(word.slice(0, maxChars));
+      word = word.slice(maxChars);
+    }
+
+    if (!current) {
+      current = word;
+    } else if (current.length + 1 + word.length <= maxChars) {
+      current += ` ${word}`;
+    } else {
+      lines.push(current);
+      current = word;
+    }
+  }
+  if (current) {
+    lines.push(current);
+  }
+
+  if (lines.length > maxLines) {
+    const kept = lines.slice(0, maxLines);
+    const last = kept[maxLines - 1];
+    kept[maxLines - 1] = `${last.slice(0, Math.max(0, maxChars - 3))}...`;
+    return kept;
+  }
+
+  return lines;
+};
+
+/**
+ * Dark QR modules merged into horizontal runs (far fewer shapes than one per module)
+ * @param {string} token - Static student QR token
+ * @returns {Object} { moduleCount, runs: [{ row, col, length }] }
+ */
+const getQRRuns = (token) => {
+  const { modules } = QRCode.create(token, { errorCorrectionLevel: 'M' });
+  const runs = [];
+
+  for (let row = 0; row < modules.size; row++) {
+    let start = null;
+    for (let col = 0; col <= modules.size; col++) {
+      const dark = col < modules.size && modules.get(row, col);
+      if (dark && start === null) {
+        start = col;
+      } else if (!dark && start !== null) {
+        runs.push({ row, col: start, length: col - start });
+        start = null;
+      }
+    }
+  }
+
+  return { moduleCount: modules.size, runs };
+};
+
+/**
+ * Lay out one badge as drawing primitives in page millimetres (y grows downwards)
+ * @param {Object} badge - { full_name, registration_no, school_name, batch, qr_token }
+ * @param {number} slot - Position on the page (0 .. BADGES_PER_PAGE - 1)
+ * @returns {Object} { frame, texts, qr }
+ */
+const layoutBadge = (badge, slot) => {
+  const L = BADGE_LAYOUT;
+  const column = slot % L.COLUMNS;
+  const row = Math.floor(slot / L.COLUMNS);
+  const x = L.MARGIN_LEFT_MM + column * (L.BADGE_WIDTH_MM + L.COLUMN_GAP_MM);
+  const y = L.MARGIN_TOP_MM + row * (L.BADGE_HEIGHT_MM + L.ROW_GAP_MM);
+
+  const qrX = x + L.BADGE_WIDTH_MM - L.PADDING_MM - L.QR_SIZE_MM;
+  const qrY = y + (L.BADGE_HEIGHT_MM - L.QR_SIZE_MM) / 2;
+  const textX = x + L.PADDING_MM;
+  const textWidth = qrX - textX - 2;
+
+  const texts = [];
+  let cursorY = y + L.PADDING_MM + 4;
+  const addLines = (lines, size, { bold = false, color = '#000000', spacing = 1.2 } = {}) => {
+    for (const line of lines) {
+      texts.push({ x: textX, y: cursorY, size, bold, color, text: line });
+      cursorY += size * MM_PER_PT * spacing;
+    }
+  };
+
+  addLines(wrapText(badge.full_name, textWidth, 11, 3), 11, { bold: true });
+  cursorY += 2;
+  addLines(['REG. NO.'], 6.5, { color: '#666666' });
+  addLines([badge.registration_no], 10, { bold: true });
+  cursorY += 2;
+  addLines(wrapText(badge.school_name || '', textWidth, 8, 3), 8, { color: '#333333' });
+  if (badge.batch) {
+    addLines([`Batch ${badge.batch}`], 8, { color: '#333333' });
+  }
+
+  const { moduleCount, runs } = getQRRuns(badge.qr_token);
+  const unit = L.QR_SIZE_MM / (moduleCount + 2 * L.QR_QUIET_ZONE_MODULES);
+  const offset = L.QR_QUIET_ZONE_MODULES * unit;
+
+  return {
+    frame: { x, y, width: L.BADGE_WIDTH_MM, height: L.BADGE_HEIGHT_MM },
+    texts,
+    qr: {
+      unit,
+      cells: runs.map((run) => ({
+        x: qrX + offset + run.col * unit,
+        y: qrY + offset + run.row * unit,
+        width: run.length * unit
+      }))
+    }
+  };
+};
+
+/**
+ * Split badges into pages of laid-out badges
+ * @param {Array<Object>} badges
+ * @returns {Array<Array<Object>>}
+ */
+const layoutPages = (badges) => {
+  const pages = [];
+  for (let i = 0; i < badges.length; i += BADGES_PER_PAGE) {
+    pages.push(badges.slice(i, i + BADGES_PER_PAGE).map((badge, slot) => layoutBadge(badge, slot)));
+  }
+  return pages.length > 0 ? pages : [[]];
+};
+
+// ============================================================
+// SVG
+// ============================================================
+
+const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const fmt = (value) => Number(value.toFixed(3)).toString();
+
+/**
+ * Render badges as A4 SVG documents (one per page)
+ * @param {Array<Object>} badges - [{ full_name, registration_no, school_name, batch, qr_token }]
+ * @returns {string[]} SVG documents
+ */
+export const renderBadgeSheetsSVG = (badges) => {
+  const L = BADGE_LAYOUT;
+
+  return layoutPages(badges).map((page) => {
+    const parts = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${L.PAGE_WIDTH_MM}mm" height="${L.PAGE_HEIGHT_MM}mm" viewBox="0 0 ${L.PAGE_WIDTH_MM} ${L.PAGE_HEIGHT_MM}">`,
+      `<rect width="${L.PAGE_WIDTH_MM}" height="${L.PAGE_HEIGHT_MM}" fill="#FFFFFF"/>`
+    ];
+
+    for (const badge of page) {
+      const { frame, texts, qr } = badge;
+      parts.push('<g>');
+      parts.push(`<rect x="${fmt(frame.x)}" y="${fmt(frame.y)}" width="${fmt(frame.width)}" height="${fmt(frame.height)}" rx="3" fill="none" stroke="#999999" stroke-width="0.25" stroke-dasharray="1.5 1"/>`);
+
+      for (const text of texts) {
+        parts.push(
+          `<text x="${fmt(text.x)}" y="${fmt(text.y)}" font-family="Helvetica, Arial, sans-serif" font-size="${fmt(text.size * MM_PER_PT)}"` +
+          `${text.bold ? ' font-weight="bold"' : ''} fill="${text.color}">${escapeXml(text.text)}</text>`
+        );
+      }
+
+      const path = qr.cells
+        .map((cell) => `M${fmt(cell.x)} ${fmt(cell.y)}h${fmt(cell.width)}v${fmt(qr.unit)}h-${fmt(cell.width)}z`)
+        .join('');
+      parts.push(`<path d="${path}" fill="#000000" shape-rendering="crispEdges"/>`);
+      parts.push('</g>');
+    }
+
+    parts.push('</svg>');
+    return parts.join('\n');
+  });
+};
+
+// ============================================================
+// PDF
+// ============================================================
+
+/**
+ * Encode text as a PDF literal string (WinAnsi, non-Latin-1 becomes "?")
+ * @param {string} text
+ * @returns {string}
+ */
+const pdfString = (text) => {
+  let out = '';
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if (char === '(' || char === ')' || char === '\\') {
+      out += `\\${char}`;
+    } else if (code >= 32 && code < 127) {
+      out += char;
+    } else if (code >= 160 && code <= 255) {
+      out += `\\${code.toString(8).padStart(3, '0')}`;
+    } else {
+      out += '?';
+    }
+  }
+  return `(${out})`;
+};
+
+const pdfColor = (hex) => {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map((c) => fmt(c / 255)).join(' ');
+};
+
+/**
+ * Content stream for one page (PDF points, origin bottom-left)
+ * @param {Array<Object>} page - Laid-out badges
+ * @returns {string}
+ */
+const buildPageContent = (page) => {
+  const pageHeight = BADGE_LAYOUT.PAGE_HEIGHT_MM;
+  const px = (mm) => fmt(mm * PT_PER_MM);
+  const py = (mm) => fmt((pageHeight - mm) * PT_PER_MM);
+  const ops = [];
+
+  for (const { frame, texts, qr } of page) {
+    ops.push(`0.6 0.6 0.6 RG 0.7 w [4 3] 0 d ${px(frame.x)} ${py(frame.y + frame.height)} ${px(frame.width)} ${px(frame.height)} re S [] 0 d`);
+
+    for (const text of texts) {
+      ops.push(`BT /${text.bold ? 'F2' : 'F1'} ${fmt(text.size)} Tf ${pdfColor(text.color)} rg ${px(text.x)} ${py(text.y)} Td ${pdfString(text.text)} Tj ET`);
+    }
+
+    ops.push('0 0 0 rg');
+    for (const cell of qr.cells) {
+      ops.push(`${px(cell.x)} ${py(cell.y + qr.unit)} ${px(cell.width)} ${px(qr.unit)} re`);
+    }
+    ops.push('f');
+  }
+
+  return ops.join('\n');
+};
+
+/**
+ * Render badges as one multi-page A4 PDF
+ * @param {Array<Object>} badges - [{ full_name, registration_no, school_name, batch, qr_token }]
+ * @returns {Buffer} PDF file
+ */
+export const renderBadgeSheetsPDF = (badges) => {
+  const pages = layoutPages(badges);
+  const width = fmt(BADGE_LAYOUT.PAGE_WIDTH_MM * PT_PER_MM);
+  const height = fmt(BADGE_LAYOUT.PAGE_HEIGHT_MM * PT_PER_MM);
+
+  // Objects 1-4 are fixed; each page then takes a page object and a content stream
+  const objects = [];
+  const pageIds = pages.map((_, index) => 5 + index * 2);
+
+  objects[1] = Buffer.from('<< /Type /Catalog /Pages 2 0 R >>');
+  objects[2] = Buffer.from(`<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+  objects[3] = Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  objects[4] = Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+  pages.forEach((page, index) => {
+    const pageId = pageIds[index];
+    const content = zlib.deflateSync(Buffer.from(buildPageContent(page), 'latin1'));
+
+    objects[pageId] = Buffer.from(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`
+    );
+    objects[pageId + 1] = Buffer.concat([
+      Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`),
+      content,
+      Buffer.from('\nendstream')
+    ]);
+  });
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+  const offsets = [];
+  let length = chunks[0].length;
+
+  for (let id = 1; id < objects.length; id++) {
+    const chunk = Buffer.concat([Buffer.from(`${id} 0 obj\n`), objects[id], Buffer.from('\nendobj\n')]);
+    offsets[id] = length;
+    chunks.push(chunk);
+    length += chunk.length;
+  }
+
+  const xref = [
+    'xref',
+    `0 ${objects.length}`,
+    '0000000000 65535 f ',
+    ...offsets.slice(1).map((offset) => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length} /Root 1 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF',
+    ''
+  ].join('\n');
+  chunks.push(Buffer.from(xref));
+
+  return Buffer.concat(chunks);
+};
+
+export default {
+  renderBadgeSheetsPDF,
+  renderBadgeSheetsSVG,
+  getPageCount,
+  BADGES_PER_PAGE,
+  BADGE_LAYOUT
+};
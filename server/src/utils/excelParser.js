@@ -0,0 +1,116 @@
+/**
+ * Excel / CSV Parser Utility
+ * Reads the first worksheet of an uploaded .xlsx or .csv file into row objects
+ */
+import ExcelJS from 'exceljs';
+import { Readable } from 'stream';
+
+/**
+ * Normalize a header cell to a snake_case key ("Start Time" -> "start_time")
+ * @param {string} header - Header text
+ * @returns {string}
+ */
+const normalizeHeader = (header) =>
+  String(header || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+
+/**
+ * Convert an ExcelJS cell value to a plain string
+ * Handles dates, hyperlinks (emails), rich text and formula results
+ * @param {*} value - ExcelJS cell value
+ * @returns {string|null}
+ */
+const normalizeCellValue = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (typeof value === 'object') {
+    if (value.richText) {
+      return value.richText.map((part) => part.text).join('').trim() || null;
+    }
+    if (value.text !== undefined) {
+      return normalizeCellValue(value.text);
+    }
+    if (value.result !== undefined) {
+      return normalizeCellValue(value.result);
+    }
+    return null;
+  }
+
+  const text = String(value).trim();
+  return text === '' ? null : text;
+};
+
+/**
+ * Parse the first worksheet of a spreadsheet
+ * Row 1 is the header row; blank rows are skipped
+ *
+ * @param {Buffer} buffer - File contents (multer memory storage)
+ * @param {string} [filename] - Original file name, used to detect CSV
+ * @returns {Promise<Array<Object>>} [{ row_number, ...columns }]
+ * @throws {Error} If the file has no worksheet or header row
+ *
+ * @example
+ * const rows = await parseSpreadsheet(req.file.buffer, req.file.originalname);
+ * // [{ row_number: 2, volunteer_email: 'a@b.com', start_time: '2025-12-05T09:00:00.000Z' }]
+ */
+export const parseSpreadsheet = async (buffer, filename = '') => {
+  const workbook = new ExcelJS.Workbook();
+
+  if (/\.csv$/i.test(filename)) {
+    await workbook.csv.read(Readable.from(buffer));
+  } else {
+    await workbook.xlsx.load(buffer);
+  }
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet || worksheet.rowCount < 1) {
+    throw new Error('Spreadsheet is empty');
+  }
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, colNumber) => {
+    headers[colNumber] = normalizeHeader(normalizeCellValue(cell.value));
+  });
+
+  if (headers.filter(Boolean).length === 0) {
+    throw new Error('Spreadsheet has no header row');
+  }
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const record = { row_number: rowNumber };
+    let hasValue = false;
+
+    row.eachCell((cell, colNumber) => {
+      const key = headers[colNumber];
+      if (!key) return;
+
+      const value = normalizeCellValue(cell.value);
+      if (value !== null) {
+        record[key] = value;
+        hasValue = true;
+      }
+    });
+
+    if (hasValue) {
+      rows.push(record);
+    }
+  });
+
+  return rows;
+};
+
+export default {
+  parseSpreadsheet
+};
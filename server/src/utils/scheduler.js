@@ -0,0 +1,88 @@
+/**
+ * Job Scheduler Utility
+ * Runs recurring background jobs inside the API process
+ *
+ * - A job never overlaps itself: a tick is skipped while the previous run is busy
+ * - With Redis available, a short lock keeps multiple instances from running
+ *   the same tick; without Redis every instance runs it (jobs must be idempotent)
+ * - Timers are unref'd so they never keep the process alive on shutdown
+ */
+import redisClient from '../config/redis.js';
+
+const jobs = new Map();
+
+/**
+ * Register and start a recurring job
+ * @param {string} name - Unique job name (used in logs and the Redis lock key)
+ * @param {number} intervalMs - Time between runs in milliseconds
+ * @param {Function} task - Async function to run
+ * @param {Object} options - { runOnStart: run once immediately (default: true) }
+ */
+export const scheduleJob = (name, intervalMs, task, options = {}) => {
+  const { runOnStart = true } = options;
+
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already scheduled`);
+  }
+
+  const job = { name, intervalMs, running: false, timer: null, lastRunAt: null };
+
+  const tick = async () => {
+    if (job.running) {
+      console.log(`⏭️  [JOB] ${name}: previous run still in progress, skipping`);
+      return;
+    }
+
+    // Lock for slightly less than the interval so the next tick can take it
+    const lockSeconds = Math.max(1, Math.floor(intervalMs / 1000) - 1);
+    const acquired = await redisClient.setIfNotExists(`job:lock:${name}`, String(process.pid), lockSeconds);
+    if (acquired === false) {
+      return; // Another instance is running this tick
+    }
+
+    job.running = true;
+    try {
+      await task();
+      job.lastRunAt = new Date();
+    } catch (error) {
+      console.error(`❌ [JOB] ${name} failed:`, error);
+    } finally {
+      job.running = false;
+    }
+  };
+
+  job.timer = setInterval(tick, intervalMs);
+  job.timer.unref();
+  jobs.set(name, job);
+
+  console.log(`⏰ [JOB] Scheduled ${name} every ${Math.round(intervalMs / 1000)}s`);
+
+  if (runOnStart) {
+    setImmediate(tick);
+  }
+};
+
+/**
+ * Stop all scheduled jobs (graceful shutdown)
+ */
+export const stopAllJobs = () => {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+  }
+  jobs.clear();
+};
+
+/**
+ * Get scheduled job status (for health/monitoring)
+ * @returns {Array<Object>} [{ name, interval_ms, running, last_run_at }]
+ */
+export const getJobStatus = () => {
+  return Array.from(jobs.values()).map((job) => ({
+    name: job.name,
+    interval_ms: job.intervalMs,
+    running: job.running,
+    last_run_at: job.lastRunAt
+  }));
+};
+
+export default { scheduleJob, stopAllJobs, getJobStatus };